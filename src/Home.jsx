@@ -13,34 +13,32 @@ import {
 import {
   faHouse,
   faWallet,
+  faCoins,
   faMagnifyingGlass,
   faBars,
-  faTimes
+  faTimes,
+  faRightFromBracket
 } from '@fortawesome/free-solid-svg-icons'
 
 import NavigationMenu from './elements/navigation-menu'
 import AccountNavigationMenu from './elements/account-navigation-menu'
-import CustomerProfile from './elements/customer-profile'
 import LeaderBoard from './elements/leader-board'
-import CustomerHome from './elements/customer-home'
 import PromotionalMessagesContainer from './components/promotional-messages/promotional-messages-container';
-import { Link } from 'react-router-dom';
+import { Link, Outlet, useLocation, useNavigate } from 'react-router-dom';
 
 import logo from './assets/hze-logo.png';
-import { useUser, useUpdateUser } from './providers/UserProvider';
+import { useUser, useUpdateUser, useLogoutCustomer } from './providers/UserProvider';
 import { useCurrentPage, useCustomerOrder, useProductToBuy, useUpdateCurrentPage, useUpdateRemovedItems } from './providers/AppProvider';
-import Shop from './pages/shop';
-import ProductDetails from './pages/product_details';
 import OrderSummary from './elements/order-summary';
-import { useState, useRef } from 'react';
-
-import CustomerWalletPage from './pages/customer-wallet-page';
+import { useEffect, useRef } from 'react';
+import { CUSTOMER_PATHS, getCustomerPage } from './util/paths';
 
 
 export default function Home() {
 
   const user = useUser();
   const updateUser = useUpdateUser();
+  const logoutCustomer = useLogoutCustomer();
 
   const currentPage = useCurrentPage();
   const updateCurrentPage = useUpdateCurrentPage();
@@ -52,22 +50,16 @@ export default function Home() {
 
   const closeButtonRef = useRef(null);
 
-  const renderPage = (page) => {
-    switch (page) {
-      case 'Home':
-        return <CustomerHome />;
-      case 'Profile':
-        return <CustomerProfile />;
-      case 'Shop':
-        return <Shop />;
-      case 'Product':
-        return <ProductDetails />;
-      case 'Wallet':
-        return <CustomerWalletPage />;
-      default:
-        return <CustomerHome />;
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // The URL decides the page; currentPage mirrors it for the components that read it
+  useEffect(() => {
+    const page = getCustomerPage(location.pathname);
+    if (page && page !== currentPage) {
+      updateCurrentPage(page);
     }
-  }
+  }, [location.pathname]);
 
 
   const getRightPanel = () => {
@@ -178,7 +170,7 @@ export default function Home() {
                 <div className="mt-3 space-y-1 px-2">
                   <Button onClick={() => {
                     clearCartAndRemovedItems();
-                    updateCurrentPage("Home");
+                    navigate(CUSTOMER_PATHS.Home);
                     closeButtonRef.current?.click();
                   }} className='block rounded-md px-3 py-2 text-base font-medium text-gray-900 hover:bg-gray-100 hover:text-gray-800' >
                     <span className="flex items-center">
@@ -188,7 +180,7 @@ export default function Home() {
                   </Button>
                   <Button onClick={() => {
                     clearCartAndRemovedItems();
-                    updateCurrentPage("Wallet");
+                    navigate(CUSTOMER_PATHS.Wallet);
                     closeButtonRef.current?.click();
                   }} className='block rounded-md px-3 py-2 text-base font-medium text-gray-900 hover:bg-gray-100 hover:text-gray-800' >
                     <span className="flex items-center">
@@ -196,10 +188,20 @@ export default function Home() {
                       Wallet
                     </span>
                   </Button>
+                  <Button onClick={() => {
+                    clearCartAndRemovedItems();
+                    navigate(CUSTOMER_PATHS.Points);
+                    closeButtonRef.current?.click();
+                  }} className='block rounded-md px-3 py-2 text-base font-medium text-gray-900 hover:bg-gray-100 hover:text-gray-800' >
+                    <span className="flex items-center">
+                      <FontAwesomeIcon icon={faCoins} className="fa-fw mr-2" />
+                      Points History
+                    </span>
+                  </Button>
 
                   <Button onClick={() => {
                     clearCartAndRemovedItems();
-                    updateCurrentPage("Profile");
+                    navigate(CUSTOMER_PATHS.Profile);
                     closeButtonRef.current?.click();
                   }} className='block rounded-md px-3 py-2 text-base font-medium text-gray-900 hover:bg-gray-100 hover:text-gray-800' >
                     <span className="flex items-center">
@@ -207,6 +209,18 @@ export default function Home() {
                       Profile
                     </span>
                   </Button>
+
+                  <Button onClick={() => {
+                    clearCartAndRemovedItems();
+                    logoutCustomer();
+                    navigate(CUSTOMER_PATHS.Home);
+                    closeButtonRef.current?.click();
+                  }} className='block rounded-md px-3 py-2 text-base font-medium text-gray-900 hover:bg-gray-100 hover:text-gray-800' >
+                    <span className="flex items-center">
+                      <FontAwesomeIcon icon={faRightFromBracket} className="fa-fw mr-2" />
+                      Sign out
+                    </span>
+                  </Button>
                 </div>
               </div>
             </div>
@@ -240,7 +254,7 @@ export default function Home() {
                 </h2>
                 <div className="overflow-hidden rounded-lg bg-white shadow min-h-[30rem]">
                   <div className="py-10 px-5">
-                    {renderPage(currentPage)}
+                    <Outlet />
                   </div>
                 </div>
               </section>
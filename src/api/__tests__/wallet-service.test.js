@@ -2,9 +2,9 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import walletService from '../wallet-service.js'
 import { mockAxiosInstance, mockWalletResponses } from '../../test/utils.jsx'
 
-// Mock axios
-vi.mock('../axios.jsx', () => ({
-  default: mockAxiosInstance
+// Mock axios; the factory is hoisted above the imports, so it loads the mock itself
+vi.mock('../axios.jsx', async () => ({
+  default: (await import('../../test/utils.jsx')).mockAxiosInstance
 }))
 
 describe('WalletService', () => {
@@ -38,7 +38,9 @@ describe('WalletService', () => {
 
       const result = await walletService.createCreditSlip(creditSlipData)
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/credit-slips', creditSlipData)
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/credit-slips', creditSlipData, {
+        headers: { 'Idempotency-Key': expect.any(String) }
+      })
       expect(result.success).toBe(true)
       expect(result.slip_id).toBe('65a1b2c3d4e5f6789012345')
       expect(result.slip_number).toBe('CS-20240115103000-A1B2C3D4')
@@ -82,13 +84,53 @@ describe('WalletService', () => {
 
       const result = await walletService.processPayment(paymentData)
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/payments', paymentData)
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/payments', paymentData, {
+        headers: { 'Idempotency-Key': expect.any(String) }
+      })
       expect(result.success).toBe(true)
       expect(result.payment_id).toBe('PAY-123456')
       expect(result.applied_total).toBe(500000)
       expect(result.wallet_topup).toBe(150000)
     })
 
+    it('should send the caller\'s idempotency key', async () => {
+      mockAxiosInstance.post.mockResolvedValue({ data: { payment_id: 'PAY-123456' } })
+
+      await walletService.processPayment({ customer_id: 'CUST001' }, { idempotencyKey: 'key-1' })
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/payments', { customer_id: 'CUST001' }, {
+        headers: { 'Idempotency-Key': 'key-1' }
+      })
+    })
+
+    it('should flag a result the server replayed for a repeated key', async () => {
+      mockAxiosInstance.post.mockResolvedValue({
+        data: { payment_id: 'PAY-123456' },
+        headers: { 'idempotent-replayed': 'true' }
+      })
+
+      const result = await walletService.processPayment({ customer_id: 'CUST001' }, { idempotencyKey: 'key-1' })
+
+      expect(result.success).toBe(true)
+      expect(result.replayed).toBe(true)
+    })
+
+    it('should return the original result when the key was already processed', async () => {
+      mockAxiosInstance.post.mockRejectedValue({
+        response: {
+          status: 409,
+          data: { code: 'DUPLICATE_IDEMPOTENCY_KEY', original_response: { payment_id: 'PAY-123456', applied_total: 500000 } }
+        }
+      })
+
+      const result = await walletService.processPayment({ customer_id: 'CUST001' }, { idempotencyKey: 'key-1' })
+
+      expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1)
+      expect(result.success).toBe(true)
+      expect(result.replayed).toBe(true)
+      expect(result.payment_id).toBe('PAY-123456')
+    })
+
     it('should handle insufficient balance errors', async () => {
       const mockError = {
         response: {
@@ -125,7 +167,9 @@ describe('WalletService', () => {
 
       const result = await walletService.applyWalletToSlip(walletData)
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/apply-wallet', walletData)
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/apply-wallet', walletData, {
+        headers: { 'Idempotency-Key': expect.any(String) }
+      })
       expect(result.success).toBe(true)
       expect(result.applied_cents).toBe(100000)
       expect(result.slip_status).toBe('CLOSED')
@@ -149,7 +193,9 @@ describe('WalletService', () => {
 
       const result = await walletService.storeChange(changeData)
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/store-change', changeData)
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/wallet/store-change', changeData, {
+        headers: { 'Idempotency-Key': expect.any(String) }
+      })
       expect(result.success).toBe(true)
       expect(result.wallet_added).toBe(50000)
     })
@@ -291,19 +337,18 @@ describe('WalletService', () => {
     it('should search customer successfully', async () => {
       const mockResponse = {
         data: {
-          customer: {
-            customer_id: 'CUST001',
-            customer_name: 'John Doe'
-          }
+          customers: [
+            { customer_id: 'CUST001', name: 'John Doe' }
+          ]
         }
       }
       mockAxiosInstance.get.mockResolvedValue(mockResponse)
 
-      const result = await walletService.searchCustomer('CUST001')
+      const result = await walletService.searchCustomer('John Doe')
 
-      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/customers/search?id=CUST001')
+      expect(mockAxiosInstance.get).toHaveBeenCalledWith('/api/customers/search?name=John%20Doe', { signal: undefined })
       expect(result.success).toBe(true)
-      expect(result.customer.customer_id).toBe('CUST001')
+      expect(result.customers[0].customer_id).toBe('CUST001')
     })
   })
 
@@ -6,20 +6,36 @@ const axiosInstance = axios.create({
   baseURL: "https://loyaserver.enzi.coffee",
   //baseURL: "http://127.0.0.1:5001",
   timeout: 5000,
-});// Add a request interceptor
+});
+
+// Request fields that must never reach the console
+const REDACTED_FIELDS = ['password', 'manager_password', 'approval_token', 'verification_token', 'phone_verification_token'];
+
+function redactForLog(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+    key,
+    REDACTED_FIELDS.includes(key) ? '[redacted]' : redactForLog(value)
+  ]));
+}
+
+// Add a request interceptor
 axiosInstance.interceptors.request.use(
   (config) => {
-    // Add staff token if available
+    // Add staff token if available, otherwise the signed-in customer's token
     const staffToken = localStorage.getItem('staffToken');
+    const customerToken = localStorage.getItem('customerToken');
     if (staffToken) {
       config.headers.Authorization = `Bearer ${staffToken}`;
+    } else if (customerToken) {
+      config.headers.Authorization = `Bearer ${customerToken}`;
     }
 
     console.log("Request Details:", {
       url: config.url,
       method: config.method,
       headers: config.headers,
-      data: config.data,
+      data: redactForLog(config.data),
       params: config.params,
     });
     return config; // Must return the config object to proceed with the request
@@ -75,6 +91,9 @@ axiosInstance.interceptors.response.use(
       // Redirect to staff login if on staff pages
       if (window.location.pathname.startsWith('/staff')) {
         window.location.href = '/staff/login';
+      } else {
+        // An expired customer session means signing in again with a new code
+        localStorage.removeItem('customerToken');
       }
     }
 
@@ -0,0 +1,292 @@
+import axiosInstance from './axios.jsx';
+import walletService from './wallet-service.js';
+import { getDefaultSmsProvider } from './sms-provider.js';
+import { normalizePhoneNumber } from '../utils/phone-number.js';
+import {
+  OTP_PURPOSES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_TTL_SECONDS,
+  createOtpChallenge,
+  getRemainingOtpAttempts,
+  getResendWaitSeconds,
+  isCompleteOtp,
+  isOtpExpired,
+  recordFailedOtpAttempt
+} from '../utils/otp.js';
+
+/**
+ * @class CustomerAuthService
+ * @description Signs customers in and registers them with a one-time code texted to
+ * their phone, and saves the changes they make to their profile. Codes are sent and
+ * checked by an SMS provider (see api/sms-provider), which tests and local development
+ * can swap for a mock. The resend cooldown and the attempt limit are also enforced here
+ * so customers get an answer without a round trip.
+ * This class is a singleton, and an instance is exported by default.
+ */
+class CustomerAuthService {
+  constructor() {
+    this.smsProvider = getDefaultSmsProvider();
+    this.challenges = new Map();
+  }
+
+  /**
+   * Replace the SMS provider, e.g. with createMockSmsProvider() in tests.
+   * @param {object} provider - The provider (see api/sms-provider).
+   */
+  setSmsProvider(provider) {
+    this.smsProvider = provider;
+    this.challenges.clear();
+  }
+
+  /**
+   * Get the code last sent to a phone number.
+   * @param {string} phoneNumber - The phone number in any of the usual formats.
+   * @returns {object|null} The challenge (see utils/otp), or null if no code was sent.
+   */
+  getChallenge(phoneNumber) {
+    return this.challenges.get(normalizePhoneNumber(phoneNumber)) || null;
+  }
+
+  /**
+   * Text a one-time code to a customer.
+   * @param {string} phoneNumber - The phone number in any of the usual formats.
+   * @param {string} [purpose=OTP_PURPOSES.LOGIN] - What the code is for.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the code was sent.
+   * @property {string} phoneNumber - The canonical phone number the code went to.
+   * @property {number} expiresIn - Seconds until the code expires.
+   * @property {number} resendAfter - Seconds until another code may be requested.
+   */
+  async requestOtp(phoneNumber, purpose = OTP_PURPOSES.LOGIN) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!normalized) {
+      return this.createError('Please enter a valid Tanzanian phone number', 'INVALID_PHONE_NUMBER');
+    }
+
+    const wait = getResendWaitSeconds(this.challenges.get(normalized));
+    if (wait > 0) {
+      return this.createError(
+        `Please wait ${wait} seconds before requesting another code`,
+        'OTP_RESEND_TOO_SOON',
+        { retryAfter: wait }
+      );
+    }
+
+    try {
+      const data = await this.smsProvider.sendCode({ phoneNumber: normalized, purpose });
+      this.challenges.set(normalized, createOtpChallenge(normalized, purpose));
+
+      return {
+        success: true,
+        phoneNumber: normalized,
+        expiresIn: data.expires_in ?? OTP_TTL_SECONDS,
+        resendAfter: data.resend_after ?? OTP_RESEND_COOLDOWN_SECONDS
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to send the verification code');
+    }
+  }
+
+  /**
+   * Check the code a customer entered.
+   * @param {string} phoneNumber - The phone number the code was sent to.
+   * @param {string} code - The code entered.
+   * @param {string} [purpose=OTP_PURPOSES.LOGIN] - What the code is for.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the code was accepted.
+   * @property {string|null} token - The customer session token (sign-in).
+   * @property {object|null} customer - The signed-in customer (sign-in).
+   * @property {string|null} verificationToken - Proof the phone was verified (registration
+   * and phone number changes).
+   */
+  async verifyOtp(phoneNumber, code, purpose = OTP_PURPOSES.LOGIN) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    const challenge = this.challenges.get(normalized);
+
+    if (!challenge || challenge.purpose !== purpose || isOtpExpired(challenge)) {
+      return this.createError('This code has expired. Please request a new one', 'OTP_EXPIRED');
+    }
+    if (getRemainingOtpAttempts(challenge) === 0) {
+      return this.createError('Too many incorrect codes. Please request a new one', 'OTP_ATTEMPTS_EXCEEDED');
+    }
+    if (!isCompleteOtp(code)) {
+      return this.createError('Please enter the full code from the text message', 'INVALID_OTP_FORMAT');
+    }
+
+    try {
+      const data = await this.smsProvider.verifyCode({ phoneNumber: normalized, code, purpose });
+      this.challenges.delete(normalized);
+
+      return {
+        success: true,
+        data,
+        token: data.access_token || null,
+        customer: data.customer || null,
+        verificationToken: data.verification_token || null
+      };
+    } catch (error) {
+      if (error.response?.data?.message?.includes('INVALID_OTP')) {
+        const failed = recordFailedOtpAttempt(challenge);
+        this.challenges.set(normalized, failed);
+        const attemptsRemaining = error.response.data.attempts_remaining ?? getRemainingOtpAttempts(failed);
+
+        return attemptsRemaining > 0
+          ? this.createError(
+            `That code is not right. ${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} left`,
+            'INVALID_OTP',
+            { attemptsRemaining }
+          )
+          : this.createError('Too many incorrect codes. Please request a new one', 'OTP_ATTEMPTS_EXCEEDED');
+      }
+      return this.handleError(error, 'Failed to verify the code');
+    }
+  }
+
+  /**
+   * Register a new customer whose phone number has been verified.
+   * @param {object} details - The registration details sent to the server.
+   * @param {string} verificationToken - The token from verifyOtp with the register purpose.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the customer was registered.
+   * @property {object} customer - The new customer.
+   * @property {string|null} token - The customer session token.
+   */
+  async register(details, verificationToken) {
+    try {
+      const response = await axiosInstance.post('/api/customers/register', {
+        ...details,
+        verification_token: verificationToken
+      });
+
+      return {
+        success: true,
+        data: response.data,
+        customer: response.data?.customer || null,
+        token: response.data?.access_token || null
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to create your account');
+    }
+  }
+
+  /**
+   * Reload a signed-in customer's profile and receipts, e.g. to refresh a session
+   * restored from the device.
+   * @param {object} customer - The signed-in customer.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the profile was reloaded.
+   * @property {object} customer - The current profile.
+   * @property {Array<object>} receipts - The customer's receipts.
+   */
+  async refreshSession(customer) {
+    try {
+      const profileResponse = await axiosInstance.get(
+        `/api/customers/search?phone_number=${encodeURIComponent(customer.phone_number)}`
+      );
+      const profile = profileResponse.data?.customer || customer;
+
+      // A customer without receipts yet is answered with a 404
+      let receipts = [];
+      try {
+        const receiptsResponse = await axiosInstance.get(`/api/receipts/search?customer_id=${profile._id}`);
+        receipts = receiptsResponse.data?.receipts || [];
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+
+      return { success: true, customer: profile, receipts };
+    } catch (error) {
+      return this.handleError(error, 'Failed to refresh your account');
+    }
+  }
+
+  /**
+   * Save changes a customer made to their own profile. A new phone number must come
+   * with the verification token from verifyOtp with the change_phone purpose.
+   * @param {string} customerId - The ID of the customer.
+   * @param {object} changes - The changed fields (name, email, city, date_of_birth, phone_number).
+   * @param {object} [options={}] - Update options.
+   * @param {string} [options.phoneVerificationToken] - Proof the new phone number was verified.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the profile was saved.
+   * @property {object} customer - The saved profile.
+   */
+  async updateProfile(customerId, changes, options = {}) {
+    try {
+      const payload = { ...changes };
+      if (changes.phone_number) {
+        payload.phone_number = normalizePhoneNumber(changes.phone_number);
+        payload.phone_verification_token = options.phoneVerificationToken;
+      }
+
+      const response = await axiosInstance.patch(`/api/customers/${customerId}/profile`, payload);
+      // Without a customer in the response, fall back to what was saved, minus the token
+      const saved = { ...payload };
+      delete saved.phone_verification_token;
+
+      return {
+        success: true,
+        data: response.data,
+        customer: response.data?.customer || saved
+      };
+    } catch (error) {
+      if (error.response?.status === 409) {
+        return this.createError('Another account already uses this phone number', 'PHONE_NUMBER_TAKEN');
+      }
+      return this.handleError(error, 'Failed to save your profile');
+    }
+  }
+
+  /**
+   * Build a failed response.
+   * @param {string} message - The message shown to the customer.
+   * @param {string} code - The error code.
+   * @param {object} [extra={}] - Extra error fields.
+   * @returns {object} The response.
+   */
+  createError(message, code, extra = {}) {
+    return {
+      success: false,
+      error: {
+        message,
+        code,
+        severity: 'warning',
+        isRetryable: false,
+        timestamp: new Date().toISOString(),
+        ...extra
+      }
+    };
+  }
+
+  /**
+   * Handle errors from the provider and the server, naming the one-time code failures.
+   * @param {Error} error - The error object.
+   * @param {string} defaultMessage - The default error message.
+   * @returns {object} The formatted error response.
+   */
+  handleError(error, defaultMessage) {
+    const message = error.response?.data?.message || '';
+
+    if (message.includes('OTP_EXPIRED')) {
+      return this.createError('This code has expired. Please request a new one', 'OTP_EXPIRED');
+    }
+    if (message.includes('OTP_ATTEMPTS_EXCEEDED')) {
+      return this.createError('Too many incorrect codes. Please request a new one', 'OTP_ATTEMPTS_EXCEEDED');
+    }
+    if (message.includes('OTP_RESEND_TOO_SOON')) {
+      const retryAfter = error.response.data.retry_after ?? OTP_RESEND_COOLDOWN_SECONDS;
+      return this.createError(
+        `Please wait ${retryAfter} seconds before requesting another code`,
+        'OTP_RESEND_TOO_SOON',
+        { retryAfter }
+      );
+    }
+    if (error.response?.status === 404) {
+      return this.createError('No account uses this phone number', 'CUSTOMER_NOT_FOUND');
+    }
+    return walletService.handleError(error, defaultMessage);
+  }
+}
+
+const customerAuthService = new CustomerAuthService();
+export default customerAuthService;
@@ -1,5 +1,5 @@
 import walletService from './wallet-service.js';
-import { formatTZS } from '../utils/currency.js';
+import { formatTZS, formatMoney } from '../utils/currency.js';
 import { 
   formatTransactionDate, 
   formatTransactionTime, 
@@ -122,6 +122,7 @@ class CustomerWalletService {
       
       if (response.success && response.balance) {
         const balance = response.balance;
+        const balanceCurrency = balance.currency || currency;
         
         return {
           success: true,
@@ -129,9 +130,9 @@ class CustomerWalletService {
           balance: {
             ...balance,
             // Add formatted currency displays
-            formatted_wallet_balance: formatTZS(balance.wallet_cents || 0),
-            formatted_outstanding_balance: formatTZS(balance.outstanding_cents || 0),
-            formatted_net_balance: formatTZS((balance.wallet_cents || 0) - (balance.outstanding_cents || 0)),
+            formatted_wallet_balance: formatMoney(balance.wallet_cents || 0, balanceCurrency),
+            formatted_outstanding_balance: formatMoney(balance.outstanding_cents || 0, balanceCurrency),
+            formatted_net_balance: formatMoney((balance.wallet_cents || 0) - (balance.outstanding_cents || 0), balanceCurrency),
             // Calculate net balance for color coding
             net_balance_cents: (balance.wallet_cents || 0) - (balance.outstanding_cents || 0),
             has_available_credit: (balance.wallet_cents || 0) > 0,
@@ -146,6 +147,76 @@ class CustomerWalletService {
     }
   }
 
+  /**
+   * Get current customer's wallet balances in every currency they have used
+   * @returns {Promise<object>} Promise that resolves with one formatted balance per currency
+   */
+  async getMyBalances() {
+    try {
+      const { customerId, error } = this.resolveCustomerId();
+      
+      if (!customerId) {
+        return {
+          success: false,
+          error: {
+            message: error || 'Customer identification required',
+            code: 'CUSTOMER_ID_MISSING',
+            severity: 'error',
+            requiresAuth: true
+          }
+        };
+      }
+
+      const response = await walletService.getCustomerBalances(customerId);
+      
+      if (response.success) {
+        return {
+          success: true,
+          data: response.data,
+          balances: response.balances.map(balance => ({
+            ...balance,
+            formatted_wallet_balance: formatMoney(balance.wallet_cents, balance.currency),
+            formatted_outstanding_balance: formatMoney(balance.outstanding_cents, balance.currency),
+            formatted_net_balance: formatMoney(balance.wallet_cents - balance.outstanding_cents, balance.currency),
+            net_balance_cents: balance.wallet_cents - balance.outstanding_cents,
+            has_available_credit: balance.wallet_cents > 0,
+            has_outstanding_bills: balance.outstanding_cents > 0
+          }))
+        };
+      }
+      
+      return response;
+    } catch (error) {
+      return walletService.handleError(error, 'Failed to get wallet balances');
+    }
+  }
+
+  /**
+   * Get the signed code for the current customer's wallet QR code
+   * @returns {Promise<object>} Promise that resolves with the customer code
+   */
+  async getMyWalletCode() {
+    try {
+      const { customerId, error } = this.resolveCustomerId();
+
+      if (!customerId) {
+        return {
+          success: false,
+          error: {
+            message: error || 'Customer identification required',
+            code: 'CUSTOMER_ID_MISSING',
+            severity: 'error',
+            requiresAuth: true
+          }
+        };
+      }
+
+      return await walletService.getCustomerCode(customerId);
+    } catch (error) {
+      return walletService.handleError(error, 'Failed to get wallet code');
+    }
+  }
+
   /**
    * Get current customer's transaction history with pagination
    * @param {string} [currency='TZS'] - The currency code
@@ -0,0 +1,116 @@
+import axiosInstance from './axios.jsx';
+import walletService from './wallet-service.js';
+import { formatCustomerData } from '../utils/api-response.js';
+import { DIRECTORY_PAGE_SIZE, getDirectoryPagination } from '../utils/customer-directory.js';
+
+/**
+ * @class CustomersService
+ * @description Provides the staff customer directory: paged customer lists, customer
+ * profiles and receipts. Wallet data for a customer comes from WalletService.
+ * This class is a singleton, and an instance is exported by default.
+ */
+class CustomersService {
+  /**
+   * List customers, optionally filtered by name.
+   * @param {object} [options={}] - Query options.
+   * @param {string} [options.search=''] - Text to match against the customer's name.
+   * @param {number} [options.page=1] - The page number.
+   * @param {number} [options.perPage=DIRECTORY_PAGE_SIZE] - The number of customers per page.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {Array<object>} customers - The customers on this page (see formatCustomerData).
+   * @property {object} pagination - The pagination information.
+   */
+  async listCustomers(options = {}) {
+    const { search = '', page = 1, perPage = DIRECTORY_PAGE_SIZE } = options;
+
+    try {
+      const params = {
+        page,
+        per_page: perPage,
+        ...(search.trim() && { name: search.trim() })
+      };
+      const response = await axiosInstance.get('/api/customers/search', { params });
+      const data = response.data || {};
+
+      return {
+        success: true,
+        data,
+        customers: (data.customers || []).map(formatCustomerData),
+        pagination: getDirectoryPagination(data, page, perPage)
+      };
+    } catch (error) {
+      // The search endpoint answers 404 when nothing matches
+      if (error.response?.status === 404) {
+        return {
+          success: true,
+          data: {},
+          customers: [],
+          pagination: getDirectoryPagination({}, page, perPage)
+        };
+      }
+      return walletService.handleError(error, 'Failed to load customers');
+    }
+  }
+
+  /**
+   * Get a customer's profile.
+   * @param {string} customerId - The ID of the customer.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {object} customer - The customer (see formatCustomerData).
+   */
+  async getCustomer(customerId) {
+    try {
+      const response = await axiosInstance.get('/api/customers/search', { params: { id: customerId } });
+      const data = response.data || {};
+      const customer = data.customers?.[0] || data.customer;
+
+      if (!customer) {
+        return {
+          success: false,
+          error: {
+            message: 'Customer not found',
+            code: 'CUSTOMER_NOT_FOUND',
+            severity: 'warning',
+            isRetryable: false,
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
+
+      return { success: true, data, customer: formatCustomerData(customer) };
+    } catch (error) {
+      return walletService.handleError(error, 'Failed to load customer');
+    }
+  }
+
+  /**
+   * Get a customer's purchase receipts.
+   * @param {string} customerId - The ID of the customer.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {Array<object>} receipts - The customer's receipts.
+   */
+  async getCustomerReceipts(customerId) {
+    try {
+      const response = await axiosInstance.get('/api/receipts/search', { params: { customer_id: customerId } });
+      return {
+        success: true,
+        data: response.data,
+        receipts: response.data?.receipts || []
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { success: true, data: {}, receipts: [] };
+      }
+      return walletService.handleError(error, 'Failed to load receipts');
+    }
+  }
+}
+
+// Export a singleton instance of the CustomersService
+export default new CustomersService();
@@ -0,0 +1,317 @@
+import axiosInstance from './axios.jsx';
+import walletService from './wallet-service.js';
+import apiCache from '../utils/api-cache.js';
+import { formatProductData } from '../utils/api-response.js';
+import { createIdempotencyKey, idempotencyConfig, getReplayedResponseData } from '../utils/idempotency.js';
+import {
+  PAYMENT_METHODS,
+  summarizeCart,
+  getCartItemKey,
+  getBillAmountCents,
+  getBillPointsRate,
+  centsToPoints
+} from '../utils/checkout.js';
+
+const CATALOG_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * @typedef {Object} CatalogItem
+ * @property {string} id - The product ID
+ * @property {string|null} variant_id - The ID of the product's first variant
+ * @property {string} name - The product name
+ * @property {string} description - The product description
+ * @property {string} category_id - The category ID
+ * @property {string} category - The category display name
+ * @property {number} price_cents - The cash price in cents
+ * @property {boolean} redeemable - Whether the item can be bought with L¥ points
+ * @property {number|null} points_price - The price in L¥ points, if redeemable
+ * @property {number|null} stock - Units in stock, or null when stock is not tracked
+ * @property {boolean} in_stock - Whether the item can currently be ordered
+ * @property {string|null} badge - An optional badge such as "New" or "Best Seller"
+ * @property {number} sort_order - The merchandising position (lower first)
+ * @property {string} imageSrc - The product image URL
+ * @property {string} imageAlt - The product image alt text
+ */
+
+/**
+ * @class PointsShopService
+ * @description Provides the customer points-shop catalog. Products come from the same
+ * `/api/products/all` data the staff side uses; the points-shop settings (L¥ price,
+ * stock, badges and categories) are layered on top from `/api/points-shop/items`.
+ * This class is a singleton, and an instance is exported by default.
+ */
+class PointsShopService {
+  /**
+   * Get the points-shop catalog.
+   * @param {object} [options={}] - Query options.
+   * @param {boolean} [options.useCache=true] - Whether to use cached data if available.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {Array<CatalogItem>} items - The catalog items.
+   * @property {Array<object>} categories - The categories present in the catalog (`{ id, name }`).
+   * @property {boolean} fromCache - Whether the data came from cache.
+   */
+  async getCatalog(options = {}) {
+    const { useCache = true } = options;
+    const cacheKey = apiCache.generateKey('/api/points-shop/catalog');
+
+    if (useCache) {
+      const cached = apiCache.get(cacheKey);
+      if (cached) {
+        return { success: true, ...cached, fromCache: true };
+      }
+    }
+
+    try {
+      const [productsResponse, settingsResponse] = await Promise.all([
+        walletService.getAllProducts(),
+        axiosInstance.get('/api/points-shop/items')
+          .then(response => ({ success: true, data: response.data }))
+          .catch(error => walletService.handleError(error, 'Failed to load points-shop settings'))
+      ]);
+
+      if (!productsResponse.success) {
+        return productsResponse;
+      }
+
+      // Without the points-shop settings the products are still listed, just not redeemable
+      const settings = settingsResponse.success ? settingsResponse.data : {};
+      const settingsById = new Map((settings.items || []).map(item => [String(item.item_id), item]));
+      const categoryNames = new Map((settings.categories || []).map(category => [String(category.id), category.name]));
+
+      const items = productsResponse.items
+        .map(product => formatCatalogItem(product, settingsById.get(String(product.id)), categoryNames))
+        .filter(item => item && !item.hidden);
+
+      const categories = [...new Map(
+        items.map(item => [item.category_id, { id: item.category_id, name: item.category }])
+      ).values()].sort((a, b) => a.name.localeCompare(b.name));
+
+      const catalog = { items, categories };
+      if (useCache) {
+        apiCache.set(cacheKey, catalog, CATALOG_CACHE_TTL);
+      }
+
+      return { success: true, ...catalog, fromCache: false };
+    } catch (error) {
+      return walletService.handleError(error, 'Failed to load shop catalog');
+    }
+  }
+
+  /**
+   * Clear the cached catalog, e.g. after stock changes.
+   */
+  invalidateCatalog() {
+    apiCache.delete(apiCache.generateKey('/api/points-shop/catalog'));
+  }
+
+  /**
+   * Place a points-shop order. Products are always paid with points; pending bills
+   * included in `slip_ids` are paid with points too.
+   * @param {object} orderData - The order data.
+   * @param {string} orderData.customer_id - The ID of the customer.
+   * @param {Array<object>} orderData.items - The products (`{ item_id, variant_id, quantity, points_price }`).
+   * @param {Array<string>} [orderData.slip_ids=[]] - The IDs of pending bills to pay with points.
+   * @param {number} orderData.points_total - The points the customer expects to spend.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this checkout; reuse it when resubmitting.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {string} order_id - The ID of the order.
+   * @property {string} order_number - The order number shown on the receipt.
+   * @property {number} points_deducted - The points deducted for the order.
+   * @property {number} points_balance - The customer's remaining points.
+   */
+  async placeOrder(orderData, options = {}) {
+    const { idempotencyKey = createIdempotencyKey() } = options;
+    const formatOrder = (data) => ({
+      success: true,
+      data,
+      order_id: data.order_id,
+      order_number: data.order_number,
+      points_deducted: data.points_deducted ?? orderData.points_total,
+      points_balance: data.points_balance
+    });
+
+    try {
+      const response = await axiosInstance.post('/api/points-shop/orders', orderData, idempotencyConfig(idempotencyKey));
+      this.invalidateCatalog();
+      return formatOrder(response.data);
+    } catch (error) {
+      const originalData = getReplayedResponseData(error);
+      if (originalData) {
+        return { ...formatOrder(originalData), replayed: true };
+      }
+      if (error.response?.status === 400 && error.response.data?.message?.includes('INSUFFICIENT_POINTS')) {
+        return {
+          success: false,
+          error: {
+            message: 'You do not have enough points for this order',
+            code: 'INSUFFICIENT_POINTS',
+            severity: 'warning',
+            isRetryable: false,
+            timestamp: new Date().toISOString(),
+            originalError: error
+          }
+        };
+      }
+      if (error.response?.status === 409 && error.response.data?.message?.includes('OUT_OF_STOCK')) {
+        return {
+          success: false,
+          error: {
+            message: 'Some items in your order are no longer in stock',
+            code: 'OUT_OF_STOCK',
+            severity: 'warning',
+            isRetryable: false,
+            timestamp: new Date().toISOString(),
+            originalError: error
+          }
+        };
+      }
+      return walletService.handleError(error, 'Failed to place order');
+    }
+  }
+
+  /**
+   * Check out the customer's cart. Products are ordered with points. Pending bills are
+   * either added to the same points order, or paid from the wallet one slip at a time.
+   * @param {object} checkoutData - The checkout data.
+   * @param {string} checkoutData.customer_id - The ID of the customer.
+   * @param {Array<object>} checkoutData.cart - The cart items.
+   * @param {string} checkoutData.method - One of PAYMENT_METHODS.
+   * @param {string} [checkoutData.idempotency_key] - The key for this checkout; reuse it when the customer tries again.
+   * @returns {Promise<object>} A promise that resolves with the checkout result.
+   * @property {boolean} success - Indicates if every part of the checkout succeeded.
+   * @property {object} receipt - What was paid, also returned alongside an error if part of the checkout went through.
+   * @property {object} [error] - The error, if the checkout failed.
+   */
+  async checkout({ customer_id, cart, method, idempotency_key = createIdempotencyKey() }) {
+    const pointsPerTzs = getBillPointsRate();
+    const { products, bills, products_points, bills_points } = summarizeCart(cart, { pointsPerTzs });
+    const payBillsWithPoints = method === PAYMENT_METHODS.POINTS;
+    const receipt = {
+      order_id: null,
+      order_number: null,
+      payment_method: method,
+      created_at: new Date().toISOString(),
+      lines: [],
+      points_spent: 0,
+      points_balance: null,
+      wallet_applied_cents: 0
+    };
+
+    if (payBillsWithPoints && bills.length > 0 && bills_points === null) {
+      return {
+        success: false,
+        receipt,
+        error: {
+          message: 'Bills cannot be paid with points yet',
+          code: 'BILL_POINTS_RATE_MISSING',
+          severity: 'warning',
+          isRetryable: false,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    if (products.length > 0 || (payBillsWithPoints && bills.length > 0)) {
+      const orderBills = payBillsWithPoints ? bills : [];
+      const order = await this.placeOrder({
+        customer_id,
+        items: products.map(product => ({
+          item_id: product.id,
+          variant_id: product.variant_id || null,
+          quantity: 1,
+          points_price: product.points_price
+        })),
+        slip_ids: orderBills.map(bill => bill.slip_id),
+        points_total: products_points + (payBillsWithPoints ? bills_points : 0)
+      }, { idempotencyKey: `${idempotency_key}:order` });
+
+      if (!order.success) {
+        return { ...order, receipt };
+      }
+
+      receipt.order_id = order.order_id;
+      receipt.order_number = order.order_number;
+      receipt.points_spent = order.points_deducted;
+      receipt.points_balance = Number.isFinite(order.points_balance) ? order.points_balance : null;
+      receipt.lines.push(
+        ...products.map(product => ({ key: getCartItemKey(product), label: product.name, points: product.points_price })),
+        ...orderBills.map(bill => ({
+          key: getCartItemKey(bill),
+          label: `Bill ${bill.slip_number}`,
+          points: centsToPoints(getBillAmountCents(bill), pointsPerTzs)
+        }))
+      );
+    }
+
+    if (!payBillsWithPoints) {
+      for (const bill of bills) {
+        const application = await walletService.applyWalletToSlip(
+          { customer_id, slip_id: bill.slip_id },
+          { idempotencyKey: `${idempotency_key}:${bill.slip_id}`, queueWhenOffline: false }
+        );
+        if (!application.success) {
+          return { ...application, receipt };
+        }
+
+        receipt.wallet_applied_cents += application.applied_cents || 0;
+        receipt.lines.push({
+          key: getCartItemKey(bill),
+          label: `Bill ${bill.slip_number}`,
+          amount_cents: application.applied_cents || 0,
+          slip_status: application.slip_status,
+          remaining_cents: application.remaining_slip_balance || 0
+        });
+      }
+    }
+
+    return { success: true, receipt };
+  }
+}
+
+/**
+ * Merges a product from the API with its points-shop settings.
+ * @param {object} product - The raw product from `/api/products/all`.
+ * @param {object} [settings] - The points-shop settings for the product.
+ * @param {Map<string, string>} categoryNames - Category names keyed by category ID.
+ * @returns {CatalogItem|null} The catalog item, or null if the product is invalid.
+ */
+function formatCatalogItem(product, settings = {}, categoryNames) {
+  const formatted = formatProductData(product);
+  if (!formatted || !formatted.item_id) return null;
+
+  const categoryId = String(settings.category_id || formatted.category_id || 'other');
+  const pointsPrice = Number(settings.points_price);
+  const redeemable = settings.redeemable !== false && Number.isFinite(pointsPrice) && pointsPrice > 0;
+  const stock = settings.stock === null || settings.stock === undefined || !Number.isFinite(Number(settings.stock))
+    ? null
+    : Number(settings.stock);
+
+  return {
+    id: String(formatted.item_id),
+    variant_id: formatted.variant_id,
+    name: formatted.item_name,
+    description: settings.description || formatted.description || '',
+    category_id: categoryId,
+    category: settings.category || categoryNames.get(categoryId) || 'Other',
+    price_cents: formatted.price_cents || 0,
+    redeemable,
+    points_price: redeemable ? pointsPrice : null,
+    // Keeps the shape ProductDetails and OrderSummary read from an order item
+    price: redeemable ? pointsPrice : null,
+    stock,
+    in_stock: formatted.available_for_sale && (stock === null || stock > 0),
+    badge: settings.badge || null,
+    sort_order: Number.isFinite(Number(settings.sort_order)) ? Number(settings.sort_order) : Number.MAX_SAFE_INTEGER,
+    hidden: settings.hidden === true,
+    created_at: product.created_at,
+    imageSrc: settings.image_url || formatted.image_url,
+    imageAlt: formatted.item_name
+  };
+}
+
+// Export a singleton instance of the PointsShopService
+export default new PointsShopService();
@@ -0,0 +1,196 @@
+import axiosInstance from './axios.jsx';
+import walletService from './wallet-service.js';
+
+/**
+ * @typedef {Object} Reward
+ * @property {string} id - Unique identifier
+ * @property {string} name - Reward name, e.g. "Free drink"
+ * @property {string} description - Short description shown to the customer
+ * @property {'drink'|'voucher'|'merch'} category - Reward category
+ * @property {number} points_cost - Number of L¥ points required
+ * @property {boolean} available - Whether the reward can currently be redeemed
+ */
+
+/**
+ * @class RewardsService
+ * @description Provides loyalty points redemption API calls with proper error handling.
+ * This class is a singleton, and an instance is exported by default.
+ */
+class RewardsService {
+  /**
+   * Get the catalog of rewards customers can redeem with their points.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {Array<Reward>} rewards - The redeemable rewards, cheapest first.
+   */
+  async getRedeemableRewards() {
+    try {
+      const response = await axiosInstance.get('/api/rewards/catalog');
+      const rewards = (response.data?.rewards || [])
+        .map(formatReward)
+        .filter(reward => reward && reward.available)
+        .sort((a, b) => a.points_cost - b.points_cost);
+
+      return {
+        success: true,
+        data: response.data,
+        rewards
+      };
+    } catch (error) {
+      return walletService.handleError(error, 'Failed to load rewards');
+    }
+  }
+
+  /**
+   * Redeem a reward with the customer's points.
+   * @param {object} redemptionData - The redemption data.
+   * @param {string} redemptionData.customer_id - The ID of the customer.
+   * @param {string} redemptionData.reward_id - The ID of the reward.
+   * @param {number} redemptionData.points_cost - The points the customer expects to spend.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {string} redemption_id - The ID of the redemption.
+   * @property {string} redemption_code - The code the customer shows at the counter.
+   * @property {number} points_deducted - The points deducted for the redemption.
+   * @property {number} points_balance - The customer's remaining points.
+   */
+  async redeemReward(redemptionData) {
+    try {
+      const response = await axiosInstance.post('/api/rewards/redemptions', redemptionData);
+      return {
+        success: true,
+        data: response.data,
+        redemption_id: response.data.redemption_id,
+        redemption_code: response.data.redemption_code,
+        points_deducted: response.data.points_deducted ?? redemptionData.points_cost,
+        points_balance: response.data.points_balance
+      };
+    } catch (error) {
+      if (error.response?.status === 400 && error.response.data?.message?.includes('INSUFFICIENT_POINTS')) {
+        return {
+          success: false,
+          error: {
+            message: 'You do not have enough points for this reward',
+            code: 'INSUFFICIENT_POINTS',
+            severity: 'warning',
+            isRetryable: false,
+            timestamp: new Date().toISOString(),
+            originalError: error
+          }
+        };
+      }
+      return walletService.handleError(error, 'Failed to redeem reward');
+    }
+  }
+
+  /**
+   * Get the rewards a customer has redeemed.
+   * @param {string} customerId - The ID of the customer.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {Array<object>} redemptions - The redemptions (`redemption_id`, `redemption_code`,
+   * `reward_name`, `points_deducted`, `created_at`), newest first.
+   */
+  async getRedemptions(customerId) {
+    try {
+      const response = await axiosInstance.get('/api/rewards/redemptions', { params: { customer_id: customerId } });
+      const redemptions = (response.data?.redemptions || [])
+        .map(formatRedemption)
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+      return {
+        success: true,
+        data: response.data,
+        redemptions
+      };
+    } catch (error) {
+      // Customers who never redeemed anything are answered with a 404
+      if (error.response?.status === 404) {
+        return { success: true, data: {}, redemptions: [] };
+      }
+      return walletService.handleError(error, 'Failed to load redemptions');
+    }
+  }
+
+  /**
+   * Collect the bonus points for a milestone the customer has earned (see utils/reward-rules).
+   * @param {object} claimData - The claim data.
+   * @param {string} claimData.customer_id - The ID of the customer.
+   * @param {string} claimData.milestone_id - The milestone, e.g. "tenth_visit".
+   * @param {string} claimData.milestone_key - The award being claimed, e.g. "birthday_week:2025".
+   * The server works out the bonus itself, so no points are sent.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {number} points_awarded - The bonus points added.
+   * @property {number} points_balance - The customer's new points balance.
+   */
+  async claimMilestone(claimData) {
+    try {
+      const response = await axiosInstance.post('/api/rewards/milestones/claim', claimData);
+      return {
+        success: true,
+        data: response.data,
+        points_awarded: response.data.points_awarded ?? 0,
+        points_balance: response.data.points_balance
+      };
+    } catch (error) {
+      if (error.response?.status === 409) {
+        return {
+          success: false,
+          error: {
+            message: 'This reward has already been claimed',
+            code: 'MILESTONE_ALREADY_CLAIMED',
+            severity: 'warning',
+            isRetryable: false,
+            timestamp: new Date().toISOString(),
+            originalError: error
+          }
+        };
+      }
+      return walletService.handleError(error, 'Failed to claim reward');
+    }
+  }
+}
+
+/**
+ * Formats reward data from the API for display.
+ * @param {object} rewardData - The reward data from the API.
+ * @returns {Reward|null} A formatted reward or null if input is invalid.
+ */
+function formatReward(rewardData) {
+  if (!rewardData) return null;
+
+  return {
+    id: String(rewardData.id || rewardData._id || rewardData.reward_id || ''),
+    name: rewardData.name,
+    description: rewardData.description || '',
+    category: rewardData.category || 'voucher',
+    points_cost: Number(rewardData.points_cost ?? rewardData.cost ?? 0),
+    available: rewardData.available !== false
+  };
+}
+
+/**
+ * Formats redemption data from the API for the points ledger.
+ * @param {object} redemptionData - The redemption data from the API.
+ * @returns {object|null} A formatted redemption or null if input is invalid.
+ */
+function formatRedemption(redemptionData) {
+  if (!redemptionData) return null;
+
+  return {
+    redemption_id: String(redemptionData.redemption_id || redemptionData._id || redemptionData.id || ''),
+    redemption_code: redemptionData.redemption_code || '',
+    reward_name: redemptionData.reward_name || redemptionData.reward?.name || '',
+    points_deducted: Number(redemptionData.points_deducted ?? redemptionData.points_cost ?? 0),
+    created_at: redemptionData.created_at || redemptionData.redeemed_at || null
+  };
+}
+
+// Export a singleton instance of the RewardsService
+export default new RewardsService();
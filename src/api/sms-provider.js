@@ -0,0 +1,158 @@
+import axiosInstance from './axios.jsx';
+import {
+  OTP_PURPOSES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_TTL_SECONDS,
+  createOtpChallenge,
+  generateOtpCode,
+  getRemainingOtpAttempts,
+  getResendWaitSeconds,
+  isOtpExpired,
+  recordFailedOtpAttempt
+} from '../utils/otp.js';
+
+/**
+ * @typedef {object} SmsProvider
+ * @description Sends and checks the one-time codes customers sign in with.
+ * @property {Function} sendCode - `({phoneNumber, purpose}) => Promise<object>`; resolves
+ * with `{expires_in, resend_after}`.
+ * @property {Function} verifyCode - `({phoneNumber, code, purpose}) => Promise<object>`;
+ * resolves with `{access_token, customer}` for sign-in, or `{verification_token}` for
+ * registration and phone number changes. Rejects like an axios error, with
+ * `error.response.data.message` set to `INVALID_OTP`, `OTP_EXPIRED` or
+ * `OTP_ATTEMPTS_EXCEEDED`.
+ */
+
+/**
+ * The provider used in production: the server generates the code, texts it to the
+ * customer and checks it.
+ * @type {SmsProvider}
+ */
+export const apiSmsProvider = {
+  async sendCode({ phoneNumber, purpose }) {
+    const response = await axiosInstance.post('/api/customers/otp/request', {
+      phone_number: phoneNumber,
+      purpose
+    });
+    return response.data || {};
+  },
+
+  async verifyCode({ phoneNumber, code, purpose }) {
+    const response = await axiosInstance.post('/api/customers/otp/verify', {
+      phone_number: phoneNumber,
+      code,
+      purpose
+    });
+    return response.data || {};
+  }
+};
+
+/**
+ * Builds an error shaped like an axios error response, so the mock fails the same way
+ * the server does.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The server error code.
+ * @param {object} [data={}] - Extra response fields.
+ * @returns {Error} The error.
+ */
+function createResponseError(status, message, data = {}) {
+  return Object.assign(new Error(message), { response: { status, data: { message, ...data } } });
+}
+
+/**
+ * Looks up a customer by phone number with the customer search.
+ * @param {string} phoneNumber - The canonical phone number.
+ * @returns {Promise<object|null>} The customer, or null if nobody has that number.
+ */
+async function findCustomerByPhone(phoneNumber) {
+  try {
+    const response = await axiosInstance.get(
+      `/api/customers/search?phone_number=${encodeURIComponent(phoneNumber)}`
+    );
+    return response.data?.customer || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Creates a provider that keeps codes in memory and logs them instead of texting them,
+ * for local development and tests. It applies the same cooldown, expiry and attempt
+ * limits as the server. Enable it in a development build with `VITE_SMS_PROVIDER=mock`.
+ * @param {object} [options={}] - Provider options.
+ * @param {Function} [options.log=console.info] - Receives the "text message".
+ * @param {Function} [options.now=Date.now] - Returns the current time in milliseconds.
+ * @param {Function} [options.lookupCustomer] - `(phoneNumber) => Promise<object|null>`;
+ * finds the customer signing in. Defaults to the customer search.
+ * @returns {SmsProvider & {getLastCode: Function}} The provider. `getLastCode(phoneNumber)`
+ * returns the code last sent to a number.
+ */
+export function createMockSmsProvider(options = {}) {
+  const {
+    log = (message) => console.info(message),
+    now = () => Date.now(),
+    lookupCustomer = findCustomerByPhone
+  } = options;
+  const sent = new Map();
+
+  return {
+    async sendCode({ phoneNumber, purpose }) {
+      const previous = sent.get(phoneNumber);
+      const wait = previous ? getResendWaitSeconds(previous.challenge, now()) : 0;
+      if (wait > 0) {
+        throw createResponseError(429, 'OTP_RESEND_TOO_SOON', { retry_after: wait });
+      }
+
+      if (purpose === OTP_PURPOSES.LOGIN && !(await lookupCustomer(phoneNumber))) {
+        throw createResponseError(404, 'CUSTOMER_ACCOUNT_NOT_FOUND');
+      }
+
+      const code = generateOtpCode();
+      sent.set(phoneNumber, { code, challenge: createOtpChallenge(phoneNumber, purpose, now()) });
+      log(`[mock SMS to ${phoneNumber}] Your Enzi Coffee code is ${code}`);
+
+      return { expires_in: OTP_TTL_SECONDS, resend_after: OTP_RESEND_COOLDOWN_SECONDS };
+    },
+
+    async verifyCode({ phoneNumber, code, purpose }) {
+      const entry = sent.get(phoneNumber);
+      if (!entry || entry.challenge.purpose !== purpose || isOtpExpired(entry.challenge, now())) {
+        throw createResponseError(400, 'OTP_EXPIRED');
+      }
+      if (getRemainingOtpAttempts(entry.challenge) === 0) {
+        throw createResponseError(429, 'OTP_ATTEMPTS_EXCEEDED');
+      }
+      if (code !== entry.code) {
+        entry.challenge = recordFailedOtpAttempt(entry.challenge);
+        throw createResponseError(400, 'INVALID_OTP', {
+          attempts_remaining: getRemainingOtpAttempts(entry.challenge)
+        });
+      }
+
+      sent.delete(phoneNumber);
+      if (purpose !== OTP_PURPOSES.LOGIN) {
+        return { verification_token: `mock-verification-${generateOtpCode(12)}` };
+      }
+      return {
+        access_token: `mock-customer-${generateOtpCode(12)}`,
+        customer: await lookupCustomer(phoneNumber)
+      };
+    },
+
+    getLastCode(phoneNumber) {
+      return sent.get(phoneNumber)?.code || null;
+    }
+  };
+}
+
+/**
+ * Picks the provider from the build environment: the mock when `VITE_SMS_PROVIDER` is
+ * `mock` in a development build, otherwise the server. Production builds never use the
+ * mock, since it accepts any code it shows on screen.
+ * @param {object} [env=import.meta.env] - The environment variables.
+ * @returns {SmsProvider} The provider.
+ */
+export function getDefaultSmsProvider(env = import.meta.env || {}) {
+  return env.DEV && env.VITE_SMS_PROVIDER === 'mock' ? createMockSmsProvider() : apiSmsProvider;
+}
@@ -1,4 +1,15 @@
 import axiosInstance from './axios.jsx';
+import {
+  createIdempotencyKey,
+  idempotencyConfig,
+  isReplayedResponse,
+  getReplayedResponseData
+} from '../utils/idempotency.js';
+import { WalletOutbox, OUTBOX_OPERATIONS, createIndexedDbStore } from '../utils/wallet-outbox.js';
+import { normalizeCurrencyBalances } from '../utils/currency.js';
+import { getCustomerQueryType, mergeCustomerResults } from '../utils/customer-picker.js';
+import { normalizePhoneNumber } from '../utils/phone-number.js';
+import requestDeduplicator from '../utils/request-deduplication.js';
 
 /**
  * @class WalletService
@@ -6,24 +17,45 @@ import axiosInstance from './axios.jsx';
  * This class is a singleton, and an instance is exported by default.
  */
 class WalletService {
+  constructor() {
+    // Wallet mutations that could not reach the server, replayed when back online
+    this.outbox = new WalletOutbox({
+      store: createIndexedDbStore(),
+      send: (entry) => this[OUTBOX_OPERATIONS[entry.operation].method](entry.payload, {
+        idempotencyKey: entry.idempotency_key,
+        queueWhenOffline: false
+      })
+    });
+  }
+
   /**
    * Create a new credit slip for items taken but not fully paid.
    * @param {object} creditSlipData - The data for the credit slip.
    * @param {string} creditSlipData.customer_id - The ID of the customer.
    * @param {Array<object>} creditSlipData.items - The items on the credit slip.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission; reuse it when resubmitting the same form.
+   * @param {boolean} [options.queueWhenOffline=true] - Whether to save the request to the outbox if the server cannot be reached.
+   * @param {string} [options.customerName] - The customer's name, shown while the request waits in the outbox.
    * @returns {Promise<object>} A promise that resolves with the API response.
    * @property {boolean} success - Indicates if the request was successful.
    * @property {object} data - The response data.
    * @property {string} slip_id - The ID of the created slip.
    * @property {string} slip_number - The number of the created slip.
    * @property {number} grand_total_cents - The total amount in cents.
+   * @property {boolean} replayed - True if the server had already processed this submission and returned the original result.
+   * @property {boolean} [queued] - True if the request was saved to the outbox instead; no other fields are set.
    */
-  async createCreditSlip(creditSlipData) {
+  async createCreditSlip(creditSlipData, options = {}) {
     try {
-      const response = await axiosInstance.post('/api/wallet/credit-slips', creditSlipData);
+      const response = await this.postIdempotent('/api/wallet/credit-slips', creditSlipData, { ...options, operation: 'CREDIT_SLIP' });
+      if (response.queued) {
+        return { success: true, queued: true, data: null, outbox_id: response.entry.id };
+      }
       return {
         success: true,
         data: response.data,
+        replayed: response.replayed,
         slip_id: response.data.slip_id,
         slip_number: response.data.slip_number,
         grand_total_cents: response.data.grand_total_cents
@@ -38,19 +70,32 @@ class WalletService {
    * @param {object} paymentData - The payment data.
    * @param {string} paymentData.customer_id - The ID of the customer.
    * @param {number} paymentData.amount_cents - The payment amount in cents.
+   * @param {string} paymentData.method - The payment method, or `SPLIT` when several tenders are used.
+   * @param {Array<object>} [paymentData.tenders] - The tender breakdown (`method`, `amount_cents`, `reference`),
+   * adding up to `amount_cents`. A `WALLET` tender draws on the customer's existing balance.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission; reuse it when resubmitting the same form.
+   * @param {boolean} [options.queueWhenOffline=true] - Whether to save the request to the outbox if the server cannot be reached.
+   * @param {string} [options.customerName] - The customer's name, shown while the request waits in the outbox.
    * @returns {Promise<object>} A promise that resolves with the API response.
    * @property {boolean} success - Indicates if the request was successful.
    * @property {object} data - The response data.
    * @property {string} payment_id - The ID of the created payment.
    * @property {number} applied_total - The total amount applied to slips.
    * @property {number} wallet_topup - The amount added to the wallet.
+   * @property {boolean} replayed - True if the server had already processed this submission and returned the original result.
+   * @property {boolean} [queued] - True if the request was saved to the outbox instead; no other fields are set.
    */
-  async processPayment(paymentData) {
+  async processPayment(paymentData, options = {}) {
     try {
-      const response = await axiosInstance.post('/api/wallet/payments', paymentData);
+      const response = await this.postIdempotent('/api/wallet/payments', paymentData, { ...options, operation: 'PAYMENT' });
+      if (response.queued) {
+        return { success: true, queued: true, data: null, outbox_id: response.entry.id };
+      }
       return {
         success: true,
         data: response.data,
+        replayed: response.replayed,
         payment_id: response.data.payment_id,
         applied_total: response.data.applied_total,
         wallet_topup: response.data.wallet_topup
@@ -65,19 +110,29 @@ class WalletService {
    * @param {object} walletApplicationData - The wallet application data.
    * @param {string} walletApplicationData.customer_id - The ID of the customer.
    * @param {string} walletApplicationData.slip_id - The ID of the credit slip.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission; reuse it when resubmitting the same form.
+   * @param {boolean} [options.queueWhenOffline=true] - Whether to save the request to the outbox if the server cannot be reached.
+   * @param {string} [options.customerName] - The customer's name, shown while the request waits in the outbox.
    * @returns {Promise<object>} A promise that resolves with the API response.
    * @property {boolean} success - Indicates if the request was successful.
    * @property {object} data - The response data.
    * @property {number} applied_cents - The amount applied from the wallet.
    * @property {string} slip_status - The new status of the slip.
    * @property {number} remaining_slip_balance - The remaining balance of the slip.
+   * @property {boolean} replayed - True if the server had already processed this submission and returned the original result.
+   * @property {boolean} [queued] - True if the request was saved to the outbox instead; no other fields are set.
    */
-  async applyWalletToSlip(walletApplicationData) {
+  async applyWalletToSlip(walletApplicationData, options = {}) {
     try {
-      const response = await axiosInstance.post('/api/wallet/apply-wallet', walletApplicationData);
+      const response = await this.postIdempotent('/api/wallet/apply-wallet', walletApplicationData, { ...options, operation: 'APPLY_WALLET' });
+      if (response.queued) {
+        return { success: true, queued: true, data: null, outbox_id: response.entry.id };
+      }
       return {
         success: true,
         data: response.data,
+        replayed: response.replayed,
         applied_cents: response.data.applied_cents,
         slip_status: response.data.slip_status,
         remaining_slip_balance: response.data.remaining_slip_balance
@@ -92,17 +147,27 @@ class WalletService {
    * @param {object} changeData - The change data.
    * @param {string} changeData.customer_id - The ID of the customer.
    * @param {number} changeData.change_cents - The change amount in cents.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission; reuse it when resubmitting the same form.
+   * @param {boolean} [options.queueWhenOffline=true] - Whether to save the request to the outbox if the server cannot be reached.
+   * @param {string} [options.customerName] - The customer's name, shown while the request waits in the outbox.
    * @returns {Promise<object>} A promise that resolves with the API response.
    * @property {boolean} success - Indicates if the request was successful.
    * @property {object} data - The response data.
    * @property {number} wallet_added - The amount added to the wallet.
+   * @property {boolean} replayed - True if the server had already processed this submission and returned the original result.
+   * @property {boolean} [queued] - True if the request was saved to the outbox instead; no other fields are set.
    */
-  async storeChange(changeData) {
+  async storeChange(changeData, options = {}) {
     try {
-      const response = await axiosInstance.post('/api/wallet/store-change', changeData);
+      const response = await this.postIdempotent('/api/wallet/store-change', changeData, { ...options, operation: 'STORE_CHANGE' });
+      if (response.queued) {
+        return { success: true, queued: true, data: null, outbox_id: response.entry.id };
+      }
       return {
         success: true,
         data: response.data,
+        replayed: response.replayed,
         wallet_added: response.data.wallet_added
       };
     } catch (error) {
@@ -110,6 +175,156 @@ class WalletService {
     }
   }
 
+  /**
+   * Pay wallet balance back to a customer: a cash-out of stored change, or a refund of
+   * an overpayment. Refunds hand over money, so they are never queued offline.
+   * @param {object} refundData - The refund data (see buildRefundRequest).
+   * @param {string} refundData.customer_id - The ID of the customer.
+   * @param {number} refundData.amount_cents - The amount to pay back in cents.
+   * @param {string} refundData.method - How the money is paid back (CASH, MOBILE or BANK_TRANSFER).
+   * @param {string} refundData.reason - Why the money is paid back (CASH_OUT or OVERPAYMENT).
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission; reuse it when resubmitting the same form.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {string} refund_id - The ID of the refund.
+   * @property {number} wallet_debited - The amount taken from the wallet.
+   * @property {number} balance_after_cents - The wallet balance after the refund.
+   * @property {boolean} replayed - True if the server had already processed this submission and returned the original result.
+   */
+  async refundWallet(refundData, options = {}) {
+    try {
+      const response = await this.postIdempotent('/api/wallet/refunds', refundData, options);
+      return {
+        success: true,
+        data: response.data,
+        replayed: response.replayed,
+        refund_id: response.data.refund_id,
+        wallet_debited: response.data.wallet_debited,
+        balance_after_cents: response.data.balance_after_cents
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to process refund');
+    }
+  }
+
+  /**
+   * Get a credit slip with its lines.
+   * @param {string} slipId - The ID of the credit slip.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {object} slip - The credit slip.
+   */
+  async getCreditSlip(slipId) {
+    try {
+      const response = await axiosInstance.get(`/api/wallet/credit-slips/${slipId}`);
+      return {
+        success: true,
+        data: response.data,
+        slip: response.data.slip || response.data
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to get credit slip');
+    }
+  }
+
+  /**
+   * Void a credit slip that was entered in error. Voids are never queued offline,
+   * because they need a manager's approval at the time.
+   * @param {string} slipId - The ID of the credit slip.
+   * @param {object} voidData - The void request (see buildSlipChangeRequest).
+   * @param {string} voidData.reason_code - The reason for the void.
+   * @param {string} [voidData.note] - A written explanation.
+   * @param {object} voidData.approval - The manager approval.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission; reuse it when resubmitting the same form.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {string} slip_status - The new status of the slip.
+   * @property {number} voided_cents - The amount the customer no longer owes.
+   * @property {boolean} replayed - True if the server had already processed this submission and returned the original result.
+   */
+  async voidCreditSlip(slipId, voidData, options = {}) {
+    try {
+      const response = await this.postIdempotent(`/api/wallet/credit-slips/${slipId}/void`, voidData, options);
+      return {
+        success: true,
+        data: response.data,
+        replayed: response.replayed,
+        slip_status: response.data.slip_status,
+        voided_cents: response.data.voided_cents
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to void credit slip');
+    }
+  }
+
+  /**
+   * Adjust the lines of a credit slip, e.g. a wrong quantity or a comped item. Like
+   * voids, adjustments need a manager's approval and are never queued offline.
+   * @param {string} slipId - The ID of the credit slip.
+   * @param {object} adjustmentData - The adjustment request (see buildSlipChangeRequest).
+   * @param {Array<object>} adjustmentData.line_changes - The changed lines.
+   * @param {string} adjustmentData.reason_code - The reason for the adjustment.
+   * @param {string} [adjustmentData.note] - A written explanation.
+   * @param {object} adjustmentData.approval - The manager approval.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission; reuse it when resubmitting the same form.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {string} slip_status - The status of the slip after the adjustment.
+   * @property {number} grand_total_cents - The new total of the slip.
+   * @property {number} remaining_cents - What the customer still owes on the slip.
+   * @property {number} adjustment_cents - The change to the total (negative when it goes down).
+   * @property {boolean} replayed - True if the server had already processed this submission and returned the original result.
+   */
+  async adjustCreditSlip(slipId, adjustmentData, options = {}) {
+    try {
+      const response = await this.postIdempotent(`/api/wallet/credit-slips/${slipId}/adjust`, adjustmentData, options);
+      return {
+        success: true,
+        data: response.data,
+        replayed: response.replayed,
+        slip_status: response.data.slip_status,
+        grand_total_cents: response.data.grand_total_cents,
+        remaining_cents: response.data.remaining_cents,
+        adjustment_cents: response.data.adjustment_cents
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to adjust credit slip');
+    }
+  }
+
+  /**
+   * Exchange a manager's login for a short-lived approval token for one void or
+   * adjustment, so the manager's password is sent once and never with the change itself.
+   * @param {string} slipId - The ID of the credit slip.
+   * @param {object} approvalData - The approval request.
+   * @param {string} approvalData.action - The change being approved ('void' or 'adjust').
+   * @param {string} approvalData.manager_identifier - The approving manager's login.
+   * @param {string} approvalData.manager_password - The approving manager's password.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the manager approved.
+   * @property {string} approval_token - The token to send with the change.
+   * @property {string} approved_by - The approving manager.
+   */
+  async requestSlipApproval(slipId, approvalData) {
+    try {
+      const response = await axiosInstance.post(`/api/wallet/credit-slips/${slipId}/approvals`, approvalData);
+      return {
+        success: true,
+        approval_token: response.data.approval_token,
+        approved_by: response.data.approved_by || approvalData.manager_identifier
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to check the manager approval');
+    }
+  }
+
   /**
    * Get customer balance information.
    * @param {string} customerId - The ID of the customer.
@@ -133,6 +348,27 @@ class WalletService {
     }
   }
 
+  /**
+   * Get customer balances in every currency the customer has used.
+   * @param {string} customerId - The ID of the customer.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {Array<object>} balances - One balance per currency, TZS first (see normalizeCurrencyBalances).
+   */
+  async getCustomerBalances(customerId) {
+    try {
+      const response = await axiosInstance.get(`/api/wallet/balance/${customerId}`, { params: {} });
+      return {
+        success: true,
+        data: response.data,
+        balances: normalizeCurrencyBalances(response.data.balance)
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to get customer balances');
+    }
+  }
+
   /**
    * Get customer's open credit slips.
    * @param {string} customerId - The ID of the customer.
@@ -194,13 +430,15 @@ class WalletService {
    * @param {string} [filters.operationType] - The type of operation.
    * @param {string} [filters.startDate] - The start date.
    * @param {string} [filters.endDate] - The end date.
+   * @param {object} [options={}] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<object>} A promise that resolves with the API response.
    * @property {boolean} success - Indicates if the request was successful.
    * @property {object} data - The response data.
    * @property {Array<object>} entries - The list of audit trail entries.
    * @property {object} pagination - The pagination information.
    */
-  async getAuditTrail(filters = {}) {
+  async getAuditTrail(filters = {}, options = {}) {
     try {
       const params = {
         page: filters.page || 1,
@@ -211,7 +449,7 @@ class WalletService {
         ...(filters.endDate && { end_date: filters.endDate })
       };
 
-      const response = await axiosInstance.get('/api/wallet/audit-trail', { params });
+      const response = await axiosInstance.get('/api/wallet/audit-trail', { params, signal: options.signal });
       return {
         success: true,
         data: response.data,
@@ -227,20 +465,22 @@ class WalletService {
    * Search for customers by name or ID.
    * @param {string} searchTerm - The customer name or ID.
    * @param {boolean} [isId=false] - Whether the search term is an ID.
+   * @param {object} [options={}] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<object>} A promise that resolves with the API response.
    * @property {boolean} success - Indicates if the request was successful.
    * @property {object} data - The response data.
    * @property {Array<object>} customers - The list of found customers.
    * @property {number} totalFound - The total number of found customers.
    */
-  async searchCustomer(searchTerm, isId = false) {
+  async searchCustomer(searchTerm, isId = false, options = {}) {
     try {
       // If searching by ID, use the getCustomerById method instead
       if (isId) {
-        return this.getCustomerById(searchTerm);
+        return this.getCustomerById(searchTerm, options);
       }
       
-      const response = await axiosInstance.get(`/api/customers/search?name=${searchTerm}`);
+      const response = await axiosInstance.get(`/api/customers/search?name=${encodeURIComponent(searchTerm)}`, { signal: options.signal });
       
       // Check if the response contains customers array with results
       if (response.data && response.data.customers && response.data.customers.length > 0) {
@@ -266,19 +506,120 @@ class WalletService {
     }
   }
   
+  /**
+   * Search for a customer by phone number. The number is sent in its canonical form
+   * (`+255XXXXXXXXX`), so `0712...`, `255712...` and `+255 712...` all find the customer.
+   * @param {string} phoneNumber - The phone number in any of the usual formats.
+   * @param {object} [options={}] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {Array<object>} customers - The list of found customers.
+   * @property {number} totalFound - The total number of found customers.
+   */
+  async searchCustomerByPhone(phoneNumber, options = {}) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!normalized) {
+      return {
+        success: false,
+        error: {
+          message: 'Enter a complete phone number',
+          code: 'INVALID_PHONE_NUMBER',
+          severity: 'warning'
+        }
+      };
+    }
+
+    try {
+      const response = await axiosInstance.get(
+        `/api/customers/search?phone_number=${encodeURIComponent(normalized)}`,
+        { signal: options.signal }
+      );
+
+      // The endpoint answers with a single customer; accept a list as well
+      const customers = response.data?.customers || (response.data?.customer ? [response.data.customer] : []);
+      if (customers.length > 0) {
+        return {
+          success: true,
+          data: response.data,
+          customers,
+          totalFound: customers.length
+        };
+      }
+
+      return {
+        success: false,
+        error: {
+          message: 'No customers found',
+          code: 'CUSTOMER_NOT_FOUND',
+          severity: 'warning'
+        }
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return {
+          success: false,
+          error: {
+            message: 'No customers found',
+            code: 'CUSTOMER_NOT_FOUND',
+            severity: 'warning'
+          }
+        };
+      }
+      console.error('Customer phone search error:', error);
+      return this.handleError(error, 'Failed to search customer');
+    }
+  }
+
+  /**
+   * Search for a phone-like term both as a phone number and as a name, since some
+   * customers are saved with their number in the name field. Phone matches come first
+   * and each customer is listed once.
+   * @param {string} term - The search text.
+   * @param {object} [options={}] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the requests.
+   * @returns {Promise<object>} A promise that resolves with the combined response.
+   */
+  async searchCustomerByPhoneOrName(term, options = {}) {
+    const searches = [this.searchCustomer(term, false, options)];
+    if (normalizePhoneNumber(term)) {
+      searches.unshift(this.searchCustomerByPhone(term, options));
+    }
+
+    const responses = await Promise.all(searches);
+    const customers = mergeCustomerResults(
+      ...responses.filter(response => response.success).map(response => response.customers)
+    );
+
+    if (customers.length > 0) {
+      return {
+        success: true,
+        data: { customers },
+        customers,
+        totalFound: customers.length
+      };
+    }
+
+    // Report a real failure ahead of "not found"
+    return responses.find(response => response.error?.code !== 'CUSTOMER_NOT_FOUND') || responses[0];
+  }
+
   /**
    * Get a customer by ID.
    * @param {string} customerId - The ID of the customer.
+   * @param {object} [options={}] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<object>} A promise that resolves with the API response.
    * @property {boolean} success - Indicates if the request was successful.
    * @property {object} data - The response data.
    * @property {Array<object>} customers - The list containing the found customer.
    * @property {number} totalFound - The total number of found customers (1 if found).
    */
-  async getCustomerById(customerId) {
+  async getCustomerById(customerId, options = {}) {
     try {
       // Use the receipts search endpoint with customer_id parameter
-      const response = await axiosInstance.get(`/api/receipts/search?customer_id=${customerId}`);
+      const response = await axiosInstance.get(`/api/receipts/search?customer_id=${customerId}`, { signal: options.signal });
       
       // Extract customer data from the first receipt if available
       if (response.data && response.data.receipts && response.data.receipts.length > 0) {
@@ -312,6 +653,95 @@ class WalletService {
     }
   }
 
+  /**
+   * Find customers for the customer picker. Customer IDs are looked up directly,
+   * names go to the customer search, and phone numbers are searched by number and by
+   * name (see searchCustomerByPhoneOrName). Identical searches in flight
+   * share one request, and aborting `signal` drops a search that has been overtaken.
+   * @param {string} query - The search text.
+   * @param {object} [options={}] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the search.
+   * @returns {Promise<object>} A promise that resolves with the search response.
+   * @property {boolean} [cancelled] - True if the search was cancelled; the result should be ignored.
+   */
+  async findCustomers(query, options = {}) {
+    const term = String(query || '').trim();
+    const queryType = getCustomerQueryType(term);
+
+    if (!queryType) {
+      return { success: true, customers: [], totalFound: 0 };
+    }
+
+    const requestKey = requestDeduplicator.generateRequestKey(
+      '/api/customers/search',
+      { q: encodeURIComponent(term), type: queryType },
+      'GET'
+    );
+
+    try {
+      return await requestDeduplicator.executeRequest(
+        requestKey,
+        (requestSignal) => {
+          if (queryType === 'id') return this.getCustomerById(term, { signal: requestSignal });
+          if (queryType === 'phone') return this.searchCustomerByPhoneOrName(term, { signal: requestSignal });
+          return this.searchCustomer(term, false, { signal: requestSignal });
+        },
+        { signal: options.signal }
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true, customers: [] };
+      }
+      return this.handleError(error, 'Failed to search customers');
+    }
+  }
+
+  /**
+   * Get the signed code a customer shows at the counter, for their wallet QR code.
+   * @param {string} customerId - The ID of the customer.
+   * @returns {Promise<object>} A promise that resolves with the API response.
+   * @property {boolean} success - Indicates if the request was successful.
+   * @property {object} data - The response data.
+   * @property {string} code - The signed customer code (see utils/customer-code).
+   */
+  async getCustomerCode(customerId) {
+    try {
+      const response = await axiosInstance.get(`/api/wallet/customers/${customerId}/code`);
+      return {
+        success: true,
+        data: response.data,
+        code: response.data.code
+      };
+    } catch (error) {
+      return this.handleError(error, 'Failed to get customer code');
+    }
+  }
+
+  /**
+   * Look up the customer a scanned code belongs to. The server checks the code's
+   * signature before the customer is loaded with getCustomerById.
+   * @param {string} code - The scanned customer code.
+   * @returns {Promise<object>} A promise that resolves with the getCustomerById response.
+   */
+  async resolveCustomerCode(code) {
+    try {
+      const response = await axiosInstance.post('/api/wallet/customers/resolve-code', { code });
+      return this.getCustomerById(response.data.customer_id);
+    } catch (error) {
+      if (error.response?.status === 400 || error.response?.status === 404) {
+        return {
+          success: false,
+          error: {
+            message: 'This code is not valid. Ask the customer to refresh their wallet page.',
+            code: 'INVALID_CUSTOMER_CODE',
+            severity: 'warning'
+          }
+        };
+      }
+      return this.handleError(error, 'Failed to look up customer code');
+    }
+  }
+
   /**
    * Get all products for credit slip creation.
    * @returns {Promise<object>} A promise that resolves with the API response.
@@ -458,9 +888,15 @@ class WalletService {
           }
           break;
         case 403:
-          errorMessage = 'You do not have permission to perform this action';
-          errorCode = 'UNAUTHORIZED';
-          severity = 'error';
+          if (data?.message?.includes('APPROVAL_REJECTED')) {
+            errorMessage = 'Manager approval was not accepted. Check the manager\'s login and try again';
+            errorCode = 'APPROVAL_REJECTED';
+            severity = 'warning';
+          } else {
+            errorMessage = 'You do not have permission to perform this action';
+            errorCode = 'UNAUTHORIZED';
+            severity = 'error';
+          }
           break;
         case 409:
           errorMessage = 'This transaction has already been processed';
@@ -514,6 +950,48 @@ class WalletService {
     };
   }
 
+  /**
+   * POST a money-moving request with an idempotency key. The same key is sent on every
+   * retry, and an "already processed" answer is turned into the original result. If the
+   * server cannot be reached, the request is saved to the outbox with its key.
+   * @param {string} url - The endpoint.
+   * @param {object} data - The request body.
+   * @param {object} [options={}] - Request options.
+   * @param {string} [options.idempotencyKey] - The key for this submission. A new key is created if omitted.
+   * @param {string} [options.operation] - The outbox operation name; requests without one are never queued.
+   * @param {boolean} [options.queueWhenOffline=true] - Whether to queue the request if the server cannot be reached.
+   * @param {string} [options.customerName] - The customer's name, for the outbox entry.
+   * @returns {Promise<object>} The response data, whether it was replayed, and the key used; or the outbox entry if queued.
+   */
+  async postIdempotent(url, data, options = {}) {
+    const {
+      idempotencyKey = createIdempotencyKey(),
+      operation,
+      queueWhenOffline = true,
+      customerName
+    } = options;
+
+    try {
+      const response = await this.executeWithRetry(
+        () => axiosInstance.post(url, data, idempotencyConfig(idempotencyKey)),
+        2
+      );
+      return { data: response.data, replayed: isReplayedResponse(response), idempotencyKey };
+    } catch (error) {
+      const originalData = getReplayedResponseData(error);
+      if (originalData) {
+        return { data: originalData, replayed: true, idempotencyKey };
+      }
+
+      const unreachable = !error.response && Boolean(error.request);
+      if (unreachable && operation && queueWhenOffline) {
+        const entry = await this.outbox.enqueue(operation, data, { idempotencyKey, customerName });
+        return { queued: true, entry, idempotencyKey };
+      }
+      throw error;
+    }
+  }
+
   /**
    * Execute an API call with retry logic.
    * @param {Function} apiCall - The API call function to execute.
@@ -0,0 +1,21 @@
+import useCan from '../util/useCan';
+import AccessDenied from '../pages/staff/access-denied';
+
+/**
+ * @component RequirePermission
+ * @description Renders its children only when the signed-in staff member holds a permission.
+ * @param {object} props - The component props.
+ * @param {string} props.permission - The permission required (see utils/staff-permissions).
+ * @param {React.ReactNode} props.children - The content to protect.
+ * @param {React.ReactNode} [props.fallback] - What to render without the permission. Defaults to the access denied page; pass `null` to render nothing.
+ * @returns {React.ReactElement} The children, or the fallback.
+ */
+export default function RequirePermission({ permission, children, fallback = <AccessDenied /> }) {
+  const can = useCan();
+
+  if (!can(permission)) {
+    return fallback;
+  }
+
+  return children;
+}
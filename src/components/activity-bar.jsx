@@ -0,0 +1,49 @@
+import { Text } from './text'
+
+const colorClasses = {
+  green: 'bg-green-200 text-green-800',
+  yellow: 'bg-yellow-200 text-yellow-800',
+  amber: 'bg-amber-200 text-amber-800',
+  blue: 'bg-blue-200 text-blue-800',
+  gray: 'bg-gray-200 text-gray-800'
+}
+
+const fillClasses = {
+  green: 'bg-green-500',
+  yellow: 'bg-yellow-500',
+  amber: 'bg-amber-500',
+  blue: 'bg-blue-500',
+  gray: 'bg-gray-500'
+}
+
+/**
+ * Simple visual representation of progress or activity using a bar
+ * @param {object} props - Component props
+ * @param {number} props.value - The value to represent (0-100)
+ * @param {string} props.color - Color scheme ('green', 'yellow', 'amber', 'blue', 'gray')
+ * @param {string} props.label - Label for the bar
+ * @param {string} [props.detail] - Shown instead of the percentage
+ */
+export function ActivityBar({ value, color = 'blue', label, detail }) {
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between items-center">
+        <Text className="text-sm font-medium text-gray-700">{label}</Text>
+        <Text className="text-xs text-gray-500">{detail ?? `${value}%`}</Text>
+      </div>
+      <div
+        className={`w-full h-2 rounded-full ${colorClasses[color]}`}
+        role="progressbar"
+        aria-label={label}
+        aria-valuenow={value}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${fillClasses[color]}`}
+          style={{ width: `${Math.min(100, Math.max(0, value))}%` }}
+        />
+      </div>
+    </div>
+  )
+}
@@ -12,8 +12,8 @@ export const Link = forwardRef(function Link(props, ref) {
   // Use 'to' prop if provided, otherwise use 'href'
   const destination = to || href
   
-  // If it's an external link (starts with http/https) or has no destination, use regular anchor
-  if (!destination || destination.startsWith('http://') || destination.startsWith('https://') || destination.startsWith('mailto:')) {
+  // If it's an external link (http/https, or a mailto/sms/tel app link) or has no destination, use regular anchor
+  if (!destination || /^(https?:\/\/|mailto:|sms:|tel:)/.test(destination)) {
     return (
       <Headless.DataInteractive>
         <a {...otherProps} href={destination} ref={ref} />
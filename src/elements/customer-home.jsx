@@ -1,4 +1,8 @@
 import ReceiptsList from './receipts-list'
+import MilestoneCards from './milestone-cards'
+import useCustomerMilestones from '../util/useCustomerMilestones'
+import { Link } from 'react-router-dom'
+import { CUSTOMER_PATHS } from '../util/paths'
 
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ')
@@ -42,13 +46,26 @@ const receiptData = {
 }
 
 export default function CustomerHome() {
+  const { milestones, claimMilestone, claimingKey } = useCustomerMilestones()
+
   return (
     <div className="flow-root">
-        <div className="px-4 sm:px-0">
+        {milestones.length > 0 && (
+          <div className="pb-6">
+            <div className="px-4 sm:px-0 pb-3">
+                <h3 className="roboto-serif-heading text-base/7 text-gray-900">Your Rewards</h3>
+            </div>
+            <MilestoneCards milestones={milestones} onClaim={claimMilestone} claimingKey={claimingKey} />
+          </div>
+        )}
+        <div className="px-4 sm:px-0 flex items-center justify-between">
             <h3 className="roboto-serif-heading text-base/7 text-gray-900">Your Enzi Visits</h3>
+            <Link to={CUSTOMER_PATHS.Points} className="text-sm font-medium text-primary-600 hover:text-primary-700">
+              Points history
+            </Link>
         </div>
         <div className="relative pb-8">
-            <ReceiptsList />
+            <ReceiptsList milestones={milestones} />
         </div>
     </div>
   )
@@ -1,30 +1,225 @@
-import { useUser } from '../providers/UserProvider';
+import { useState } from 'react';
+import { useUser, useUpdateCustomerProfile } from '../providers/UserProvider';
 import moment from 'moment';
+import customerAuthService from '../api/customer-auth-service';
+import OtpVerification from './otp-verification';
+import { ValidatedInput, createCustomerProfileValidator } from '../pages/staff/wallet/components/form-validation';
+import { OTP_PURPOSES } from '../utils/otp';
+import { isSamePhoneNumber, normalizePhoneNumber } from '../utils/phone-number';
+
+const EDITABLE_FIELDS = ['name', 'email', 'city', 'date_of_birth', 'phone_number'];
 
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ')
 }
 
+function toFormValues(user) {
+  return {
+    name: user.name || '',
+    email: user.email || '',
+    city: user.city || '',
+    date_of_birth: user.date_of_birth ? moment(user.date_of_birth).format('YYYY-MM-DD') : '',
+    phone_number: user.phone_number || ''
+  };
+}
+
+// Only the fields the customer actually changed are sent
+function getChanges(user, values) {
+  const original = toFormValues(user);
+  return EDITABLE_FIELDS.reduce((changes, field) => {
+    const value = values[field].trim();
+    const unchanged = field === 'phone_number'
+      ? value === original.phone_number || isSamePhoneNumber(value, original.phone_number)
+      : value === original[field];
+    if (!unchanged) changes[field] = value;
+    return changes;
+  }, {});
+}
+
 export default function CustomerProfile() {
-  
+
     const user = useUser();
+    const updateCustomerProfile = useUpdateCustomerProfile();
+
+    const [isEditing, setIsEditing] = useState(false);
+    const [values, setValues] = useState(() => toFormValues(user));
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+    // The new phone number waiting for its code, and the changes to save once it is verified
+    const [pendingPhone, setPendingPhone] = useState(null);
+
+    const startEditing = () => {
+      setValues(toFormValues(user));
+      setErrors({});
+      setMessage(null);
+      setIsEditing(true);
+    };
+
+    const handleChange = (event) => {
+      const { name, value } = event.target;
+      setValues(current => ({ ...current, [name]: value }));
+      setErrors(current => ({ ...current, [name]: undefined }));
+    };
+
+    const saveChanges = async (changes, phoneVerificationToken) => {
+      // The new details show straight away; UserProvider puts the old ones back on failure
+      setIsEditing(false);
+      setIsSaving(true);
+      setMessage(null);
+
+      const response = await updateCustomerProfile(changes, { phoneVerificationToken });
+      setIsSaving(false);
+
+      if (response.success) {
+        setMessage({ type: 'success', text: 'Your profile has been updated' });
+      } else {
+        setIsEditing(true);
+        setMessage({ type: 'error', text: response.error?.message || 'Your profile could not be saved' });
+      }
+    };
+
+    const handleSubmit = async (event) => {
+      event.preventDefault();
+
+      const validation = createCustomerProfileValidator().validate(values);
+      setErrors(validation.errors);
+      if (!validation.isValid) return;
+
+      const changes = getChanges(user, values);
+      if (Object.keys(changes).length === 0) {
+        setIsEditing(false);
+        return;
+      }
+
+      if (!changes.phone_number) {
+        saveChanges(changes);
+        return;
+      }
+
+      // A new phone number has to be confirmed with a code sent to it
+      setIsSaving(true);
+      setMessage(null);
+      const response = await customerAuthService.requestOtp(changes.phone_number, OTP_PURPOSES.CHANGE_PHONE);
+      setIsSaving(false);
+
+      if (response.success) {
+        setPendingPhone({ phoneNumber: response.phoneNumber, changes });
+      } else {
+        setErrors(current => ({ ...current, phone_number: response.error?.message }));
+      }
+    };
+
+    const handlePhoneVerified = (verification) => {
+      const { changes, phoneNumber } = pendingPhone;
+      setPendingPhone(null);
+      saveChanges({ ...changes, phone_number: normalizePhoneNumber(phoneNumber) }, verification.verificationToken);
+    };
+
+    if (pendingPhone) {
+      return (
+        <div>
+          <div className="px-4 sm:px-0">
+            <h3 className="text-base/7 text-gray-900">Confirm your new phone number</h3>
+          </div>
+          <div className="mt-6 border-t border-gray-100">
+            <OtpVerification
+              phoneNumber={pendingPhone.phoneNumber}
+              purpose={OTP_PURPOSES.CHANGE_PHONE}
+              onVerified={handlePhoneVerified}
+              onCancel={() => setPendingPhone(null)}
+              submitLabel="Confirm and Save"
+            />
+          </div>
+        </div>
+      );
+    }
+
+    if (isEditing) {
+      return (
+        <div>
+          <div className="px-4 sm:px-0">
+            <h3 className="text-base/7 text-gray-900">Edit Your Profile</h3>
+          </div>
+          <form onSubmit={handleSubmit} className="mt-6 border-t border-gray-100 pt-6 space-y-4" noValidate>
+            {message && (
+              <p className={classNames('text-sm', message.type === 'error' ? 'text-red-600' : 'text-green-700')} role="alert">
+                {message.text}
+              </p>
+            )}
+            <ValidatedInput label="Full name" name="name" required value={values.name} onChange={handleChange} error={errors.name} autoComplete="name" />
+            <ValidatedInput label="Email" name="email" type="email" value={values.email} onChange={handleChange} error={errors.email} autoComplete="email" />
+            <ValidatedInput label="City" name="city" value={values.city} onChange={handleChange} error={errors.city} autoComplete="address-level2" />
+            <ValidatedInput label="Birthday" name="date_of_birth" type="date" value={values.date_of_birth} onChange={handleChange} error={errors.date_of_birth} autoComplete="bday" />
+            <ValidatedInput
+              label="Phone Number"
+              name="phone_number"
+              type="tel"
+              required
+              value={values.phone_number}
+              onChange={handleChange}
+              error={errors.phone_number}
+              helpText="Changing your number means confirming it with a code we text to it"
+              autoComplete="tel"
+            />
+            <div className="flex justify-end gap-3 pt-2">
+              <button
+                type="button"
+                onClick={() => setIsEditing(false)}
+                className="rounded-lg px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="rounded-lg bg-primary-600 px-4 py-2 text-sm font-semibold text-white hover:bg-primary-700 disabled:opacity-50"
+              >
+                {isSaving ? 'Sending code...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      );
+    }
 
     return (
       <>
         <div>
-          <div className="px-4 sm:px-0">
+          <div className="px-4 sm:px-0 flex items-center justify-between">
             <h3 className="text-base/7 text-gray-900">Your Profile</h3>
+            <button
+              type="button"
+              onClick={startEditing}
+              disabled={isSaving}
+              className="rounded-lg px-3 py-1.5 text-sm font-medium text-primary-600 hover:bg-primary-50 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Edit'}
+            </button>
           </div>
+          {message && (
+            <p className={classNames('mt-2 px-4 sm:px-0 text-sm', message.type === 'error' ? 'text-red-600' : 'text-green-700')}>
+              {message.text}
+            </p>
+          )}
           <div className="mt-6 border-t border-gray-100">
             <dl className="divide-y divide-gray-100">
               <div className="px-4 py-6 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-0">
                 <dt className="text-sm/6 font-medium text-gray-900">Full name</dt>
                 <dd className="mt-1 text-sm/6 text-gray-700 sm:col-span-2 sm:mt-0"> {user.name} </dd>
               </div>
+              <div className="px-4 py-6 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-0">
+                <dt className="text-sm/6 font-medium text-gray-900">Email</dt>
+                <dd className="mt-1 text-sm/6 text-gray-700 sm:col-span-2 sm:mt-0"> {user.email} </dd>
+              </div>
               <div className="px-4 py-6 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-0">
                 <dt className="text-sm/6 font-medium text-gray-900">City</dt>
                 <dd className="mt-1 text-sm/6 text-gray-700 sm:col-span-2 sm:mt-0"> {user.city} </dd>
               </div>
+              <div className="px-4 py-6 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-0">
+                <dt className="text-sm/6 font-medium text-gray-900">Birthday</dt>
+                <dd className="mt-1 text-sm/6 text-gray-700 sm:col-span-2 sm:mt-0"> { user.date_of_birth ? moment(user.date_of_birth).format('MMMM Do') : ""} </dd>
+              </div>
               <div className="px-4 py-6 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-0">
                 <dt className="text-sm/6 font-medium text-gray-900">Last Visit</dt>
                 <dd className="mt-1 text-sm/6 text-gray-700 sm:col-span-2 sm:mt-0"> { user.last_visit ? moment(user.last_visit).format('MMMM Do YYYY') : ""} </dd>
@@ -38,5 +233,5 @@ export default function CustomerProfile() {
         </div>
     </>
     )
-  
-}
\ No newline at end of file
+
+}
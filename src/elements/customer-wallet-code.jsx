@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { useUser } from '../providers/UserProvider';
+import customerWalletService from '../api/customer-wallet-service';
+import { Button } from '../components/button';
+
+/**
+ * Customer Wallet Code Component
+ * Shows the customer's wallet QR code so staff can scan it at the counter instead of
+ * searching for the customer by name
+ *
+ * @param {object} props - Component props
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function CustomerWalletCode({ className = '' }) {
+  const [svg, setSvg] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const user = useUser();
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    let cancelled = false;
+    customerWalletService.setUser(user);
+
+    const loadCode = async () => {
+      setLoading(true);
+      setError(null);
+
+      const response = await customerWalletService.getMyWalletCode();
+      if (cancelled) return;
+
+      if (response.success) {
+        try {
+          const markup = await QRCode.toString(response.code, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 });
+          if (!cancelled) setSvg(markup);
+        } catch (err) {
+          console.error('Error drawing wallet code:', err);
+          if (!cancelled) setError('Your wallet code could not be shown');
+        }
+      } else {
+        setError(response.error?.message || 'Your wallet code could not be loaded');
+      }
+
+      if (!cancelled) setLoading(false);
+    };
+
+    loadCode();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, reloadCount]);
+
+  return (
+    <div className={`bg-white rounded-lg shadow-sm border border-gray-200 p-6 ${className}`}>
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">My Wallet Code</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Show this code at the counter so staff can find your wallet.
+      </p>
+
+      {loading && (
+        <div className="w-48 h-48 mx-auto bg-gray-100 rounded-lg animate-pulse" />
+      )}
+
+      {!loading && error && (
+        <div className="text-center">
+          <p className="text-sm text-red-600 mb-3">{error}</p>
+          <Button outline onClick={() => setReloadCount(count => count + 1)}>
+            Try Again
+          </Button>
+        </div>
+      )}
+
+      {!loading && !error && svg && (
+        <div
+          className="w-48 h-48 mx-auto"
+          aria-label="Wallet QR code"
+          role="img"
+          dangerouslySetInnerHTML={{ __html: svg }}
+        />
+      )}
+    </div>
+  );
+}
@@ -36,6 +36,7 @@ export default function CustomerWalletDashboard({
 }) {
   // State management
   const [walletData, setWalletData] = useState(null);
+  const [currencyBalances, setCurrencyBalances] = useState([]);
   const [creditSlipsSummary, setCreditSlipsSummary] = useState(null);
   const [recentTransactions, setRecentTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -95,10 +96,11 @@ export default function CustomerWalletDashboard({
       }
 
       // Load wallet data in parallel for better performance
-      const [balanceResponse, creditSlipsResponse, transactionsResponse] = await Promise.all([
+      const [balanceResponse, creditSlipsResponse, transactionsResponse, balancesResponse] = await Promise.all([
         customerWalletService.getMyBalance('TZS'),
         customerWalletService.getMyCreditSlipsSummary('TZS'),
-        customerWalletService.getMyTransactionHistory('TZS', 1, 5) // Get 5 recent transactions
+        customerWalletService.getMyTransactionHistory('TZS', 1, 5), // Get 5 recent transactions
+        customerWalletService.getMyBalances()
       ]);
 
       if (!isComponentMounted) return;
@@ -110,6 +112,9 @@ export default function CustomerWalletDashboard({
         throw new Error(balanceResponse.error?.message || 'Failed to load wallet balance');
       }
 
+      // Handle balances in other currencies (non-critical, can fail gracefully)
+      setCurrencyBalances(balancesResponse?.success ? balancesResponse.balances : []);
+
       // Handle credit slips data (non-critical, can fail gracefully)
       if (creditSlipsResponse.success) {
         setCreditSlipsSummary(creditSlipsResponse.summary);
@@ -357,7 +362,36 @@ export default function CustomerWalletDashboard({
         className="mb-6"
       />
 
-
+      {/* Balances by Currency - only when the customer holds more than one currency */}
+      {currencyBalances.length > 1 && (
+        <div className="bg-white rounded-lg border border-gray-200 shadow-sm">
+          <div className="p-4 border-b border-gray-300">
+            <h3 className="roboto-serif-heading text-lg font-semibold text-gray-900 flex items-center">
+              <i className="fa-regular fa-coins mr-2 text-blue-600"></i>
+              Balances by Currency
+            </h3>
+          </div>
+          <div className="p-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {currencyBalances.map(currencyBalance => (
+              <div key={currencyBalance.currency} className="rounded-lg border border-gray-200 p-4">
+                <Text className="text-sm font-semibold text-gray-900">{currencyBalance.currency}</Text>
+                <div className="mt-2 flex justify-between items-center">
+                  <Text className="text-gray-600">Available:</Text>
+                  <Text className={`font-semibold ${currencyBalance.has_available_credit ? 'text-green-600' : 'text-gray-700'}`}>
+                    {currencyBalance.formatted_wallet_balance}
+                  </Text>
+                </div>
+                <div className="flex justify-between items-center">
+                  <Text className="text-gray-600">Outstanding:</Text>
+                  <Text className={`font-semibold ${currencyBalance.has_outstanding_bills ? 'text-yellow-700' : 'text-gray-700'}`}>
+                    {currencyBalance.formatted_outstanding_balance}
+                  </Text>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
 
       {/* Summary Sections */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -7,44 +7,6 @@ import { Button } from '../components/button';
 import { Text } from '../components/text';
 import { Badge } from '../components/badge';
 
-/**
- * Simple visual representation of wallet activity using bars
- * @param {object} props - Component props
- * @param {number} props.value - The value to represent (0-100)
- * @param {string} props.color - Color scheme ('green', 'yellow', 'blue')
- * @param {string} props.label - Label for the bar
- */
-function ActivityBar({ value, color = 'blue', label }) {
-  const colorClasses = {
-    green: 'bg-green-200 text-green-800',
-    yellow: 'bg-yellow-200 text-yellow-800',
-    blue: 'bg-blue-200 text-blue-800',
-    gray: 'bg-gray-200 text-gray-800'
-  };
-
-  const fillClasses = {
-    green: 'bg-green-500',
-    yellow: 'bg-yellow-500',
-    blue: 'bg-blue-500',
-    gray: 'bg-gray-500'
-  };
-
-  return (
-    <div className="space-y-2">
-      <div className="flex justify-between items-center">
-        <Text className="text-sm font-medium text-gray-700">{label}</Text>
-        <Text className="text-xs text-gray-500">{value}%</Text>
-      </div>
-      <div className={`w-full h-2 rounded-full ${colorClasses[color]}`}>
-        <div 
-          className={`h-full rounded-full transition-all duration-300 ${fillClasses[color]}`}
-          style={{ width: `${Math.min(100, Math.max(0, value))}%` }}
-        />
-      </div>
-    </div>
-  );
-}
-
 /**
  * Simple spending pattern visualization
  * @param {object} props - Component props
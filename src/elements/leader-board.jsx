@@ -1,5 +1,14 @@
-import { BanknotesIcon, GiftIcon, TicketIcon, UsersIcon } from '@heroicons/react/24/outline'
-import { useUser } from '../providers/UserProvider' 
+import { useEffect, useMemo, useState } from 'react'
+import { BanknotesIcon, CheckIcon, ExclamationTriangleIcon, GiftIcon, ShoppingBagIcon, StarIcon, TicketIcon, UsersIcon } from '@heroicons/react/24/outline'
+import moment from 'moment'
+import { useUser, useUpdateUser, useCustomerReceipts } from '../providers/UserProvider' 
+import { Dialog, DialogActions, DialogBody, DialogDescription, DialogTitle } from '../components/dialog'
+import rewardsService from '../api/rewards-service'
+import customerWalletService from '../api/customer-wallet-service'
+import { canRedeemReward, getPointsAfterRedemption } from '../utils/loyalty-points'
+import { getLoyaltyStatus, TIER_WINDOW_DAYS } from '../utils/loyalty-tiers'
+import { ActivityBar } from '../components/activity-bar'
+import { Badge } from '../components/badge'
 
 function formatNumber(n) {
   try { return new Intl.NumberFormat().format(Number(n || 0)); } catch { return String(n || 0); }
@@ -10,15 +19,78 @@ function formatTZS(n) {
   try { return new Intl.NumberFormat('en-TZ', { style: 'currency', currency: 'TZS', maximumFractionDigits: 0 }).format(val); } catch { return `TZS ${formatNumber(val)}`; }
 }
 
-const redeemOptions = []
+const REWARD_ICONS = {
+  drink: GiftIcon,
+  voucher: TicketIcon,
+  merch: ShoppingBagIcon
+}
 
 export default function LeaderBoard() {
   const user = useUser();
+  const updateUser = useUpdateUser();
   const points = Number(user?.total_points || 0);
   const outstanding = user?.outstanding_balance != null ? Number(user.outstanding_balance) : 0; // if not provided, shows 0
+  const receipts = useCustomerReceipts();
+  const loyalty = useMemo(() => getLoyaltyStatus(receipts), [receipts]);
+
+  const [redeemOptions, setRedeemOptions] = useState([]);
+  const [selectedOption, setSelectedOption] = useState(null);
+  const [redeeming, setRedeeming] = useState(false);
+  const [redeemError, setRedeemError] = useState(null);
+  const [redemption, setRedemption] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    rewardsService.getRedeemableRewards().then((response) => {
+      if (!cancelled && response.success) {
+        setRedeemOptions(response.rewards);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, []);
 
   const handleRedeem = (option) => { 
-    console.log('Redeem option selected:', option);
+    setRedeemError(null);
+    setRedemption(null);
+    setSelectedOption(option);
+  };
+
+  const closeDialog = () => {
+    if (redeeming) return;
+    setSelectedOption(null);
+    setRedeemError(null);
+    setRedemption(null);
+  };
+
+  const confirmRedeem = async () => {
+    if (!selectedOption || !canRedeemReward(points, selectedOption).allowed) return;
+
+    customerWalletService.setUser(user);
+    const { customerId, error } = customerWalletService.resolveCustomerId();
+    if (!customerId) {
+      setRedeemError(error || 'Please sign in again to redeem rewards');
+      return;
+    }
+
+    setRedeeming(true);
+    setRedeemError(null);
+
+    const response = await rewardsService.redeemReward({
+      customer_id: customerId,
+      reward_id: selectedOption.id,
+      points_cost: selectedOption.points_cost
+    });
+
+    setRedeeming(false);
+
+    if (response.success) {
+      updateUser({ ...user, total_points: getPointsAfterRedemption(points, response) });
+      setRedemption(response);
+    } else {
+      setRedeemError(response.error?.message || 'Failed to redeem reward');
+    }
   };
 
   return (
@@ -37,6 +109,52 @@ export default function LeaderBoard() {
           </div>
         </div>
 
+        {/* Loyalty Tier */}
+        <div className="relative overflow-hidden rounded-lg bg-white border border-gray-200 p-5 shadow-sm">
+          <div className="absolute left-5 top-5 rounded-md bg-[#1f2a44] p-3">
+            <StarIcon aria-hidden="true" className="h-6 w-6 text-white" />
+          </div>
+          <div className="ml-16 space-y-4">
+            <div>
+              <p className="truncate text-sm font-medium text-gray-500">Loyalty tier</p>
+              <p className="mt-1 flex items-center gap-2 text-2xl font-semibold text-gray-900">
+                {loyalty.tier.name}
+                <Badge color={loyalty.tier.color}>{formatTZS(loyalty.activity.spend)} in {TIER_WINDOW_DAYS} days</Badge>
+              </p>
+            </div>
+
+            {loyalty.nextTier ? (
+              <ActivityBar
+                value={loyalty.progress}
+                color="amber"
+                label={`Progress to ${loyalty.nextTier.name}`}
+                detail={`${formatTZS(loyalty.remaining.spend)} or ${formatNumber(loyalty.remaining.points)} L¥ to go`}
+              />
+            ) : (
+              <p className="text-sm text-gray-600">You have reached our top tier. Thank you!</p>
+            )}
+
+            {loyalty.dropWarning && (
+              <div className="flex items-start gap-2 rounded-md bg-yellow-50 p-3 text-sm text-yellow-800 ring-1 ring-yellow-200" role="alert">
+                <ExclamationTriangleIcon aria-hidden="true" className="h-5 w-5 flex-shrink-0" />
+                <p>
+                  You will move down to {loyalty.dropWarning.tier.name} on {moment(loyalty.dropWarning.date).format('MMM D')}.
+                  Spend {formatTZS(loyalty.dropWarning.spendToKeep)} before then to keep {loyalty.tier.name}.
+                </p>
+              </div>
+            )}
+
+            <ul className="space-y-1">
+              {loyalty.tier.perks.map((perk) => (
+                <li key={perk} className="flex items-center gap-2 text-sm text-gray-700">
+                  <CheckIcon aria-hidden="true" className="h-4 w-4 text-green-600" />
+                  {perk}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
         {/* Outstanding Balance */}
         <div className={`relative overflow-hidden rounded-lg border p-5 shadow-sm ${
           outstanding > 0 
@@ -80,8 +198,8 @@ export default function LeaderBoard() {
         <h4 className="text-sm font-medium text-gray-900">Redeem points</h4>
         <div className="grid grid-cols-1 gap-3">
           {redeemOptions.map((opt) => {
-            const Icon = opt.icon;
-            const canRedeem = points >= opt.cost;
+            const Icon = REWARD_ICONS[opt.category] || GiftIcon;
+            const canRedeem = canRedeemReward(points, opt).allowed;
             return (
               <div key={opt.id} className="flex items-center justify-between rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
                 <div className="flex items-start gap-3">
@@ -90,8 +208,8 @@ export default function LeaderBoard() {
                   </div>
                   <div>
                     <p className="text-sm font-semibold text-gray-900">{opt.name}</p>
-                    <p className="text-xs text-gray-500">{opt.desc}</p>
-                    <p className="mt-1 text-xs font-medium text-gray-700">Cost: {formatNumber(opt.cost)} pts</p>
+                    <p className="text-xs text-gray-500">{opt.description}</p>
+                    <p className="mt-1 text-xs font-medium text-gray-700">Cost: {formatNumber(opt.points_cost)} pts</p>
                   </div>
                 </div>
                 <button
@@ -113,6 +231,71 @@ export default function LeaderBoard() {
         </div>
       </div>
       )}
+
+      {/* Redemption Confirmation */}
+      <Dialog open={!!selectedOption} onClose={closeDialog} size="sm">
+        {selectedOption && !redemption && (
+          <>
+            <DialogTitle>Redeem {selectedOption.name}?</DialogTitle>
+            <DialogDescription>
+              {formatNumber(selectedOption.points_cost)} pts will be deducted from your balance of {formatNumber(points)} pts.
+            </DialogDescription>
+            <DialogBody>
+              <p className="text-sm text-gray-700">
+                Remaining after redemption: <span className="font-semibold">{formatNumber(points - selectedOption.points_cost)} pts</span>
+              </p>
+              {redeemError && (
+                <p className="mt-3 text-sm text-red-600">{redeemError}</p>
+              )}
+            </DialogBody>
+            <DialogActions>
+              <button
+                type="button"
+                onClick={closeDialog}
+                disabled={redeeming}
+                className="inline-flex items-center rounded-lg px-3 py-2 text-sm font-semibold text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={confirmRedeem}
+                disabled={redeeming}
+                className="inline-flex items-center rounded-lg bg-[#1f2a44] px-3 py-2 text-sm font-semibold text-white shadow-sm hover:brightness-110 disabled:opacity-50"
+              >
+                {redeeming ? 'Redeeming...' : 'Confirm'}
+              </button>
+            </DialogActions>
+          </>
+        )}
+        {selectedOption && redemption && (
+          <>
+            <DialogTitle>Enjoy your {selectedOption.name}!</DialogTitle>
+            <DialogDescription>
+              Show this code at the counter to collect your reward.
+            </DialogDescription>
+            <DialogBody>
+              {redemption.redemption_code && (
+                <p className="rounded-lg bg-gray-50 p-4 text-center font-mono text-2xl font-semibold tracking-widest text-gray-900 ring-1 ring-gray-200">
+                  {redemption.redemption_code}
+                </p>
+              )}
+              <p className="mt-3 text-sm text-gray-700">
+                New balance: <span className="font-semibold">{formatNumber(points)} pts</span>
+              </p>
+            </DialogBody>
+            <DialogActions>
+              <button
+                type="button"
+                onClick={closeDialog}
+                className="inline-flex items-center rounded-lg bg-[#1f2a44] px-3 py-2 text-sm font-semibold text-white shadow-sm hover:brightness-110"
+              >
+                Done
+              </button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
     </div>
   )
 }
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { CakeIcon, CheckCircleIcon, TrophyIcon, WalletIcon } from '@heroicons/react/24/outline';
+import { MILESTONES } from '../utils/reward-rules';
+
+const MILESTONE_ICONS = {
+  [MILESTONES.TENTH_VISIT]: TrophyIcon,
+  [MILESTONES.BIRTHDAY_WEEK]: CakeIcon,
+  [MILESTONES.FIRST_TOP_UP]: WalletIcon
+};
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+export default function MilestoneCards({ milestones, onClaim, claimingKey }) {
+  const [claimError, setClaimError] = useState(null);
+
+  if (!milestones || milestones.length === 0) return null;
+
+  const handleClaim = async (milestone) => {
+    setClaimError(null);
+    const response = await onClaim(milestone);
+    if (!response.success && response.error?.code !== 'MILESTONE_ALREADY_CLAIMED') {
+      setClaimError({ key: milestone.key, message: response.error?.message || 'Failed to claim reward' });
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+      {milestones.map((milestone) => {
+        const Icon = MILESTONE_ICONS[milestone.id] || TrophyIcon;
+        const isClaimed = milestone.status === 'claimed';
+
+        return (
+          <div
+            key={milestone.key}
+            className={classNames(
+              'rounded-lg border p-4 shadow-soft',
+              isClaimed ? 'border-gray-200 bg-gray-50' : 'border-secondary-200 bg-secondary-50'
+            )}
+          >
+            <div className="flex items-start gap-3">
+              <div className={classNames('rounded-md p-2', isClaimed ? 'bg-gray-200' : 'bg-secondary-100')}>
+                <Icon className={classNames('h-5 w-5', isClaimed ? 'text-gray-500' : 'text-secondary-700')} />
+              </div>
+              <div className="min-w-0 flex-1">
+                <p className="text-sm font-semibold text-gray-900">{milestone.title}</p>
+                <p className="text-xs text-gray-600">{milestone.description}</p>
+                <p className="mt-1 text-xs font-medium text-secondary-800">+{milestone.points} L¥</p>
+              </div>
+              {isClaimed ? (
+                <span className="inline-flex items-center gap-1 text-xs font-medium text-gray-500">
+                  <CheckCircleIcon className="h-4 w-4" />
+                  Claimed
+                </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => handleClaim(milestone)}
+                  disabled={claimingKey === milestone.key}
+                  className="rounded-lg bg-primary-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {claimingKey === milestone.key ? 'Claiming...' : 'Claim'}
+                </button>
+              )}
+            </div>
+            {claimError?.key === milestone.key && (
+              <p className="mt-2 text-xs text-red-600" role="alert">{claimError.message}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -9,16 +9,17 @@ import {
   faMagnifyingGlass
 } from '@fortawesome/free-solid-svg-icons'
 
-import { Link } from 'react-router-dom'
+import { useNavigate } from 'react-router-dom'
 import { useUpdateUser } from '../providers/UserProvider'
-import { useCurrentPage, useUpdateCurrentPage } from '../providers/AppProvider'
+import { useCurrentPage } from '../providers/AppProvider'
+import { CUSTOMER_PATHS } from '../util/paths'
 import { Button } from '@headlessui/react'
 
 const navigation = [
-    { name: 'Home', href: '/home', current: true, icon: faHouse }, 
-    // { name: 'Shop', href: '/shop', current: false, icon: '🛍️' },
-    { name: 'Wallet', href: '/wallet', current: false, icon: faWallet },
-    { name: 'Profile', href: '/profile', current: false, icon: faUser }
+    { name: 'Home', href: CUSTOMER_PATHS.Home, current: true, icon: faHouse }, 
+    // { name: 'Shop', href: CUSTOMER_PATHS.Shop, current: false, icon: '🛍️' },
+    { name: 'Wallet', href: CUSTOMER_PATHS.Wallet, current: false, icon: faWallet },
+    { name: 'Profile', href: CUSTOMER_PATHS.Profile, current: false, icon: faUser }
   ]
 
   function classNames(...classes) {
@@ -29,7 +30,7 @@ export default function NavigationMenu (){
 
   const setUser = useUpdateUser();
   const currentPage = useCurrentPage();
-  const updateCurrentPage = useUpdateCurrentPage();
+  const navigate = useNavigate();
 
     return(
         <div className="hidden border-t border-primary-200/30 py-6 lg:block">
@@ -40,7 +41,7 @@ export default function NavigationMenu (){
                     <Button
                       key={item.name}
                       onClick={() => {
-                        updateCurrentPage(item.name.replace(/ /g, ''));
+                        navigate(item.href);
                       }}
                       className={classNames(
                         item.name === currentPage
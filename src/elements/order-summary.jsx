@@ -1,26 +1,205 @@
-import { React } from 'react';
-import { QuestionMarkCircleIcon, XCircleIcon } from '@heroicons/react/20/solid';
-import { useCustomerOrder, useUpdateOrder, useUpdateProductToBuy } from '../providers/AppProvider';
-import { useUser } from '../providers/UserProvider';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/20/solid';
+import { useCustomerOrder, useUpdateOrder, useUpdateProductToBuy, useUpdateRemovedItems } from '../providers/AppProvider';
+import { useUser, useUpdateUser } from '../providers/UserProvider';
+import pointsShopService from '../api/points-shop-service';
+import customerWalletService from '../api/customer-wallet-service';
+import ordersService from '../api/orders-service';
+import { formatTZS } from '../utils/currency';
+import { formatDateTime } from '../utils/date-formatter';
+import { getPointsAfterRedemption } from '../utils/loyalty-points';
+import useIdempotencyKey from '../util/useIdempotencyKey';
+import {
+    PAYMENT_METHODS,
+    getCartItemKey,
+    isBillItem,
+    summarizeCart,
+    validateCheckout
+} from '../utils/checkout';
 
 export default function OrderSummary() {
 
     const updateProductToBuy = useUpdateProductToBuy();
 
     const customerOrder = useCustomerOrder();
-    const { removeCustomerOrder } = useUpdateOrder();
+    const { removeCustomerOrder, removePaidItems } = useUpdateOrder();
+    const { clearCartAndRemovedItems } = useUpdateRemovedItems();
 
     const user = useUser();
+    const updateUser = useUpdateUser();
+    const points = Number(user?.total_points || 0);
+
+    const [paymentMethod, setPaymentMethod] = useState(PAYMENT_METHODS.WALLET);
+    const [walletCents, setWalletCents] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [payError, setPayError] = useState(null);
+    const [receipt, setReceipt] = useState(null);
+    const { getKey: getIdempotencyKey, resetKey: resetIdempotencyKey } = useIdempotencyKey();
+
+    const summary = useMemo(() => summarizeCart(customerOrder), [customerOrder]);
+    const validation = validateCheckout(summary, { method: paymentMethod, points, walletCents });
+    const hasBills = summary.bills.length > 0;
+
+    // The receipt is shown until the customer closes it, but paid items must not
+    // stay in the cart if they navigate away instead. After a partial failure only
+    // the items on the receipt leave the cart, so the rest can be paid again.
+    const paidRef = useRef(null);
+    const settleCart = (paid) => {
+        if (paid.complete) {
+            clearCartAndRemovedItems();
+        } else {
+            removePaidItems(paid.keys);
+        }
+    };
+    const settleCartRef = useRef(settleCart);
+    settleCartRef.current = settleCart;
+    useEffect(() => () => {
+        if (paidRef.current) settleCartRef.current(paidRef.current);
+    }, []);
+
+    const loadWalletBalance = useCallback(async () => {
+        customerWalletService.setUser(user);
+        const response = await customerWalletService.getMyBalance();
+        setWalletCents(response.success ? response.balance.wallet_cents || 0 : 0);
+    }, [user]);
+
+    useEffect(() => {
+        if (hasBills && walletCents === null) {
+            loadWalletBalance();
+        }
+    }, [hasBills, walletCents, loadWalletBalance]);
 
     const cancelOrder = () => {
         updateProductToBuy(false);
     }
 
-    const handlePay = () => {
-        console.log(customerOrder);
+    const handlePay = async () => {
+        if (submitting || !validation.valid) return;
+
+        customerWalletService.setUser(user);
+        const { customerId, error } = customerWalletService.resolveCustomerId();
+        if (!customerId) {
+            setPayError(error || 'Please sign in again to check out');
+            return;
+        }
+
+        setSubmitting(true);
+        setPayError(null);
+
+        const result = await pointsShopService.checkout({
+            customer_id: customerId,
+            cart: customerOrder,
+            method: paymentMethod,
+            idempotency_key: getIdempotencyKey({ cart: customerOrder.map(getCartItemKey), method: paymentMethod })
+        });
+
+        setSubmitting(false);
+
+        if (result.receipt.lines.length > 0) {
+            // Refresh balances for whatever went through, even if a later step failed
+            paidRef.current = { complete: result.success, keys: result.receipt.lines.map(line => line.key) };
+            updateUser({
+                ...user,
+                total_points: getPointsAfterRedemption(points, {
+                    points_balance: result.receipt.points_balance,
+                    points_deducted: result.receipt.points_spent
+                })
+            });
+            ordersService.invalidateCustomerCache(customerId);
+            if (result.receipt.wallet_applied_cents > 0) {
+                loadWalletBalance();
+            }
+            setReceipt(result.receipt);
+        }
+
+        if (!result.success) {
+            setPayError(result.error?.message || 'Checkout failed');
+        }
+    }
+
+    const closeReceipt = () => {
+        const paid = paidRef.current;
+        paidRef.current = null;
+        resetIdempotencyKey();
+        setReceipt(null);
+        settleCart(paid);
+        // After a partial failure the unpaid items stay on screen with payError
+        if (paid.complete) {
+            updateProductToBuy(false);
+        }
     }
 
-    const totalCost = customerOrder.reduce((total, item) => total + (item.grand_total || item.price || 0), 0);
+    if (receipt) {
+        return (
+            <div className="shadow mt-4">
+                <section
+                aria-labelledby="receipt-heading"
+                className="mt-16 rounded-lg bg-gray-50 px-4 py-6 sm:p-6 lg:col-span-5 lg:mt-0 lg:p-8"
+              >
+                <div className="flex items-center gap-2">
+                    <CheckCircleIcon className="h-6 w-6 text-green-600" />
+                    <h2 id="receipt-heading" className="text-lg font-medium text-gray-900">
+                      {payError ? 'Partly paid' : 'Payment complete'}
+                    </h2>
+                </div>
+                <p className="mt-1 text-sm text-gray-500">
+                    {receipt.order_number ? `Order ${receipt.order_number} · ` : ''}{formatDateTime(receipt.created_at)}
+                </p>
+
+                {payError && (
+                    <p className="mt-4 text-sm text-red-600">{payError}. Items not listed below were not paid.</p>
+                )}
+
+                <dl className="mt-6 space-y-4">
+                    {receipt.lines.map((line) => (
+                        <div key={line.key} className="flex items-center justify-between">
+                            <dt className="text-sm text-gray-600">
+                                {line.label}
+                                {line.remaining_cents > 0 && (
+                                    <span className="block text-xs text-gray-500">{formatTZS(line.remaining_cents)} still due</span>
+                                )}
+                            </dt>
+                            <dd className="text-sm font-medium text-gray-900">
+                                {line.points !== undefined ? `L¥ ${line.points.toLocaleString()}` : formatTZS(line.amount_cents)}
+                            </dd>
+                        </div>
+                    ))}
+                  {receipt.points_spent > 0 && (
+                    <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+                        <dt className="text-sm text-gray-600">Points spent</dt>
+                        <dd className="text-sm font-medium text-gray-900"> L¥ {receipt.points_spent.toLocaleString()} </dd>
+                    </div>
+                  )}
+                  {receipt.wallet_applied_cents > 0 && (
+                    <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+                        <dt className="text-sm text-gray-600">Paid from wallet</dt>
+                        <dd className="text-sm font-medium text-gray-900"> {formatTZS(receipt.wallet_applied_cents)} </dd>
+                    </div>
+                  )}
+                  <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+                    <dt className="text-base font-medium text-gray-900">Points balance</dt>
+                    <dd className="text-base font-medium text-gray-900"> L¥ {points.toLocaleString()} </dd>
+                  </div>
+                  {receipt.wallet_applied_cents > 0 && walletCents !== null && (
+                    <div className="flex items-center justify-between">
+                        <dt className="text-sm text-gray-600">Wallet balance</dt>
+                        <dd className="text-sm font-medium text-gray-900"> {formatTZS(walletCents)} </dd>
+                    </div>
+                  )}
+                </dl>
+
+                <div className="mt-6">
+                  <button
+                    onClick={closeReceipt}
+                    className="w-full rounded-md border border-transparent bg-[#b58150] px-4 py-3 text-base font-medium text-white shadow-sm hover:bg-[#b58150] focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-gray-50"
+                  >
+                    Done
+                  </button>
+                </div>
+              </section>
+            </div>
+        )
+    }
 
     return (
         <div className="shadow mt-4">
@@ -34,34 +213,86 @@ export default function OrderSummary() {
 
             <dl className="mt-6 space-y-4">
                 {customerOrder.map((item) => (
-                    <div key={item.slip_id} className="flex items-center justify-between">
-                        <dt className="text-sm text-gray-600"> {item.slip_number} </dt>
-                        <dd className="text-sm font-medium text-gray-900"> L¥ {item.grand_total || item.price} </dd>
-                        <button onClick={() => removeCustomerOrder(item.slip_id)}>
+                    <div key={getCartItemKey(item)} className="flex items-center justify-between">
+                        <dt className="text-sm text-gray-600"> {isBillItem(item) ? item.slip_number : item.name} </dt>
+                        <dd className="text-sm font-medium text-gray-900">
+                            {isBillItem(item) ? item.grand_total : `L¥ ${(item.points_price ?? item.price ?? 0).toLocaleString()}`}
+                        </dd>
+                        <button onClick={() => removeCustomerOrder(getCartItemKey(item))} disabled={submitting}>
                             <XCircleIcon className="h-5 w-5 text-red-500" />
                         </button>
                     </div>
                 ))}
+
+              {hasBills && (
+                <fieldset className="border-t border-gray-200 pt-4">
+                    <legend className="text-sm font-medium text-gray-900">Pay bills with</legend>
+                    <div className="mt-3 space-y-2">
+                        <label className="flex items-center justify-between text-sm text-gray-700">
+                            <span className="flex items-center gap-2">
+                                <input
+                                    type="radio"
+                                    name="payment-method"
+                                    value={PAYMENT_METHODS.WALLET}
+                                    checked={paymentMethod === PAYMENT_METHODS.WALLET}
+                                    onChange={() => setPaymentMethod(PAYMENT_METHODS.WALLET)}
+                                    className="text-indigo-600 focus:ring-indigo-500"
+                                />
+                                Wallet
+                            </span>
+                            <span className="text-gray-500">
+                                {walletCents === null ? 'Checking…' : `${formatTZS(walletCents)} available`}
+                            </span>
+                        </label>
+                        {summary.bills_points !== null && (
+                            <label className="flex items-center justify-between text-sm text-gray-700">
+                                <span className="flex items-center gap-2">
+                                    <input
+                                        type="radio"
+                                        name="payment-method"
+                                        value={PAYMENT_METHODS.POINTS}
+                                        checked={paymentMethod === PAYMENT_METHODS.POINTS}
+                                        onChange={() => setPaymentMethod(PAYMENT_METHODS.POINTS)}
+                                        className="text-indigo-600 focus:ring-indigo-500"
+                                    />
+                                    Points
+                                </span>
+                                <span className="text-gray-500">L¥ {summary.bills_points.toLocaleString()}</span>
+                            </label>
+                        )}
+                    </div>
+                </fieldset>
+              )}
+
+              {validation.wallet_required_cents > 0 && (
+                <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+                    <dt className="text-sm text-gray-600">From wallet</dt>
+                    <dd className="text-sm font-medium text-gray-900"> {formatTZS(validation.wallet_required_cents)} </dd>
+                </div>
+              )}
               <div className="flex items-center justify-between border-t border-gray-200 pt-4">
                 <dt className="flex items-center text-sm text-gray-600">
                   <span> Total Cost </span>
                 </dt>
-                <dd className="text-sm font-medium text-gray-900"> L¥ {totalCost} </dd>
+                <dd className="text-sm font-medium text-gray-900"> L¥ {validation.points_required.toLocaleString()} </dd>
               </div>
               <div className="flex items-center justify-between border-t border-gray-200 pt-4">
                 <dt className="text-base font-medium text-gray-900">Balance</dt>
-                <dd className="text-base font-medium text-gray-900"> L¥ {user.total_points - totalCost} </dd>
+                <dd className="text-base font-medium text-gray-900"> L¥ {validation.points_after.toLocaleString()} </dd>
               </div>
             </dl>
 
-            
+            {(payError || !validation.valid) && (
+                <p className="mt-4 text-sm text-red-600">{payError || validation.reason}</p>
+            )}
 
             <div className="mt-6">
               <button
                 onClick={handlePay}
-                className="w-full rounded-md border border-transparent bg-[#b58150] px-4 py-3 text-base font-medium text-white shadow-sm hover:bg-[#b58150] focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-gray-50"
+                disabled={submitting || !validation.valid}
+                className="w-full rounded-md border border-transparent bg-[#b58150] px-4 py-3 text-base font-medium text-white shadow-sm hover:bg-[#b58150] focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-gray-50 disabled:bg-gray-300"
               >
-                Pay
+                {submitting ? 'Processing...' : 'Pay'}
               </button>
 
               <div className="mt-6 flex justify-center text-center text-sm text-gray-500">
@@ -84,4 +315,4 @@ export default function OrderSummary() {
           </section>
         </div>
     )
-} 
\ No newline at end of file
+}
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheckIcon, ArrowPathIcon } from '@heroicons/react/16/solid';
+import customerAuthService from '../api/customer-auth-service';
+import { OTP_LENGTH, getResendWaitSeconds, isCompleteOtp, sanitizeOtpInput } from '../utils/otp';
+
+/**
+ * OTP Verification Component
+ * Asks the customer for the code texted to their phone, with a resend link that unlocks
+ * once the cooldown has passed
+ *
+ * @param {object} props - Component props
+ * @param {string} props.phoneNumber - The canonical phone number the code was sent to
+ * @param {string} props.purpose - What the code is for (see OTP_PURPOSES)
+ * @param {Function} props.onVerified - Called with the verifyOtp response once the code is accepted
+ * @param {Function} props.onCancel - Called when the customer wants to use another number
+ * @param {string} [props.submitLabel='Verify'] - The label of the verify button
+ */
+export default function OtpVerification({ phoneNumber, purpose, onVerified, onCancel, submitLabel = 'Verify' }) {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+  const [waitSeconds, setWaitSeconds] = useState(() => getResendWaitSeconds(customerAuthService.getChallenge(phoneNumber)));
+
+  // Count down to when another code may be requested
+  useEffect(() => {
+    if (waitSeconds <= 0) return undefined;
+
+    const timer = setInterval(() => {
+      setWaitSeconds(getResendWaitSeconds(customerAuthService.getChallenge(phoneNumber)));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [phoneNumber, waitSeconds > 0]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!isCompleteOtp(code)) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    setNotice(null);
+
+    const response = await customerAuthService.verifyOtp(phoneNumber, code, purpose);
+    setIsSubmitting(false);
+
+    if (response.success) {
+      onVerified(response);
+      return;
+    }
+
+    setCode('');
+    setError(response.error?.message || 'The code could not be checked');
+  };
+
+  const handleResend = async () => {
+    setIsResending(true);
+    setError(null);
+    setNotice(null);
+
+    const response = await customerAuthService.requestOtp(phoneNumber, purpose);
+    setIsResending(false);
+    setWaitSeconds(getResendWaitSeconds(customerAuthService.getChallenge(phoneNumber)));
+
+    if (response.success) {
+      setCode('');
+      setNotice('A new code is on its way');
+    } else {
+      setError(response.error?.message || 'The code could not be sent');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6">
+      <div className="space-y-6">
+        <div className="space-y-2">
+          <label htmlFor="otp_code" className="block text-sm font-medium text-gray-900">
+            Verification Code
+          </label>
+          <p className="text-sm text-gray-600">
+            We sent a {OTP_LENGTH}-digit code to <span className="font-medium text-gray-900">{phoneNumber}</span>
+          </p>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+              <ShieldCheckIcon className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              id="otp_code"
+              name="otp_code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              maxLength={OTP_LENGTH}
+              placeholder={'•'.repeat(OTP_LENGTH)}
+              aria-label="Verification Code"
+              className="block w-full pl-12 pr-4 py-4 rounded-xl border-2 border-gray-200 bg-white text-gray-900 tracking-[0.5em] placeholder:text-gray-400 focus:ring-0 transition-colors duration-200 sm:text-sm"
+              onFocus={(e) => e.target.style.borderColor = '#B47744'}
+              onBlur={(e) => e.target.style.borderColor = '#e5e7eb'}
+              value={code}
+              onChange={(e) => setCode(sanitizeOtpInput(e.target.value))}
+            />
+          </div>
+          {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+          {notice && <p className="text-sm text-green-700">{notice}</p>}
+        </div>
+
+        <div className="space-y-4">
+          <button
+            type="submit"
+            disabled={isSubmitting || !isCompleteOtp(code)}
+            className="w-full inline-flex items-center justify-center rounded-xl px-8 py-4 text-sm font-semibold text-white shadow-lg focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            style={{
+              background: isSubmitting || !isCompleteOtp(code) ? '#9ca3af' : 'linear-gradient(to right, #B47744, #C8956D)',
+              '--tw-ring-color': '#B47744'
+            }}
+          >
+            <ShieldCheckIcon className="w-4 h-4 mr-2" />
+            {isSubmitting ? 'Checking...' : submitLabel}
+          </button>
+
+          <div className="flex items-center justify-between text-sm">
+            <button
+              type="button"
+              className="font-medium text-gray-600 hover:text-gray-900 transition-colors duration-200"
+              onClick={onCancel}
+            >
+              Use a different number
+            </button>
+            <button
+              type="button"
+              className="inline-flex items-center font-medium text-gray-600 hover:text-gray-900 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
+              disabled={waitSeconds > 0 || isResending}
+              onClick={handleResend}
+            >
+              <ArrowPathIcon className="w-4 h-4 mr-1" />
+              {waitSeconds > 0 ? `Resend code in ${waitSeconds}s` : 'Resend code'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -3,6 +3,7 @@ import { useCustomerReceipts } from '../providers/UserProvider';
 import moment from 'moment';
 import { ShoppingBagIcon, ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
 import useMediaQuery from '../util/useMediaQuery';
+import { getMilestonesByReceipt } from '../utils/reward-rules';
 
 const formatCurrency = (amount) => {
   return new Intl.NumberFormat('en-US', {
@@ -12,11 +13,26 @@ const formatCurrency = (amount) => {
   }).format(amount);
 };
 
-export default function ReceiptsList() {
+function MilestoneBadges({ milestones }) {
+  if (!milestones) return null;
+
+  return milestones.map((milestone) => (
+    <span
+      key={milestone.key}
+      title={milestone.description}
+      className="ml-1 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800"
+    >
+      {milestone.title}
+    </span>
+  ));
+}
+
+export default function ReceiptsList({ milestones = [] }) {
   const receiptData = useCustomerReceipts();
   const [showAll, setShowAll] = useState(false);
   const [expandedRow, setExpandedRow] = useState(null);
   const isMobile = useMediaQuery('(max-width: 768px)');
+  const milestonesByReceipt = useMemo(() => getMilestonesByReceipt(milestones), [milestones]);
 
   const handleRowClick = (id) => {
     setExpandedRow(expandedRow === id ? null : id);
@@ -53,6 +69,7 @@ export default function ReceiptsList() {
                   </div>
                   <div className="text-xs text-gray-500">
                     #{receipt.receipt_number}
+                    <MilestoneBadges milestones={milestonesByReceipt[receipt.receipt_number]} />
                   </div>
                 </div>
               </div>
@@ -155,6 +172,7 @@ export default function ReceiptsList() {
                             </div>
                             <div className="text-xs text-gray-500">
                               #{receipt.receipt_number}
+                              <MilestoneBadges milestones={milestonesByReceipt[receipt.receipt_number]} />
                             </div>
                           </div>
                         </div>
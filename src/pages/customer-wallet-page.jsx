@@ -5,7 +5,9 @@ import { faWallet, faChartBar } from '@fortawesome/free-solid-svg-icons';
 import CustomerWalletDashboard from '../elements/customer-wallet-dashboard';
 import CustomerTransactionHistory from '../elements/customer-transaction-history';
 import CustomerWalletInsights from '../elements/customer-wallet-insights';
-import { useUpdateCurrentPage } from '../providers/AppProvider';
+import CustomerWalletCode from '../elements/customer-wallet-code';
+import { Link } from 'react-router-dom';
+import { CUSTOMER_PATHS } from '../util/paths';
 
 /**
  * Customer Wallet Page Component
@@ -19,7 +21,6 @@ import { useUpdateCurrentPage } from '../providers/AppProvider';
  * - Loading and error states
  */
 const CustomerWalletPage = () => {
-  const updateCurrentPage = useUpdateCurrentPage();
   const [activeTab, setActiveTab] = useState('overview');
 
   // Tab configuration
@@ -45,12 +46,15 @@ const CustomerWalletPage = () => {
     switch (activeTab) {
       case 'overview':
         return (
-          <CustomerWalletDashboard
-            onNavigateToTransactionHistory={() => handleTabChange('transactions')}
-            showTransactionHistory={false}
-            showInsights={false}
-            className="space-y-6"
-          />
+          <div className="space-y-6">
+            <CustomerWalletDashboard
+              onNavigateToTransactionHistory={() => handleTabChange('transactions')}
+              showTransactionHistory={false}
+              showInsights={false}
+              className="space-y-6"
+            />
+            <CustomerWalletCode />
+          </div>
         );
       case 'transactions':
         return (
@@ -94,12 +98,12 @@ const CustomerWalletPage = () => {
         <nav className="flex" aria-label="Breadcrumb">
           <ol className="flex items-center space-x-2">
             <li>
-              <button
-                onClick={() => updateCurrentPage('Home')}
+              <Link
+                to={CUSTOMER_PATHS.Home}
                 className="text-gray-500 hover:text-gray-700 text-sm font-medium"
               >
                 Home
-              </button>
+              </Link>
             </li>
             <li>
               <span className="text-gray-400 text-sm">/</span>
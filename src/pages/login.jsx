@@ -1,36 +1,41 @@
 import React, { useState } from "react";
 import logo from "../assets/hze-logo.png";
-import { useUpdateUser } from "../providers/UserProvider";
-import axiosInstance from "../api/axios";
+import { useUpdateCustomerToken, useUpdateUser } from "../providers/UserProvider";
+import customerAuthService from "../api/customer-auth-service";
+import OtpVerification from "../elements/otp-verification";
+import { OTP_PURPOSES } from "../utils/otp";
 
 // 1-1-2025
 // UI/UX polish only — logic and functions kept the same
 
 export default function Login() {
   const [phoneNumber, setPhoneNumber] = useState("");
+  const [verifiedNumber, setVerifiedNumber] = useState(null);
+  const [error, setError] = useState(null);
   const setUser = useUpdateUser();
+  const setCustomerToken = useUpdateCustomerToken();
 
   const handleChange = (event) => {
     setPhoneNumber(event.target.value);
     console.log(phoneNumber);
   };
 
-  const handleSubmit = (event) => {
+  const handleSubmit = async (event) => {
     event.preventDefault();
+    setError(null);
 
-    axiosInstance
-      .get(`/api/customers/search?phone_number=` + phoneNumber)
-      .then((res) => {
-        console.log("Response Code:   " + res.status);
-        if (res.status === 200) {
-          // user found
-          const usr = res.data.customer;
-          setUser(usr);
-        }
-      })
-      .catch(function (error) {
-        console.log("User not found");
-      });
+    // Text a code to the number; the customer signs in once they enter it
+    const response = await customerAuthService.requestOtp(phoneNumber, OTP_PURPOSES.LOGIN);
+    if (response.success) {
+      setVerifiedNumber(response.phoneNumber);
+    } else {
+      setError(response.error?.message || "Could not send the verification code");
+    }
+  };
+
+  const handleVerified = (response) => {
+    setCustomerToken(response.token);
+    setUser(response.customer);
   };
 
   return (
@@ -51,6 +56,17 @@ export default function Login() {
           </p>
         </div>
 
+        {verifiedNumber ? (
+          <div className="mt-8 rounded-xl bg-white shadow-sm dark:bg-slate-800">
+            <OtpVerification
+              phoneNumber={verifiedNumber}
+              purpose={OTP_PURPOSES.LOGIN}
+              onVerified={handleVerified}
+              onCancel={() => setVerifiedNumber(null)}
+              submitLabel="Sign in"
+            />
+          </div>
+        ) : (
         <form className="mt-8 space-y-4" onSubmit={handleSubmit}>
           <div className="grid gap-2">
             <label htmlFor="phone_number" className="text-sm font-medium text-stone-800 dark:text-stone-200">
@@ -73,6 +89,7 @@ export default function Login() {
               {/* subtle inset glow */}
               <span className="pointer-events-none absolute inset-0 rounded-xl shadow-[inset_0_1px_0_rgba(255,255,255,0.6)]" />
             </div>
+            {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
           </div>
 
           <button
@@ -96,6 +113,7 @@ export default function Login() {
             By continuing, you agree to our <a href="#" className="underline hover:no-underline">Terms</a> and <a href="#" className="underline hover:no-underline">Privacy Policy</a>.
           </p>
         </form>
+        )}
       </div>
     </div>
   );
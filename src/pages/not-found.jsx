@@ -0,0 +1,31 @@
+import { Link, useLocation } from 'react-router-dom';
+
+/**
+ * Shown for any path that does not match a route.
+ * @param {object} props - The component props.
+ * @param {string} [props.homePath='/'] - Where the "go back" link leads.
+ * @param {string} [props.homeLabel='Go back home'] - The text of the "go back" link.
+ */
+export default function NotFound({ homePath = '/', homeLabel = 'Go back home' }) {
+  const location = useLocation();
+
+  return (
+    <main className="grid min-h-[30rem] place-items-center px-6 py-24 sm:py-32 lg:px-8">
+      <div className="text-center">
+        <p className="text-base font-semibold text-[#b58150]">404</p>
+        <h1 className="mt-4 text-3xl font-bold tracking-tight text-gray-900 sm:text-5xl">Page not found</h1>
+        <p className="mt-6 text-base text-gray-600">
+          Sorry, we couldn&apos;t find <span className="font-mono text-gray-900">{location.pathname}</span>.
+        </p>
+        <div className="mt-10 flex items-center justify-center">
+          <Link
+            to={homePath}
+            className="rounded-md bg-[#b58150] px-3.5 py-2.5 text-sm font-semibold text-white shadow-sm hover:bg-[#a0703f] focus:outline-none focus:ring-2 focus:ring-[#b58150] focus:ring-offset-2"
+          >
+            {homeLabel}
+          </Link>
+        </div>
+      </div>
+    </main>
+  );
+}
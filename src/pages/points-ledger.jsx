@@ -0,0 +1,218 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import moment from 'moment';
+import { ArrowDownTrayIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { useCustomerReceipts, useUser } from '../providers/UserProvider';
+import rewardsService from '../api/rewards-service';
+import { CUSTOMER_PATHS } from '../util/paths';
+import {
+  LEDGER_ENTRY_LABELS,
+  LEDGER_ENTRY_TYPES,
+  buildPointsLedger,
+  buildPointsLedgerCsv,
+  getPointsExpiryPolicy
+} from '../utils/points-ledger';
+import { buildExportFilename, downloadFile } from '../utils/wallet-export';
+
+const ROW_STYLES = {
+  [LEDGER_ENTRY_TYPES.EARNED]: 'bg-green-100 text-green-800',
+  [LEDGER_ENTRY_TYPES.SPENT]: 'bg-primary-100 text-primary-800',
+  [LEDGER_ENTRY_TYPES.EXPIRED]: 'bg-gray-100 text-gray-700'
+};
+
+function formatNumber(n) {
+  try { return new Intl.NumberFormat().format(Number(n || 0)); } catch { return String(n || 0); }
+}
+
+/**
+ * Points Ledger Page Component
+ * Shows how the customer's L¥ balance was built up: every point earned, spent and
+ * expired with the running balance, and the points due to expire.
+ */
+const PointsLedgerPage = () => {
+  const user = useUser();
+  const receipts = useCustomerReceipts();
+  const [redemptions, setRedemptions] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const policy = useMemo(() => getPointsExpiryPolicy(), []);
+
+  useEffect(() => {
+    if (!user?._id) return;
+    let cancelled = false;
+
+    rewardsService.getRedemptions(user._id).then((response) => {
+      if (cancelled) return;
+      if (response.success) {
+        setRedemptions(response.redemptions);
+        setLoadError(null);
+      } else {
+        setLoadError(response.error?.message || 'Failed to load redemptions');
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [user?._id]);
+
+  const ledger = useMemo(
+    () => buildPointsLedger({ receipts, redemptions }, { policy }),
+    [receipts, redemptions, policy]
+  );
+  const rows = useMemo(() => [...ledger.rows].reverse(), [ledger.rows]);
+  const accountBalance = Number(user?.total_points);
+
+  const handleExport = () => {
+    downloadFile(buildPointsLedgerCsv(ledger), buildExportFilename('points-ledger', user?.name, 'csv'));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="border-b border-gray-200 pb-4">
+        <nav className="flex" aria-label="Breadcrumb">
+          <ol className="flex items-center space-x-2">
+            <li>
+              <Link
+                to={CUSTOMER_PATHS.Home}
+                className="text-gray-500 hover:text-gray-700 text-sm font-medium"
+              >
+                Home
+              </Link>
+            </li>
+            <li>
+              <span className="text-gray-400 text-sm">/</span>
+            </li>
+            <li>
+              <span className="text-gray-900 text-sm font-medium">Points</span>
+            </li>
+          </ol>
+        </nav>
+      </div>
+
+      {/* Page Title */}
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="roboto-serif-heading text-3xl font-bold text-gray-900 mb-2">
+            Your L¥ Points
+          </h1>
+          <p className="text-gray-600">
+            Every point you have earned, spent and lost to expiry
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={ledger.rows.length === 0}
+          className="inline-flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold text-gray-700 ring-1 ring-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <ArrowDownTrayIcon className="h-4 w-4" />
+          Export CSV
+        </button>
+      </div>
+
+      {loadError && (
+        <p className="rounded-md bg-red-50 p-3 text-sm text-red-700" role="alert">
+          {loadError}. Reward redemptions are missing from this list.
+        </p>
+      )}
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+        {[
+          { label: 'Balance', value: ledger.balance },
+          { label: 'Earned', value: ledger.totals.earned },
+          { label: 'Spent', value: ledger.totals.spent },
+          { label: 'Expired', value: ledger.totals.expired }
+        ].map((stat) => (
+          <div key={stat.label} className="rounded-lg border border-gray-200 bg-white p-4 shadow-soft">
+            <p className="text-sm font-medium text-gray-500">{stat.label}</p>
+            <p className="mt-1 text-2xl font-semibold text-gray-900">{formatNumber(stat.value)}</p>
+          </div>
+        ))}
+      </div>
+
+      {Number.isFinite(accountBalance) && accountBalance !== ledger.balance && (
+        <p className="text-sm text-gray-600">
+          Your account shows {formatNumber(accountBalance)} L¥. The difference comes from bonuses
+          and adjustments that are not on your receipts; ask us at the counter if it looks wrong.
+        </p>
+      )}
+
+      {/* Expiring Points */}
+      {policy.expiryMonths > 0 && (
+        <div className="rounded-lg border border-gray-200 bg-white p-4 shadow-soft">
+          <div className="flex items-center gap-2">
+            <ClockIcon className="h-5 w-5 text-gray-500" />
+            <h2 className="text-sm font-semibold text-gray-900">Points due to expire</h2>
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            Points expire {policy.expiryMonths} months after you earn them. We use your oldest points first.
+          </p>
+          {ledger.expiringSoon > 0 && (
+            <p className="mt-3 rounded-md bg-yellow-50 p-3 text-sm text-yellow-800 ring-1 ring-yellow-200" role="alert">
+              {formatNumber(ledger.expiringSoon)} L¥ expire in the next {policy.warningDays} days.
+            </p>
+          )}
+          {ledger.expiring.length === 0 ? (
+            <p className="mt-3 text-sm text-gray-600">No points are due to expire.</p>
+          ) : (
+            <ul className="mt-3 divide-y divide-gray-100">
+              {ledger.expiring.map((entry) => (
+                <li key={entry.date} className="flex justify-between py-2 text-sm">
+                  <span className="text-gray-700">{moment(entry.date).format('MMM D, YYYY')}</span>
+                  <span className="font-medium text-gray-900">{formatNumber(entry.points)} L¥</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Ledger */}
+      {rows.length === 0 ? (
+        <div className="text-center py-8">
+          <h3 className="text-sm font-medium text-gray-900">No points yet</h3>
+          <p className="mt-1 text-sm text-gray-500">Points you earn on purchases will appear here</p>
+        </div>
+      ) : (
+        <div className="bg-white shadow-soft rounded-lg border border-gray-200 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                  <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+                  <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map((row) => (
+                  <tr key={row.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {moment(row.date).format('MMM D, YYYY')}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${ROW_STYLES[row.type]}`}>
+                        {LEDGER_ENTRY_LABELS[row.type]}
+                      </span>
+                      <span className="ml-2 text-gray-900">{row.description}</span>
+                      {row.reference && <div className="text-xs text-gray-500">#{row.reference}</div>}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium text-gray-900">
+                      {row.type === LEDGER_ENTRY_TYPES.EARNED ? '+' : '-'}{formatNumber(row.points)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm text-gray-700">
+                      {formatNumber(row.balance_after)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PointsLedgerPage;
@@ -1,12 +1,16 @@
 'use client'
 
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
 import { CheckIcon, InformationCircleIcon, QuestionMarkCircleIcon, StarIcon } from '@heroicons/react/20/solid'
 import { Button, Radio, RadioGroup } from '@headlessui/react'
 import { ShieldCheckIcon } from '@heroicons/react/24/outline'
-import { useCustomerOrder, useProductToBuy, useUpdateCurrentPage, useUpdateProductToBuy } from '../providers/AppProvider'
+import { useCustomerOrder, useProductToBuy, useUpdateOrder, useUpdateProductToBuy } from '../providers/AppProvider'
 import { useUser } from '../providers/UserProvider'
 import { ExclamationCircleIcon } from '@heroicons/react/16/solid'
+import { isBillItem } from '../utils/checkout'
+import pointsShopService from '../api/points-shop-service.js'
+import { CUSTOMER_PATHS } from '../util/paths'
 
 const reviews = { average: 4, totalCount: 1624 }
 
@@ -16,28 +20,66 @@ function classNames(...classes) {
 
 export default function ProductDetails() {
 
-  const updateCurrentPage = useUpdateCurrentPage();
+  const navigate = useNavigate();
+
+  const { productId } = useParams();
 
   const customerOrder  = useCustomerOrder();
 
+  const { updateCustomerOrder } = useUpdateOrder();
+
   const user = useUser();
 
-  const product = customerOrder;
+  // Products picked in the Shop are already in the cart; a shared link loads it from the catalog
+  const cartProduct = customerOrder.find(item => !isBillItem(item) && String(item.id) === productId);
+
+  const [catalogProduct, setCatalogProduct] = useState(null);
+
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    if (cartProduct) return;
+
+    let active = true;
+    setNotFound(false);
+    pointsShopService.getCatalog().then(response => {
+      if (!active) return;
+      const item = response.success ? response.items.find(catalogItem => catalogItem.id === productId) : null;
+      setCatalogProduct(item || null);
+      setNotFound(!item);
+    });
+    return () => {
+      active = false;
+    };
+  }, [productId, Boolean(cartProduct)]);
+
+  const product = cartProduct || catalogProduct || {};
 
-  const canBuy = user.total_points >= product.price;  
+  const canBuy = Boolean(product.price) && user.total_points >= product.price;  
 
   const updateProductToBuy = useUpdateProductToBuy();
 
   const productToBuy = useProductToBuy();
 
-  const UpdatePage = (currentPage) => {
-    updateCurrentPage(currentPage);
-  }
-
   const buyThisProduct = (buy) => {
+    if (!cartProduct) {
+      updateCustomerOrder(product);
+    }
     updateProductToBuy(buy);
   }
 
+  if (notFound) {
+    return (
+      <div className="bg-white px-4 py-8 text-center">
+        <h1 className="text-2xl font-bold tracking-tight text-gray-900">Product not found</h1>
+        <p className="mt-2 text-base text-gray-500">This product is no longer available in the shop.</p>
+        <Button className="mt-6 font-medium text-[#b58150] hover:text-gray-900" onClick={() => navigate(CUSTOMER_PATHS.Shop)}>
+          Back to the Shop
+        </Button>
+      </div>
+    )
+  }
+
   return (
     <div className="bg-white">
       <div className="mx-auto max-w-2xl px-4 py-8 sm:px-6 sm:py-8 lg:grid lg:max-w-7xl lg:grid-cols-2 lg:gap-x-8 lg:px-8">
@@ -47,7 +89,7 @@ export default function ProductDetails() {
             <ol role="list" className="flex items-center space-x-2">
               <Button className="font-medium text-gray-500 hover:text-gray-900" 
                 onClick={() => {
-                  UpdatePage("Shop");
+                  navigate(CUSTOMER_PATHS.Shop);
                 }}>
                 Back
               </Button>
@@ -64,7 +106,7 @@ export default function ProductDetails() {
             </h2>
 
             <div className="flex items-center">
-              <p className="text-lg text-gray-900 sm:text-xl">{product.price}</p>
+              <p className="text-lg text-gray-900 sm:text-xl">L¥ {product.price}</p>
 
               <div className="ml-4 border-l border-gray-300 pl-4">
                 <h2 className="sr-only">Reviews</h2>
@@ -5,8 +5,11 @@ import { Button } from "@headlessui/react";
 import logo from "../assets/hze-logo.png";
 
 import axiosInstance from "../api/axios";
+import customerAuthService from "../api/customer-auth-service";
+import OtpVerification from "../elements/otp-verification";
+import { OTP_PURPOSES } from "../utils/otp";
 
-import { useNewUserNumber, useRegistrationStatus, useUpdateCustomerReceipts, useUpdateNewUserNumber, useUpdateRegistrationStatus, useUpdateUser } from "../providers/UserProvider";
+import { useNewUserNumber, useRegistrationStatus, useUpdateCustomerReceipts, useUpdateCustomerToken, useUpdateNewUserNumber, useUpdateRegistrationStatus, useUpdateUser } from "../providers/UserProvider";
 
 export default function Register() {
 
@@ -106,6 +109,13 @@ function RegisterForm(){
 
     const [isSubmitting, setIsSubmitting] = useState(false);
 
+    const [error, setError] = useState(null);
+
+    // The number a code was sent to; set while the customer enters the code
+    const [verifiedNumber, setVerifiedNumber] = useState(null);
+
+    const setCustomerToken = useUpdateCustomerToken();
+
     const  handleChange = (event) => {
         if (event.target.id === 'names'){
             setNames(event.target.value);
@@ -145,41 +155,46 @@ function RegisterForm(){
 
         event.preventDefault();
         setIsSubmitting(true);
+        setError(null);
 
         validateInputs();
 
-        try {
-            const result = await axiosInstance.post("/api/customers/register", 
-                {
-                    "name": names,
-                    "email": email? email : "noemail@enzi.coffee",
-                    "phone_number": phoneNumber,
-                    //"nickname": nickName? nickName : names,
-                    "city": city ? city : "Dar es Salaam",
-                    "date_of_birth": "2022-10-19",
-                    "region": "North",
-                    "total_points": 10 //Registration Points
-                }
-            ).then(res => {
-                    console.log("Response Code:   "+res.status);
-                    if (res.status === 201){
-                        //user found
-                        const usr = res.data.customer;
-                        setUser(usr);
-                        fetchReceipts();
-                    }
-                })    
-                .catch ((error) => {
-                    updateRegistrationStatus(false);
-                    console.log('Error Registering User');
-                });
-
-        console.log("Result from post ", result.data);
-
-        } catch (error){
-            console.log("Error posting "+error);
-        } finally {
-            setIsSubmitting(false);
+        // Verify the phone before creating the account
+        const response = await customerAuthService.requestOtp(phoneNumber || newUserNumber, OTP_PURPOSES.REGISTER);
+        setIsSubmitting(false);
+
+        if (response.success){
+            setVerifiedNumber(response.phoneNumber);
+        } else {
+            setError(response.error?.message || 'Could not send the verification code');
+        }
+    }
+
+    const handleVerified = async (verification) => {
+
+        const response = await customerAuthService.register(
+            {
+                "name": names,
+                "email": email? email : "noemail@enzi.coffee",
+                "phone_number": verifiedNumber,
+                //"nickname": nickName? nickName : names,
+                "city": city ? city : "Dar es Salaam",
+                "date_of_birth": "2022-10-19",
+                "region": "North",
+                "total_points": 10 //Registration Points
+            },
+            verification.verificationToken
+        );
+
+        if (response.success){
+            const usr = response.customer;
+            setCustomerToken(response.token);
+            setUser(usr);
+            fetchReceipts(usr._id);
+        } else {
+            console.log('Error Registering User');
+            setVerifiedNumber(null);
+            setError(response.error?.message || 'Could not create your account');
         }
     }
 
@@ -199,9 +214,20 @@ function RegisterForm(){
         <div className="bg-white rounded-2xl shadow-xl border border-amber-100 overflow-hidden">
             <div className="px-6 py-4" style={{background: 'linear-gradient(to right, #B47744, #C8956D)'}}>
                 <h3 className="text-xl font-semibold text-white">Create Your Account</h3>
-                <p className="text-orange-100 text-sm mt-1">Fill in your details to get started</p>
+                <p className="text-orange-100 text-sm mt-1">
+                    {verifiedNumber ? "Enter the code we texted you" : "Fill in your details to get started"}
+                </p>
             </div>
             
+            {verifiedNumber ? (
+                <OtpVerification
+                    phoneNumber={verifiedNumber}
+                    purpose={OTP_PURPOSES.REGISTER}
+                    onVerified={handleVerified}
+                    onCancel={() => setVerifiedNumber(null)}
+                    submitLabel="Create Account"
+                />
+            ) : (
             <form onSubmit={handleSubmit} className="p-6 space-y-6">
                 <div className="grid grid-cols-1 gap-6">
                     {/* Full Name Field */}
@@ -264,7 +290,8 @@ function RegisterForm(){
                             value={phoneNumber}
                             onChange={handleChange}
                         />
-                        <p className="text-xs text-gray-500">We'll use this to track your visits and send updates</p>
+                        <p className="text-xs text-gray-500">We'll text a code to this number to confirm it's yours</p>
+                        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
                     </div>
 
                     {/* Hidden Fields */}
@@ -341,7 +368,7 @@ function RegisterForm(){
                                     <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                                     <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                                 </svg>
-                                Creating Account...
+                                Sending Code...
                             </>
                         ) : (
                             <>
@@ -352,6 +379,7 @@ function RegisterForm(){
                     </button>
                 </div>
             </form>
+            )}
         </div>
     )
 }
@@ -369,8 +397,15 @@ function LoginForm(){
 
     const setCustomerReceipts = useUpdateCustomerReceipts();
 
+    const setCustomerToken = useUpdateCustomerToken();
+
     const [isSubmitting, setIsSubmitting] = useState(false);
 
+    const [error, setError] = useState(null);
+
+    // The number a code was sent to; set while the customer enters the code
+    const [verifiedNumber, setVerifiedNumber] = useState(null);
+
     const  handleChange = (event) => {
         console.log(event);
         setPhoneNumber(event.target.value);
@@ -381,26 +416,28 @@ function LoginForm(){
         
         event.preventDefault();
         setIsSubmitting(true);
-        
-        await axiosInstance.get("/api/customers/search?phone_number="+phoneNumber)
-            .then(res => {
-                console.log("Response Code:   "+res.status);
-                if (res.status === 200){
-                    //user found
-                    const usr = res.data.customer;
-                    setUser(usr);
-                    fetchReceipts(usr._id);
-                }
-            })    
-            .catch (function (error){
-                updateRegistrationStatus(false);
-                updateNewUserNumber(phoneNumber);
-                console.log('User not found');
-            })
-            .finally(() => {
-                setIsSubmitting(false);
-            });
+        setError(null);
+
+        // Text a code to the number; only someone holding the phone can sign in
+        const response = await customerAuthService.requestOtp(phoneNumber, OTP_PURPOSES.LOGIN);
+        setIsSubmitting(false);
+
+        if (response.success){
+            setVerifiedNumber(response.phoneNumber);
+        } else if (response.error?.code === 'CUSTOMER_NOT_FOUND'){
+            updateRegistrationStatus(false);
+            updateNewUserNumber(phoneNumber);
+            console.log('User not found');
+        } else {
+            setError(response.error?.message || 'Could not send the verification code');
+        }
+    }
 
+    const handleVerified = (response) => {
+        const usr = response.customer;
+        setCustomerToken(response.token);
+        setUser(usr);
+        fetchReceipts(usr._id);
     }
 
     const fetchReceipts = async (customerId) => {
@@ -420,9 +457,20 @@ function LoginForm(){
         <div className="bg-white rounded-2xl shadow-xl border border-amber-100 overflow-hidden">
             <div className="px-6 py-4" style={{background: 'linear-gradient(to right, #B47744, #C8956D)'}}>
                 <h3 className="text-xl font-semibold text-white">Welcome Back</h3>
-                <p className="text-orange-100 text-sm mt-1">Enter your phone number to sign in</p>
+                <p className="text-orange-100 text-sm mt-1">
+                    {verifiedNumber ? "Enter the code we texted you" : "Enter your phone number to sign in"}
+                </p>
             </div>
             
+            {verifiedNumber ? (
+                <OtpVerification
+                    phoneNumber={verifiedNumber}
+                    purpose={OTP_PURPOSES.LOGIN}
+                    onVerified={handleVerified}
+                    onCancel={() => setVerifiedNumber(null)}
+                    submitLabel="Sign In"
+                />
+            ) : (
             <form onSubmit={handleSubmit} className="p-6">
                 <div className="space-y-6">
                     {/* Phone Number Field */}
@@ -450,7 +498,8 @@ function LoginForm(){
                                 onChange={handleChange}
                             />
                         </div>
-                        <p className="text-xs text-gray-500">Enter the phone number you used to register</p>
+                        <p className="text-xs text-gray-500">Enter the phone number you used to register. We'll text you a code.</p>
+                        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
                     </div>
 
                     {/* Form Actions */}
@@ -480,7 +529,7 @@ function LoginForm(){
                                         <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                                         <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                                     </svg>
-                                    Signing In...
+                                    Sending Code...
                                 </>
                             ) : (
                                 <>
@@ -502,6 +551,7 @@ function LoginForm(){
                     </div>
                 </div>
             </form>
+            )}
         </div>
     )
 }
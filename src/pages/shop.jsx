@@ -1,72 +1,62 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Button } from '@headlessui/react';
-import { ShoppingBagIcon, StarIcon } from '@heroicons/react/24/outline';
-import { StarIcon as StarIconSolid } from '@heroicons/react/24/solid';
-
-import { useUpdateOrder, useUpdateCurrentPage } from '../providers/AppProvider';
-
-const products = [
-    {
-        id: 1,
-        name: 'Cold Brew Bottle',
-        href: '#',
-        price: '200',
-        originalPrice: '250',
-        rating: 4.8,
-        reviews: 24,
-        description: "A sleek and durable glass bottle perfect for cold brew coffee. The airtight seal keeps your brew fresh for days, while the wide mouth makes it easy to add ice and clean. Ideal for making and storing your favorite cold brew concentrate.",
-        imageSrc: 'https://hightidecoffee.com/cdn/shop/files/16_oz_Cold_Brew_Bottle.jpg?v=1716668888',
-        imageAlt: 'Tall slender porcelain bottle with natural clay textured body and cork stopper.',
-        badge: 'Best Seller'
-    },
-    {
-        id: 2,
-        name: 'Aeropress',
-        href: '#',
-        price: '3000',
-        originalPrice: '3500',
-        rating: 4.9,
-        reviews: 156,
-        description: "The innovative coffee press that's become a cult favorite among coffee enthusiasts. Makes smooth, rich coffee in minutes using a unique pressure-brewing process. Compact, durable and perfect for home or travel.",
-        imageSrc: 'https://firebasestorage.googleapis.com/v0/b/enzi-website.appspot.com/o/aropress-2.jpg?alt=media&token=4a212d60-848e-442b-a4cc-4eaf51e5ada3',
-        imageAlt: 'Olive drab green insulated bottle with flared screw lid and flat top.',
-        badge: 'Popular'
-    },
-    {
-        id: 3,
-        name: 'Focus Paper Refill',
-        href: '#',
-        price: '3500',
-        originalPrice: '4000',
-        rating: 4.7,
-        reviews: 89,
-        description: "High-quality paper refills for your productivity needs. Each pack contains 50 sheets of premium, smooth paper perfect for writing, planning, and staying organized throughout your day.",
-        imageSrc: 'https://www.hario-usa.com/cdn/shop/files/vcf-02-40w.jpg?v=1716668888',
-        imageAlt: 'Person using a pen to cross a task off a productivity paper card.',
-        badge: 'New'
-    }
-  ]
+import { ShoppingBagIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+
+import { useNavigate } from 'react-router-dom';
+import { useUpdateOrder } from '../providers/AppProvider';
+import { useUser } from '../providers/UserProvider';
+import pointsShopService from '../api/points-shop-service.js';
+import { ErrorDisplay } from '../components/error-display';
+import { CATALOG_SORT_OPTIONS, filterAndSortCatalog, getStockLabel } from '../utils/points-shop.js';
+import { formatTZS } from '../utils/currency.js';
+import { getProductPath } from '../util/paths';
+
+const BADGE_STYLES = {
+    'Best Seller': 'bg-accent-100 text-accent-800',
+    'Popular': 'bg-secondary-100 text-secondary-800'
+};
 
   export default function Shop() {
 
-    const updateCustomerOrder = useUpdateOrder();
-    const updateCurrentPage = useUpdateCurrentPage();
+    const { updateCustomerOrder } = useUpdateOrder();
+    const navigate = useNavigate();
+    const user = useUser();
+
+    const [catalog, setCatalog] = useState({ items: [], categories: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [search, setSearch] = useState('');
+    const [category, setCategory] = useState('all');
+    const [sort, setSort] = useState('featured');
+    const [redeemableOnly, setRedeemableOnly] = useState(false);
+
+    const loadCatalog = useCallback(async (useCache = true) => {
+      setLoading(true);
+      setError(null);
+
+      const response = await pointsShopService.getCatalog({ useCache });
+      if (response.success) {
+        setCatalog({ items: response.items, categories: response.categories });
+      } else {
+        setError(response.error);
+      }
+      setLoading(false);
+    }, []);
 
     useEffect(() => {
-        updateCurrentPage("Home");
-    }, [updateCurrentPage]);
+      loadCatalog();
+    }, [loadCatalog]);
+
+    const visibleProducts = useMemo(
+      () => filterAndSortCatalog(catalog.items, { search, category, sort, redeemableOnly }),
+      [catalog.items, search, category, sort, redeemableOnly]
+    );
 
     const productSelected = (product) => {
         updateCustomerOrder(product)
     }
 
-    const formatCurrency = (amount) => {
-      return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'TZS',
-        minimumFractionDigits: 0,
-      }).format(amount);
-    };
+    const points = user?.total_points || 0;
 
     return (
       <div className="bg-gradient-to-br from-gray-50 to-white min-h-screen">
@@ -82,52 +72,145 @@ const products = [
             </p>
           </div>
 
+          <div className="mb-8 space-y-4">
+            <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+              <div className="relative flex-1">
+                <MagnifyingGlassIcon className="pointer-events-none absolute left-3 top-1/2 h-5 w-5 -translate-y-1/2 text-gray-400" />
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Search the shop"
+                  aria-label="Search the shop"
+                  className="w-full rounded-lg border border-gray-300 bg-white py-2 pl-10 pr-3 text-sm text-gray-900 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={redeemableOnly}
+                  onChange={(e) => setRedeemableOnly(e.target.checked)}
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                Redeemable with L¥ only
+              </label>
+              <select
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+                aria-label="Sort products"
+                className="rounded-lg border border-gray-300 bg-white py-2 pl-3 pr-8 text-sm text-gray-900 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+              >
+                {CATALOG_SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {catalog.categories.length > 1 && (
+              <div className="flex flex-wrap gap-2" role="group" aria-label="Filter by category">
+                {[{ id: 'all', name: 'All' }, ...catalog.categories].map(option => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => setCategory(option.id)}
+                    aria-pressed={category === option.id}
+                    className={`rounded-full px-4 py-1.5 text-sm font-medium transition-colors duration-200 ${
+                      category === option.id
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    {option.name}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {error && (
+            <ErrorDisplay
+              error={error}
+              onRetry={error.isRetryable ? () => loadCatalog(false) : null}
+              isRetrying={loading}
+              className="mb-8"
+            />
+          )}
+
+          {loading ? (
+            <div className="grid grid-cols-1 gap-8 sm:grid-cols-2 lg:grid-cols-3" role="status" aria-label="Loading products">
+              {[...Array(3)].map((_, i) => (
+                <div key={i} className="bg-white rounded-2xl shadow-soft border border-gray-100 overflow-hidden animate-pulse" aria-hidden="true">
+                  <div className="aspect-square w-full bg-gray-200" />
+                  <div className="p-6 space-y-3">
+                    <div className="h-5 bg-gray-200 rounded w-3/4"></div>
+                    <div className="h-4 bg-gray-200 rounded w-full"></div>
+                    <div className="h-6 bg-gray-200 rounded w-1/3"></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : !error && visibleProducts.length === 0 ? (
+            <div className="text-center py-12">
+              <ShoppingBagIcon className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-600">
+                {catalog.items.length === 0 ? 'The shop is empty right now. Check back soon!' : 'No products match your search.'}
+              </p>
+            </div>
+          ) : (
           <div className="grid grid-cols-1 gap-8 sm:grid-cols-2 lg:grid-cols-3">
-            {products.map((product) => (
+            {visibleProducts.map((product) => {
+              const stockLabel = getStockLabel(product);
+              const selectable = product.redeemable && product.in_stock;
+
+              return (
               <div
                 key={product.id}
-                className="group bg-white rounded-2xl shadow-soft border border-gray-100 overflow-hidden hover:shadow-large transition-all duration-300 hover:scale-[1.02] cursor-pointer"
+                className={`group bg-white rounded-2xl shadow-soft border border-gray-100 overflow-hidden transition-all duration-300 ${
+                  selectable ? 'hover:shadow-large hover:scale-[1.02] cursor-pointer' : 'opacity-75'
+                }`}
                 onClick={() => {
-                  updateCurrentPage("Product");
+                  if (!selectable) return;
                   productSelected(product)
+                  navigate(getProductPath(product.id));
                 }}
               >
                 <div className="relative">
-                  <img
-                    alt={product.imageAlt}
-                    src={product.imageSrc}
-                    className="aspect-square w-full object-cover group-hover:scale-105 transition-transform duration-300"
-                  />
+                  {product.imageSrc ? (
+                    <img
+                      alt={product.imageAlt}
+                      src={product.imageSrc}
+                      className="aspect-square w-full object-cover group-hover:scale-105 transition-transform duration-300"
+                    />
+                  ) : (
+                    <div className="aspect-square w-full bg-gray-100 flex items-center justify-center">
+                      <ShoppingBagIcon className="h-16 w-16 text-gray-300" />
+                    </div>
+                  )}
                   {product.badge && (
                     <div className="absolute top-4 left-4">
                       <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
-                        product.badge === 'Best Seller' ? 'bg-accent-100 text-accent-800' :
-                        product.badge === 'Popular' ? 'bg-secondary-100 text-secondary-800' :
-                        'bg-primary-100 text-primary-800'
+                        BADGE_STYLES[product.badge] || 'bg-primary-100 text-primary-800'
                       }`}>
                         {product.badge}
                       </span>
                     </div>
                   )}
+                  {stockLabel && (
+                    <div className="absolute top-4 right-4">
+                      <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
+                        product.in_stock ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-800 text-white'
+                      }`}>
+                        {stockLabel}
+                      </span>
+                    </div>
+                  )}
                   <div className="absolute inset-0 bg-black/0 group-hover:bg-black/10 transition-colors duration-300" />
                 </div>
 
                 <div className="p-6">
-                  <div className="flex items-center gap-1 mb-2">
-                    {[...Array(5)].map((_, i) => (
-                      <StarIconSolid
-                        key={i}
-                        className={`h-4 w-4 ${
-                          i < Math.floor(product.rating)
-                            ? 'text-secondary-400'
-                            : 'text-gray-300'
-                        }`}
-                      />
-                    ))}
-                    <span className="text-sm text-gray-600 ml-1">
-                      {product.rating} ({product.reviews})
-                    </span>
-                  </div>
+                  <p className="text-xs font-medium uppercase tracking-wide text-gray-500 mb-2">
+                    {product.category}
+                  </p>
 
                   <h3 className="text-lg font-semibold text-gray-900 mb-2 group-hover:text-primary-600 transition-colors">
                     {product.name}
@@ -138,26 +221,42 @@ const products = [
                   </p>
 
                   <div className="flex items-center justify-between">
-                    <div className="flex items-center gap-2">
-                      <span className="text-2xl font-bold text-gray-900">
-                        {formatCurrency(product.price)}
-                      </span>
-                      {product.originalPrice && (
-                        <span className="text-sm text-gray-500 line-through">
-                          {formatCurrency(product.originalPrice)}
-                        </span>
+                    <div className="flex flex-col">
+                      {product.redeemable ? (
+                        <>
+                          <span className="text-2xl font-bold text-gray-900">
+                            L¥ {product.points_price.toLocaleString()}
+                          </span>
+                          {product.points_price > points && (
+                            <span className="text-xs text-gray-500">
+                              {(product.points_price - points).toLocaleString()} more points needed
+                            </span>
+                          )}
+                        </>
+                      ) : (
+                        <>
+                          <span className="text-lg font-semibold text-gray-900">
+                            {formatTZS(product.price_cents)}
+                          </span>
+                          <span className="text-xs text-gray-500">In store only</span>
+                        </>
                       )}
                     </div>
-                    <Button className="bg-primary-600 hover:bg-primary-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200 flex items-center gap-2">
+                    <Button
+                      disabled={!selectable}
+                      className="bg-primary-600 hover:bg-primary-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200 flex items-center gap-2 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                    >
                       <ShoppingBagIcon className="h-4 w-4" />
                       Select
                     </Button>
                   </div>
                 </div>
               </div>
-            ))}
+              );
+            })}
           </div>
+          )}
         </div>
       </div>
     )
-  }
\ No newline at end of file
+  }
@@ -0,0 +1,35 @@
+import { useNavigate } from 'react-router-dom';
+import { Button } from '../../components/button';
+import { ArrowLeftIcon, ExclamationTriangleIcon } from '@heroicons/react/16/solid';
+
+export default function AccessDenied({
+  message = 'You do not have permission to view this page. Ask a manager if you need access.',
+  homePath = '/staff/wallet',
+  homeLabel = 'Return to Wallet Dashboard'
+}) {
+  const navigate = useNavigate();
+
+  return (
+    <div className="p-6">
+      <Button
+        outline
+        onClick={() => navigate(homePath)}
+        className="mb-4"
+      >
+        <ArrowLeftIcon />
+        Back
+      </Button>
+
+      <div className="max-w-md mx-auto mt-12">
+        <div className="text-center">
+          <ExclamationTriangleIcon className="h-16 w-16 text-red-500 mx-auto mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Access Denied</h1>
+          <p className="text-gray-600 mb-4">{message}</p>
+          <Button onClick={() => navigate(homePath)}>
+            {homeLabel}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,332 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Button } from '../../../components/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../../../components/table';
+import {
+  ArrowLeftIcon,
+  ArrowUturnLeftIcon,
+  BanknotesIcon,
+  ChartBarIcon,
+  ClipboardDocumentListIcon,
+  CreditCardIcon,
+  ShoppingBagIcon,
+  StarIcon,
+  WalletIcon,
+} from '@heroicons/react/16/solid';
+import customersService from '../../../api/customers-service';
+import walletService from '../../../api/wallet-service';
+import { formatTransactionEntry } from '../../../utils/api-response';
+import { createErrorDisplay } from '../../../utils/error-handler';
+import { formatTZS, DEFAULT_CURRENCY } from '../../../utils/currency';
+import { summarizeReceipts } from '../../../utils/customer-directory';
+import { getLoyaltyStatus } from '../../../utils/loyalty-tiers';
+import { getCreditSlipPath, getStaffCustomerPath, withSelectedCustomer } from '../../../util/paths';
+import useCan from '../../../util/useCan';
+import { PERMISSIONS } from '../../../utils/staff-permissions';
+import CustomerBalanceCard from '../wallet/components/customer-balance-card';
+import TransactionItem from '../wallet/components/transaction-item';
+import ErrorDisplay, { LoadingDisplay } from '../wallet/components/error-display';
+
+const RECENT_RECEIPTS = 10;
+const RECENT_TRANSACTIONS = 10;
+
+export default function CustomerDetail() {
+  const navigate = useNavigate();
+  const can = useCan();
+  const { customerId } = useParams();
+
+  const [customer, setCustomer] = useState(null);
+  const [balances, setBalances] = useState([]);
+  const [openSlips, setOpenSlips] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [receiptSummary, setReceiptSummary] = useState(summarizeReceipts([]));
+  const [loyaltyTier, setLoyaltyTier] = useState(null);
+  const [showAllReceipts, setShowAllReceipts] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Sections that could not be loaded; the rest of the page is still shown
+  const [sectionErrors, setSectionErrors] = useState({});
+
+  const loadCustomer = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    setSectionErrors({});
+
+    const [customerResponse, receiptsResponse, balancesResponse, slipsResponse, historyResponse] = await Promise.all([
+      customersService.getCustomer(customerId),
+      customersService.getCustomerReceipts(customerId),
+      walletService.getCustomerBalances(customerId),
+      walletService.getOpenCreditSlips(customerId, DEFAULT_CURRENCY),
+      walletService.getTransactionHistory(customerId, DEFAULT_CURRENCY, 1, RECENT_TRANSACTIONS)
+    ]);
+
+    let profile = customerResponse.success ? customerResponse.customer : null;
+    if (!profile) {
+      // Customers who only exist in Loyverse receipts are still shown
+      const fallback = await walletService.getCustomerById(customerId);
+      profile = fallback.success ? fallback.customers[0] : null;
+    }
+
+    if (!profile) {
+      setCustomer(null);
+      setError(createErrorDisplay(customerResponse));
+      setLoading(false);
+      return;
+    }
+
+    setCustomer(profile);
+    setReceiptSummary(summarizeReceipts(receiptsResponse.success ? receiptsResponse.receipts : []));
+    setLoyaltyTier(receiptsResponse.success ? getLoyaltyStatus(receiptsResponse.receipts).tier : null);
+    setBalances(balancesResponse.success ? balancesResponse.balances : []);
+    setOpenSlips(slipsResponse.success ? slipsResponse.slips || [] : []);
+    setTransactions(historyResponse.success ? (historyResponse.entries || []).map(formatTransactionEntry) : []);
+    setSectionErrors({
+      receipts: receiptsResponse.success ? null : receiptsResponse.error?.message,
+      wallet: balancesResponse.success ? null : balancesResponse.error?.message,
+      slips: slipsResponse.success ? null : slipsResponse.error?.message,
+      history: historyResponse.success ? null : historyResponse.error?.message
+    });
+    setLoading(false);
+  }, [customerId]);
+
+  useEffect(() => {
+    setShowAllReceipts(false);
+    loadCustomer();
+  }, [loadCustomer]);
+
+  const walletPath = (page) => withSelectedCustomer(`/staff/wallet/${page}`, customerId);
+
+  const balance = balances.find(entry => entry.currency === DEFAULT_CURRENCY)
+    || { currency: DEFAULT_CURRENCY, wallet_cents: 0, outstanding_cents: 0, balance_cents: 0, open_slips_count: 0 };
+
+  const visibleReceipts = showAllReceipts
+    ? receiptSummary.receipts
+    : receiptSummary.receipts.slice(0, RECENT_RECEIPTS);
+
+  const walletActions = [
+    { label: 'Create Credit Slip', page: 'create-credit', icon: ClipboardDocumentListIcon, permission: PERMISSIONS.SLIP_CREATE },
+    { label: 'Process Payment', page: 'process-payment', icon: CreditCardIcon, permission: PERMISSIONS.PAYMENT_CREATE },
+    { label: 'Store Change', page: 'store-change', icon: BanknotesIcon, permission: PERMISSIONS.CHANGE_CREATE },
+    { label: 'Refund / Cash Out', page: 'refund', icon: ArrowUturnLeftIcon, permission: PERMISSIONS.REFUND_CREATE },
+    { label: 'Full History', page: 'history', icon: ChartBarIcon, permission: PERMISSIONS.HISTORY_READ },
+  ].filter(action => can(action.permission));
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <Button
+          outline
+          onClick={() => navigate('/staff/customers')}
+          className="mb-4"
+        >
+          <ArrowLeftIcon />
+          Back to Customers
+        </Button>
+        <h1 className="text-2xl font-semibold text-gray-900">{customer?.name || 'Customer'}</h1>
+        <p className="text-gray-600">Profile, purchases and wallet activity</p>
+      </div>
+
+      {loading && <LoadingDisplay message="Loading customer..." />}
+
+      {!loading && error && (
+        <ErrorDisplay
+          error={error}
+          onRetry={loadCustomer}
+          className="mb-6"
+        />
+      )}
+
+      {!loading && customer && (
+        <div className="space-y-6">
+          {/* Summary */}
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="bg-white p-4 rounded-lg shadow">
+              <p className="text-xs font-medium text-gray-500 uppercase">Loyalty Points</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900 flex items-center">
+                <StarIcon className="h-5 w-5 text-amber-500 mr-1" />
+                {(customer.total_points || 0).toLocaleString()}
+              </p>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow">
+              <p className="text-xs font-medium text-gray-500 uppercase">Visits</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">
+                {customer.total_visits || receiptSummary.visits}
+              </p>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow">
+              <p className="text-xs font-medium text-gray-500 uppercase">Total Spent</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">
+                {formatTZS((customer.total_spent || receiptSummary.total_spent) * 100)}
+              </p>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow">
+              <p className="text-xs font-medium text-gray-500 uppercase">Last Visit</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">
+                {receiptSummary.last_visit ? new Date(receiptSummary.last_visit).toLocaleDateString() : '-'}
+              </p>
+            </div>
+          </div>
+
+          {/* Wallet */}
+          {sectionErrors.wallet ? (
+            <ErrorDisplay error={{ message: sectionErrors.wallet }} onRetry={loadCustomer} />
+          ) : (
+            <CustomerBalanceCard customer={customer} balance={balance} balances={balances} tier={loyaltyTier} />
+          )}
+
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Wallet Actions</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {walletActions.map((action) => (
+                <Button key={action.page} outline onClick={() => navigate(walletPath(action.page))}>
+                  <action.icon />
+                  {action.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          {/* Open Credit Slips */}
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-gray-900">
+                Open Credit Slips
+                <span className="ml-2 text-sm font-normal text-gray-500">({openSlips.length})</span>
+              </h3>
+              {openSlips.length > 0 && balance.wallet_cents > 0 && can(PERMISSIONS.WALLET_APPLY) && (
+                <Link to={getStaffCustomerPath(customerId)} className="text-sm text-blue-600 hover:underline">
+                  Apply wallet balance
+                </Link>
+              )}
+            </div>
+            {sectionErrors.slips && (
+              <p className="px-6 py-4 text-sm text-red-600">{sectionErrors.slips}</p>
+            )}
+            {!sectionErrors.slips && openSlips.length === 0 && (
+              <p className="px-6 py-4 text-sm text-gray-500">No open credit slips.</p>
+            )}
+            {openSlips.length > 0 && (
+              <div className="px-6">
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableHeader>Slip Number</TableHeader>
+                      <TableHeader>Status</TableHeader>
+                      <TableHeader className="text-right">Total</TableHeader>
+                      <TableHeader className="text-right">Paid</TableHeader>
+                      <TableHeader className="text-right">Remaining</TableHeader>
+                      <TableHeader>Created</TableHeader>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {openSlips.map((slip) => (
+                      <TableRow
+                        key={slip._id || slip.slip_id}
+                        href={getCreditSlipPath(slip._id || slip.slip_id)}
+                        title={`View credit slip ${slip.slip_number}`}
+                      >
+                        <TableCell className="font-mono text-sm">{slip.slip_number}</TableCell>
+                        <TableCell>{slip.status}</TableCell>
+                        <TableCell className="text-right">{formatTZS(slip.totals?.grand_total_cents || 0)}</TableCell>
+                        <TableCell className="text-right">{formatTZS(slip.totals?.paid_cents || 0)}</TableCell>
+                        <TableCell className="text-right font-semibold text-red-600">{formatTZS(slip.totals?.remaining_cents || 0)}</TableCell>
+                        <TableCell className="text-sm text-gray-600">{new Date(slip.created_at).toLocaleDateString()}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Wallet History */}
+            <div className="bg-white rounded-lg shadow">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-gray-900">Recent Wallet Activity</h3>
+                <Link to={walletPath('history')} className="text-sm text-blue-600 hover:underline">
+                  View all
+                </Link>
+              </div>
+              <div className="p-6 space-y-4">
+                {sectionErrors.history && (
+                  <p className="text-sm text-red-600">{sectionErrors.history}</p>
+                )}
+                {!sectionErrors.history && transactions.length === 0 && (
+                  <div className="text-center text-sm text-gray-500">
+                    <WalletIcon className="h-8 w-8 text-gray-300 mx-auto mb-2" />
+                    No wallet activity yet.
+                  </div>
+                )}
+                {transactions.map((transaction) => (
+                  <TransactionItem key={transaction.entry_id} transaction={transaction} />
+                ))}
+              </div>
+            </div>
+
+            {/* Receipts */}
+            <div className="bg-white rounded-lg shadow">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  Purchases
+                  <span className="ml-2 text-sm font-normal text-gray-500">({receiptSummary.receipts.length})</span>
+                </h3>
+              </div>
+              {sectionErrors.receipts && (
+                <p className="px-6 py-4 text-sm text-red-600">{sectionErrors.receipts}</p>
+              )}
+              {!sectionErrors.receipts && receiptSummary.receipts.length === 0 && (
+                <div className="p-6 text-center text-sm text-gray-500">
+                  <ShoppingBagIcon className="h-8 w-8 text-gray-300 mx-auto mb-2" />
+                  No purchases yet.
+                </div>
+              )}
+              {visibleReceipts.length > 0 && (
+                <div className="px-6">
+                  <Table>
+                    <TableHead>
+                      <TableRow>
+                        <TableHeader>Receipt</TableHeader>
+                        <TableHeader>Date</TableHeader>
+                        <TableHeader className="text-right">Amount</TableHeader>
+                        <TableHeader className="text-right">Points</TableHeader>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {visibleReceipts.map((receipt, index) => (
+                        <TableRow key={receipt._id || receipt.receipt_number || index}>
+                          <TableCell>
+                            <div className="text-sm font-medium text-gray-900">
+                              {receipt.line_items?.[0]?.item_name || 'Purchase'}
+                              {receipt.receipt_type === 'REFUND' && (
+                                <span className="ml-2 text-xs text-red-600">Refund</span>
+                              )}
+                            </div>
+                            <div className="text-xs text-gray-500">#{receipt.receipt_number}</div>
+                          </TableCell>
+                          <TableCell className="text-sm text-gray-600">
+                            {new Date(receipt.receipt_date).toLocaleDateString()}
+                          </TableCell>
+                          <TableCell className="text-right">{formatTZS((Number(receipt.total_money) || 0) * 100)}</TableCell>
+                          <TableCell className="text-right">{receipt.points_earned > 0 ? `+${receipt.points_earned}` : '-'}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+              {receiptSummary.receipts.length > RECENT_RECEIPTS && (
+                <div className="px-6 py-4 text-center">
+                  <Button plain onClick={() => setShowAllReceipts(!showAllReceipts)}>
+                    {showAllReceipts ? 'Show fewer' : `Show all ${receiptSummary.receipts.length} purchases`}
+                  </Button>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
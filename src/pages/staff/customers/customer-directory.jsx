@@ -0,0 +1,201 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Button } from '../../../components/button';
+import { Input, InputGroup } from '../../../components/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../../../components/table';
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  MagnifyingGlassIcon,
+  UsersIcon,
+} from '@heroicons/react/16/solid';
+import customersService from '../../../api/customers-service';
+import { createErrorDisplay } from '../../../utils/error-handler';
+import { formatTZS } from '../../../utils/currency';
+import ErrorDisplay, { LoadingDisplay } from '../wallet/components/error-display';
+
+const SEARCH_DELAY_MS = 400;
+
+export default function CustomerDirectory() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = searchParams.get('q') || '';
+  const page = Math.max(1, Number(searchParams.get('page')) || 1);
+
+  const [searchTerm, setSearchTerm] = useState(search);
+  const [customers, setCustomers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadCustomers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const response = await customersService.listCustomers({ search, page });
+    if (response.success) {
+      setCustomers(response.customers);
+      setPagination(response.pagination);
+    } else {
+      setCustomers([]);
+      setPagination(null);
+      setError(createErrorDisplay(response));
+    }
+    setLoading(false);
+  }, [search, page]);
+
+  useEffect(() => {
+    loadCustomers();
+  }, [loadCustomers]);
+
+  // Keep the URL in step with the search box, so the list can be bookmarked and the back button works
+  useEffect(() => {
+    if (searchTerm.trim() === search) return;
+
+    const timeout = setTimeout(() => {
+      setSearchParams(searchTerm.trim() ? { q: searchTerm.trim() } : {}, { replace: true });
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [searchTerm, search, setSearchParams]);
+
+  const handlePageChange = (nextPage) => {
+    setSearchParams({ ...(search && { q: search }), page: String(nextPage) });
+  };
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-semibold text-gray-900">Customers</h1>
+        <p className="text-gray-600">Browse customers and open their profile, purchases and wallet in one place</p>
+      </div>
+
+      {/* Search */}
+      <div className="bg-white p-6 rounded-lg shadow mb-6">
+        <InputGroup>
+          <MagnifyingGlassIcon className="text-gray-400" />
+          <Input
+            type="search"
+            placeholder="Search customers by name..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            aria-label="Search customers"
+          />
+        </InputGroup>
+      </div>
+
+      {error && (
+        <ErrorDisplay
+          error={error}
+          onRetry={loadCustomers}
+          className="mb-6"
+        />
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Customer Directory
+            {pagination && (
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                ({pagination.total_entries} total)
+              </span>
+            )}
+          </h3>
+        </div>
+
+        {loading && (
+          <div className="p-6">
+            <LoadingDisplay message="Loading customers..." />
+          </div>
+        )}
+
+        {!loading && customers.length > 0 && (
+          <div className="px-6">
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableHeader>Name</TableHeader>
+                  <TableHeader>Phone</TableHeader>
+                  <TableHeader>Email</TableHeader>
+                  <TableHeader className="text-right">Points</TableHeader>
+                  <TableHeader className="text-right">Visits</TableHeader>
+                  <TableHeader className="text-right">Total Spent</TableHeader>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {customers.map((customer) => (
+                  <TableRow
+                    key={customer.customer_id}
+                    href={`/staff/customers/${customer.customer_id}`}
+                    title={`View ${customer.name}`}
+                  >
+                    <TableCell className="font-medium text-gray-900">{customer.name || 'Unnamed customer'}</TableCell>
+                    <TableCell className="text-gray-600">{customer.phone_number || '-'}</TableCell>
+                    <TableCell className="text-gray-600">{customer.email || '-'}</TableCell>
+                    <TableCell className="text-right">{customer.total_points.toLocaleString()}</TableCell>
+                    <TableCell className="text-right">{customer.total_visits}</TableCell>
+                    <TableCell className="text-right">{formatTZS(customer.total_spent * 100)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {!loading && !error && customers.length === 0 && (
+          <div className="p-12 text-center">
+            <UsersIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No Customers Found</h3>
+            <p className="text-gray-600">
+              {search ? `No customers match "${search}".` : 'There are no customers yet.'}
+            </p>
+            {search && (
+              <Button outline className="mt-4" onClick={() => setSearchTerm('')}>
+                Clear search
+              </Button>
+            )}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {!loading && pagination && (pagination.has_prev || pagination.has_next) && (
+          <div className="px-6 py-4 border-t border-gray-200">
+            <div className="flex items-center justify-end space-x-2">
+              <Button
+                outline
+                size="sm"
+                onClick={() => handlePageChange(pagination.current_page - 1)}
+                disabled={!pagination.has_prev}
+              >
+                <ChevronLeftIcon className="h-4 w-4" />
+                Previous
+              </Button>
+
+              <span className="text-sm text-gray-700">
+                Page {pagination.current_page} of {pagination.total_pages}
+              </span>
+
+              <Button
+                outline
+                size="sm"
+                onClick={() => handlePageChange(pagination.current_page + 1)}
+                disabled={!pagination.has_next}
+              >
+                Next
+                <ChevronRightIcon className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <p className="mt-4 text-xs text-gray-500">
+        Looking for a wallet action?{' '}
+        <button type="button" className="text-blue-600 hover:underline" onClick={() => navigate('/staff/wallet/search')}>
+          Go to wallet customer search
+        </button>
+      </p>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
 import logo from "../../assets/hze-logo.png";
 import axiosInstance from "../../api/axios";
 import { useUpdateStaffUser, useUpdateStaffToken, useUpdateStaffRefreshToken, useUpdateStaffPermissions } from "../../providers/UserProvider";
@@ -14,6 +15,9 @@ export default function StaffLogin() {
   const setRefreshToken = useUpdateStaffRefreshToken();
   const setPermissions = useUpdateStaffPermissions();
 
+  const navigate = useNavigate();
+  const location = useLocation();
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setIsLoading(true);
@@ -40,8 +44,10 @@ export default function StaffLogin() {
         setRefreshToken(refresh_token);
         setPermissions(permissions);
 
-        // Redirect to dashboard
-        window.location.href = "/staff/dashboard";
+        // From the login page go to the dashboard; elsewhere the requested page now renders
+        if (location.pathname === "/staff/login") {
+          navigate("/staff/dashboard", { replace: true });
+        }
       }
     } catch (error) {
       console.error("Login failed:", error);
@@ -304,7 +304,7 @@ describe('CustomerSearch', () => {
     // Test Create Credit Slip navigation
     const createCreditButton = screen.getByText('Create Credit Slip')
     await user.click(createCreditButton)
-    expect(mockLocation.href).toBe('/staff/wallet/create-credit?customer_id=CUST001')
+    expect(mockLocation.href).toBe('/staff/wallet/create-credit?customer=CUST001')
     
     // Reset location
     mockLocation.href = ''
@@ -312,7 +312,7 @@ describe('CustomerSearch', () => {
     // Test Process Payment navigation
     const processPaymentButton = screen.getByText('Process Payment')
     await user.click(processPaymentButton)
-    expect(mockLocation.href).toBe('/staff/wallet/process-payment?customer_id=CUST001')
+    expect(mockLocation.href).toBe('/staff/wallet/process-payment?customer=CUST001')
   })
 
   it('should display open credit slips when available', async () => {
@@ -1,34 +1,27 @@
 import { useState, useEffect } from 'react';
-import { useStaffUser } from '../../../providers/UserProvider';
-import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../../../components/sidebar';
-import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../../../components/navbar';
-import { StackedLayout } from '../../../components/stacked-layout';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../../../components/button';
 import { Input, InputGroup } from '../../../components/input';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../../../components/table';
 import {
-  ArrowRightStartOnRectangleIcon,
   ArrowLeftIcon,
-  ChartBarIcon,
-  ClipboardDocumentListIcon,
-  Cog8ToothIcon,
-  HomeIcon,
   MagnifyingGlassIcon,
-  UserGroupIcon,
-  UsersIcon,
   WalletIcon,
   CheckCircleIcon,
 } from '@heroicons/react/16/solid';
 
 import walletService from '../../../api/wallet-service';
+import useReceipt from '../../../util/useReceipt';
 import { formatCustomerData, formatCustomerBalance } from '../../../utils/api-response';
 import { createErrorDisplay, createSuccessDisplay } from '../../../utils/error-handler';
 import { formatTZS } from '../../../utils/currency';
+import { getSelectedCustomerId } from '../../../util/paths';
 import ApplyWalletModal from './components/apply-wallet-modal';
 import ErrorDisplay, { LoadingDisplay, SuccessDisplay } from './components/error-display';
+import ReceiptActions from './components/receipt-actions';
 
 export default function ApplyWallet() {
-  const staffUser = useStaffUser();
+  const navigate = useNavigate();
   const [customer, setCustomer] = useState(null);
   const [customerBalance, setCustomerBalance] = useState(null);
   const [openSlips, setOpenSlips] = useState([]);
@@ -37,38 +30,20 @@ export default function ApplyWallet() {
   const [customerLoading, setCustomerLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const { receipt, issueReceipt, clearReceipt } = useReceipt();
   const [fieldErrors, setFieldErrors] = useState({});
   const [showApplyWalletModal, setShowApplyWalletModal] = useState(false);
   const [selectedSlipForWallet, setSelectedSlipForWallet] = useState(null);
 
   // Get customer ID from URL params if available
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const customerId = urlParams.get('customer_id');
+    const customerId = getSelectedCustomerId(window.location.search);
     if (customerId) {
       setCustomerSearchTerm(customerId);
       searchCustomer(customerId);
     }
   }, []);
 
-  const handleLogout = () => {
-    localStorage.removeItem('staffToken');
-    localStorage.removeItem('staffRefreshToken');
-    localStorage.removeItem('staffUser');
-    localStorage.removeItem('staffPermissions');
-    window.location.href = '/staff/login';
-  };
-
-  const sidebarItems = [
-    { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-    { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-    { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-    { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-    { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-    { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-    { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-  ];
-
   const searchCustomer = async (searchTerm) => {
     if (!searchTerm.trim()) return;
 
@@ -120,10 +95,12 @@ export default function ApplyWallet() {
 
   const handleCustomerSearch = (e) => {
     e.preventDefault();
+    clearReceipt();
     searchCustomer(customerSearchTerm);
   };
 
   const handleApplyWallet = (slip) => {
+    clearReceipt();
     setSelectedSlipForWallet(slip);
     setShowApplyWalletModal(true);
   };
@@ -132,6 +109,17 @@ export default function ApplyWallet() {
     setSuccess(createSuccessDisplay(result.message));
     setShowApplyWalletModal(false);
     setSelectedSlipForWallet(null);
+
+    if (customer && !result.queued) {
+      issueReceipt({
+        type: 'WALLET_APPLIED',
+        reference: result.slipNumber,
+        customer,
+        currency: result.currency,
+        amountCents: result.appliedAmount,
+        allocations: [{ label: `Credit slip ${result.slipNumber}`, amount_cents: result.appliedAmount }]
+      });
+    }
     
     // Refresh customer data
     if (customer) {
@@ -147,55 +135,13 @@ export default function ApplyWallet() {
   const canApplyWallet = hasWalletBalance && hasOpenSlips;
 
   return (
-    <StackedLayout
-      navbar={
-        <Navbar>
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Apply Wallet Balance</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-          <NavbarSpacer />
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarItem>
-              <NavbarLabel className="text-xs text-gray-500 capitalize">{staffUser?.role || 'Role'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarDivider />
-            <NavbarItem onClick={handleLogout}>
-              <ArrowRightStartOnRectangleIcon />
-              <NavbarLabel>Logout</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-        </Navbar>
-      }
-      sidebar={
-        <Sidebar>
-          <SidebarHeader>
-            <SidebarLabel>Enzi Coffee</SidebarLabel>
-            <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-          </SidebarHeader>
-          <SidebarBody>
-            <SidebarSection>
-              {sidebarItems.map((item) => (
-                <SidebarItem key={item.url} href={item.url} current={item.active}>
-                  <item.icon />
-                  <SidebarLabel>{item.label}</SidebarLabel>
-                </SidebarItem>
-              ))}
-            </SidebarSection>
-          </SidebarBody>
-        </Sidebar>
-      }
-    >
+    <>
       <div className="p-6">
         {/* Header */}
         <div className="mb-6">
           <Button 
             outline 
-            onClick={() => window.location.href = '/staff/wallet'}
+            onClick={() => navigate('/staff/wallet')}
             className="mb-4"
           >
             <ArrowLeftIcon />
@@ -209,6 +155,7 @@ export default function ApplyWallet() {
         {success && (
           <SuccessDisplay message={success.message} className="mb-6" />
         )}
+        <ReceiptActions receipt={receipt} className="mb-6" />
 
         {/* Error Message */}
         {error && (
@@ -386,6 +333,6 @@ export default function ApplyWallet() {
           onSuccess={handleWalletApplicationSuccess}
         />
       </div>
-    </StackedLayout>
+    </>
   );
 }
\ No newline at end of file
@@ -1,33 +1,33 @@
-import { useState, useEffect } from 'react';
-import { useStaffUser } from '../../../providers/UserProvider';
-import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../../../components/sidebar';
-import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../../../components/navbar';
-import { StackedLayout } from '../../../components/stacked-layout';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../../../components/button';
 import { Input, InputGroup } from '../../../components/input';
 import {
-  ArrowRightStartOnRectangleIcon,
   ArrowLeftIcon,
-  ChartBarIcon,
-  ClipboardDocumentListIcon,
-  Cog8ToothIcon,
-  HomeIcon,
   MagnifyingGlassIcon,
-  UserGroupIcon,
-  UsersIcon,
-  WalletIcon,
   FunnelIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
   CalendarIcon,
   ShieldCheckIcon,
-  ExclamationTriangleIcon,
+  ArrowDownTrayIcon,
+  XMarkIcon,
 } from '@heroicons/react/16/solid';
 
 import walletService from '../../../api/wallet-service';
 import { createErrorDisplay } from '../../../utils/error-handler';
+import {
+  EXPORT_PAGE_SIZE,
+  fetchAllPages,
+  buildAuditCsvHeader,
+  buildAuditCsvLines,
+  buildAuditJsonLines,
+  buildExportFilename,
+  downloadFile
+} from '../../../utils/wallet-export';
 import AuditEntry, { AuditEntrySkeleton } from './components/audit-entry';
 import ErrorDisplay, { LoadingDisplay } from './components/error-display';
+import AccessDenied from '../access-denied';
 
 const OPERATION_TYPES = [
   { value: '', label: 'All Operations' },
@@ -36,12 +36,20 @@ const OPERATION_TYPES = [
   { value: 'CHANGE_STORED', label: 'Change Stored' },
   { value: 'WALLET_APPLIED', label: 'Wallet Applied' },
   { value: 'BALANCE_ADJUSTMENT', label: 'Balance Adjustment' },
+  { value: 'CREDIT_SLIP_VOIDED', label: 'Credit Slip Voided' },
+  { value: 'CREDIT_SLIP_ADJUSTED', label: 'Credit Slip Adjusted' },
+  { value: 'WALLET_REFUNDED', label: 'Wallet Refunded' },
 ];
 
 const PAGE_SIZES = [20, 50, 100];
 
+const OPERATION_TYPE_LABELS = OPERATION_TYPES.reduce((labels, type) => {
+  if (type.value) labels[type.value] = type.label;
+  return labels;
+}, {});
+
 export default function AuditTrail() {
-  const staffUser = useStaffUser();
+  const navigate = useNavigate();
   const [auditEntries, setAuditEntries] = useState([]);
   const [pagination, setPagination] = useState(null);
   const [filters, setFilters] = useState({
@@ -55,36 +63,17 @@ export default function AuditTrail() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [accessDenied, setAccessDenied] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
+  const exportControllerRef = useRef(null);
 
+  // Stop a running export when leaving the page
   useEffect(() => {
-    // Check if user has permission to access audit trail
-    // In a real implementation, this would check actual permissions
-    const hasAuditAccess = staffUser?.role === 'admin' || staffUser?.role === 'manager';
-    if (!hasAuditAccess) {
-      setAccessDenied(true);
-      return;
-    }
+    return () => exportControllerRef.current?.abort();
+  }, []);
 
+  useEffect(() => {
     loadAuditTrail();
-  }, [filters, staffUser]);
-
-  const handleLogout = () => {
-    localStorage.removeItem('staffToken');
-    localStorage.removeItem('staffRefreshToken');
-    localStorage.removeItem('staffUser');
-    localStorage.removeItem('staffPermissions');
-    window.location.href = '/staff/login';
-  };
-
-  const sidebarItems = [
-    { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-    { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-    { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-    { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-    { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-    { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-    { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-  ];
+  }, [filters]);
 
   const loadAuditTrail = async () => {
     if (accessDenied) return;
@@ -184,6 +173,8 @@ export default function AuditTrail() {
           has_next: true,
           has_prev: false
         });
+      } else if (response.error?.code === 'UNAUTHORIZED') {
+        setAccessDenied(true);
       } else {
         setError(createErrorDisplay(response));
         setAuditEntries([]);
@@ -222,130 +213,75 @@ export default function AuditTrail() {
     });
   };
 
-  const exportAuditTrail = () => {
-    // This would typically generate a CSV or PDF export
-    alert('Export functionality would be implemented here');
+  const exportAuditTrail = async () => {
+    if (exportControllerRef.current) return;
+
+    const controller = new AbortController();
+    exportControllerRef.current = controller;
+    setExportProgress({ fetched: 0, total: pagination?.total_entries || 0, page: 0, totalPages: 0 });
+    setError(null);
+
+    // Rows are appended page by page so the full trail is never held as entry objects
+    const csvChunks = [buildAuditCsvHeader()];
+    const jsonlChunks = [];
+
+    try {
+      const response = await fetchAllPages(
+        (page) => walletService.getAuditTrail({
+          customerId: filters.customerId || undefined,
+          operationType: filters.operationType || undefined,
+          startDate: filters.startDate || undefined,
+          endDate: filters.endDate || undefined,
+          page,
+          perPage: EXPORT_PAGE_SIZE
+        }, { signal: controller.signal }),
+        {
+          signal: controller.signal,
+          collect: false,
+          onPage: ({ entries, page, totalPages, totalEntries, fetchedCount }) => {
+            csvChunks.push(buildAuditCsvLines(entries, OPERATION_TYPE_LABELS));
+            jsonlChunks.push(buildAuditJsonLines(entries, OPERATION_TYPE_LABELS));
+            setExportProgress({ fetched: fetchedCount, total: totalEntries, page, totalPages });
+          }
+        }
+      );
+
+      if (response.cancelled) return;
+      if (!response.success) {
+        setError(createErrorDisplay(response));
+        return;
+      }
+
+      downloadFile(csvChunks, buildExportFilename('audit-trail', filters.customerId, 'csv'));
+      downloadFile(jsonlChunks, buildExportFilename('audit-trail', filters.customerId, 'jsonl'), 'application/x-ndjson');
+    } catch (err) {
+      console.error('Export audit trail error:', err);
+      setError(createErrorDisplay({ error: { message: 'Failed to export audit trail' } }));
+    } finally {
+      exportControllerRef.current = null;
+      setExportProgress(null);
+    }
+  };
+
+  const cancelExport = () => {
+    exportControllerRef.current?.abort();
   };
 
-  // Access denied screen
+  // The route guard hides the page from staff without the permission; the server has the final say
   if (accessDenied) {
     return (
-      <StackedLayout
-        navbar={
-          <Navbar>
-            <NavbarSection>
-              <NavbarItem>
-                <NavbarLabel>Audit Trail</NavbarLabel>
-              </NavbarItem>
-            </NavbarSection>
-            <NavbarSpacer />
-            <NavbarSection>
-              <NavbarItem>
-                <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-              </NavbarItem>
-              <NavbarItem onClick={handleLogout}>
-                <ArrowRightStartOnRectangleIcon />
-                <NavbarLabel>Logout</NavbarLabel>
-              </NavbarItem>
-            </NavbarSection>
-          </Navbar>
-        }
-        sidebar={
-          <Sidebar>
-            <SidebarHeader>
-              <SidebarLabel>Enzi Coffee</SidebarLabel>
-              <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-            </SidebarHeader>
-            <SidebarBody>
-              <SidebarSection>
-                {sidebarItems.map((item) => (
-                  <SidebarItem key={item.url} href={item.url} current={item.active}>
-                    <item.icon />
-                    <SidebarLabel>{item.label}</SidebarLabel>
-                  </SidebarItem>
-                ))}
-              </SidebarSection>
-            </SidebarBody>
-          </Sidebar>
-        }
-      >
-        <div className="p-6">
-          <Button 
-            outline 
-            onClick={() => window.location.href = '/staff/wallet'}
-            className="mb-4"
-          >
-            <ArrowLeftIcon />
-            Back to Wallet
-          </Button>
-          
-          <div className="max-w-md mx-auto mt-12">
-            <div className="text-center">
-              <ExclamationTriangleIcon className="h-16 w-16 text-red-500 mx-auto mb-4" />
-              <h1 className="text-2xl font-bold text-gray-900 mb-2">Access Denied</h1>
-              <p className="text-gray-600 mb-4">
-                You do not have permission to access the audit trail. This feature is restricted to administrators and managers only.
-              </p>
-              <Button onClick={() => window.location.href = '/staff/wallet'}>
-                Return to Wallet Dashboard
-              </Button>
-            </div>
-          </div>
-        </div>
-      </StackedLayout>
+      <AccessDenied message="You do not have permission to access the audit trail. This feature is restricted to administrators and managers only." />
     );
   }
 
   return (
-    <StackedLayout
-      navbar={
-        <Navbar>
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Audit Trail</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-          <NavbarSpacer />
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarItem>
-              <NavbarLabel className="text-xs text-gray-500 capitalize">{staffUser?.role || 'Role'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarDivider />
-            <NavbarItem onClick={handleLogout}>
-              <ArrowRightStartOnRectangleIcon />
-              <NavbarLabel>Logout</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-        </Navbar>
-      }
-      sidebar={
-        <Sidebar>
-          <SidebarHeader>
-            <SidebarLabel>Enzi Coffee</SidebarLabel>
-            <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-          </SidebarHeader>
-          <SidebarBody>
-            <SidebarSection>
-              {sidebarItems.map((item) => (
-                <SidebarItem key={item.url} href={item.url} current={item.active}>
-                  <item.icon />
-                  <SidebarLabel>{item.label}</SidebarLabel>
-                </SidebarItem>
-              ))}
-            </SidebarSection>
-          </SidebarBody>
-        </Sidebar>
-      }
-    >
+    <>
       <div className="p-6">
         {/* Header */}
         <div className="mb-6">
           <Button 
             outline 
-            onClick={() => window.location.href = '/staff/wallet'}
+            onClick={() => navigate('/staff/wallet')}
             className="mb-4"
           >
             <ArrowLeftIcon />
@@ -378,11 +314,41 @@ export default function AuditTrail() {
               <Button outline onClick={clearFilters}>
                 Clear Filters
               </Button>
-              <Button outline onClick={exportAuditTrail}>
-                Export
+              <Button outline onClick={exportAuditTrail} disabled={!!exportProgress}>
+                <ArrowDownTrayIcon />
+                {exportProgress ? 'Exporting...' : 'Export'}
               </Button>
             </div>
           </div>
+
+          {/* Export Progress */}
+          {exportProgress && (
+            <div className="mb-4 p-4 rounded-lg border border-blue-200 bg-blue-50">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm font-medium text-blue-800">
+                  Exporting audit trail: {exportProgress.fetched}
+                  {exportProgress.total ? ` of ${exportProgress.total}` : ''} entries
+                  {exportProgress.totalPages > 0 && (
+                    <span className="ml-1 font-normal text-blue-600">
+                      (page {exportProgress.page} of {exportProgress.totalPages})
+                    </span>
+                  )}
+                </p>
+                <Button outline size="sm" onClick={cancelExport}>
+                  <XMarkIcon className="h-4 w-4" />
+                  Cancel
+                </Button>
+              </div>
+              <div className="w-full bg-blue-100 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                  style={{
+                    width: `${exportProgress.total ? Math.min(100, Math.round((exportProgress.fetched / exportProgress.total) * 100)) : 0}%`
+                  }}
+                />
+              </div>
+            </div>
+          )}
           
           <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
             {/* Customer ID */}
@@ -557,6 +523,6 @@ export default function AuditTrail() {
           )}
         </div>
       </div>
-    </StackedLayout>
+    </>
   );
 }
\ No newline at end of file
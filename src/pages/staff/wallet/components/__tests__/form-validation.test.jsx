@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, fireEvent, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
+import { createCustomerProfileValidator } from '../form-validation'
 
 // Mock the form validation component
 const MockFormValidation = ({ children, onSubmit, validationRules = {} }) => {
@@ -330,4 +331,42 @@ describe('Form Validation', () => {
       })
     })
   })
-})
\ No newline at end of file
+
+  describe('Customer profile validation', () => {
+    const validProfile = {
+      name: 'Amina Juma',
+      email: 'amina@example.com',
+      city: 'Arusha',
+      date_of_birth: '1990-04-12',
+      phone_number: '0712 345 678'
+    }
+
+    it('should accept a complete profile', () => {
+      const result = createCustomerProfileValidator().validate(validProfile)
+      expect(result.isValid).toBe(true)
+    })
+
+    it('should allow the optional fields to be empty', () => {
+      const result = createCustomerProfileValidator().validate({
+        ...validProfile,
+        email: '',
+        city: '',
+        date_of_birth: ''
+      })
+      expect(result.isValid).toBe(true)
+    })
+
+    it('should reject invalid fields', () => {
+      const result = createCustomerProfileValidator().validate({
+        name: ' ',
+        email: 'amina@',
+        city: 'Arusha',
+        date_of_birth: '2999-01-01',
+        phone_number: '+254712345678'
+      })
+
+      expect(result.isValid).toBe(false)
+      expect(Object.keys(result.errors).sort()).toEqual(['date_of_birth', 'email', 'name', 'phone_number'])
+    })
+  })
+})
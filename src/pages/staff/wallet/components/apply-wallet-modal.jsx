@@ -7,8 +7,9 @@ import {
   CheckCircleIcon,
   ClipboardDocumentListIcon 
 } from '@heroicons/react/16/solid';
-import { formatTZS, subtractAmounts } from '../../../../utils/currency';
+import { formatMoney, subtractAmounts, DEFAULT_CURRENCY } from '../../../../utils/currency';
 import walletService from '../../../../api/wallet-service';
+import useIdempotencyKey from '../../../../util/useIdempotencyKey';
 import { createErrorDisplay, createSuccessDisplay } from '../../../../utils/error-handler';
 import ErrorDisplay, { LoadingDisplay } from './error-display';
 
@@ -22,11 +23,14 @@ export default function ApplyWalletModal({
 }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const { getKey: getIdempotencyKey, resetKey: resetIdempotencyKey } = useIdempotencyKey();
 
   if (!isOpen || !customer || !customerBalance || !creditSlip) {
     return null;
   }
 
+  // The wallet is applied in the slip's own currency
+  const currency = creditSlip.currency || customerBalance.currency || DEFAULT_CURRENCY;
   const walletBalanceCents = customerBalance.wallet_cents || 0;
   const slipRemainingCents = creditSlip.totals?.remaining_cents || 0;
   const canApplyWallet = walletBalanceCents > 0 && slipRemainingCents > 0;
@@ -43,13 +47,21 @@ export default function ApplyWalletModal({
       const walletApplicationData = {
         customer_id: customer.customer_id,
         slip_id: creditSlip._id || creditSlip.slip_id,
-        currency: 'TZS'
+        currency
       };
 
-      const response = await walletService.applyWalletToSlip(walletApplicationData);
+      const response = await walletService.applyWalletToSlip(walletApplicationData, {
+        idempotencyKey: getIdempotencyKey(walletApplicationData),
+        customerName: customer.name
+      });
 
       if (response.success) {
-        const successMessage = `Applied ${formatTZS(response.applied_cents)} from wallet to credit slip`;
+        resetIdempotencyKey();
+        const successMessage = response.queued
+          ? 'Wallet application saved offline — it will sync when the connection is back'
+          : response.replayed
+          ? `Wallet was already applied to this credit slip (${formatMoney(response.applied_cents, currency)})`
+          : `Applied ${formatMoney(response.applied_cents, currency)} from wallet to credit slip`;
         
         // Call success callback to refresh parent data
         if (onSuccess) {
@@ -57,6 +69,9 @@ export default function ApplyWalletModal({
             appliedAmount: response.applied_cents,
             slipStatus: response.slip_status,
             remainingBalance: response.remaining_slip_balance,
+            slipNumber: creditSlip.slip_number,
+            currency,
+            queued: Boolean(response.queued),
             message: successMessage
           });
         }
@@ -135,7 +150,7 @@ export default function ApplyWalletModal({
                   Wallet Balance
                 </p>
                 <p className="text-lg font-bold text-blue-600">
-                  {formatTZS(walletBalanceCents)}
+                  {formatMoney(walletBalanceCents, currency)}
                 </p>
               </div>
               
@@ -144,7 +159,7 @@ export default function ApplyWalletModal({
                   Slip Remaining
                 </p>
                 <p className="text-lg font-bold text-orange-600">
-                  {formatTZS(slipRemainingCents)}
+                  {formatMoney(slipRemainingCents, currency)}
                 </p>
               </div>
             </div>
@@ -161,21 +176,21 @@ export default function ApplyWalletModal({
                   <div className="flex justify-between">
                     <span className="text-green-700">Amount to Apply:</span>
                     <span className="font-semibold text-green-900">
-                      {formatTZS(applicationAmount)}
+                      {formatMoney(applicationAmount, currency)}
                     </span>
                   </div>
                   
                   <div className="flex justify-between">
                     <span className="text-green-700">New Wallet Balance:</span>
                     <span className="font-semibold text-green-900">
-                      {formatTZS(newWalletBalance)}
+                      {formatMoney(newWalletBalance, currency)}
                     </span>
                   </div>
                   
                   <div className="flex justify-between">
                     <span className="text-green-700">Remaining on Slip:</span>
                     <span className="font-semibold text-green-900">
-                      {formatTZS(newSlipRemaining)}
+                      {formatMoney(newSlipRemaining, currency)}
                     </span>
                   </div>
                   
@@ -224,7 +239,7 @@ export default function ApplyWalletModal({
             onClick={handleApplyWallet}
             disabled={loading || !canApplyWallet}
           >
-            {loading ? 'Applying...' : `Apply ${formatTZS(applicationAmount)}`}
+            {loading ? 'Applying...' : `Apply ${formatMoney(applicationAmount, currency)}`}
           </Button>
         </div>
       </div>
@@ -7,7 +7,9 @@ import {
   ChevronUpIcon
 } from '@heroicons/react/16/solid';
 import { useState } from 'react';
-import { formatTZS } from '../../../../utils/currency';
+import { formatMoney } from '../../../../utils/currency';
+import { formatAuditAmounts } from '../../../../utils/api-response';
+import { AUDIT_REASON_LABELS } from '../../../../utils/wallet-export';
 import { Button } from '../../../../components/button';
 
 const OPERATION_TYPE_CONFIG = {
@@ -35,6 +37,21 @@ const OPERATION_TYPE_CONFIG = {
     label: 'Balance Adjustment',
     color: 'yellow',
     description: 'Manual balance adjustment was made'
+  },
+  CREDIT_SLIP_VOIDED: {
+    label: 'Credit Slip Voided',
+    color: 'red',
+    description: 'Credit slip was voided with manager approval'
+  },
+  CREDIT_SLIP_ADJUSTED: {
+    label: 'Credit Slip Adjusted',
+    color: 'amber',
+    description: 'Credit slip lines were adjusted with manager approval'
+  },
+  WALLET_REFUNDED: {
+    label: 'Wallet Refunded',
+    color: 'red',
+    description: 'Wallet balance was paid back to the customer'
   }
 };
 
@@ -58,6 +75,9 @@ export default function AuditEntry({ entry }) {
   };
 
   const timestamp = formatTimestamp(entry.timestamp);
+  const amounts = formatAuditAmounts(entry);
+  const reasonCode = entry.operation_data?.reason_code || entry.operation_data?.reason;
+  const approvedBy = entry.operation_data?.approved_by;
 
   return (
     <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
@@ -93,7 +113,7 @@ export default function AuditEntry({ entry }) {
                   <div>
                     <span className="font-medium text-gray-700">Amount:</span>
                     <span className="ml-1 text-gray-900 font-semibold">
-                      {formatTZS(entry.amount_cents)}
+                      {formatMoney(entry.amount_cents, entry.currency)}
                     </span>
                   </div>
                 )}
@@ -102,6 +122,30 @@ export default function AuditEntry({ entry }) {
                   <span className="font-medium text-gray-700">Currency:</span>
                   <span className="ml-1 text-gray-900">{entry.currency}</span>
                 </div>
+
+                {reasonCode && (
+                  <div className="md:col-span-3">
+                    <span className="font-medium text-gray-700">Reason:</span>
+                    <span className="ml-1 text-gray-900">
+                      {AUDIT_REASON_LABELS[reasonCode] || reasonCode}
+                      {entry.operation_data?.note && ` - ${entry.operation_data.note}`}
+                    </span>
+                    {approvedBy && (
+                      <span className="ml-3 text-gray-600">Approved by {approvedBy}</span>
+                    )}
+                  </div>
+                )}
+
+                {(amounts.balance_before_cents !== null || amounts.balance_after_cents !== null) && (
+                  <div className="md:col-span-3">
+                    <span className="font-medium text-gray-700">Balance:</span>
+                    <span className="ml-1 text-gray-900">
+                      {amounts.balance_before_cents !== null ? formatMoney(amounts.balance_before_cents, entry.currency) : 'N/A'}
+                      {' → '}
+                      {amounts.balance_after_cents !== null ? formatMoney(amounts.balance_after_cents, entry.currency) : 'N/A'}
+                    </span>
+                  </div>
+                )}
               </div>
 
               {/* Staff and timestamp info */}
@@ -238,6 +238,9 @@ export function DeleteConfirmationDialog({
   onClose, 
   onConfirm, 
   itemName,
+  details,
+  actionLabel = 'Delete',
+  title = 'Confirm Deletion',
   loading 
 }) {
   return (
@@ -245,11 +248,45 @@ export function DeleteConfirmationDialog({
       isOpen={isOpen}
       onClose={onClose}
       onConfirm={onConfirm}
-      title="Confirm Deletion"
-      message={`Are you sure you want to delete ${itemName}? This action cannot be undone.`}
+      title={title}
+      message={`Are you sure you want to ${actionLabel.toLowerCase()} ${itemName}? This action cannot be undone.`}
+      details={details}
       type="danger"
-      confirmText="Delete"
+      confirmText={actionLabel}
       loading={loading}
     />
   );
-}
\ No newline at end of file
+}
+export function RefundConfirmationDialog({ 
+  isOpen, 
+  onClose, 
+  onConfirm, 
+  customer, 
+  amount, 
+  method,
+  reason,
+  balanceAfter,
+  loading 
+}) {
+  const details = [
+    `Customer: ${customer?.name}`,
+    `Amount to Pay Back: ${amount}`,
+    `Method: ${method}`,
+    `Reason: ${reason}`,
+    `Wallet Balance After: ${balanceAfter}`
+  ];
+
+  return (
+    <ConfirmationDialog
+      isOpen={isOpen}
+      onClose={onClose}
+      onConfirm={onConfirm}
+      title="Confirm Refund"
+      message="Hand the money to the customer only after confirming. Are you sure you want to pay back this wallet balance?"
+      details={details}
+      type="warning"
+      confirmText="Pay Back"
+      loading={loading}
+    />
+  );
+}
@@ -0,0 +1,46 @@
+import { CURRENCIES, SUPPORTED_CURRENCIES } from '../../../../utils/currency';
+
+/**
+ * Picks the currency a wallet operation is recorded in.
+ * @param {object} props - The component props.
+ * @param {string} props.value - The selected currency code.
+ * @param {Function} props.onChange - Called with the new currency code.
+ * @param {boolean} [props.disabled=false] - Whether the picker is disabled.
+ * @param {Object<string, object>} [props.balances] - Per-currency balances keyed by code, to hint
+ * which currencies the customer already holds.
+ */
+export default function CurrencySelect({ value, onChange, disabled = false, balances = {} }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Currency *
+      </label>
+      <div className="grid grid-cols-3 gap-2">
+        {SUPPORTED_CURRENCIES.map((code) => {
+          const currency = CURRENCIES[code];
+          const holdsBalance = balances[code] && (balances[code].wallet_cents > 0 || balances[code].outstanding_cents > 0);
+
+          return (
+            <button
+              key={code}
+              type="button"
+              disabled={disabled}
+              onClick={() => onChange(code)}
+              title={currency.name}
+              className={`relative flex items-center justify-center gap-1 p-2 rounded-lg border text-sm font-medium transition-colors disabled:opacity-50 ${value === code
+                  ? 'bg-blue-50 border-blue-200 text-blue-700'
+                  : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+                }`}
+            >
+              {code}
+              {currency.symbol !== code && <span className="text-gray-400">{currency.symbol}</span>}
+              {holdsBalance && (
+                <span className="absolute top-1 right-1 h-1.5 w-1.5 rounded-full bg-green-500" aria-label="Customer has a balance in this currency" />
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,21 @@
-import { formatTZS, formatBalanceDisplay } from '../../../../utils/currency';
+import { formatTZS, formatMoney, formatBalanceDisplay, DEFAULT_CURRENCY } from '../../../../utils/currency';
 import { WalletIcon, ExclamationTriangleIcon, CheckCircleIcon } from '@heroicons/react/16/solid';
+import { Badge } from '../../../../components/badge';
 
-export default function CustomerBalanceCard({ balance, customer }) {
+// `tier` is the customer's loyalty tier (see utils/loyalty-tiers), when their receipts are loaded
+export default function CustomerBalanceCard({ balance, customer, balances = [], tier = null }) {
   if (!balance || !customer) {
     return null;
   }
 
-  const walletDisplay = formatBalanceDisplay(balance.wallet_cents);
+  const currency = balance.currency || DEFAULT_CURRENCY;
+  const formatAmount = (cents) => formatMoney(cents, currency);
+  // Balances the customer holds in other currencies, e.g. USD taken from tourists
+  const otherBalances = balances.filter(entry =>
+    entry.currency !== currency && (entry.wallet_cents !== 0 || entry.outstanding_cents !== 0 || entry.open_slips_count > 0)
+  );
+
+  const walletDisplay = formatBalanceDisplay(balance.wallet_cents, currency);
   const outstandingDisplay = formatBalanceDisplay(balance.outstanding_cents);
   const hasOutstanding = balance.outstanding_cents > 0;
   const hasWalletBalance = balance.wallet_cents > 0;
@@ -17,7 +26,10 @@ export default function CustomerBalanceCard({ balance, customer }) {
       <div className="px-6 py-5 border-b border-gray-200 bg-gradient-to-r from-blue-50 to-white">
         <div className="flex items-center justify-between">
           <div>
-            <h3 className="text-xl font-semibold text-gray-900">{customer.name}</h3>
+            <div className="flex items-center gap-2">
+              <h3 className="text-xl font-semibold text-gray-900">{customer.name}</h3>
+              {tier && <Badge color={tier.color}>{tier.name}</Badge>}
+            </div>
             <div className="flex flex-col sm:flex-row sm:items-center sm:gap-4 mt-2">
               {customer.phone_number && (
                 <p className="text-sm text-gray-600 flex items-center">
@@ -100,7 +112,7 @@ export default function CustomerBalanceCard({ balance, customer }) {
               <p className={`text-3xl font-bold ${
                 hasOutstanding ? 'text-red-600' : 'text-gray-500'
               }`}>
-                {formatTZS(balance.outstanding_cents)}
+                {formatAmount(balance.outstanding_cents)}
               </p>
               {hasOutstanding ? (
                 <p className="text-xs text-red-600 mt-2 font-medium">Amount Due</p>
@@ -140,6 +152,39 @@ export default function CustomerBalanceCard({ balance, customer }) {
           </div>
         </div>
 
+        {/* Other Currencies */}
+        {otherBalances.length > 0 && (
+          <div className="mt-5 rounded-lg border border-gray-200 overflow-hidden">
+            <div className="px-4 py-2 bg-gray-50 border-b border-gray-200">
+              <p className="text-xs font-medium text-gray-600 uppercase tracking-wider">Other Currencies</p>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr className="text-xs text-gray-500">
+                  <th className="px-4 py-2 text-left font-medium">Currency</th>
+                  <th className="px-4 py-2 text-right font-medium">Wallet</th>
+                  <th className="px-4 py-2 text-right font-medium">Outstanding</th>
+                  <th className="px-4 py-2 text-right font-medium">Open Slips</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {otherBalances.map(entry => (
+                  <tr key={entry.currency} className="text-sm">
+                    <td className="px-4 py-2 font-semibold text-gray-800">{entry.currency}</td>
+                    <td className={`px-4 py-2 text-right font-medium ${entry.wallet_cents > 0 ? 'text-green-600' : 'text-gray-500'}`}>
+                      {formatMoney(entry.wallet_cents, entry.currency)}
+                    </td>
+                    <td className={`px-4 py-2 text-right font-medium ${entry.outstanding_cents > 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                      {formatMoney(entry.outstanding_cents, entry.currency)}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">{entry.open_slips_count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Account Status & Visit Count */}
         <div className="mt-5 flex flex-col sm:flex-row sm:items-center sm:justify-between p-4 bg-gray-50 rounded-lg border border-gray-200">
           <div className="flex items-center mb-3 sm:mb-0">
@@ -189,11 +234,11 @@ export default function CustomerBalanceCard({ balance, customer }) {
             </svg>
             <p className="text-sm text-gray-700 leading-relaxed">
               {hasWalletBalance && hasOutstanding ? (
-                <>This customer has <span className="font-semibold text-green-600">{formatTZS(balance.wallet_cents)}</span> available credit and owes <span className="font-semibold text-red-600">{formatTZS(balance.outstanding_cents)}</span>. Consider settling the outstanding amount first.</>
+                <>This customer has <span className="font-semibold text-green-600">{formatAmount(balance.wallet_cents)}</span> available credit and owes <span className="font-semibold text-red-600">{formatAmount(balance.outstanding_cents)}</span>. Consider settling the outstanding amount first.</>
               ) : hasWalletBalance ? (
-                <>This customer has <span className="font-semibold text-green-600">{formatTZS(balance.wallet_cents)}</span> available credit which can be used for purchases.</>
+                <>This customer has <span className="font-semibold text-green-600">{formatAmount(balance.wallet_cents)}</span> available credit which can be used for purchases.</>
               ) : hasOutstanding ? (
-                <>This customer owes <span className="font-semibold text-red-600">{formatTZS(balance.outstanding_cents)}</span>. Payment should be collected.</>
+                <>This customer owes <span className="font-semibold text-red-600">{formatAmount(balance.outstanding_cents)}</span>. Payment should be collected.</>
               ) : (
                 <>This customer's account is clear with no outstanding balance or available credit.</>
               )}
@@ -0,0 +1,301 @@
+import { useState, useEffect, useRef } from 'react';
+import { Input, InputGroup } from '../../../../components/input';
+import {
+  MagnifyingGlassIcon,
+  XMarkIcon,
+  PhoneIcon,
+  EnvelopeIcon,
+  UserCircleIcon,
+  ClockIcon,
+} from '@heroicons/react/16/solid';
+import walletService from '../../../../api/wallet-service';
+import { useSelectedCustomer } from '../../../../providers/SelectedCustomerProvider';
+import { formatCustomerData } from '../../../../utils/api-response';
+import {
+  getCustomerQueryType,
+  getRecentCustomers,
+  addRecentCustomer,
+  moveHighlight,
+  findTextMatch
+} from '../../../../utils/customer-picker';
+import { findPhoneMatch } from '../../../../utils/phone-number';
+import CustomerScanner from './customer-scanner';
+
+const SEARCH_DELAY_MS = 300;
+const LISTBOX_ID = 'customer-picker-options';
+
+/**
+ * Shows text with the part that matched the search highlighted.
+ * @param {object} props - The component props.
+ * @param {string} props.text - The text to show.
+ * @param {{start: number, end: number}|null} props.match - The range to highlight.
+ */
+function HighlightedText({ text, match }) {
+  if (!match) return text;
+
+  return (
+    <>
+      {text.slice(0, match.start)}
+      <mark className="bg-yellow-100 text-inherit rounded-sm">{text.slice(match.start, match.end)}</mark>
+      {text.slice(match.end)}
+    </>
+  );
+}
+
+/**
+ * Finds and selects the customer being served. Searches by name, phone number or
+ * customer ID as staff type, offers the customers picked recently on this device, and
+ * can be driven from the keyboard (arrow keys, Enter, Escape). The picked customer
+ * becomes the selected customer (see providers/SelectedCustomerProvider).
+ * @param {object} props - The component props.
+ * @param {boolean} [props.disabled=false] - Whether the picker is disabled.
+ * @param {string|null} [props.error=null] - A validation message from the page's form.
+ * @param {boolean} [props.autoFocus=false] - Whether to focus the search field on mount.
+ */
+export default function CustomerPicker({ disabled = false, error = null, autoFocus = false }) {
+  const { selectCustomer, loading: resolving, error: selectionError } = useSelectedCustomer();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [recentCustomers, setRecentCustomers] = useState(() => getRecentCustomers());
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [searchedQuery, setSearchedQuery] = useState('');
+  const containerRef = useRef(null);
+  const timeoutRef = useRef(null);
+  const searchRef = useRef(null);
+
+  const showingRecent = query.trim() === '';
+  const options = showingRecent ? recentCustomers : results;
+  const message = error || searchError || selectionError;
+  // Highlight against the search the results came from, not what is being typed now
+  const matchQuery = showingRecent ? '' : searchedQuery;
+
+  // Drop any pending search when the picker goes away
+  useEffect(() => () => {
+    clearTimeout(timeoutRef.current);
+    searchRef.current?.abort();
+  }, []);
+
+  // Close the list when clicking elsewhere on the page
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const cancelSearch = () => {
+    clearTimeout(timeoutRef.current);
+    searchRef.current?.abort();
+    setSearching(false);
+  };
+
+  const runSearch = async (term) => {
+    // A newer search makes the one in flight stale
+    searchRef.current?.abort();
+    const controller = new AbortController();
+    searchRef.current = controller;
+
+    setSearching(true);
+    setSearchError(null);
+
+    const response = await walletService.findCustomers(term, { signal: controller.signal });
+    if (response.cancelled || controller.signal.aborted) return;
+
+    setSearching(false);
+    if (response.success && response.customers?.length > 0) {
+      setResults(response.customers);
+      setSearchedQuery(term);
+      setHighlighted(0);
+      setIsOpen(true);
+    } else {
+      setResults([]);
+      setHighlighted(-1);
+      setIsOpen(false);
+      setSearchError(response.success || response.error?.code === 'CUSTOMER_NOT_FOUND'
+        ? 'No customers found'
+        : response.error?.message || 'Failed to search customers');
+    }
+  };
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setQuery(value);
+    setSearchError(null);
+    cancelSearch();
+
+    if (!getCustomerQueryType(value)) {
+      setResults([]);
+      setHighlighted(-1);
+      setIsOpen(value.trim() === '' && recentCustomers.length > 0);
+      return;
+    }
+
+    timeoutRef.current = setTimeout(() => runSearch(value), SEARCH_DELAY_MS);
+  };
+
+  const pickCustomer = (customerData) => {
+    const customer = formatCustomerData(customerData);
+    cancelSearch();
+    setRecentCustomers(addRecentCustomer(customer));
+    setQuery('');
+    setResults([]);
+    setHighlighted(-1);
+    setIsOpen(false);
+    setSearchError(null);
+    selectCustomer(customer);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        e.preventDefault();
+        setIsOpen(options.length > 0);
+        setHighlighted(current => moveHighlight(current, options.length, e.key === 'ArrowDown' ? 1 : -1));
+        break;
+      case 'Enter':
+        // The picker sits inside the page's form; Enter picks rather than submits
+        e.preventDefault();
+        if (isOpen && options[highlighted]) {
+          pickCustomer(options[highlighted]);
+        } else if (getCustomerQueryType(query)) {
+          cancelSearch();
+          runSearch(query);
+        }
+        break;
+      case 'Escape':
+        setIsOpen(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleFocus = () => {
+    if (showingRecent && recentCustomers.length > 0) {
+      setIsOpen(true);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <div className="flex gap-4 mb-2">
+        <div className="flex-1 relative">
+          <InputGroup>
+            <MagnifyingGlassIcon className="text-gray-400" />
+            <Input
+              type="text"
+              role="combobox"
+              aria-expanded={isOpen}
+              aria-controls={LISTBOX_ID}
+              aria-activedescendant={isOpen && highlighted >= 0 ? `${LISTBOX_ID}-${highlighted}` : undefined}
+              autoComplete="off"
+              autoFocus={autoFocus}
+              placeholder="Search by name, phone number or customer ID..."
+              value={query}
+              onChange={handleChange}
+              onKeyDown={handleKeyDown}
+              onFocus={handleFocus}
+              disabled={disabled || resolving}
+              className="pr-10 text-black placeholder-gray-500"
+              style={{ color: 'black' }}
+            />
+            {(searching || resolving) && (
+              <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+              </div>
+            )}
+          </InputGroup>
+        </div>
+        <CustomerScanner onCustomer={pickCustomer} disabled={disabled || resolving} />
+      </div>
+
+      <p className="text-xs text-gray-500 mb-4">
+        {resolving
+          ? 'Loading customer...'
+          : 'Start typing to search. Use the arrow keys and Enter to pick a customer.'}
+      </p>
+
+      {isOpen && options.length > 0 && (
+        <div
+          id={LISTBOX_ID}
+          role="listbox"
+          className="absolute z-10 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto"
+        >
+          <div className="p-2 border-b border-gray-100 bg-gray-50">
+            <p className="text-sm text-gray-600 font-medium flex items-center">
+              {showingRecent ? (
+                <>
+                  <ClockIcon className="h-4 w-4 mr-1 text-gray-400" />
+                  Recent customers
+                </>
+              ) : (
+                `Found ${options.length} customer${options.length !== 1 ? 's' : ''}`
+              )}
+            </p>
+          </div>
+          {options.map((option, index) => (
+            <div
+              key={option.customer_id || option._id || option.id || index}
+              id={`${LISTBOX_ID}-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              className={`p-3 cursor-pointer border-b border-gray-100 last:border-b-0 ${index === highlighted ? 'bg-blue-50' : 'hover:bg-blue-50'}`}
+              onMouseEnter={() => setHighlighted(index)}
+              onClick={() => pickCustomer(option)}
+            >
+              <div className="flex items-start gap-3">
+                <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
+                  <UserCircleIcon className="h-6 w-6 text-blue-500" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <h4 className="font-medium text-gray-900 truncate">
+                    <HighlightedText text={option.name || ''} match={findTextMatch(option.name, matchQuery)} />
+                  </h4>
+                  <div className="flex flex-col gap-1 mt-1">
+                    {option.phone_number && (
+                      <p className="text-xs text-gray-600 flex items-center">
+                        <PhoneIcon className="h-3 w-3 mr-1 text-gray-400" />
+                        <HighlightedText
+                          text={option.phone_number}
+                          match={getCustomerQueryType(matchQuery) === 'phone' ? findPhoneMatch(option.phone_number, matchQuery) : null}
+                        />
+                      </p>
+                    )}
+                    {option.email && (
+                      <p className="text-xs text-gray-600 flex items-center">
+                        <EnvelopeIcon className="h-3 w-3 mr-1 text-gray-400" />
+                        {option.email}
+                      </p>
+                    )}
+                    {option.total_visits > 0 && (
+                      <p className="text-xs text-gray-500">
+                        {option.total_visits} visits
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message && (
+        <p className="mt-2 text-sm text-red-600 flex items-center">
+          <XMarkIcon className="h-4 w-4 mr-1" />
+          {message}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button } from '../../../../components/button';
+import { Input } from '../../../../components/input';
+import { QrCodeIcon, XMarkIcon } from '@heroicons/react/16/solid';
+import walletService from '../../../../api/wallet-service';
+import { normalizeScannedCode, isCustomerCode } from '../../../../utils/customer-code';
+
+const SCAN_INTERVAL_MS = 300;
+
+const supportsCameraScanning = () =>
+  typeof window !== 'undefined' && 'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * Identifies a customer from the QR code on their wallet page. Uses the camera where
+ * the browser supports `BarcodeDetector`; a handheld (keyboard-wedge) scanner can
+ * always type the code into the scan field.
+ * @param {object} props - The component props.
+ * @param {Function} props.onCustomer - Called with the customer the code belongs to.
+ * @param {boolean} [props.disabled=false] - Whether scanning is disabled.
+ */
+export default function CustomerScanner({ onCustomer, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [code, setCode] = useState('');
+  const [resolving, setResolving] = useState(false);
+  const [error, setError] = useState(null);
+  const [cameraError, setCameraError] = useState(null);
+  const videoRef = useRef(null);
+  const inputRef = useRef(null);
+  const resolvingRef = useRef(false);
+  // The last code the camera read that was turned down, so it is not sent again every frame
+  const rejectedCodeRef = useRef(null);
+
+  const close = () => {
+    setIsOpen(false);
+    setCode('');
+    setError(null);
+    setCameraError(null);
+    rejectedCodeRef.current = null;
+  };
+
+  // Returns false when the code was turned down, so the camera loop can skip it
+  const resolveCode = async (value) => {
+    const scanned = normalizeScannedCode(value);
+    if (!scanned || resolvingRef.current) return true;
+
+    if (!isCustomerCode(scanned)) {
+      setError('That is not a customer wallet code');
+      setCode('');
+      return false;
+    }
+
+    resolvingRef.current = true;
+    setResolving(true);
+    setError(null);
+
+    const response = await walletService.resolveCustomerCode(scanned);
+
+    resolvingRef.current = false;
+    setResolving(false);
+
+    if (response.success && response.customers?.length > 0) {
+      onCustomer(response.customers[0]);
+      close();
+      return true;
+    }
+    setError(response.error?.message || 'Customer not found');
+    setCode('');
+    inputRef.current?.focus();
+    return false;
+  };
+
+  // Watch the camera for a QR code while the scanner is open
+  useEffect(() => {
+    if (!isOpen || !supportsCameraScanning()) return undefined;
+
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const scan = async () => {
+      if (stopped) return;
+      try {
+        if (videoRef.current?.readyState >= 2 && !resolvingRef.current) {
+          const [barcode] = await detector.detect(videoRef.current);
+          if (barcode?.rawValue && barcode.rawValue !== rejectedCodeRef.current) {
+            const accepted = await resolveCode(barcode.rawValue);
+            rejectedCodeRef.current = accepted ? null : barcode.rawValue;
+          }
+        }
+      } catch (err) {
+        console.error('Barcode detection error:', err);
+      }
+      if (!stopped) timer = setTimeout(scan, SCAN_INTERVAL_MS);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        if (stopped) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        videoRef.current.play();
+        scan();
+      })
+      .catch(() => setCameraError('The camera is not available. Use a handheld scanner instead.'));
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [isOpen]);
+
+  const handleKeyDown = (e) => {
+    // Handheld scanners finish with Enter; keep it from submitting the page's form
+    if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      resolveCode(code);
+    }
+  };
+
+  return (
+    <>
+      <Button type="button" outline onClick={() => setIsOpen(true)} disabled={disabled}>
+        <QrCodeIcon />
+        Scan Code
+      </Button>
+
+      {isOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Scan Customer Code</h3>
+              <Button type="button" size="sm" outline onClick={close}>
+                <XMarkIcon className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {supportsCameraScanning() && !cameraError && (
+                <video
+                  ref={videoRef}
+                  muted
+                  playsInline
+                  className="w-full aspect-square object-cover rounded-lg bg-gray-900"
+                />
+              )}
+              {cameraError && (
+                <p className="text-sm text-gray-600">{cameraError}</p>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {supportsCameraScanning() ? 'Or scan with a handheld scanner' : 'Scan with a handheld scanner'}
+                </label>
+                <Input
+                  ref={inputRef}
+                  type="text"
+                  autoFocus
+                  autoComplete="off"
+                  placeholder="Waiting for scan..."
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  onKeyDown={handleKeyDown}
+                  disabled={resolving}
+                />
+              </div>
+
+              {resolving && (
+                <p className="text-sm text-blue-600">Looking up customer...</p>
+              )}
+              {error && (
+                <p className="text-sm text-red-600">{error}</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../../../../components/button';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../../../../components/table';
 import { 
@@ -10,8 +11,10 @@ import {
 import { formatTZS } from '../../../../utils/currency';
 import { LoadingDisplay } from './error-display';
 import walletService from '../../../../api/wallet-service';
+import { getStaffCustomerPath } from '../../../../util/paths';
 
 export default function CustomersWithBalance({ limit = 5 }) {
+  const navigate = useNavigate();
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -56,7 +59,7 @@ export default function CustomersWithBalance({ limit = 5 }) {
   };
 
   const handleViewCustomer = (customerId) => {
-    window.location.href = `/staff/wallet/search?customer_id=${customerId}`;
+    navigate(getStaffCustomerPath(customerId));
   };
 
   const formatDate = (dateString) => {
@@ -1,4 +1,5 @@
 import { ExclamationCircleIcon, CheckCircleIcon } from '@heroicons/react/16/solid';
+import { normalizePhoneNumber } from '../../../../utils/phone-number';
 
 // Enhanced Input component with validation
 export function ValidatedInput({ 
@@ -231,6 +232,23 @@ export const createChangeValidator = () => {
     .custom('amount', walletValidators.tzsAmount, 'Please enter a valid amount');
 };
 
+// Customer profile edits (customer-facing, see elements/customer-profile)
+export const createCustomerProfileValidator = () => {
+  return new FormValidator()
+    .required('name', 'Please enter your name')
+    .minLength('name', 2)
+    .maxLength('name', 100)
+    .email('email')
+    .maxLength('city', 60)
+    .custom('date_of_birth', (value) => {
+      if (!value) return true;
+      const date = new Date(value);
+      return !isNaN(date.getTime()) && date <= new Date() && date.getFullYear() >= 1900;
+    }, 'Please enter a valid birthday')
+    .required('phone_number', 'Please enter your phone number')
+    .custom('phone_number', (value) => !value || !!normalizePhoneNumber(value), 'Please enter a valid Tanzanian phone number');
+};
+
 // Form field highlighting utility
 export const getFieldClasses = (hasError, hasSuccess = false) => {
   if (hasError) {
@@ -8,17 +8,31 @@ import {
   WalletIcon,
   ClipboardDocumentListIcon 
 } from '@heroicons/react/16/solid';
-import { formatTZS, validateTZSInput, subtractAmounts, addAmounts } from '../../../../utils/currency';
+import { formatMoney, validateMoneyInput, subtractAmounts, addAmounts, DEFAULT_CURRENCY } from '../../../../utils/currency';
+import { ALLOCATION_STRATEGIES, allocatePayment, previewSlipStatuses } from '../../../../utils/payment-allocation';
+
+const STATUS_STYLES = {
+  OPEN: 'bg-red-100 text-red-800',
+  PARTIALLY_PAID: 'bg-yellow-100 text-yellow-800',
+  PAID: 'bg-green-100 text-green-800'
+};
+
+const amountForInput = (cents, currency) =>
+  formatMoney(cents, currency, { showCurrency: false, useGrouping: false, minimumFractionDigits: 0 });
 
 export default function PaymentAllocator({ 
   paymentAmountCents, 
   openSlips, 
   allocations, 
-  onAllocationsChange 
+  onAllocationsChange,
+  currency = DEFAULT_CURRENCY
 }) {
   const [slipAllocations, setSlipAllocations] = useState({});
   const [walletAllocation, setWalletAllocation] = useState(0);
   const [errors, setErrors] = useState({});
+  // Start from the oldest-first split the counter has always used
+  const [strategy, setStrategy] = useState('OLDEST_FIRST');
+  const [selectedSlipIds, setSelectedSlipIds] = useState([]);
 
   // Initialize allocations when props change
   useEffect(() => {
@@ -44,6 +58,8 @@ export default function PaymentAllocator({
   const totalAllocated = addAmounts(totalSlipAllocations, walletAllocation);
   const remainingAmount = subtractAmounts(paymentAmountCents, totalAllocated);
   const isOverAllocated = remainingAmount < 0;
+  const slipPreview = previewSlipStatuses(openSlips, slipAllocations);
+  const slipsSettled = slipPreview.filter(preview => preview.status_after === 'PAID').length;
 
   // Update parent component when allocations change
   useEffect(() => {
@@ -71,14 +87,25 @@ export default function PaymentAllocator({
     onAllocationsChange(allocationArray);
   }, [slipAllocations, walletAllocation, onAllocationsChange]);
 
+  // Keep a chosen strategy applied while the payment amount or slip selection changes
+  useEffect(() => {
+    if (!strategy) return;
+
+    const allocation = allocatePayment(strategy, paymentAmountCents, openSlips, { selectedSlipIds });
+    setSlipAllocations(allocation.slipAllocations);
+    setWalletAllocation(allocation.walletCents);
+    setErrors({});
+  }, [strategy, paymentAmountCents, openSlips, selectedSlipIds]);
+
   const handleSlipAllocation = (slipId, inputValue) => {
+    setStrategy(null);
     if (inputValue === '') {
       setSlipAllocations(prev => ({ ...prev, [slipId]: 0 }));
       setErrors(prev => ({ ...prev, [slipId]: null }));
       return;
     }
 
-    const validation = validateTZSInput(inputValue);
+    const validation = validateMoneyInput(inputValue, currency);
     if (validation.isValid) {
       const slip = openSlips.find(s => s._id === slipId);
       const maxAmount = slip ? slip.totals?.remaining_cents || 0 : 0;
@@ -86,7 +113,7 @@ export default function PaymentAllocator({
       if (validation.amount > maxAmount) {
         setErrors(prev => ({ 
           ...prev, 
-          [slipId]: `Cannot exceed remaining amount of ${formatTZS(maxAmount)}` 
+          [slipId]: `Cannot exceed remaining amount of ${formatMoney(maxAmount, currency)}` 
         }));
       } else {
         setSlipAllocations(prev => ({ ...prev, [slipId]: validation.amount }));
@@ -98,13 +125,14 @@ export default function PaymentAllocator({
   };
 
   const handleWalletAllocation = (inputValue) => {
+    setStrategy(null);
     if (inputValue === '') {
       setWalletAllocation(0);
       setErrors(prev => ({ ...prev, wallet: null }));
       return;
     }
 
-    const validation = validateTZSInput(inputValue);
+    const validation = validateMoneyInput(inputValue, currency);
     if (validation.isValid) {
       setWalletAllocation(validation.amount);
       setErrors(prev => ({ ...prev, wallet: null }));
@@ -113,30 +141,14 @@ export default function PaymentAllocator({
     }
   };
 
-  const autoAllocate = () => {
-    let remainingPayment = paymentAmountCents;
-    const newSlipAllocations = {};
-
-    // First, allocate to open slips in order
-    openSlips.forEach(slip => {
-      if (remainingPayment <= 0) return;
-      
-      const slipRemaining = slip.totals?.remaining_cents || 0;
-      const allocationAmount = Math.min(remainingPayment, slipRemaining);
-      
-      if (allocationAmount > 0) {
-        newSlipAllocations[slip._id] = allocationAmount;
-        remainingPayment = subtractAmounts(remainingPayment, allocationAmount);
-      }
-    });
-
-    // Remaining amount goes to wallet
-    setSlipAllocations(newSlipAllocations);
-    setWalletAllocation(remainingPayment);
-    setErrors({});
+  const toggleSlipSelection = (slipId) => {
+    setSelectedSlipIds(prev => prev.includes(slipId)
+      ? prev.filter(id => id !== slipId)
+      : [...prev, slipId]);
   };
 
   const clearAllocations = () => {
+    setStrategy(null);
     setSlipAllocations({});
     setWalletAllocation(0);
     setErrors({});
@@ -149,12 +161,12 @@ export default function PaymentAllocator({
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
           <div>
             <p className="text-sm text-blue-600 font-medium">Payment Amount</p>
-            <p className="text-xl font-bold text-blue-800">{formatTZS(paymentAmountCents)}</p>
+            <p className="text-xl font-bold text-blue-800">{formatMoney(paymentAmountCents, currency)}</p>
           </div>
           <div>
             <p className="text-sm text-blue-600 font-medium">Total Allocated</p>
             <p className={`text-xl font-bold ${isOverAllocated ? 'text-red-600' : 'text-blue-800'}`}>
-              {formatTZS(totalAllocated)}
+              {formatMoney(totalAllocated, currency)}
             </p>
           </div>
           <div>
@@ -162,7 +174,7 @@ export default function PaymentAllocator({
             <p className={`text-xl font-bold ${
               isOverAllocated ? 'text-red-600' : remainingAmount === 0 ? 'text-green-600' : 'text-blue-800'
             }`}>
-              {formatTZS(Math.abs(remainingAmount))}
+              {formatMoney(Math.abs(remainingAmount), currency)}
               {isOverAllocated && ' (Over)'}
             </p>
           </div>
@@ -176,14 +188,35 @@ export default function PaymentAllocator({
         )}
       </div>
 
-      {/* Auto Allocation Buttons */}
-      <div className="flex gap-3 justify-center">
-        <Button outline onClick={autoAllocate}>
-          Auto Allocate
-        </Button>
-        <Button outline onClick={clearAllocations}>
-          Clear All
-        </Button>
+      {/* Auto Allocation Strategies */}
+      <div>
+        <div className="flex flex-wrap gap-3 justify-center">
+          {ALLOCATION_STRATEGIES.map((option) => (
+            <Button
+              type="button"
+              key={option.value}
+              title={option.description}
+              color={strategy === option.value ? 'blue' : undefined}
+              outline={strategy !== option.value}
+              onClick={() => setStrategy(option.value)}
+              disabled={paymentAmountCents <= 0}
+            >
+              {option.label}
+            </Button>
+          ))}
+          <Button type="button" outline onClick={clearAllocations}>
+            Clear All
+          </Button>
+        </div>
+        {strategy === 'SELECTED_THEN_WALLET' && selectedSlipIds.length === 0 && (
+          <p className="mt-2 text-sm text-center text-gray-600">Tick the slips to settle below</p>
+        )}
+        {totalAllocated > 0 && (
+          <p className="mt-2 text-sm text-center text-gray-600">
+            Closes {slipsSettled} of {openSlips.length} slips
+            {walletAllocation > 0 && ` • ${formatMoney(walletAllocation, currency)} tops up the wallet`}
+          </p>
+        )}
       </div>
 
       {/* Credit Slips Allocation */}
@@ -200,42 +233,52 @@ export default function PaymentAllocator({
             <Table>
               <TableHead>
                 <TableRow>
+                  <TableHeader>Settle</TableHeader>
                   <TableHeader>Slip Number</TableHeader>
                   <TableHeader>Status</TableHeader>
                   <TableHeader>Remaining Amount</TableHeader>
                   <TableHeader>Allocation</TableHeader>
+                  <TableHeader>After Payment</TableHeader>
                   <TableHeader>Actions</TableHeader>
                 </TableRow>
               </TableHead>
               <TableBody>
-                {openSlips.map((slip) => {
+                {openSlips.map((slip, index) => {
                   const slipId = slip._id;
                   const remainingAmount = slip.totals?.remaining_cents || 0;
                   const currentAllocation = slipAllocations[slipId] || 0;
+                  const preview = slipPreview[index];
                   
                   return (
                     <TableRow key={slipId}>
+                      <TableCell>
+                        <input
+                          type="checkbox"
+                          aria-label={`Settle slip ${slip.slip_number}`}
+                          checked={selectedSlipIds.includes(slipId)}
+                          onChange={() => toggleSlipSelection(slipId)}
+                          className="h-4 w-4 rounded border-gray-300"
+                        />
+                      </TableCell>
                       <TableCell className="font-mono text-sm">
                         {slip.slip_number}
                       </TableCell>
                       <TableCell>
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                          slip.status === 'OPEN' 
-                            ? 'bg-red-100 text-red-800'
-                            : 'bg-yellow-100 text-yellow-800'
+                          STATUS_STYLES[slip.status] || STATUS_STYLES.PARTIALLY_PAID
                         }`}>
                           {slip.status}
                         </span>
                       </TableCell>
                       <TableCell className="font-semibold">
-                        {formatTZS(remainingAmount)}
+                        {formatMoney(remainingAmount, currency)}
                       </TableCell>
                       <TableCell>
                         <div className="w-32">
                           <Input
                             type="text"
                             placeholder="0"
-                            value={currentAllocation > 0 ? formatTZS(currentAllocation, false) : ''}
+                            value={currentAllocation > 0 ? amountForInput(currentAllocation, currency) : ''}
                             onChange={(e) => handleSlipAllocation(slipId, e.target.value)}
                             className="text-right"
                           />
@@ -244,11 +287,22 @@ export default function PaymentAllocator({
                           )}
                         </div>
                       </TableCell>
+                      <TableCell>
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                          STATUS_STYLES[preview.status_after] || STATUS_STYLES.PARTIALLY_PAID
+                        }`}>
+                          {preview.status_after}
+                        </span>
+                        {preview.status_after !== 'PAID' && (
+                          <p className="mt-1 text-xs text-gray-500">Owes {formatMoney(preview.remaining_after_cents, currency)}</p>
+                        )}
+                      </TableCell>
                       <TableCell>
                         <Button
+                          type="button"
                           size="sm"
                           outline
-                          onClick={() => handleSlipAllocation(slipId, formatTZS(remainingAmount, false))}
+                          onClick={() => handleSlipAllocation(slipId, amountForInput(remainingAmount, currency))}
                         >
                           Pay Full
                         </Button>
@@ -277,7 +331,7 @@ export default function PaymentAllocator({
               <Input
                 type="text"
                 placeholder="Enter amount to add to wallet..."
-                value={walletAllocation > 0 ? formatTZS(walletAllocation, false) : ''}
+                value={walletAllocation > 0 ? amountForInput(walletAllocation, currency) : ''}
                 onChange={(e) => handleWalletAllocation(e.target.value)}
               />
               {errors.wallet && (
@@ -285,8 +339,9 @@ export default function PaymentAllocator({
               )}
             </div>
             <Button
+              type="button"
               outline
-              onClick={() => handleWalletAllocation(formatTZS(remainingAmount, false))}
+              onClick={() => handleWalletAllocation(amountForInput(remainingAmount, currency))}
               disabled={remainingAmount <= 0}
             >
               Add Remaining
@@ -298,7 +353,7 @@ export default function PaymentAllocator({
               <div className="flex items-center">
                 <CheckCircleIcon className="h-5 w-5 text-green-400 mr-2" />
                 <span className="text-sm text-green-800">
-                  {formatTZS(walletAllocation)} will be added to customer's wallet balance
+                  {formatMoney(walletAllocation, currency)} will be added to customer's wallet balance
                 </span>
               </div>
             </div>
@@ -319,7 +374,7 @@ export default function PaymentAllocator({
                   <span className="text-gray-600">
                     Credit Slip {slip?.slip_number}:
                   </span>
-                  <span className="font-medium">{formatTZS(amount)}</span>
+                  <span className="font-medium">{formatMoney(amount, currency)}</span>
                 </div>
               );
             })}
@@ -327,7 +382,7 @@ export default function PaymentAllocator({
             {walletAllocation > 0 && (
               <div className="flex justify-between">
                 <span className="text-gray-600">Wallet Balance:</span>
-                <span className="font-medium">{formatTZS(walletAllocation)}</span>
+                <span className="font-medium">{formatMoney(walletAllocation, currency)}</span>
               </div>
             )}
             
@@ -335,7 +390,7 @@ export default function PaymentAllocator({
             <div className="flex justify-between font-semibold">
               <span>Total Allocated:</span>
               <span className={isOverAllocated ? 'text-red-600' : 'text-gray-900'}>
-                {formatTZS(totalAllocated)}
+                {formatMoney(totalAllocated, currency)}
               </span>
             </div>
           </div>
@@ -8,12 +8,12 @@ import {
   XMarkIcon,
   BeakerIcon
 } from '@heroicons/react/16/solid';
-import { formatTZS, parseTZSToCents, validateTZSInput } from '../../../../utils/currency';
+import { formatMoney, validateMoneyInput, DEFAULT_CURRENCY } from '../../../../utils/currency';
 import walletService from '../../../../api/wallet-service';
 import { formatProductData } from '../../../../utils/api-response';
 import { LoadingDisplay } from './error-display';
 
-export default function ProductSelector({ selectedItems, onItemsChange }) {
+export default function ProductSelector({ selectedItems, onItemsChange, currency = DEFAULT_CURRENCY }) {
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
@@ -61,14 +61,18 @@ export default function ProductSelector({ selectedItems, onItemsChange }) {
       // Increase quantity
       updateQuantity(product.item_id, existingItem.quantity + 1);
     } else {
-      // Add new item
+      // Add new item. Catalog prices are in the default currency, so for other
+      // currencies the price starts empty and is entered by hand.
+      const catalogPriceCents = product.price_cents * 100;
+      const unitPriceCents = currency === DEFAULT_CURRENCY ? catalogPriceCents : 0;
       const newItem = {
         item_id: product.item_id,
         variant_id: product.variant_id,
         description: product.item_name,
         quantity: 1,
-        unit_price_cents: product.price_cents * 100,  
-        line_total_cents: product.price_cents * 100,
+        unit_price_cents: unitPriceCents,
+        line_total_cents: unitPriceCents,
+        catalog_price_cents: catalogPriceCents,
         image_url: product.image_url
       };
       onItemsChange([...selectedItems, newItem]);
@@ -122,7 +126,7 @@ export default function ProductSelector({ selectedItems, onItemsChange }) {
       return;
     }
     
-    const validation = validateTZSInput(priceInput);
+    const validation = validateMoneyInput(priceInput, currency);
     if (validation.isValid) {
       updatePrice(itemId, validation.amount);
     }
@@ -147,6 +151,11 @@ export default function ProductSelector({ selectedItems, onItemsChange }) {
             style={{ color: 'black' }}
           />
         </InputGroup>
+        {currency !== DEFAULT_CURRENCY && (
+          <p className="mt-1 text-sm text-gray-500">
+            Catalog prices are in {DEFAULT_CURRENCY} — enter each item's {currency} price.
+          </p>
+        )}
         
         {/* Product Search Results */}
         {showProductList && filteredProducts.length > 0 && (
@@ -249,7 +258,7 @@ export default function ProductSelector({ selectedItems, onItemsChange }) {
                     <div className="w-24">
                       <Input
                         type="text"
-                        value={formatTZS(item.unit_price_cents, false)}
+                        value={formatMoney(item.unit_price_cents, currency, { showCurrency: false, minimumFractionDigits: 0 })}
                         onChange={(e) => handlePriceChange(item.item_id, e.target.value)}
                         className="text-right text-sm text-black"
                       />
@@ -258,7 +267,7 @@ export default function ProductSelector({ selectedItems, onItemsChange }) {
                     {/* Line Total */}
                     <div className="w-20 text-right">
                       <p className="font-semibold text-black">
-                        {formatTZS(item.line_total_cents)}
+                        {formatMoney(item.line_total_cents, currency)}
                       </p>
                     </div>
 
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { Button } from '../../../../components/button';
+import {
+  ChatBubbleLeftEllipsisIcon,
+  ClipboardDocumentIcon,
+  PrinterIcon,
+  ReceiptPercentIcon,
+} from '@heroicons/react/16/solid';
+import { RECEIPT_FORMATS, buildReceiptHtml, buildReceiptText, buildSmsLink } from '../../../../utils/wallet-receipts';
+import { openPrintableDocument } from '../../../../utils/wallet-export';
+
+/**
+ * Shows the receipt for a completed wallet operation, with buttons to print it or
+ * send it to the customer as a text message.
+ * @param {object} props - The component props.
+ * @param {object} props.receipt - The receipt from `buildReceipt` (see util/useReceipt).
+ * @param {string} [props.className=''] - Extra classes for the panel.
+ */
+export default function ReceiptActions({ receipt, className = '' }) {
+  const [format, setFormat] = useState('80mm');
+  const [notice, setNotice] = useState(null);
+
+  if (!receipt) return null;
+
+  const text = buildReceiptText(receipt);
+
+  const handlePrint = () => {
+    setNotice(openPrintableDocument(buildReceiptHtml(receipt, format))
+      ? null
+      : 'The print window was blocked. Allow pop-ups for this site and try again.');
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setNotice('Receipt copied');
+    } catch (err) {
+      setNotice('Could not copy the receipt');
+    }
+  };
+
+  return (
+    <div className={`bg-white border border-gray-200 rounded-lg p-4 ${className}`}>
+      <div className="flex items-center mb-3">
+        <ReceiptPercentIcon className="h-5 w-5 text-gray-600 mr-2" />
+        <h4 className="font-medium text-gray-900">Receipt</h4>
+      </div>
+
+      <pre className="mb-4 max-h-64 overflow-y-auto bg-gray-50 border border-gray-100 rounded p-3 text-xs font-mono text-gray-800 whitespace-pre-wrap">
+        {text}
+      </pre>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden">
+          {RECEIPT_FORMATS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setFormat(option.value)}
+              className={`px-3 py-1.5 text-sm font-medium ${format === option.value
+                  ? 'bg-blue-50 text-blue-700'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <Button outline onClick={handlePrint}>
+          <PrinterIcon />
+          Print
+        </Button>
+        <Button outline href={buildSmsLink(receipt.customer.phone_number, text)}>
+          <ChatBubbleLeftEllipsisIcon />
+          Send as Text
+        </Button>
+        <Button plain onClick={handleCopy}>
+          <ClipboardDocumentIcon />
+          Copy
+        </Button>
+      </div>
+
+      {notice && (
+        <p className="mt-2 text-sm text-gray-600">{notice}</p>
+      )}
+    </div>
+  );
+}
@@ -1,24 +1,38 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Button } from '../../../../components/button';
 import { 
   ClockIcon, 
   ArrowUpIcon, 
   ArrowDownIcon,
-  ExclamationTriangleIcon 
+  ExclamationTriangleIcon,
+  ArrowPathIcon,
+  CloudArrowUpIcon
 } from '@heroicons/react/16/solid';
-import { formatTZS } from '../../../../utils/currency';
+import { formatMoney } from '../../../../utils/currency';
 import { LoadingDisplay } from './error-display';
 import walletService from '../../../../api/wallet-service';
+import useWalletOutbox from '../../../../util/useWalletOutbox';
+import { OUTBOX_OPERATIONS, OUTBOX_STATUS } from '../../../../utils/wallet-outbox';
 
 export default function RecentTransactions({ limit = 5 }) {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { entries: pendingEntries, flush, discard } = useWalletOutbox();
 
   useEffect(() => {
     loadRecentTransactions();
   }, [limit]);
 
+  // Reload once queued operations have synced so they show up as real transactions
+  const pendingCountRef = useRef(pendingEntries.length);
+  useEffect(() => {
+    if (pendingEntries.length < pendingCountRef.current) {
+      loadRecentTransactions();
+    }
+    pendingCountRef.current = pendingEntries.length;
+  }, [pendingEntries.length]);
+
   const loadRecentTransactions = async () => {
     try {
       setLoading(true);
@@ -34,6 +48,7 @@ export default function RecentTransactions({ limit = 5 }) {
           direction: transaction.direction || (transaction.amount_cents > 0 ? 'CREDIT' : 'DEBIT'),
           customer_name: transaction.customer_name || transaction.customer?.name || 'Unknown Customer',
           amount_cents: Math.abs(transaction.amount_cents || 0),
+          currency: transaction.currency,
           description: transaction.description || getTransactionDescription(transaction.entry_type || transaction.type),
           occurred_at: transaction.occurred_at || transaction.created_at,
           color: getTransactionColor(transaction.entry_type || transaction.type)
@@ -155,7 +170,57 @@ export default function RecentTransactions({ limit = 5 }) {
         </div>
       </div>
 
-      {transactions.length === 0 ? (
+      {pendingEntries.length > 0 && (
+        <div className="divide-y divide-gray-200 border-b border-gray-200 bg-yellow-50">
+          {pendingEntries.map((entry) => {
+            const config = OUTBOX_OPERATIONS[entry.operation];
+            const failed = entry.status === OUTBOX_STATUS.FAILED;
+
+            return (
+              <div key={entry.id} className="px-6 py-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    <div className={`p-2 rounded-lg ${failed ? 'bg-red-100' : 'bg-yellow-100'}`}>
+                      {failed
+                        ? <ExclamationTriangleIcon className="h-4 w-4 text-red-600" />
+                        : <CloudArrowUpIcon className="h-4 w-4 text-yellow-600" />}
+                    </div>
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {config?.label || entry.operation}{entry.customer_name ? ` - ${entry.customer_name}` : ''}
+                      </p>
+                      <p className={`text-xs ${failed ? 'text-red-600' : 'text-yellow-700'}`}>
+                        {failed
+                          ? `Sync failed: ${entry.last_error}`
+                          : entry.status === OUTBOX_STATUS.SYNCING ? 'Syncing...' : `Pending sync • queued ${getTimeAgo(entry.queued_at).toLowerCase()}`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    {entry.amount_cents !== null && (
+                      <span className={`text-sm font-semibold ${getDirectionColor(config?.direction)}`}>
+                        {config?.direction === 'CREDIT' ? '+' : '-'}{formatMoney(entry.amount_cents, entry.payload?.currency)}
+                      </span>
+                    )}
+                    {failed && (
+                      <>
+                        <Button plain size="sm" onClick={flush} title="Retry sync">
+                          <ArrowPathIcon className="h-4 w-4" />
+                        </Button>
+                        <Button plain size="sm" onClick={() => discard(entry.id)}>
+                          Discard
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {transactions.length === 0 && pendingEntries.length === 0 ? (
         <div className="p-12 text-center">
           <ClockIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
           <h3 className="text-lg font-medium text-gray-900 mb-2">No Recent Activity</h3>
@@ -185,7 +250,7 @@ export default function RecentTransactions({ limit = 5 }) {
                   </div>
                   <div className="text-right">
                     <span className={`text-sm font-semibold ${amountColor}`}>
-                      {transaction.direction === 'CREDIT' ? '+' : '-'}{formatTZS(transaction.amount_cents)}
+                      {transaction.direction === 'CREDIT' ? '+' : '-'}{formatMoney(transaction.amount_cents, transaction.currency)}
                     </span>
                   </div>
                 </div>
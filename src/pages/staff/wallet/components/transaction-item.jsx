@@ -5,7 +5,10 @@ import {
   CreditCardIcon,
   BanknotesIcon,
   WalletIcon,
-  ArrowsRightLeftIcon
+  ArrowsRightLeftIcon,
+  PencilSquareIcon,
+  XCircleIcon,
+  ArrowUturnLeftIcon
 } from '@heroicons/react/16/solid';
 import { formatTZS, formatTransactionAmount } from '../../../../utils/currency';
 
@@ -34,10 +37,25 @@ const ENTRY_TYPE_CONFIG = {
     icon: ArrowsRightLeftIcon,
     label: 'Wallet Applied',
     color: 'indigo'
+  },
+  SLIP_VOID: {
+    icon: XCircleIcon,
+    label: 'Credit Slip Voided',
+    color: 'red'
+  },
+  SLIP_ADJUSTMENT: {
+    icon: PencilSquareIcon,
+    label: 'Credit Slip Adjusted',
+    color: 'amber'
+  },
+  REFUND: {
+    icon: ArrowUturnLeftIcon,
+    label: 'Refund / Cash Out',
+    color: 'red'
   }
 };
 
-export default function TransactionItem({ transaction, showCustomer = false }) {
+export default function TransactionItem({ transaction, currency, showCustomer = false }) {
   if (!transaction) return null;
 
   const config = ENTRY_TYPE_CONFIG[transaction.entry_type] || {
@@ -46,7 +64,7 @@ export default function TransactionItem({ transaction, showCustomer = false }) {
     color: 'gray'
   };
 
-  const amountDisplay = formatTransactionAmount(transaction.amount_cents, transaction.direction);
+  const amountDisplay = formatTransactionAmount(transaction.amount_cents, transaction.direction, currency);
   const IconComponent = config.icon;
 
   const formatDate = (dateString) => {
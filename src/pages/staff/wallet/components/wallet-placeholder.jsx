@@ -1,13 +1,16 @@
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../../../../components/button';
 import { ArrowLeftIcon } from '@heroicons/react/16/solid';
 
 export default function WalletPlaceholder({ title, description }) {
+  const navigate = useNavigate();
+
   return (
     <div className="p-6">
       <div className="mb-6">
         <Button 
           outline 
-          onClick={() => window.location.href = '/staff/wallet'}
+          onClick={() => navigate('/staff/wallet')}
           className="mb-4"
         >
           <ArrowLeftIcon />
@@ -23,7 +26,7 @@ export default function WalletPlaceholder({ title, description }) {
           <p className="text-gray-600 mb-4">
             This feature is currently being implemented. Please check back soon.
           </p>
-          <Button onClick={() => window.location.href = '/staff/wallet'}>
+          <Button onClick={() => navigate('/staff/wallet')}>
             Return to Wallet Dashboard
           </Button>
         </div>
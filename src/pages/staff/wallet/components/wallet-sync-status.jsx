@@ -0,0 +1,20 @@
+import useWalletOutbox from '../../../../util/useWalletOutbox';
+import { ConnectionStatus } from './status-indicators';
+
+/**
+ * Shows the connection state and how many wallet operations are waiting to sync.
+ */
+export default function WalletSyncStatus() {
+  const { entries, isOnline, lastSync } = useWalletOutbox();
+
+  return (
+    <>
+      <ConnectionStatus isOnline={isOnline} lastSync={lastSync} />
+      {entries.length > 0 && (
+        <span className="ml-2 text-xs text-yellow-700">
+          {entries.length} pending sync
+        </span>
+      )}
+    </>
+  );
+}
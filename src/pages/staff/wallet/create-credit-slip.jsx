@@ -1,202 +1,47 @@
 import { useState, useEffect } from 'react';
-import { useStaffUser } from '../../../providers/UserProvider';
-import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../../../components/sidebar';
-import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../../../components/navbar';
-import { StackedLayout } from '../../../components/stacked-layout';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../../../components/button';
-import { Input, InputGroup } from '../../../components/input';
+import { Input } from '../../../components/input';
 import {
-  ArrowRightStartOnRectangleIcon,
   ArrowLeftIcon,
-  ChartBarIcon,
-  ClipboardDocumentListIcon,
-  Cog8ToothIcon,
-  HomeIcon,
-  MagnifyingGlassIcon,
-  UserGroupIcon,
-  UsersIcon,
-  WalletIcon,
   CheckCircleIcon,
   XMarkIcon,
   PhoneIcon,
   EnvelopeIcon,
-  UserCircleIcon,
 } from '@heroicons/react/16/solid';
 
 import walletService from '../../../api/wallet-service';
-import { formatCustomerData } from '../../../utils/api-response';
+import useIdempotencyKey from '../../../util/useIdempotencyKey';
+import useReceipt from '../../../util/useReceipt';
+import { useSelectedCustomer } from '../../../providers/SelectedCustomerProvider';
 import { createErrorDisplay, createSuccessDisplay } from '../../../utils/error-handler';
-import { formatTZS, parseTZSToCents, validateTZSInput, addAmounts } from '../../../utils/currency';
+import { formatMoney, validateMoneyInput, addAmounts, DEFAULT_CURRENCY } from '../../../utils/currency';
 import ProductSelector from './components/product-selector';
+import CurrencySelect from './components/currency-select';
+import CustomerPicker from './components/customer-picker';
 import ErrorDisplay, { LoadingDisplay, SuccessDisplay } from './components/error-display';
+import ReceiptActions from './components/receipt-actions';
 
 export default function CreateCreditSlip() {
-  const staffUser = useStaffUser();
+  const navigate = useNavigate();
+  const { getKey: getIdempotencyKey, resetKey: resetIdempotencyKey } = useIdempotencyKey();
+  const { receipt, issueReceipt, clearReceipt } = useReceipt();
+  const { selectedCustomer, clearSelectedCustomer } = useSelectedCustomer();
   const [customer, setCustomer] = useState(null);
-  const [customerSearchTerm, setCustomerSearchTerm] = useState('');
-  const [customerResults, setCustomerResults] = useState([]);
-  const [showCustomerDropdown, setShowCustomerDropdown] = useState(false);
-  const [searchTimeout, setSearchTimeout] = useState(null);
   const [selectedItems, setSelectedItems] = useState([]);
   const [taxCents, setTaxCents] = useState(0);
   const [discountCents, setDiscountCents] = useState(0);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
   const [loading, setLoading] = useState(false);
-  const [customerLoading, setCustomerLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [fieldErrors, setFieldErrors] = useState({});
 
-  // Get customer ID from URL params if available
+  // Use the customer picked here or on another wallet page
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const customerId = urlParams.get('customer_id');
-    const customerName = urlParams.get('customer_name');
-    
-    if (customerId) {
-      if (customerName) {
-        setCustomerSearchTerm(decodeURIComponent(customerName));
-      } else {
-        setCustomerSearchTerm(customerId);
-      }
-      searchCustomerById(customerId);
-    }
-  }, []);
-
-  // Close dropdown when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (showCustomerDropdown && !event.target.closest('.customer-search-container')) {
-        setShowCustomerDropdown(false);
-      }
-    };
-
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside);
-    };
-  }, [showCustomerDropdown]);
-
-  const handleLogout = () => {
-    localStorage.removeItem('staffToken');
-    localStorage.removeItem('staffRefreshToken');
-    localStorage.removeItem('staffUser');
-    localStorage.removeItem('staffPermissions');
-    window.location.href = '/staff/login';
-  };
-
-  const sidebarItems = [
-    { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-    { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-    { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-    { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-    { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-    { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-    { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-  ];
-
-  const searchCustomerById = async (customerId) => {
-    if (!customerId.trim()) return;
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      const response = await walletService.getCustomerById(customerId.trim());
-      
-      if (response.success && response.customers && response.customers.length > 0) {
-        selectCustomer(response.customers[0]);
-      } else {
-        setFieldErrors({ customer: 'Customer not found' });
-        setCustomer(null);
-      }
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setFieldErrors({ customer: 'Failed to search customer by ID' });
-      setCustomer(null);
-    } finally {
-      setCustomerLoading(false);
-    }
-  };
-
-  const searchCustomer = async (searchTerm) => {
-    if (!searchTerm.trim() || searchTerm.trim().length < 2) {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      return;
-    }
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      const response = await walletService.searchCustomer(searchTerm.trim());
-      
-      if (response.success && response.customers && response.customers.length > 0) {
-        setCustomerResults(response.customers);
-        setShowCustomerDropdown(true);
-        setFieldErrors({ customer: null });
-      } else {
-        setCustomerResults([]);
-        setShowCustomerDropdown(false);
-        setFieldErrors({ customer: 'No customers found' });
-      }
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: 'Failed to search customer' });
-    } finally {
-      setCustomerLoading(false);
-    }
-  };
-
-  const handleCustomerInputChange = (e) => {
-    const value = e.target.value;
-    setCustomerSearchTerm(value);
-
-    // Clear previous timeout
-    if (searchTimeout) {
-      clearTimeout(searchTimeout);
-    }
-
-    // Auto-search after user stops typing for 300ms and has at least 2 characters
-    if (value.trim().length >= 2) {
-      const timeout = setTimeout(() => {
-        searchCustomer(value);
-      }, 300);
-      setSearchTimeout(timeout);
-    } else {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: null });
-    }
-  };
-
-  const selectCustomer = (customerData) => {
-    const formattedCustomer = formatCustomerData(customerData);
-    setCustomer(formattedCustomer);
-    setCustomerSearchTerm(customerData.name);
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
-    setFieldErrors({ customer: null });
-  };
-
-  const clearCustomerSelection = () => {
-    setCustomer(null);
-    setCustomerSearchTerm('');
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
-    setFieldErrors({ customer: null });
-  };
-
-  const handleCustomerSearch = (e) => {
-    e.preventDefault();
-    if (customerSearchTerm.trim().length >= 2) {
-      searchCustomer(customerSearchTerm);
-    }
-  };
+    setCustomer(selectedCustomer);
+    setFieldErrors(prev => ({ ...prev, customer: null }));
+  }, [selectedCustomer]);
 
   const calculateTotals = () => {
     const subtotalCents = selectedItems.reduce((sum, item) => sum + item.line_total_cents, 0);
@@ -250,12 +95,13 @@ export default function CreateCreditSlip() {
     setLoading(true);
     setError(null);
     setSuccess(null);
+    clearReceipt();
 
     try {
       const creditSlipData = {
         customer_id: customer.customer_id,
         store_id: 'default-store',  
-        currency: 'TZS',
+        currency,
         lines: selectedItems.map(item => ({
           item_id: item.item_id,
           description: item.description,
@@ -267,11 +113,36 @@ export default function CreateCreditSlip() {
         occurred_at: new Date().toISOString()
       };
 
-      const response = await walletService.createCreditSlip(creditSlipData);
+      // occurred_at changes on every submit, so it is left out of the key
+      const idempotencyKey = getIdempotencyKey({ ...creditSlipData, occurred_at: null });
+      const response = await walletService.createCreditSlip(creditSlipData, {
+        idempotencyKey,
+        customerName: customer.name
+      });
 
       if (response.success) {
-        const successMessage = `Credit slip ${response.slip_number} created successfully for ${formatTZS(response.grand_total_cents)}`;
-        setSuccess(createSuccessDisplay(successMessage));
+        resetIdempotencyKey();
+        const successMessage = response.queued
+          ? `Credit slip for ${customer.name} saved offline`
+          : `Credit slip ${response.slip_number} created successfully for ${formatMoney(response.grand_total_cents, currency)}`;
+        setSuccess(createSuccessDisplay(
+          successMessage,
+          response.queued ? 'Saved offline — it will sync automatically when the connection is back'
+            : response.replayed ? 'Already processed — showing the original result' : null
+        ));
+
+        if (!response.queued) {
+          issueReceipt({
+            type: 'CREDIT_SLIP',
+            reference: response.slip_number,
+            customer,
+            currency,
+            amountCents: response.grand_total_cents,
+            items: creditSlipData.lines,
+            taxCents,
+            discountCents
+          });
+        }
         
         // Reset form
         setSelectedItems([]);
@@ -292,8 +163,20 @@ export default function CreateCreditSlip() {
     }
   };
 
+  const handleCurrencyChange = (code) => {
+    if (code === currency) return;
+    setCurrency(code);
+    // Amounts entered in the old currency no longer apply; catalog prices only apply to the default currency
+    setSelectedItems(items => items.map(item => {
+      const unitPriceCents = code === DEFAULT_CURRENCY ? item.catalog_price_cents ?? 0 : 0;
+      return { ...item, unit_price_cents: unitPriceCents, line_total_cents: unitPriceCents * item.quantity };
+    }));
+    setTaxCents(0);
+    setDiscountCents(0);
+  };
+
   const handleTaxChange = (value) => {
-    const validation = validateTZSInput(value);
+    const validation = validateMoneyInput(value, currency);
     if (validation.isValid) {
       setTaxCents(validation.amount);
       setFieldErrors({ ...fieldErrors, tax: null });
@@ -306,7 +189,7 @@ export default function CreateCreditSlip() {
   };
 
   const handleDiscountChange = (value) => {
-    const validation = validateTZSInput(value);
+    const validation = validateMoneyInput(value, currency);
     if (validation.isValid) {
       setDiscountCents(validation.amount);
       setFieldErrors({ ...fieldErrors, discount: null });
@@ -321,55 +204,13 @@ export default function CreateCreditSlip() {
   const totals = calculateTotals();
 
   return (
-    <StackedLayout
-      navbar={
-        <Navbar>
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Create Credit Slip</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-          <NavbarSpacer />
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarItem>
-              <NavbarLabel className="text-xs text-gray-500 capitalize">{staffUser?.role || 'Role'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarDivider />
-            <NavbarItem onClick={handleLogout}>
-              <ArrowRightStartOnRectangleIcon />
-              <NavbarLabel>Logout</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-        </Navbar>
-      }
-      sidebar={
-        <Sidebar>
-          <SidebarHeader>
-            <SidebarLabel>Enzi Coffee</SidebarLabel>
-            <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-          </SidebarHeader>
-          <SidebarBody>
-            <SidebarSection>
-              {sidebarItems.map((item) => (
-                <SidebarItem key={item.url} href={item.url} current={item.active}>
-                  <item.icon />
-                  <SidebarLabel>{item.label}</SidebarLabel>
-                </SidebarItem>
-              ))}
-            </SidebarSection>
-          </SidebarBody>
-        </Sidebar>
-      }
-    >
+    <>
       <div className="p-6">
         {/* Header */}
         <div className="mb-6">
           <Button 
             outline 
-            onClick={() => window.location.href = '/staff/wallet'}
+            onClick={() => navigate('/staff/wallet')}
             className="mb-4"
           >
             <ArrowLeftIcon />
@@ -383,6 +224,7 @@ export default function CreateCreditSlip() {
         {success && (
           <SuccessDisplay message={success.message} className="mb-6" />
         )}
+        <ReceiptActions receipt={receipt} className="mb-6" />
 
         {/* Error Message */}
         {error && (
@@ -399,98 +241,7 @@ export default function CreateCreditSlip() {
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Customer Information</h3>
             
             {!customer ? (
-              <div className="relative customer-search-container">
-                <div className="flex gap-4 mb-2">
-                  <div className="flex-1 relative">
-                    <InputGroup>
-                      <MagnifyingGlassIcon className="text-gray-400" />
-                      <Input
-                        type="text"
-                        placeholder="Search customer by name, phone, or email (min 2 characters)..."
-                        value={customerSearchTerm}
-                        onChange={handleCustomerInputChange}
-                        disabled={customerLoading}
-                        className="pr-10 text-black placeholder-gray-500"
-                        style={{ color: 'black' }}
-                      />
-                      {customerLoading && (
-                        <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                        </div>
-                      )}
-                    </InputGroup>
-                  </div>
-                  <Button 
-                    type="button"
-                    onClick={handleCustomerSearch}
-                    disabled={customerLoading || customerSearchTerm.trim().length < 2}
-                    color="blue"
-                    outline
-                  >
-                    {customerLoading ? 'Searching...' : 'Search'}
-                  </Button>
-                </div>
-                
-                <p className="text-xs text-gray-500 mb-4">
-                  Start typing to search for customers automatically
-                </p>
-
-                {/* Customer Search Results Dropdown */}
-                {showCustomerDropdown && customerResults.length > 0 && (
-                  <div className="absolute z-10 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto">
-                    <div className="p-2 border-b border-gray-100 bg-gray-50">
-                      <p className="text-sm text-gray-600 font-medium">
-                        Found {customerResults.length} customer{customerResults.length !== 1 ? 's' : ''}
-                      </p>
-                    </div>
-                    {customerResults.map((result, index) => (
-                      <div
-                        key={result._id || result.id || index}
-                        className="p-3 hover:bg-blue-50 cursor-pointer border-b border-gray-100 last:border-b-0"
-                        onClick={() => selectCustomer(result)}
-                      >
-                        <div className="flex items-start gap-3">
-                          <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
-                            <UserCircleIcon className="h-6 w-6 text-blue-500" />
-                          </div>
-                          <div className="flex-1 min-w-0">
-                            <h4 className="font-medium text-gray-900 truncate">{result.name}</h4>
-                            <div className="flex flex-col gap-1 mt-1">
-                              {result.phone_number && (
-                                <p className="text-xs text-gray-600 flex items-center">
-                                  <PhoneIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                  {result.phone_number}
-                                </p>
-                              )}
-                              {result.email && (
-                                <p className="text-xs text-gray-600 flex items-center">
-                                  <EnvelopeIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                  {result.email}
-                                </p>
-                              )}
-                              {result.total_visits > 0 && (
-                                <p className="text-xs text-gray-500">
-                                  {result.total_visits} visits
-                                </p>
-                              )}
-                            </div>
-                          </div>
-                          <div className="text-xs text-blue-600 self-center">
-                            Click to select
-                          </div>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
-
-                {fieldErrors.customer && (
-                  <p className="mt-2 text-sm text-red-600 flex items-center">
-                    <XMarkIcon className="h-4 w-4 mr-1" />
-                    {fieldErrors.customer}
-                  </p>
-                )}
-              </div>
+              <CustomerPicker disabled={loading} error={fieldErrors.customer} />
             ) : (
               /* Selected Customer Display */
               <div className="bg-green-50 border border-green-200 p-4 rounded-lg">
@@ -522,7 +273,7 @@ export default function CreateCreditSlip() {
                     color="red"
                     outline
                     size="sm"
-                    onClick={clearCustomerSelection}
+                    onClick={clearSelectedCustomer}
                     className="hover:bg-red-50 border-red-300 text-red-700 hover:text-red-800"
                   >
                     <XMarkIcon className="h-4 w-4 mr-1" />
@@ -536,9 +287,13 @@ export default function CreateCreditSlip() {
           {/* Product Selection */}
           <div className="bg-white p-6 rounded-lg shadow">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Items</h3>
+            <div className="mb-4 md:w-1/2">
+              <CurrencySelect value={currency} onChange={handleCurrencyChange} disabled={loading} />
+            </div>
             <ProductSelector 
               selectedItems={selectedItems}
               onItemsChange={setSelectedItems}
+              currency={currency}
             />
             {fieldErrors.items && (
               <p className="mt-2 text-sm text-red-600">{fieldErrors.items}</p>
@@ -559,7 +314,7 @@ export default function CreateCreditSlip() {
                   <Input
                     type="text"
                     placeholder="0"
-                    value={formatTZS(taxCents, false)}
+                    value={formatMoney(taxCents, currency, { showCurrency: false, minimumFractionDigits: 0 })}
                     onChange={(e) => handleTaxChange(e.target.value)}
                   />
                   {fieldErrors.tax && (
@@ -574,7 +329,7 @@ export default function CreateCreditSlip() {
                   <Input
                     type="text"
                     placeholder="0"
-                    value={formatTZS(discountCents, false)}
+                    value={formatMoney(discountCents, currency, { showCurrency: false, minimumFractionDigits: 0 })}
                     onChange={(e) => handleDiscountChange(e.target.value)}
                   />
                   {fieldErrors.discount && (
@@ -588,20 +343,20 @@ export default function CreateCreditSlip() {
                 <div className="space-y-2">
                   <div className="flex justify-between">
                     <span className="text-gray-600">Subtotal:</span>
-                    <span className="font-medium">{formatTZS(totals.subtotalCents)}</span>
+                    <span className="font-medium">{formatMoney(totals.subtotalCents, currency)}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-gray-600">Tax:</span>
-                    <span className="font-medium">{formatTZS(totals.taxCents)}</span>
+                    <span className="font-medium">{formatMoney(totals.taxCents, currency)}</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-gray-600">Discount:</span>
-                    <span className="font-medium">-{formatTZS(totals.discountCents)}</span>
+                    <span className="font-medium">-{formatMoney(totals.discountCents, currency)}</span>
                   </div>
                   <hr className="border-gray-300" />
                   <div className="flex justify-between text-lg font-semibold">
                     <span>Total:</span>
-                    <span className="text-blue-600">{formatTZS(totals.grandTotalCents)}</span>
+                    <span className="text-blue-600">{formatMoney(totals.grandTotalCents, currency)}</span>
                   </div>
                 </div>
                 {fieldErrors.total && (
@@ -616,7 +371,7 @@ export default function CreateCreditSlip() {
             <Button 
               type="button"
               outline
-              onClick={() => window.location.href = '/staff/wallet'}
+              onClick={() => navigate('/staff/wallet')}
             >
               Cancel
             </Button>
@@ -630,6 +385,6 @@ export default function CreateCreditSlip() {
           </div>
         </form>
       </div>
-    </StackedLayout>
+    </>
   );
 }
\ No newline at end of file
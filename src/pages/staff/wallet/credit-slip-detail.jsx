@@ -0,0 +1,519 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useStaffUser } from '../../../providers/UserProvider';
+import { Button } from '../../../components/button';
+import { Input } from '../../../components/input';
+import { Textarea } from '../../../components/textarea';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../../../components/table';
+import {
+  ArrowLeftIcon,
+  PencilSquareIcon,
+  ShieldCheckIcon,
+  XCircleIcon,
+} from '@heroicons/react/16/solid';
+
+import walletService from '../../../api/wallet-service';
+import useIdempotencyKey from '../../../util/useIdempotencyKey';
+import useCan from '../../../util/useCan';
+import { PERMISSIONS } from '../../../utils/staff-permissions';
+import { getStaffCustomerPath } from '../../../util/paths';
+import { createErrorDisplay, createSuccessDisplay } from '../../../utils/error-handler';
+import { formatMoney } from '../../../utils/currency';
+import {
+  ADJUSTABLE_SLIP_STATUSES,
+  getSlipReasons,
+  canVoidSlip,
+  calculateAdjustedTotals,
+  getLineChanges,
+  validateSlipChange,
+  buildSlipApproval,
+  buildSlipChangeRequest
+} from '../../../utils/credit-slip-adjustments';
+import ConfirmationDialog, { DeleteConfirmationDialog } from './components/confirmation-dialog';
+import ErrorDisplay, { LoadingDisplay, SuccessDisplay } from './components/error-display';
+
+const STATUS_CLASSES = {
+  OPEN: 'bg-red-100 text-red-800 border-red-200',
+  PARTIALLY_PAID: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  CLOSED: 'bg-green-100 text-green-800 border-green-200',
+  VOID: 'bg-gray-100 text-gray-800 border-gray-200'
+};
+
+const EMPTY_FORM = { reasonCode: '', note: '', managerIdentifier: '', managerPassword: '' };
+
+const toEditableLines = (slip) => (slip?.lines || []).map(line => ({
+  quantity: line.quantity,
+  unit_price_cents: line.unit_price_cents,
+  comped: false
+}));
+
+export default function CreditSlipDetail() {
+  const navigate = useNavigate();
+  const { slipId } = useParams();
+  const staffUser = useStaffUser();
+  const can = useCan();
+  const { getKey: getIdempotencyKey, resetKey: resetIdempotencyKey } = useIdempotencyKey();
+
+  const [slip, setSlip] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  // null while viewing; 'void' or 'adjust' while a change is being prepared
+  const [action, setAction] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pendingRequest, setPendingRequest] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Counter staff can prepare a change; a manager approves it, in person if need be
+  const canRequestChange = can(PERMISSIONS.SLIP_CREATE) || can(PERMISSIONS.SLIP_VOID);
+  const canApprove = can(PERMISSIONS.SLIP_VOID);
+
+  const loadSlip = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const response = await walletService.getCreditSlip(slipId);
+    if (response.success) {
+      setSlip(response.slip);
+      setLines(toEditableLines(response.slip));
+    } else {
+      setSlip(null);
+      setError(createErrorDisplay(response));
+    }
+    setLoading(false);
+  }, [slipId]);
+
+  useEffect(() => {
+    loadSlip();
+  }, [loadSlip]);
+
+  const currency = slip?.currency;
+  const voidCheck = canVoidSlip(slip);
+  const isAdjustable = ADJUSTABLE_SLIP_STATUSES.includes(slip?.status);
+  const adjustedTotals = slip ? calculateAdjustedTotals(slip, lines) : null;
+  const lineChanges = slip ? getLineChanges(slip, lines) : [];
+
+  const startAction = (nextAction) => {
+    setAction(nextAction);
+    setForm(EMPTY_FORM);
+    setFieldErrors({});
+    setSuccess(null);
+    setLines(toEditableLines(slip));
+    resetIdempotencyKey();
+  };
+
+  const cancelAction = () => {
+    setAction(null);
+    setFieldErrors({});
+    setLines(toEditableLines(slip));
+  };
+
+  const updateLine = (index, changes) => {
+    setLines(current => current.map((line, lineIndex) => (lineIndex === index ? { ...line, ...changes } : line)));
+  };
+
+  const handleFormChange = (key, value) => {
+    setForm(current => ({ ...current, [key]: value }));
+  };
+
+  const handleReview = (event) => {
+    event.preventDefault();
+
+    const errors = validateSlipChange({ action, slip, reasonCode: form.reasonCode, note: form.note, lines });
+    const { approval, errors: approvalErrors } = buildSlipApproval({
+      staffUser,
+      canApprove,
+      managerIdentifier: form.managerIdentifier,
+      managerPassword: form.managerPassword
+    });
+
+    const allErrors = { ...errors, ...approvalErrors };
+    setFieldErrors(allErrors);
+    if (Object.keys(allErrors).length > 0) return;
+
+    setPendingRequest(buildSlipChangeRequest({
+      action,
+      slip,
+      reasonCode: form.reasonCode,
+      note: form.note,
+      lines,
+      approval
+    }));
+  };
+
+  const submitChange = async () => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      // The manager's password is left out of the key, so a retyped password reuses it
+      const { manager_password: managerPassword, ...approval } = pendingRequest.approval;
+      const idempotencyKey = getIdempotencyKey({ slipId, action, ...pendingRequest, approval });
+
+      // A manager's login is traded for a one-off token; only the token goes with the change
+      let request = { ...pendingRequest, approval };
+      if (approval.manager_identifier) {
+        const approvalResponse = await walletService.requestSlipApproval(slipId, {
+          action,
+          manager_identifier: approval.manager_identifier,
+          manager_password: managerPassword
+        });
+        if (!approvalResponse.success) {
+          setError(createErrorDisplay(approvalResponse));
+          return;
+        }
+        request = {
+          ...pendingRequest,
+          approval: { approved_by: approvalResponse.approved_by, approval_token: approvalResponse.approval_token }
+        };
+      }
+
+      const response = action === 'void'
+        ? await walletService.voidCreditSlip(slipId, request, { idempotencyKey })
+        : await walletService.adjustCreditSlip(slipId, request, { idempotencyKey });
+
+      if (response.success) {
+        const message = action === 'void'
+          ? `Credit slip ${slip.slip_number} was voided`
+          : `Credit slip ${slip.slip_number} was adjusted; the new total is ${formatMoney(response.grand_total_cents ?? adjustedTotals.grand_total_cents, currency)}`;
+        setSuccess(createSuccessDisplay(response.replayed ? `${message} (already recorded)` : message));
+        setAction(null);
+        setForm(EMPTY_FORM);
+        resetIdempotencyKey();
+        await loadSlip();
+      } else {
+        setError(createErrorDisplay(response));
+      }
+    } finally {
+      setSubmitting(false);
+      setPendingRequest(null);
+    }
+  };
+
+  const reasonOptions = action ? getSlipReasons(action) : [];
+
+  return (
+    <>
+      <div className="p-6">
+        {/* Header */}
+        <div className="mb-6">
+          <Button
+            outline
+            onClick={() => navigate(slip ? getStaffCustomerPath(slip.customer_id) : '/staff/wallet')}
+            className="mb-4"
+          >
+            <ArrowLeftIcon />
+            {slip ? 'Back to Customer' : 'Back to Wallet'}
+          </Button>
+          <h1 className="text-2xl font-semibold text-gray-900">Credit Slip {slip?.slip_number || ''}</h1>
+          <p className="text-gray-600">Review a credit slip, correct its lines or void it</p>
+        </div>
+
+        {success && (
+          <SuccessDisplay message={success.message} className="mb-6" onDismiss={() => setSuccess(null)} />
+        )}
+
+        {error && (
+          <ErrorDisplay
+            error={error}
+            onRetry={slip ? () => setError(null) : loadSlip}
+            className="mb-6"
+          />
+        )}
+
+        {loading && <LoadingDisplay message="Loading credit slip..." />}
+
+        {!loading && slip && (
+          <div className="space-y-6">
+            {/* Summary */}
+            <div className="bg-white p-6 rounded-lg shadow">
+              <div className="flex flex-wrap items-start justify-between gap-4">
+                <div>
+                  <div className="flex items-center gap-3">
+                    <h3 className="text-lg font-semibold text-gray-900 font-mono">{slip.slip_number}</h3>
+                    <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium border ${STATUS_CLASSES[slip.status] || STATUS_CLASSES.VOID}`}>
+                      {slip.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Customer {slip.customer_name || slip.customer_id} · Created {new Date(slip.created_at).toLocaleString()}
+                  </p>
+                </div>
+
+                {canRequestChange && isAdjustable && !action && (
+                  <div className="flex gap-3">
+                    <Button outline onClick={() => startAction('adjust')}>
+                      <PencilSquareIcon />
+                      Adjust Lines
+                    </Button>
+                    <Button
+                      color="red"
+                      onClick={() => startAction('void')}
+                      disabled={!voidCheck.allowed}
+                      title={voidCheck.reason || undefined}
+                    >
+                      <XCircleIcon />
+                      Void Slip
+                    </Button>
+                  </div>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6 text-sm">
+                <div>
+                  <p className="text-gray-500">Total</p>
+                  <p className="text-lg font-semibold text-gray-900">{formatMoney(slip.totals?.grand_total_cents || 0, currency)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Paid</p>
+                  <p className="text-lg font-semibold text-green-600">{formatMoney(slip.totals?.paid_cents || 0, currency)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Remaining</p>
+                  <p className="text-lg font-semibold text-red-600">{formatMoney(slip.totals?.remaining_cents || 0, currency)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Tax / Discount</p>
+                  <p className="text-lg font-semibold text-gray-900">
+                    {formatMoney(slip.totals?.tax_cents || 0, currency)} / {formatMoney(slip.totals?.discount_cents || 0, currency)}
+                  </p>
+                </div>
+              </div>
+              {!voidCheck.allowed && isAdjustable && (
+                <p className="mt-4 text-xs text-gray-500">{voidCheck.reason}</p>
+              )}
+            </div>
+
+            {/* Lines */}
+            <div className="bg-white rounded-lg shadow">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {action === 'adjust' ? 'Adjust Lines' : 'Lines'}
+                </h3>
+                {action === 'adjust' && (
+                  <p className="text-sm text-gray-600">Change a quantity, or comp an item to take it off the slip's total</p>
+                )}
+              </div>
+              <div className="px-6">
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableHeader>Item</TableHeader>
+                      <TableHeader className="text-right">Quantity</TableHeader>
+                      <TableHeader className="text-right">Unit Price</TableHeader>
+                      <TableHeader className="text-right">Line Total</TableHeader>
+                      {action === 'adjust' && <TableHeader className="text-center">Comp</TableHeader>}
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(slip.lines || []).map((line, index) => {
+                      const edited = lines[index] || line;
+                      const editedTotal = edited.comped ? 0 : edited.quantity * edited.unit_price_cents;
+                      const changed = lineChanges.some(change => change.line_index === index);
+
+                      return (
+                        <TableRow key={`${line.item_id}-${index}`} className={changed ? 'bg-amber-50' : undefined}>
+                          <TableCell className="font-medium text-gray-900">{line.description}</TableCell>
+                          <TableCell className="text-right">
+                            {action === 'adjust' ? (
+                              <Input
+                                type="number"
+                                min="0"
+                                step="1"
+                                className="w-24 ml-auto"
+                                value={edited.quantity}
+                                onChange={(e) => updateLine(index, { quantity: e.target.value === '' ? '' : Number(e.target.value) })}
+                                disabled={edited.comped}
+                                aria-label={`Quantity of ${line.description}`}
+                              />
+                            ) : (
+                              line.quantity
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right">{formatMoney(line.unit_price_cents, currency)}</TableCell>
+                          <TableCell className="text-right">
+                            {changed && (
+                              <span className="mr-2 text-xs text-gray-400 line-through">
+                                {formatMoney(line.line_total_cents ?? line.quantity * line.unit_price_cents, currency)}
+                              </span>
+                            )}
+                            {formatMoney(action === 'adjust' ? editedTotal : (line.line_total_cents ?? line.quantity * line.unit_price_cents), currency)}
+                          </TableCell>
+                          {action === 'adjust' && (
+                            <TableCell className="text-center">
+                              <input
+                                type="checkbox"
+                                className="h-4 w-4 rounded border-gray-300"
+                                checked={edited.comped}
+                                onChange={(e) => updateLine(index, { comped: e.target.checked })}
+                                aria-label={`Comp ${line.description}`}
+                              />
+                            </TableCell>
+                          )}
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+              {action === 'adjust' && adjustedTotals && (
+                <div className="px-6 py-4 border-t border-gray-200 flex flex-wrap justify-end gap-6 text-sm">
+                  <span className="text-gray-600">
+                    New total: <span className="font-semibold text-gray-900">{formatMoney(adjustedTotals.grand_total_cents, currency)}</span>
+                  </span>
+                  <span className="text-gray-600">
+                    Change: <span className={`font-semibold ${adjustedTotals.adjustment_cents < 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatMoney(adjustedTotals.adjustment_cents, currency)}
+                    </span>
+                  </span>
+                  <span className="text-gray-600">
+                    Still owed: <span className="font-semibold text-gray-900">{formatMoney(adjustedTotals.remaining_cents, currency)}</span>
+                  </span>
+                </div>
+              )}
+              {fieldErrors.lines && (
+                <p className="px-6 pb-4 text-sm text-red-600">{fieldErrors.lines}</p>
+              )}
+            </div>
+
+            {/* Reason and approval */}
+            {action && (
+              <form onSubmit={handleReview} className="bg-white p-6 rounded-lg shadow space-y-4">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {action === 'void' ? 'Void Credit Slip' : 'Reason for Adjustment'}
+                </h3>
+                {fieldErrors.slip && (
+                  <p className="text-sm text-red-600">{fieldErrors.slip}</p>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Reason
+                    </label>
+                    <select
+                      value={form.reasonCode}
+                      onChange={(e) => handleFormChange('reasonCode', e.target.value)}
+                      className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm"
+                    >
+                      <option value="">Choose a reason...</option>
+                      {reasonOptions.map(reason => (
+                        <option key={reason.value} value={reason.value}>
+                          {reason.label}
+                        </option>
+                      ))}
+                    </select>
+                    {fieldErrors.reason && (
+                      <p className="mt-1 text-sm text-red-600">{fieldErrors.reason}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Note
+                    </label>
+                    <Textarea
+                      rows={2}
+                      value={form.note}
+                      onChange={(e) => handleFormChange('note', e.target.value)}
+                      placeholder="What happened?"
+                    />
+                    {fieldErrors.note && (
+                      <p className="mt-1 text-sm text-red-600">{fieldErrors.note}</p>
+                    )}
+                  </div>
+                </div>
+
+                {/* Manager approval */}
+                <div className="p-4 rounded-lg border border-blue-200 bg-blue-50">
+                  <div className="flex items-center mb-2">
+                    <ShieldCheckIcon className="h-5 w-5 text-blue-600 mr-2" />
+                    <h4 className="text-sm font-semibold text-blue-900">Manager Approval</h4>
+                  </div>
+                  {canApprove ? (
+                    <p className="text-sm text-blue-800">
+                      You are approving this {action === 'void' ? 'void' : 'adjustment'} as {staffUser?.name || 'a manager'}.
+                    </p>
+                  ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Manager login
+                        </label>
+                        <Input
+                          type="text"
+                          autoComplete="off"
+                          value={form.managerIdentifier}
+                          onChange={(e) => handleFormChange('managerIdentifier', e.target.value)}
+                        />
+                        {fieldErrors.managerIdentifier && (
+                          <p className="mt-1 text-sm text-red-600">{fieldErrors.managerIdentifier}</p>
+                        )}
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Manager password
+                        </label>
+                        <Input
+                          type="password"
+                          autoComplete="off"
+                          value={form.managerPassword}
+                          onChange={(e) => handleFormChange('managerPassword', e.target.value)}
+                        />
+                        {fieldErrors.managerPassword && (
+                          <p className="mt-1 text-sm text-red-600">{fieldErrors.managerPassword}</p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex justify-end gap-3">
+                  <Button outline onClick={cancelAction} disabled={submitting}>
+                    Cancel
+                  </Button>
+                  <Button type="submit" color={action === 'void' ? 'red' : 'blue'} disabled={submitting}>
+                    {action === 'void' ? 'Review Void' : 'Review Adjustment'}
+                  </Button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+
+      <DeleteConfirmationDialog
+        isOpen={action === 'void' && Boolean(pendingRequest)}
+        onClose={() => setPendingRequest(null)}
+        onConfirm={submitChange}
+        title="Void Credit Slip"
+        actionLabel="Void"
+        itemName={`credit slip ${slip?.slip_number}`}
+        details={[
+          `Amount written off: ${formatMoney(slip?.totals?.remaining_cents || 0, currency)}`,
+          `Reason: ${reasonOptions.find(reason => reason.value === form.reasonCode)?.label || form.reasonCode}`
+        ]}
+        loading={submitting}
+      />
+
+      <ConfirmationDialog
+        isOpen={action === 'adjust' && Boolean(pendingRequest)}
+        onClose={() => setPendingRequest(null)}
+        onConfirm={submitChange}
+        title="Adjust Credit Slip"
+        message={`Apply these changes to credit slip ${slip?.slip_number}?`}
+        details={[
+          ...lineChanges.map(change => (change.comped
+            ? `${change.description}: comped`
+            : `${change.description}: quantity ${change.quantity_before} → ${change.quantity_after}`)),
+          adjustedTotals && `Total: ${formatMoney(slip?.totals?.grand_total_cents || 0, currency)} → ${formatMoney(adjustedTotals.grand_total_cents, currency)}`
+        ].filter(Boolean)}
+        type="warning"
+        confirmText="Adjust Slip"
+        loading={submitting}
+      />
+    </>
+  );
+}
@@ -1,20 +1,10 @@
 import { useState, useEffect } from 'react';
-import { useStaffUser } from '../../../providers/UserProvider';
-import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../../../components/sidebar';
-import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../../../components/navbar';
-import { StackedLayout } from '../../../components/stacked-layout';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../../../components/button';
-import { Input, InputGroup } from '../../../components/input';
+import { Input } from '../../../components/input';
+import { Select } from '../../../components/select';
 import {
-  ArrowRightStartOnRectangleIcon,
   ArrowLeftIcon,
-  ChartBarIcon,
-  ClipboardDocumentListIcon,
-  Cog8ToothIcon,
-  HomeIcon,
-  MagnifyingGlassIcon,
-  UserGroupIcon,
-  UsersIcon,
   WalletIcon,
   CheckCircleIcon,
   CreditCardIcon,
@@ -24,228 +14,122 @@ import {
   XMarkIcon,
   PhoneIcon,
   EnvelopeIcon,
-  UserCircleIcon,
   ExclamationTriangleIcon,
+  ArrowUturnLeftIcon,
+  PlusIcon,
+  TrashIcon,
 } from '@heroicons/react/16/solid';
 
 import walletService from '../../../api/wallet-service';
-import { formatCustomerData, formatCustomerBalance } from '../../../utils/api-response';
+import useIdempotencyKey from '../../../util/useIdempotencyKey';
+import useCan from '../../../util/useCan';
+import useReceipt from '../../../util/useReceipt';
+import { useSelectedCustomer } from '../../../providers/SelectedCustomerProvider';
+import { PERMISSIONS } from '../../../utils/staff-permissions';
 import { createErrorDisplay, createSuccessDisplay } from '../../../utils/error-handler';
-import { formatTZS, validateTZSInput } from '../../../utils/currency';
+import { formatMoney, validateMoneyInput, addAmounts, subtractAmounts, DEFAULT_CURRENCY } from '../../../utils/currency';
+import {
+  TENDER_METHODS,
+  createTenderLine,
+  sumTenders,
+  validateTenders,
+  buildTenderBreakdown,
+  getPaymentMethod
+} from '../../../utils/split-tender';
+import CustomerPicker from './components/customer-picker';
 import ErrorDisplay, { LoadingDisplay, SuccessDisplay } from './components/error-display';
+import CurrencySelect from './components/currency-select';
+import PaymentAllocator from './components/payment-allocator';
+import ReceiptActions from './components/receipt-actions';
+
+const TENDER_ICONS = {
+  CASH: BanknotesIcon,
+  CARD: CreditCardIcon,
+  MOBILE: DevicePhoneMobileIcon,
+  BANK_TRANSFER: BuildingLibraryIcon,
+  WALLET: WalletIcon,
+};
 
-const PAYMENT_METHODS = [
-  { value: 'CASH', label: 'Cash', icon: BanknotesIcon },
-  { value: 'CARD', label: 'Card', icon: CreditCardIcon },
-  { value: 'MOBILE', label: 'Mobile Money', icon: DevicePhoneMobileIcon },
-  { value: 'BANK_TRANSFER', label: 'Bank Transfer', icon: BuildingLibraryIcon },
-];
+const amountForInput = (cents, currency) =>
+  formatMoney(cents, currency, { showCurrency: false, useGrouping: false, minimumFractionDigits: 0 });
 
 export default function ProcessPayment() {
-  const staffUser = useStaffUser();
+  const navigate = useNavigate();
+  const { getKey: getIdempotencyKey, resetKey: resetIdempotencyKey } = useIdempotencyKey();
+  const can = useCan();
+  const { receipt, issueReceipt, clearReceipt } = useReceipt();
+  const { selectedCustomer, clearSelectedCustomer } = useSelectedCustomer();
   const [customer, setCustomer] = useState(null);
-  const [customerBalance, setCustomerBalance] = useState(null);
+  const [customerBalances, setCustomerBalances] = useState([]);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
   const [openSlips, setOpenSlips] = useState([]);
-  const [customerSearchTerm, setCustomerSearchTerm] = useState('');
-  const [customerResults, setCustomerResults] = useState([]);
-  const [showCustomerDropdown, setShowCustomerDropdown] = useState(false);
-  const [searchTimeout, setSearchTimeout] = useState(null);
   const [paymentAmount, setPaymentAmount] = useState('');
   const [paymentAmountCents, setPaymentAmountCents] = useState(0);
-  const [paymentMethod, setPaymentMethod] = useState('CASH');
+  const [tenders, setTenders] = useState(() => [createTenderLine()]);
+  const [allocations, setAllocations] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [customerLoading, setCustomerLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [overpayment, setOverpayment] = useState(null);
   const [fieldErrors, setFieldErrors] = useState({});
 
-  // Get customer ID from URL params if available
-  useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const customerId = urlParams.get('customer_id');
-    const customerName = urlParams.get('customer_name');
-    
-    if (customerId) {
-      if (customerName) {
-        setCustomerSearchTerm(decodeURIComponent(customerName));
-      } else {
-        setCustomerSearchTerm(customerId);
-      }
-      searchCustomerById(customerId);
-    }
-  }, []);
+  // A customer with no balance in the selected currency yet starts from zero
+  const customerBalance = customerBalances.length > 0
+    ? customerBalances.find(entry => entry.currency === currency) || { currency, wallet_cents: 0, outstanding_cents: 0, open_slips_count: 0 }
+    : null;
+  const balancesByCurrency = Object.fromEntries(customerBalances.map(entry => [entry.currency, entry]));
 
-  // Close dropdown when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (showCustomerDropdown && !event.target.closest('.customer-search-container')) {
-        setShowCustomerDropdown(false);
-      }
-    };
-
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside);
-    };
-  }, [showCustomerDropdown]);
-
-  const handleLogout = () => {
-    localStorage.removeItem('staffToken');
-    localStorage.removeItem('staffRefreshToken');
-    localStorage.removeItem('staffUser');
-    localStorage.removeItem('staffPermissions');
-    window.location.href = '/staff/login';
-  };
+  // A single tender always covers the whole payment; split tenders carry their own amounts
+  const paymentTenders = tenders.length === 1
+    ? [{ ...tenders[0], amount_cents: paymentAmountCents }]
+    : tenders;
+  const untenderedCents = subtractAmounts(paymentAmountCents, sumTenders(paymentTenders));
 
-  const sidebarItems = [
-    { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-    { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-    { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-    { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-    { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-    { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-    { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-  ];
-
-  const searchCustomerById = async (customerId) => {
-    if (!customerId.trim()) return;
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      // Get customer by ID
-      const customerResponse = await walletService.getCustomerById(customerId.trim());
-      
-      if (!customerResponse.success || !customerResponse.customers || customerResponse.customers.length === 0) {
-        setFieldErrors({ customer: 'Customer not found' });
-        setCustomer(null);
-        setCustomerBalance(null);
-        setOpenSlips([]);
-        return;
-      }
-
-      const customerData = formatCustomerData(customerResponse.customers[0]);
-      setCustomer(customerData);
-
-      // Get customer balance
-      const balanceResponse = await walletService.getCustomerBalance(customerData.customer_id);
-      
-      if (balanceResponse.success) {
-        const balanceData = formatCustomerBalance(balanceResponse.balance);
-        setCustomerBalance(balanceData);
-        
-        // Get open credit slips if any
-        const slipsResponse = await walletService.getOpenCreditSlips(customerData.customer_id);
-        if (slipsResponse.success) {
-          setOpenSlips(slipsResponse.slips || []);
-        }
-      }
-
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setFieldErrors({ customer: 'Failed to search customer' });
-    } finally {
-      setCustomerLoading(false);
-    }
-  };
-
-  const searchCustomer = async (searchTerm) => {
-    if (!searchTerm.trim() || searchTerm.trim().length < 2) {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      return;
-    }
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      // Search for customer
-      const customerResponse = await walletService.searchCustomer(searchTerm.trim());
-
-      if (customerResponse.success && customerResponse.customers && customerResponse.customers.length > 0) {
-        setCustomerResults(customerResponse.customers);
-        setShowCustomerDropdown(true);
-        setFieldErrors({ customer: null });
-      } else {
-        setCustomerResults([]);
-        setShowCustomerDropdown(false);
-        setFieldErrors({ customer: 'No customers found' });
-      }
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: 'Failed to search customer' });
-    } finally {
-      setCustomerLoading(false);
-    }
-  };
-
-  const handleCustomerInputChange = (e) => {
-    const value = e.target.value;
-    setCustomerSearchTerm(value);
-
-    // Clear previous timeout
-    if (searchTimeout) {
-      clearTimeout(searchTimeout);
-    }
-
-    // Auto-search after user stops typing for 300ms and has at least 2 characters
-    if (value.trim().length >= 2) {
-      const timeout = setTimeout(() => {
-        searchCustomer(value);
-      }, 300);
-      setSearchTimeout(timeout);
+  // Load the wallet of the customer picked here or on another wallet page
+  useEffect(() => {
+    if (selectedCustomer) {
+      selectCustomer(selectedCustomer);
     } else {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: null });
+      resetCustomer();
     }
-  };
+  }, [selectedCustomer]);
 
   const selectCustomer = async (customerData) => {
-    const formattedCustomer = formatCustomerData(customerData);
-    setCustomer(formattedCustomer);
-    setCustomerSearchTerm(customerData.name);
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
+    setCustomer(customerData);
+    setCustomerBalances([]);
+    setOpenSlips([]);
     setFieldErrors({ customer: null });
 
     // Load customer balance and open slips
     try {
-      const [balanceResponse, slipsResponse] = await Promise.all([
-        walletService.getCustomerBalance(formattedCustomer.customer_id),
-        walletService.getOpenCreditSlips(formattedCustomer.customer_id)
-      ]);
-
-      if (balanceResponse.success) {
-        const balanceData = formatCustomerBalance(balanceResponse.balance);
-        setCustomerBalance(balanceData);
-      }
-
-      if (slipsResponse.success) {
-        setOpenSlips(slipsResponse.slips || []);
-      }
+      await loadCustomerWallet(customerData.customer_id);
     } catch (err) {
       console.error('Error loading customer data:', err);
     }
   };
 
-  const clearCustomerSelection = () => {
+  // Payments are allocated to slips in the same currency, so slips are loaded per currency
+  const loadCustomerWallet = async (customerId, slipCurrency = currency) => {
+    const [balancesResponse, slipsResponse] = await Promise.all([
+      walletService.getCustomerBalances(customerId),
+      walletService.getOpenCreditSlips(customerId, slipCurrency)
+    ]);
+
+    if (balancesResponse.success) {
+      setCustomerBalances(balancesResponse.balances);
+    }
+
+    setOpenSlips(slipsResponse.success ? slipsResponse.slips || [] : []);
+  };
+
+  const resetCustomer = () => {
     setCustomer(null);
-    setCustomerBalance(null);
+    setCustomerBalances([]);
     setOpenSlips([]);
-    setCustomerSearchTerm('');
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
     setFieldErrors({ customer: null });
   };
 
-  const handlePaymentAmountChange = (value) => {
+  const handlePaymentAmountChange = (value, amountCurrency = currency) => {
     setPaymentAmount(value);
 
     if (value === '') {
@@ -254,7 +138,7 @@ export default function ProcessPayment() {
       return;
     }
 
-    const validation = validateTZSInput(value);
+    const validation = validateMoneyInput(value, amountCurrency);
     if (validation.isValid) {
       setPaymentAmountCents(validation.amount);
       setFieldErrors({ ...fieldErrors, amount: null });
@@ -263,47 +147,76 @@ export default function ProcessPayment() {
     }
   };
 
-  // Calculate how payment will be automatically allocated
-  const calculatePaymentAllocation = () => {
-    if (!paymentAmountCents || !openSlips) {
-      return { toSlips: 0, toWallet: paymentAmountCents, slipPayments: [] };
+  const handleCurrencyChange = async (code) => {
+    setCurrency(code);
+    // Re-check the amount, as currencies allow different decimals
+    handlePaymentAmountChange(paymentAmount, code);
+    if (tenders.length > 1) {
+      tenders.forEach(tender => handleTenderAmountChange(tender.id, tender.amount, code));
     }
 
-    let remainingPayment = paymentAmountCents;
-    const slipPayments = [];
-    let totalToSlips = 0;
-
-    // Sort slips by creation date (oldest first)
-    const sortedSlips = [...openSlips].sort((a, b) => 
-      new Date(a.created_at) - new Date(b.created_at)
-    );
-
-    // Allocate to slips first
-    for (const slip of sortedSlips) {
-      if (remainingPayment <= 0) break;
-      
-      const slipRemaining = slip.totals?.remaining_cents || 0;
-      const allocateToSlip = Math.min(remainingPayment, slipRemaining);
-      
-      if (allocateToSlip > 0) {
-        slipPayments.push({
-          slip_id: slip._id,
-          amount: allocateToSlip,
-          slip_number: slip.slip_number
-        });
-        totalToSlips += allocateToSlip;
-        remainingPayment -= allocateToSlip;
+    if (customer) {
+      setOpenSlips([]);
+      try {
+        const slipsResponse = await walletService.getOpenCreditSlips(customer.customer_id, code);
+        setOpenSlips(slipsResponse.success ? slipsResponse.slips || [] : []);
+      } catch (err) {
+        console.error('Error loading credit slips:', err);
       }
     }
+  };
+
+  const updateTender = (tenderId, changes) => {
+    setTenders(prev => prev.map(tender => tender.id === tenderId ? { ...tender, ...changes } : tender));
+  };
+
+  const handleTenderAmountChange = (tenderId, value, amountCurrency = currency) => {
+    if (value === '') {
+      updateTender(tenderId, { amount: value, amount_cents: 0, error: null });
+      return;
+    }
+
+    const validation = validateMoneyInput(value, amountCurrency);
+    updateTender(tenderId, {
+      amount: value,
+      amount_cents: validation.isValid ? validation.amount : 0,
+      error: validation.isValid ? null : validation.error
+    });
+  };
+
+  const fillTenderWithRest = (tender) => {
+    const restCents = addAmounts(untenderedCents, tender.amount_cents);
+    if (restCents > 0) {
+      handleTenderAmountChange(tender.id, amountForInput(restCents, currency));
+    }
+  };
 
-    return {
-      toSlips: totalToSlips,
-      toWallet: remainingPayment,
-      slipPayments
-    };
+  const addTender = () => {
+    // The first tender stops covering the whole payment once the payment is split
+    setTenders(prev => [...prev, createTenderLine(prev.some(tender => tender.method === 'CASH') ? 'MOBILE' : 'CASH')]);
+    setFieldErrors({ ...fieldErrors, tenders: null, tenderTotal: null });
   };
 
-  const paymentAllocation = calculatePaymentAllocation();
+  const removeTender = (tenderId) => {
+    setTenders(prev => prev.filter(tender => tender.id !== tenderId));
+    setFieldErrors({ ...fieldErrors, tenders: null, tenderTotal: null });
+  };
+
+  // The split chosen in the allocator, totalled for the breakdown, the tenders and the receipt
+  const slipPayments = allocations
+    .filter(allocation => allocation.type === 'slip')
+    .map(allocation => ({
+      slip_id: allocation.slip_id,
+      amount: allocation.applied_cents,
+      slip_number: openSlips.find(slip => slip._id === allocation.slip_id)?.slip_number
+    }));
+  const paymentAllocation = {
+    toSlips: slipPayments.reduce((sum, payment) => addAmounts(sum, payment.amount), 0),
+    toWallet: allocations
+      .filter(allocation => allocation.type === 'wallet')
+      .reduce((sum, allocation) => addAmounts(sum, allocation.applied_cents), 0),
+    slipPayments
+  };
   const totalDebt = openSlips.reduce((sum, slip) => sum + (slip.totals?.remaining_cents || 0), 0);
 
   const validateForm = () => {
@@ -317,8 +230,21 @@ export default function ProcessPayment() {
       errors.amount = 'Payment amount must be greater than zero';
     }
 
-    if (!paymentMethod) {
-      errors.method = 'Please select a payment method';
+    if (paymentAmountCents > 0 && addAmounts(paymentAllocation.toSlips, paymentAllocation.toWallet) !== paymentAmountCents) {
+      errors.allocation = 'Allocate the whole payment to credit slips or the wallet';
+    }
+
+    if (paymentAmountCents > 0) {
+      const tenderValidation = validateTenders(paymentTenders, {
+        totalCents: paymentAmountCents,
+        slipsCents: paymentAllocation.toSlips,
+        walletAvailableCents: customerBalance?.wallet_cents || 0,
+        currency
+      });
+      if (!tenderValidation.isValid) {
+        errors.tenders = tenderValidation.lines;
+        errors.tenderTotal = tenderValidation.total;
+      }
     }
 
     setFieldErrors(errors);
@@ -335,69 +261,86 @@ export default function ProcessPayment() {
     setLoading(true);
     setError(null);
     setSuccess(null);
+    setOverpayment(null);
+    clearReceipt();
 
     try {
-      // Automatically create allocations
-      const allocation = calculatePaymentAllocation();
-      const allocations = [];
-
-      // Add slip allocations
-      allocation.slipPayments.forEach(payment => {
-        allocations.push({
-          type: 'slip',
-          slip_id: payment.slip_id,
-          applied_cents: payment.amount
-        });
-      });
-
-      // Add wallet allocation if there's remaining amount
-      if (allocation.toWallet > 0) {
-        allocations.push({
-          type: 'wallet',
-          applied_cents: allocation.toWallet
-        });
-      }
-
       const paymentData = {
         customer_id: customer.customer_id,
         store_id: 'default-store',
-        currency: 'TZS',
-        method: paymentMethod,
+        currency,
+        method: getPaymentMethod(paymentTenders),
         amount_cents: paymentAmountCents,
-        allocations: allocations,
+        tenders: buildTenderBreakdown(paymentTenders),
+        allocations,
         occurred_at: new Date().toISOString()
       };
 
-      const response = await walletService.processPayment(paymentData);
+      // occurred_at changes on every submit, so it is left out of the key
+      const idempotencyKey = getIdempotencyKey({ ...paymentData, occurred_at: null });
+      const response = await walletService.processPayment(paymentData, {
+        idempotencyKey,
+        customerName: customer.name
+      });
 
-      if (response.success) {
-        let successMessage = `Payment of ${formatTZS(paymentAmountCents)} processed successfully`;
+      if (response.success && response.queued) {
+        resetIdempotencyKey();
+        setSuccess(createSuccessDisplay(
+          `Payment of ${formatMoney(paymentAmountCents, currency)} saved offline`,
+          'Saved offline — it will sync automatically when the connection is back'
+        ));
+        setPaymentAmount('');
+        setPaymentAmountCents(0);
+        setTenders([createTenderLine()]);
+        setFieldErrors({});
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      } else if (response.success) {
+        resetIdempotencyKey();
+        let successMessage = `Payment of ${formatMoney(paymentAmountCents, currency)} processed successfully`;
         const details = [];
 
         if (response.applied_total > 0) {
-          details.push(`✓ Paid down debt: ${formatTZS(response.applied_total)}`);
+          details.push(`✓ Paid down debt: ${formatMoney(response.applied_total, currency)}`);
         }
 
         if (response.wallet_topup > 0) {
-          details.push(`✓ Added to wallet: ${formatTZS(response.wallet_topup)}`);
+          details.push(`✓ Added to wallet: ${formatMoney(response.wallet_topup, currency)}`);
+          setOverpayment({ customerId: customer.customer_id, paymentId: response.payment_id, amountCents: response.wallet_topup, currency });
+        }
+
+        if (response.replayed) {
+          details.push('Already processed — showing the original result');
         }
 
-        if (allocation.toSlips > 0 && allocation.toWallet === 0) {
-          successMessage = `Debt payment of ${formatTZS(paymentAmountCents)} processed successfully`;
-        } else if (allocation.toSlips === 0 && allocation.toWallet > 0) {
-          successMessage = `Wallet top-up of ${formatTZS(paymentAmountCents)} processed successfully`;
+        if (paymentAllocation.toSlips > 0 && paymentAllocation.toWallet === 0) {
+          successMessage = `Debt payment of ${formatMoney(paymentAmountCents, currency)} processed successfully`;
+        } else if (paymentAllocation.toSlips === 0 && paymentAllocation.toWallet > 0) {
+          successMessage = `Wallet top-up of ${formatMoney(paymentAmountCents, currency)} processed successfully`;
         }
 
         setSuccess(createSuccessDisplay(successMessage, details.join(' • ')));
+        issueReceipt({
+          type: 'PAYMENT',
+          reference: response.payment_id,
+          customer,
+          currency,
+          amountCents: paymentAmountCents,
+          tenders: paymentData.tenders,
+          allocations: [
+            ...paymentAllocation.slipPayments.map(payment => ({ label: `Credit slip ${payment.slip_number}`, amount_cents: payment.amount })),
+            { label: 'Wallet top-up', amount_cents: paymentAllocation.toWallet }
+          ]
+        });
 
         // Reset form
         setPaymentAmount('');
         setPaymentAmountCents(0);
+        setTenders([createTenderLine()]);
         setFieldErrors({});
 
         // Refresh customer data
         if (customer) {
-          searchCustomerById(customer.customer_id);
+          loadCustomerWallet(customer.customer_id);
         }
 
         // Scroll to top to show success message
@@ -414,55 +357,13 @@ export default function ProcessPayment() {
   };
 
   return (
-    <StackedLayout
-      navbar={
-        <Navbar>
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Process Payment</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-          <NavbarSpacer />
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarItem>
-              <NavbarLabel className="text-xs text-gray-500 capitalize">{staffUser?.role || 'Role'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarDivider />
-            <NavbarItem onClick={handleLogout}>
-              <ArrowRightStartOnRectangleIcon />
-              <NavbarLabel>Logout</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-        </Navbar>
-      }
-      sidebar={
-        <Sidebar>
-          <SidebarHeader>
-            <SidebarLabel>Enzi Coffee</SidebarLabel>
-            <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-          </SidebarHeader>
-          <SidebarBody>
-            <SidebarSection>
-              {sidebarItems.map((item) => (
-                <SidebarItem key={item.url} href={item.url} current={item.active}>
-                  <item.icon />
-                  <SidebarLabel>{item.label}</SidebarLabel>
-                </SidebarItem>
-              ))}
-            </SidebarSection>
-          </SidebarBody>
-        </Sidebar>
-      }
-    >
+    <>
       <div className="p-6">
         {/* Header */}
         <div className="mb-6">
           <Button
             outline
-            onClick={() => window.location.href = '/staff/wallet'}
+            onClick={() => navigate('/staff/wallet')}
             className="mb-4"
           >
             <ArrowLeftIcon />
@@ -481,8 +382,25 @@ export default function ProcessPayment() {
                 {success.details}
               </div>
             )}
+            {overpayment && can(PERMISSIONS.REFUND_CREATE) && (
+              <Button
+                outline
+                className="mt-2"
+                href={`/staff/wallet/refund?${new URLSearchParams({
+                  customer: overpayment.customerId,
+                  currency: overpayment.currency,
+                  amount: String(overpayment.amountCents),
+                  reason: 'OVERPAYMENT',
+                  ...(overpayment.paymentId && { payment_id: overpayment.paymentId })
+                })}`}
+              >
+                <ArrowUturnLeftIcon />
+                Refund the overpayment instead
+              </Button>
+            )}
           </div>
         )}
+        <ReceiptActions receipt={receipt} className="mb-6" />
 
         {/* Error Message */}
         {error && (
@@ -499,89 +417,7 @@ export default function ProcessPayment() {
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Customer Information</h3>
 
             {!customer ? (
-              <div className="relative customer-search-container">
-                <div className="flex gap-4 mb-2">
-                  <div className="flex-1 relative">
-                    <InputGroup>
-                      <MagnifyingGlassIcon className="text-gray-400" />
-                      <Input
-                        type="text"
-                        placeholder="Search customer by name, phone, or email (min 2 characters)..."
-                        value={customerSearchTerm}
-                        onChange={handleCustomerInputChange}
-                        disabled={customerLoading}
-                        className="pr-10 text-black placeholder-gray-500"
-                        style={{ color: 'black' }}
-                      />
-                      {customerLoading && (
-                        <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                        </div>
-                      )}
-                    </InputGroup>
-                  </div>
-                </div>
-                
-                <p className="text-xs text-gray-500 mb-4">
-                  Start typing to search for customers automatically
-                </p>
-
-                {/* Customer Search Results Dropdown */}
-                {showCustomerDropdown && customerResults.length > 0 && (
-                  <div className="absolute z-10 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto">
-                    <div className="p-2 border-b border-gray-100 bg-gray-50">
-                      <p className="text-sm text-gray-600 font-medium">
-                        Found {customerResults.length} customer{customerResults.length !== 1 ? 's' : ''}
-                      </p>
-                    </div>
-                    {customerResults.map((result, index) => (
-                      <div
-                        key={result._id || result.id || result.customer_id || index}
-                        className="p-3 hover:bg-blue-50 cursor-pointer border-b border-gray-100 last:border-b-0"
-                        onClick={() => selectCustomer(result)}
-                      >
-                        <div className="flex items-start gap-3">
-                          <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
-                            <UserCircleIcon className="h-6 w-6 text-blue-500" />
-                          </div>
-                          <div className="flex-1 min-w-0">
-                            <h4 className="font-medium text-gray-900 truncate">{result.name}</h4>
-                            <div className="flex flex-col gap-1 mt-1">
-                              {result.phone_number && (
-                                <p className="text-xs text-gray-600 flex items-center">
-                                  <PhoneIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                  {result.phone_number}
-                                </p>
-                              )}
-                              {result.email && (
-                                <p className="text-xs text-gray-600 flex items-center">
-                                  <EnvelopeIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                  {result.email}
-                                </p>
-                              )}
-                              {result.total_visits > 0 && (
-                                <p className="text-xs text-gray-500">
-                                  {result.total_visits} visits
-                                </p>
-                              )}
-                            </div>
-                          </div>
-                          <div className="text-xs text-blue-600 self-center">
-                            Click to select
-                          </div>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
-
-                {fieldErrors.customer && (
-                  <p className="mt-2 text-sm text-red-600 flex items-center">
-                    <XMarkIcon className="h-4 w-4 mr-1" />
-                    {fieldErrors.customer}
-                  </p>
-                )}
-              </div>
+              <CustomerPicker disabled={loading} error={fieldErrors.customer} />
             ) : (
               /* Selected Customer Display */
               <div className="bg-green-50 border border-green-200 p-4 rounded-lg">
@@ -608,7 +444,7 @@ export default function ProcessPayment() {
                       </div>
                       {customerBalance && (
                         <p className="text-sm text-green-600 mt-1">
-                          Wallet Balance: <span className="font-semibold">{formatTZS(customerBalance.wallet_cents)}</span>
+                          Wallet Balance: <span className="font-semibold">{formatMoney(customerBalance.wallet_cents, currency)}</span>
                         </p>
                       )}
                     </div>
@@ -618,7 +454,7 @@ export default function ProcessPayment() {
                     color="red"
                     outline
                     size="sm"
-                    onClick={clearCustomerSelection}
+                    onClick={clearSelectedCustomer}
                     className="hover:bg-red-50 border-red-300 text-red-700 hover:text-red-800"
                   >
                     <XMarkIcon className="h-4 w-4 mr-1" />
@@ -633,6 +469,15 @@ export default function ProcessPayment() {
           <div className="bg-white p-6 rounded-lg shadow">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Payment Details</h3>
 
+            <div className="mb-6 md:w-1/2">
+              <CurrencySelect
+                value={currency}
+                onChange={handleCurrencyChange}
+                disabled={loading}
+                balances={balancesByCurrency}
+              />
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               {/* Payment Amount */}
               <div>
@@ -656,12 +501,12 @@ export default function ProcessPayment() {
                       size="sm"
                       outline
                       onClick={() => {
-                        setPaymentAmount(formatTZS(totalDebt).replace(/[^\d]/g, ''));
+                        setPaymentAmount(formatMoney(totalDebt, currency, { showCurrency: false, useGrouping: false, minimumFractionDigits: 0 }));
                         setPaymentAmountCents(totalDebt);
                       }}
                       className="text-xs"
                     >
-                      Pay All Debt ({formatTZS(totalDebt)})
+                      Pay All Debt ({formatMoney(totalDebt, currency)})
                     </Button>
                     {openSlips.length > 0 && (
                       <Button
@@ -670,12 +515,12 @@ export default function ProcessPayment() {
                         outline
                         onClick={() => {
                           const firstSlipAmount = openSlips[0].totals?.remaining_cents || 0;
-                          setPaymentAmount(formatTZS(firstSlipAmount).replace(/[^\d]/g, ''));
+                          setPaymentAmount(formatMoney(firstSlipAmount, currency, { showCurrency: false, useGrouping: false, minimumFractionDigits: 0 }));
                           setPaymentAmountCents(firstSlipAmount);
                         }}
                         className="text-xs"
                       >
-                        Pay Oldest ({formatTZS(openSlips[0].totals?.remaining_cents || 0)})
+                        Pay Oldest ({formatMoney(openSlips[0].totals?.remaining_cents || 0, currency)})
                       </Button>
                     )}
                   </div>
@@ -689,26 +534,114 @@ export default function ProcessPayment() {
               {/* Payment Method */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Payment Method *
+                  {tenders.length === 1 ? 'Payment Method *' : 'Split Payment *'}
                 </label>
-                <div className="grid grid-cols-2 gap-2">
-                  {PAYMENT_METHODS.map((method) => (
-                    <button
-                      key={method.value}
-                      type="button"
-                      onClick={() => setPaymentMethod(method.value)}
-                      className={`flex items-center justify-center gap-2 p-3 rounded-lg border text-sm font-medium transition-colors ${paymentMethod === method.value
-                          ? 'bg-blue-50 border-blue-200 text-blue-700'
-                          : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
-                        }`}
-                    >
-                      <method.icon className="h-4 w-4" />
-                      {method.label}
-                    </button>
-                  ))}
-                </div>
-                {fieldErrors.method && (
-                  <p className="mt-1 text-sm text-red-600">{fieldErrors.method}</p>
+
+                {tenders.length === 1 ? (
+                  <>
+                    <div className="grid grid-cols-2 gap-2">
+                      {TENDER_METHODS.map((method) => {
+                        const Icon = TENDER_ICONS[method.value];
+                        return (
+                          <button
+                            key={method.value}
+                            type="button"
+                            onClick={() => updateTender(tenders[0].id, { method: method.value })}
+                            className={`flex items-center justify-center gap-2 p-3 rounded-lg border text-sm font-medium transition-colors ${tenders[0].method === method.value
+                                ? 'bg-blue-50 border-blue-200 text-blue-700'
+                                : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+                              }`}
+                          >
+                            <Icon className="h-4 w-4" />
+                            {method.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                    {TENDER_METHODS.find(method => method.value === tenders[0].method)?.referenceLabel && (
+                      <div className="mt-3">
+                        <Input
+                          type="text"
+                          placeholder={TENDER_METHODS.find(method => method.value === tenders[0].method).referenceLabel}
+                          value={tenders[0].reference}
+                          onChange={(e) => updateTender(tenders[0].id, { reference: e.target.value })}
+                        />
+                        {fieldErrors.tenders?.[0]?.reference && (
+                          <p className="mt-1 text-sm text-red-600">{fieldErrors.tenders[0].reference}</p>
+                        )}
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div className="space-y-3">
+                    {tenders.map((tender, index) => {
+                      const method = TENDER_METHODS.find(option => option.value === tender.method);
+                      const lineErrors = fieldErrors.tenders?.[index] || {};
+                      return (
+                        <div key={tender.id} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                          <div className="flex gap-2">
+                            <Select
+                              aria-label="Tender method"
+                              value={tender.method}
+                              onChange={(e) => updateTender(tender.id, { method: e.target.value })}
+                            >
+                              {TENDER_METHODS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                              ))}
+                            </Select>
+                            <Button type="button" plain onClick={() => removeTender(tender.id)} aria-label="Remove tender">
+                              <TrashIcon />
+                            </Button>
+                          </div>
+                          <div className="flex gap-2">
+                            <Input
+                              type="text"
+                              placeholder="Amount"
+                              value={tender.amount}
+                              onChange={(e) => handleTenderAmountChange(tender.id, e.target.value)}
+                            />
+                            <Button
+                              type="button"
+                              outline
+                              onClick={() => fillTenderWithRest(tender)}
+                              disabled={untenderedCents <= 0}
+                            >
+                              Rest
+                            </Button>
+                          </div>
+                          {(tender.error || lineErrors.amount) && (
+                            <p className="text-sm text-red-600">{tender.error || lineErrors.amount}</p>
+                          )}
+                          {method?.referenceLabel && (
+                            <Input
+                              type="text"
+                              placeholder={method.referenceLabel}
+                              value={tender.reference}
+                              onChange={(e) => updateTender(tender.id, { reference: e.target.value })}
+                            />
+                          )}
+                          {lineErrors.reference && (
+                            <p className="text-sm text-red-600">{lineErrors.reference}</p>
+                          )}
+                        </div>
+                      );
+                    })}
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Tendered:</span>
+                      <span className={`font-medium ${untenderedCents === 0 ? 'text-green-700' : 'text-orange-600'}`}>
+                        {formatMoney(sumTenders(paymentTenders), currency)} of {formatMoney(paymentAmountCents, currency)}
+                      </span>
+                    </div>
+                  </div>
+                )}
+
+                <Button type="button" outline size="sm" className="mt-3" onClick={addTender}>
+                  <PlusIcon />
+                  {tenders.length === 1 ? 'Split Payment' : 'Add Tender'}
+                </Button>
+
+                {fieldErrors.tenderTotal && (
+                  <p className="mt-1 text-sm text-red-600">{fieldErrors.tenderTotal}</p>
                 )}
               </div>
             </div>
@@ -722,31 +655,34 @@ export default function ProcessPayment() {
               <div className="bg-blue-50 border border-blue-200 p-4 rounded-lg">
                 <div className="flex items-center mb-3">
                   <BanknotesIcon className="h-5 w-5 text-blue-600 mr-2" />
-                  <span className="font-medium text-blue-800">Payment: {formatTZS(paymentAmountCents)}</span>
+                  <span className="font-medium text-blue-800">Payment: {formatMoney(paymentAmountCents, currency)}</span>
                 </div>
                 
                 <div className="space-y-2 text-sm">
                   {paymentAllocation.toSlips > 0 && (
                     <div className="flex justify-between items-center">
                       <span className="text-blue-700">• Will pay down debt:</span>
-                      <span className="font-semibold text-green-700">{formatTZS(paymentAllocation.toSlips)}</span>
+                      <span className="font-semibold text-green-700">{formatMoney(paymentAllocation.toSlips, currency)}</span>
                     </div>
                   )}
                   
                   {paymentAllocation.toWallet > 0 && (
                     <div className="flex justify-between items-center">
                       <span className="text-blue-700">• Will add to wallet:</span>
-                      <span className="font-semibold text-blue-700">{formatTZS(paymentAllocation.toWallet)}</span>
+                      <span className="font-semibold text-blue-700">{formatMoney(paymentAllocation.toWallet, currency)}</span>
                     </div>
                   )}
                   
-                  {paymentAllocation.slipPayments.length > 0 && (
+                  {tenders.length > 1 && (
                     <div className="mt-3 pt-2 border-t border-blue-200">
-                      <p className="text-xs text-blue-600 mb-1">Debt payments (oldest first):</p>
-                      {paymentAllocation.slipPayments.map((payment, index) => (
-                        <div key={payment.slip_id} className="flex justify-between text-xs text-blue-600">
-                          <span>Credit Slip #{payment.slip_number}</span>
-                          <span>{formatTZS(payment.amount)}</span>
+                      <p className="text-xs text-blue-600 mb-1">Paid with:</p>
+                      {paymentTenders.filter(tender => tender.amount_cents > 0).map(tender => (
+                        <div key={tender.id} className="flex justify-between text-xs text-blue-600">
+                          <span>
+                            {TENDER_METHODS.find(method => method.value === tender.method)?.label}
+                            {tender.reference && ` (${tender.reference})`}
+                          </span>
+                          <span>{formatMoney(tender.amount_cents, currency)}</span>
                         </div>
                       ))}
                     </div>
@@ -768,14 +704,27 @@ export default function ProcessPayment() {
                 )}
               </div>
               
-              {totalDebt > paymentAmountCents && totalDebt > 0 && (
+              {totalDebt > paymentAllocation.toSlips && totalDebt > 0 && (
                 <div className="mt-3 p-3 bg-orange-50 border border-orange-200 rounded-lg">
                   <div className="flex items-center text-sm text-orange-700">
                     <ExclamationTriangleIcon className="h-4 w-4 mr-2" />
-                    <span>Remaining debt after payment: {formatTZS(totalDebt - paymentAmountCents)}</span>
+                    <span>Remaining debt after payment: {formatMoney(totalDebt - paymentAllocation.toSlips, currency)}</span>
                   </div>
                 </div>
               )}
+
+              <div className="mt-6">
+                <PaymentAllocator
+                  key={`${customer.customer_id}-${currency}`}
+                  paymentAmountCents={paymentAmountCents}
+                  openSlips={openSlips}
+                  onAllocationsChange={setAllocations}
+                  currency={currency}
+                />
+                {fieldErrors.allocation && (
+                  <p className="mt-2 text-sm text-red-600">{fieldErrors.allocation}</p>
+                )}
+              </div>
             </div>
           )}
 
@@ -784,7 +733,7 @@ export default function ProcessPayment() {
             <Button
               type="button"
               outline
-              onClick={() => window.location.href = '/staff/wallet'}
+              onClick={() => navigate('/staff/wallet')}
             >
               Cancel
             </Button>
@@ -798,6 +747,6 @@ export default function ProcessPayment() {
           </div>
         </form>
       </div>
-    </StackedLayout>
+    </>
   );
 }
\ No newline at end of file
@@ -1,20 +1,11 @@
 import { useState, useEffect } from 'react';
-import { useStaffUser } from '../../../providers/UserProvider';
-import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../../../components/sidebar';
-import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../../../components/navbar';
-import { StackedLayout } from '../../../components/stacked-layout';
+import { useNavigate } from 'react-router-dom';
 import { Button } from '../../../components/button';
 import { Input, InputGroup } from '../../../components/input';
 import {
-  ArrowRightStartOnRectangleIcon,
   ArrowLeftIcon,
   ChartBarIcon,
   ClipboardDocumentListIcon,
-  Cog8ToothIcon,
-  HomeIcon,
-  MagnifyingGlassIcon,
-  UserGroupIcon,
-  UsersIcon,
   WalletIcon,
   CheckCircleIcon,
   BanknotesIcon,
@@ -22,211 +13,65 @@ import {
   XMarkIcon,
   PhoneIcon,
   EnvelopeIcon,
-  UserCircleIcon,
 } from '@heroicons/react/16/solid';
 
 import walletService from '../../../api/wallet-service';
-import { formatCustomerData, formatCustomerBalance } from '../../../utils/api-response';
+import useIdempotencyKey from '../../../util/useIdempotencyKey';
+import useReceipt from '../../../util/useReceipt';
+import useCan from '../../../util/useCan';
+import { withSelectedCustomer } from '../../../util/paths';
+import { useSelectedCustomer } from '../../../providers/SelectedCustomerProvider';
 import { createErrorDisplay, createSuccessDisplay } from '../../../utils/error-handler';
-import { formatTZS, validateTZSInput, addAmounts } from '../../../utils/currency';
+import { formatMoney, validateMoneyInput, addAmounts, DEFAULT_CURRENCY } from '../../../utils/currency';
+import CustomerPicker from './components/customer-picker';
 import ErrorDisplay, { LoadingDisplay, SuccessDisplay } from './components/error-display';
+import ReceiptActions from './components/receipt-actions';
+import CurrencySelect from './components/currency-select';
+import { PERMISSIONS } from '../../../utils/staff-permissions';
 
 export default function StoreChange() {
-  const staffUser = useStaffUser();
+  const navigate = useNavigate();
+  const can = useCan();
+  const { getKey: getIdempotencyKey, resetKey: resetIdempotencyKey } = useIdempotencyKey();
+  const { receipt, issueReceipt, clearReceipt } = useReceipt();
+  const { selectedCustomer, clearSelectedCustomer } = useSelectedCustomer();
   const [customer, setCustomer] = useState(null);
-  const [customerBalance, setCustomerBalance] = useState(null);
-  const [customerSearchTerm, setCustomerSearchTerm] = useState('');
-  const [customerResults, setCustomerResults] = useState([]);
-  const [showCustomerDropdown, setShowCustomerDropdown] = useState(false);
-  const [searchTimeout, setSearchTimeout] = useState(null);
+  const [customerBalances, setCustomerBalances] = useState([]);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
   const [changeAmount, setChangeAmount] = useState('');
   const [changeAmountCents, setChangeAmountCents] = useState(0);
   const [loading, setLoading] = useState(false);
-  const [customerLoading, setCustomerLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [fieldErrors, setFieldErrors] = useState({});
 
-  // Get customer ID from URL params if available
-  useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const customerId = urlParams.get('customer_id');
-    const customerName = urlParams.get('customer_name');
-    const walletBalance = urlParams.get('wallet_balance');
-    const creditBalance = urlParams.get('credit_balance');
-    
-    // Store the customer ID and search term
-    if (customerId) {
-      if (customerName) {
-        setCustomerSearchTerm(decodeURIComponent(customerName));
-      } else {
-        setCustomerSearchTerm(customerId);
-      }
-      
-      // Search for the customer
-      searchCustomerById(customerId);
-      
-      // If we have wallet balance from URL, display it (this is an optimization)
-      if (walletBalance && creditBalance) {
-        console.log('Using pre-passed wallet and credit balance from URL parameters');
-      }
-    }
-  }, []);
+  // A customer with no balance in the selected currency yet starts from zero
+  const customerBalance = customerBalances.length > 0
+    ? customerBalances.find(entry => entry.currency === currency) || { currency, wallet_cents: 0, outstanding_cents: 0, open_slips_count: 0 }
+    : null;
+  const balancesByCurrency = Object.fromEntries(customerBalances.map(entry => [entry.currency, entry]));
 
-  // Handle clicking outside customer dropdown
+  // Load the balances of the customer picked here or on another wallet page
   useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (!event.target.closest('.customer-search-container')) {
-        setShowCustomerDropdown(false);
-      }
-    };
-
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, []);
-
-  const handleLogout = () => {
-    localStorage.removeItem('staffToken');
-    localStorage.removeItem('staffRefreshToken');
-    localStorage.removeItem('staffUser');
-    localStorage.removeItem('staffPermissions');
-    window.location.href = '/staff/login';
-  };
-
-  const sidebarItems = [
-    { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-    { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-    { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-    { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-    { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-    { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-    { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-  ];
-
-  const searchCustomerById = async (customerId) => {
-    if (!customerId.trim()) return;
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      // Get customer by ID
-      const customerResponse = await walletService.getCustomerById(customerId.trim());
-      
-      if (!customerResponse.success || !customerResponse.customers || customerResponse.customers.length === 0) {
-        setFieldErrors({ customer: 'Customer not found' });
-        setCustomer(null);
-        setCustomerBalance(null);
-        return;
-      }
-
-      const customerData = formatCustomerData(customerResponse.customers[0]);
-      setCustomer(customerData);
-
-      // Get customer balance
-      const balanceResponse = await walletService.getCustomerBalance(customerData.customer_id);
-      
-      if (balanceResponse.success) {
-        const balanceData = formatCustomerBalance(balanceResponse.balance);
-        setCustomerBalance(balanceData);
-      }
-
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setFieldErrors({ customer: 'Failed to search customer' });
-    } finally {
-      setCustomerLoading(false);
+    setCustomer(selectedCustomer);
+    setCustomerBalances([]);
+    setFieldErrors(prev => ({ ...prev, customer: null }));
+
+    if (selectedCustomer) {
+      loadCustomerBalances(selectedCustomer.customer_id).catch((err) => {
+        console.error('Error loading customer balance:', err);
+      });
     }
-  };
+  }, [selectedCustomer]);
 
-  const searchCustomer = async (searchTerm) => {
-    if (!searchTerm.trim() || searchTerm.trim().length < 2) {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      return;
-    }
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      // Search for customer
-      const customerResponse = await walletService.searchCustomer(searchTerm.trim());
-
-      if (customerResponse.success && customerResponse.customers && customerResponse.customers.length > 0) {
-        setCustomerResults(customerResponse.customers);
-        setShowCustomerDropdown(true);
-        setFieldErrors({ customer: null });
-      } else {
-        setCustomerResults([]);
-        setShowCustomerDropdown(false);
-        setFieldErrors({ customer: 'No customers found' });
-      }
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: 'Failed to search customer' });
-    } finally {
-      setCustomerLoading(false);
+  const loadCustomerBalances = async (customerId) => {
+    const balancesResponse = await walletService.getCustomerBalances(customerId);
+    if (balancesResponse.success) {
+      setCustomerBalances(balancesResponse.balances);
     }
   };
 
-  const handleCustomerInputChange = (e) => {
-    const value = e.target.value;
-    setCustomerSearchTerm(value);
-
-    // Clear previous timeout
-    if (searchTimeout) {
-      clearTimeout(searchTimeout);
-    }
-
-    // Auto-search after user stops typing for 300ms and has at least 2 characters
-    if (value.trim().length >= 2) {
-      const timeout = setTimeout(() => {
-        searchCustomer(value);
-      }, 300);
-      setSearchTimeout(timeout);
-    } else {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: null });
-    }
-  };
-
-  const selectCustomer = async (customerData) => {
-    const formattedCustomer = formatCustomerData(customerData);
-    setCustomer(formattedCustomer);
-    setCustomerSearchTerm(customerData.name);
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
-    setFieldErrors({ customer: null });
-
-    // Load customer balance
-    try {
-      const balanceResponse = await walletService.getCustomerBalance(formattedCustomer.customer_id);
-
-      if (balanceResponse.success) {
-        const balanceData = formatCustomerBalance(balanceResponse.balance);
-        setCustomerBalance(balanceData);
-      }
-    } catch (err) {
-      console.error('Error loading customer balance:', err);
-    }
-  };
-
-  const clearCustomerSelection = () => {
-    setCustomer(null);
-    setCustomerBalance(null);
-    setCustomerSearchTerm('');
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
-    setFieldErrors({ customer: null });
-  };
-
-  const handleChangeAmountChange = (value) => {
+  const handleChangeAmountChange = (value, amountCurrency = currency) => {
     setChangeAmount(value);
     
     if (value === '') {
@@ -235,7 +80,7 @@ export default function StoreChange() {
       return;
     }
 
-    const validation = validateTZSInput(value);
+    const validation = validateMoneyInput(value, amountCurrency);
     if (validation.isValid) {
       setChangeAmountCents(validation.amount);
       setFieldErrors({ ...fieldErrors, amount: null });
@@ -244,6 +89,12 @@ export default function StoreChange() {
     }
   };
 
+  const handleCurrencyChange = (code) => {
+    setCurrency(code);
+    // Re-check the amount, as currencies allow different decimals
+    handleChangeAmountChange(changeAmount, code);
+  };
+
   const validateForm = () => {
     const errors = {};
 
@@ -269,20 +120,31 @@ export default function StoreChange() {
     setLoading(true);
     setError(null);
     setSuccess(null);
+    clearReceipt();
 
     try {
       const changeData = {
         customer_id: customer.customer_id,
         store_id: 'default-store',
-        currency: 'TZS',
+        currency,
         change_cents: changeAmountCents
       };
 
-      const response = await walletService.storeChange(changeData);
+      const response = await walletService.storeChange(changeData, {
+        idempotencyKey: getIdempotencyKey(changeData),
+        customerName: customer.name
+      });
 
       if (response.success) {
-        const successMessage = `Successfully stored ${formatTZS(changeAmountCents)} as wallet balance for ${customer.name}`;
-        setSuccess(createSuccessDisplay(successMessage));
+        resetIdempotencyKey();
+        const successMessage = response.queued
+          ? `Change of ${formatMoney(changeAmountCents, currency)} for ${customer.name} saved offline`
+          : `Successfully stored ${formatMoney(changeAmountCents, currency)} as wallet balance for ${customer.name}`;
+        setSuccess(createSuccessDisplay(
+          successMessage,
+          response.queued ? 'Saved offline — it will sync automatically when the connection is back'
+            : response.replayed ? 'Already processed — showing the original result' : null
+        ));
         
         // Reset form
         setChangeAmount('');
@@ -290,8 +152,15 @@ export default function StoreChange() {
         setFieldErrors({});
         
         // Refresh customer balance
-        if (customer) {
-          searchCustomer(customer.customer_id);
+        if (customer && !response.queued) {
+          loadCustomerBalances(customer.customer_id);
+          issueReceipt({
+            type: 'STORE_CHANGE',
+            customer,
+            currency,
+            amountCents: changeAmountCents,
+            allocations: [{ label: 'Wallet balance', amount_cents: response.wallet_added ?? changeAmountCents }]
+          });
         }
         
         // Scroll to top to show success message
@@ -313,55 +182,13 @@ export default function StoreChange() {
     : changeAmountCents;
 
   return (
-    <StackedLayout
-      navbar={
-        <Navbar>
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Store Change</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-          <NavbarSpacer />
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarItem>
-              <NavbarLabel className="text-xs text-gray-500 capitalize">{staffUser?.role || 'Role'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarDivider />
-            <NavbarItem onClick={handleLogout}>
-              <ArrowRightStartOnRectangleIcon />
-              <NavbarLabel>Logout</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-        </Navbar>
-      }
-      sidebar={
-        <Sidebar>
-          <SidebarHeader>
-            <SidebarLabel>Enzi Coffee</SidebarLabel>
-            <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-          </SidebarHeader>
-          <SidebarBody>
-            <SidebarSection>
-              {sidebarItems.map((item) => (
-                <SidebarItem key={item.url} href={item.url} current={item.active}>
-                  <item.icon />
-                  <SidebarLabel>{item.label}</SidebarLabel>
-                </SidebarItem>
-              ))}
-            </SidebarSection>
-          </SidebarBody>
-        </Sidebar>
-      }
-    >
+    <>
       <div className="p-6">
         {/* Header */}
         <div className="mb-6">
           <Button 
             outline 
-            onClick={() => window.location.href = '/staff/wallet'}
+            onClick={() => navigate('/staff/wallet')}
             className="mb-4"
           >
             <ArrowLeftIcon />
@@ -375,6 +202,7 @@ export default function StoreChange() {
         {success && (
           <SuccessDisplay message={success.message} className="mb-6" />
         )}
+        <ReceiptActions receipt={receipt} className="mb-6" />
 
         {/* Error Message */}
         {error && (
@@ -391,89 +219,7 @@ export default function StoreChange() {
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Customer Information</h3>
 
             {!customer ? (
-              <div className="relative customer-search-container">
-                <div className="flex gap-4 mb-2">
-                  <div className="flex-1 relative">
-                    <InputGroup>
-                      <MagnifyingGlassIcon className="text-gray-400" />
-                      <Input
-                        type="text"
-                        placeholder="Search customer by name, phone, or email (min 2 characters)..."
-                        value={customerSearchTerm}
-                        onChange={handleCustomerInputChange}
-                        disabled={customerLoading}
-                        className="pr-10 text-black placeholder-gray-500"
-                        style={{ color: 'black' }}
-                      />
-                      {customerLoading && (
-                        <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                        </div>
-                      )}
-                    </InputGroup>
-                  </div>
-                </div>
-                
-                <p className="text-xs text-gray-500 mb-4">
-                  Start typing to search for customers automatically
-                </p>
-
-                {/* Customer Search Results Dropdown */}
-                {showCustomerDropdown && customerResults.length > 0 && (
-                  <div className="absolute z-10 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto">
-                    <div className="p-2 border-b border-gray-100 bg-gray-50">
-                      <p className="text-sm text-gray-600 font-medium">
-                        Found {customerResults.length} customer{customerResults.length !== 1 ? 's' : ''}
-                      </p>
-                    </div>
-                    {customerResults.map((result, index) => (
-                      <div
-                        key={result._id || result.id || result.customer_id || index}
-                        className="p-3 hover:bg-blue-50 cursor-pointer border-b border-gray-100 last:border-b-0"
-                        onClick={() => selectCustomer(result)}
-                      >
-                        <div className="flex items-start gap-3">
-                          <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
-                            <UserCircleIcon className="h-6 w-6 text-blue-500" />
-                          </div>
-                          <div className="flex-1 min-w-0">
-                            <h4 className="font-medium text-gray-900 truncate">{result.name}</h4>
-                            <div className="flex flex-col gap-1 mt-1">
-                              {result.phone_number && (
-                                <p className="text-xs text-gray-600 flex items-center">
-                                  <PhoneIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                  {result.phone_number}
-                                </p>
-                              )}
-                              {result.email && (
-                                <p className="text-xs text-gray-600 flex items-center">
-                                  <EnvelopeIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                  {result.email}
-                                </p>
-                              )}
-                              {result.total_visits > 0 && (
-                                <p className="text-xs text-gray-500">
-                                  {result.total_visits} visits
-                                </p>
-                              )}
-                            </div>
-                          </div>
-                          <div className="text-xs text-blue-600 self-center">
-                            Click to select
-                          </div>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
-
-                {fieldErrors.customer && (
-                  <p className="mt-2 text-sm text-red-600 flex items-center">
-                    <XMarkIcon className="h-4 w-4 mr-1" />
-                    {fieldErrors.customer}
-                  </p>
-                )}
-              </div>
+              <CustomerPicker disabled={loading} error={fieldErrors.customer} />
             ) : (
               /* Selected Customer Display */
               <div className="bg-green-50 border border-green-200 p-4 rounded-lg">
@@ -500,7 +246,7 @@ export default function StoreChange() {
                       </div>
                       {customerBalance && (
                         <p className="text-sm text-green-600 mt-1">
-                          Current Wallet Balance: <span className="font-semibold">{formatTZS(customerBalance.wallet_cents)}</span>
+                          Current Wallet Balance: <span className="font-semibold">{formatMoney(customerBalance.wallet_cents, currency)}</span>
                         </p>
                       )}
                     </div>
@@ -510,7 +256,7 @@ export default function StoreChange() {
                     color="red"
                     outline
                     size="sm"
-                    onClick={clearCustomerSelection}
+                    onClick={clearSelectedCustomer}
                     className="hover:bg-red-50 border-red-300 text-red-700 hover:text-red-800"
                   >
                     <XMarkIcon className="h-4 w-4 mr-1" />
@@ -527,27 +273,35 @@ export default function StoreChange() {
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               {/* Amount Input */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Change Amount *
-                </label>
-                <InputGroup>
-                  <BanknotesIcon />
-                  <Input
-                    type="text"
-                    placeholder="Enter change amount..."
-                    value={changeAmount}
-                    onChange={(e) => handleChangeAmountChange(e.target.value)}
-                    className="text-black placeholder-gray-500"
-                    style={{ color: 'black' }}
-                  />
-                </InputGroup>
-                {fieldErrors.amount && (
-                  <p className="mt-1 text-sm text-red-600">{fieldErrors.amount}</p>
-                )}
-                <p className="mt-1 text-sm text-gray-500">
-                  Enter the amount of change to store in the customer's wallet
-                </p>
+              <div className="space-y-4">
+                <CurrencySelect
+                  value={currency}
+                  onChange={handleCurrencyChange}
+                  disabled={loading}
+                  balances={balancesByCurrency}
+                />
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Change Amount *
+                  </label>
+                  <InputGroup>
+                    <BanknotesIcon />
+                    <Input
+                      type="text"
+                      placeholder="Enter change amount..."
+                      value={changeAmount}
+                      onChange={(e) => handleChangeAmountChange(e.target.value)}
+                      className="text-black placeholder-gray-500"
+                      style={{ color: 'black' }}
+                    />
+                  </InputGroup>
+                  {fieldErrors.amount && (
+                    <p className="mt-1 text-sm text-red-600">{fieldErrors.amount}</p>
+                  )}
+                  <p className="mt-1 text-sm text-gray-500">
+                    Enter the amount of change to store in the customer's wallet
+                  </p>
+                </div>
               </div>
 
               {/* Balance Preview */}
@@ -562,7 +316,7 @@ export default function StoreChange() {
                     <div className="flex justify-between">
                       <span className="text-blue-700">Current Balance:</span>
                       <span className="font-medium text-blue-900">
-                        {formatTZS(customerBalance.wallet_cents)}
+                        {formatMoney(customerBalance.wallet_cents, currency)}
                       </span>
                     </div>
                     
@@ -570,7 +324,7 @@ export default function StoreChange() {
                       <span className="text-blue-700">Change to Add:</span>
                       <span className="font-medium text-blue-900 flex items-center">
                         <ArrowUpIcon className="h-3 w-3 mr-1" />
-                        {formatTZS(changeAmountCents)}
+                        {formatMoney(changeAmountCents, currency)}
                       </span>
                     </div>
                     
@@ -579,7 +333,7 @@ export default function StoreChange() {
                     <div className="flex justify-between">
                       <span className="text-blue-700 font-medium">New Balance:</span>
                       <span className="font-bold text-blue-900 text-lg">
-                        {formatTZS(newBalanceAfterChange)}
+                        {formatMoney(newBalanceAfterChange, currency)}
                       </span>
                     </div>
                   </div>
@@ -607,7 +361,7 @@ export default function StoreChange() {
             <Button 
               type="button"
               outline
-              onClick={() => window.location.href = '/staff/wallet'}
+              onClick={() => navigate('/staff/wallet')}
             >
               Cancel
             </Button>
@@ -626,34 +380,40 @@ export default function StoreChange() {
           <div className="mt-6 bg-white p-6 rounded-lg shadow">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <Button
-                outline
-                onClick={() => window.location.href = `/staff/wallet/create-credit?customer_id=${customer.customer_id}`}
-                className="flex items-center justify-center gap-2"
-              >
-                <ClipboardDocumentListIcon className="h-4 w-4" />
-                Create Credit Slip
-              </Button>
-              <Button
-                outline
-                onClick={() => window.location.href = `/staff/wallet/process-payment?customer_id=${customer.customer_id}`}
-                className="flex items-center justify-center gap-2"
-              >
-                <BanknotesIcon className="h-4 w-4" />
-                Process Payment
-              </Button>
-              <Button
-                outline
-                onClick={() => window.location.href = `/staff/wallet/history?customer_id=${customer.customer_id}`}
-                className="flex items-center justify-center gap-2"
-              >
-                <ChartBarIcon className="h-4 w-4" />
-                View History
-              </Button>
+              {can(PERMISSIONS.SLIP_CREATE) && (
+                <Button
+                  outline
+                  onClick={() => navigate(withSelectedCustomer('/staff/wallet/create-credit', customer.customer_id))}
+                  className="flex items-center justify-center gap-2"
+                >
+                  <ClipboardDocumentListIcon className="h-4 w-4" />
+                  Create Credit Slip
+                </Button>
+              )}
+              {can(PERMISSIONS.PAYMENT_CREATE) && (
+                <Button
+                  outline
+                  onClick={() => navigate(withSelectedCustomer('/staff/wallet/process-payment', customer.customer_id))}
+                  className="flex items-center justify-center gap-2"
+                >
+                  <BanknotesIcon className="h-4 w-4" />
+                  Process Payment
+                </Button>
+              )}
+              {can(PERMISSIONS.HISTORY_READ) && (
+                <Button
+                  outline
+                  onClick={() => navigate(withSelectedCustomer('/staff/wallet/history', customer.customer_id))}
+                  className="flex items-center justify-center gap-2"
+                >
+                  <ChartBarIcon className="h-4 w-4" />
+                  View History
+                </Button>
+              )}
             </div>
           </div>
         )}
       </div>
-    </StackedLayout>
+    </>
   );
 }
\ No newline at end of file
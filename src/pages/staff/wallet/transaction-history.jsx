@@ -1,20 +1,11 @@
 import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useStaffUser } from '../../../providers/UserProvider';
-import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../../../components/sidebar';
-import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../../../components/navbar';
-import { StackedLayout } from '../../../components/stacked-layout';
+import { useSelectedCustomer } from '../../../providers/SelectedCustomerProvider';
 import { Button } from '../../../components/button';
 import { Input, InputGroup } from '../../../components/input';
 import {
-  ArrowRightStartOnRectangleIcon,
   ArrowLeftIcon,
-  ChartBarIcon,
-  ClipboardDocumentListIcon,
-  Cog8ToothIcon,
-  HomeIcon,
-  MagnifyingGlassIcon,
-  UserGroupIcon,
-  UsersIcon,
   WalletIcon,
   CheckCircleIcon,
   FunnelIcon,
@@ -24,14 +15,26 @@ import {
   XMarkIcon,
   PhoneIcon,
   EnvelopeIcon,
-  UserCircleIcon,
+  ArrowDownTrayIcon,
+  PrinterIcon,
 } from '@heroicons/react/16/solid';
 
 import walletService from '../../../api/wallet-service';
-import { formatCustomerData, formatTransactionEntry, formatPaginationData } from '../../../utils/api-response';
+import { formatTransactionEntry, formatPaginationData } from '../../../utils/api-response';
 import { createErrorDisplay } from '../../../utils/error-handler';
-import { formatTZS } from '../../../utils/currency';
+import { formatTZS, CURRENCIES, DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } from '../../../utils/currency';
+import {
+  EXPORT_PAGE_SIZE,
+  fetchAllPages,
+  buildTransactionStatement,
+  buildTransactionCsv,
+  buildTransactionStatementHtml,
+  buildExportFilename,
+  downloadFile,
+  openPrintableDocument
+} from '../../../utils/wallet-export';
 import TransactionItem, { TransactionItemSkeleton } from './components/transaction-item';
+import CustomerPicker from './components/customer-picker';
 import ErrorDisplay, { LoadingDisplay } from './components/error-display';
 
 const ENTRY_TYPES = [
@@ -41,20 +44,27 @@ const ENTRY_TYPES = [
   { value: 'DEPOSIT', label: 'Deposits' },
   { value: 'CHANGE_TO_BALANCE', label: 'Change Stored' },
   { value: 'BALANCE_CONSUMPTION', label: 'Wallet Applied' },
+  { value: 'SLIP_VOID', label: 'Voided Slips' },
+  { value: 'SLIP_ADJUSTMENT', label: 'Slip Adjustments' },
+  { value: 'REFUND', label: 'Refunds / Cash Outs' },
 ];
 
 const PAGE_SIZES = [10, 20, 50];
 
+const ENTRY_TYPE_LABELS = ENTRY_TYPES.reduce((labels, type) => {
+  if (type.value) labels[type.value] = type.label;
+  return labels;
+}, {});
+
 export default function TransactionHistory() {
+  const navigate = useNavigate();
   const staffUser = useStaffUser();
+  const { selectedCustomer, clearSelectedCustomer } = useSelectedCustomer();
   const [customer, setCustomer] = useState(null);
-  const [customerSearchTerm, setCustomerSearchTerm] = useState('');
-  const [customerResults, setCustomerResults] = useState([]);
-  const [showCustomerDropdown, setShowCustomerDropdown] = useState(false);
-  const [searchTimeout, setSearchTimeout] = useState(null);
   const [transactions, setTransactions] = useState([]);
   const [pagination, setPagination] = useState(null);
   const [filters, setFilters] = useState({
+    currency: DEFAULT_CURRENCY,
     entryType: '',
     startDate: '',
     endDate: '',
@@ -62,37 +72,19 @@ export default function TransactionHistory() {
     perPage: 20
   });
   const [loading, setLoading] = useState(false);
-  const [customerLoading, setCustomerLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [fieldErrors, setFieldErrors] = useState({});
-
-  // Get customer ID from URL params if available
-  useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const customerId = urlParams.get('customer_id');
-    const customerName = urlParams.get('customer_name');
-    
-    if (customerId) {
-      if (customerName) {
-        setCustomerSearchTerm(decodeURIComponent(customerName));
-      } else {
-        setCustomerSearchTerm(customerId);
-      }
-      searchCustomerById(customerId);
-    }
-  }, []);
+  const [exporting, setExporting] = useState(null);
+  const [exportProgress, setExportProgress] = useState(null);
 
-  // Handle clicking outside customer dropdown
+  // Show the history of the customer picked here or on another wallet page
   useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (!event.target.closest('.customer-search-container')) {
-        setShowCustomerDropdown(false);
-      }
-    };
+    setCustomer(selectedCustomer);
+    setTransactions([]);
+    setPagination(null);
 
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, []);
+    // Reset filters when new customer is selected
+    setFilters(prev => ({ ...prev, page: 1 }));
+  }, [selectedCustomer]);
 
   // Load transactions when customer or filters change
   useEffect(() => {
@@ -101,138 +93,6 @@ export default function TransactionHistory() {
     }
   }, [customer, filters]);
 
-  const handleLogout = () => {
-    localStorage.removeItem('staffToken');
-    localStorage.removeItem('staffRefreshToken');
-    localStorage.removeItem('staffUser');
-    localStorage.removeItem('staffPermissions');
-    window.location.href = '/staff/login';
-  };
-
-  const sidebarItems = [
-    { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-    { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-    { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-    { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-    { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-    { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-    { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-  ];
-
-  const searchCustomerById = async (customerId) => {
-    if (!customerId.trim()) return;
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      const customerResponse = await walletService.getCustomerById(customerId.trim());
-      
-      if (!customerResponse.success || !customerResponse.customers || customerResponse.customers.length === 0) {
-        setFieldErrors({ customer: 'Customer not found' });
-        setCustomer(null);
-        setTransactions([]);
-        setPagination(null);
-        return;
-      }
-
-      const customerData = formatCustomerData(customerResponse.customers[0]);
-      setCustomer(customerData);
-      
-      // Reset filters when new customer is selected
-      setFilters(prev => ({ ...prev, page: 1 }));
-
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setFieldErrors({ customer: 'Failed to search customer' });
-      setCustomer(null);
-      setTransactions([]);
-      setPagination(null);
-    } finally {
-      setCustomerLoading(false);
-    }
-  };
-
-  const searchCustomer = async (searchTerm) => {
-    if (!searchTerm.trim() || searchTerm.trim().length < 2) {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      return;
-    }
-
-    setCustomerLoading(true);
-    setError(null);
-    setFieldErrors({});
-
-    try {
-      const customerResponse = await walletService.searchCustomer(searchTerm.trim());
-
-      if (customerResponse.success && customerResponse.customers && customerResponse.customers.length > 0) {
-        setCustomerResults(customerResponse.customers);
-        setShowCustomerDropdown(true);
-        setFieldErrors({ customer: null });
-      } else {
-        setCustomerResults([]);
-        setShowCustomerDropdown(false);
-        setFieldErrors({ customer: 'No customers found' });
-      }
-    } catch (err) {
-      console.error('Customer search error:', err);
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: 'Failed to search customer' });
-    } finally {
-      setCustomerLoading(false);
-    }
-  };
-
-  const handleCustomerInputChange = (e) => {
-    const value = e.target.value;
-    setCustomerSearchTerm(value);
-
-    // Clear previous timeout
-    if (searchTimeout) {
-      clearTimeout(searchTimeout);
-    }
-
-    // Auto-search after user stops typing for 300ms and has at least 2 characters
-    if (value.trim().length >= 2) {
-      const timeout = setTimeout(() => {
-        searchCustomer(value);
-      }, 300);
-      setSearchTimeout(timeout);
-    } else {
-      setCustomerResults([]);
-      setShowCustomerDropdown(false);
-      setFieldErrors({ customer: null });
-    }
-  };
-
-  const selectCustomer = async (customerData) => {
-    const formattedCustomer = formatCustomerData(customerData);
-    setCustomer(formattedCustomer);
-    setCustomerSearchTerm(customerData.name);
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
-    setFieldErrors({ customer: null });
-
-    // Reset filters when new customer is selected
-    setFilters(prev => ({ ...prev, page: 1 }));
-    setTransactions([]);
-    setPagination(null);
-  };
-
-  const clearCustomerSelection = () => {
-    setCustomer(null);
-    setCustomerSearchTerm('');
-    setCustomerResults([]);
-    setShowCustomerDropdown(false);
-    setFieldErrors({ customer: null });
-    setTransactions([]);
-    setPagination(null);
-  };
-
   const loadTransactions = async () => {
     if (!customer) return;
 
@@ -242,7 +102,7 @@ export default function TransactionHistory() {
     try {
       const response = await walletService.getTransactionHistory(
         customer.customer_id,
-        'TZS',
+        filters.currency,
         filters.page,
         filters.perPage
       );
@@ -280,6 +140,7 @@ export default function TransactionHistory() {
 
   const clearFilters = () => {
     setFilters({
+      currency: DEFAULT_CURRENCY,
       entryType: '',
       startDate: '',
       endDate: '',
@@ -288,62 +149,68 @@ export default function TransactionHistory() {
     });
   };
 
-  const exportTransactions = () => {
-    // This would typically generate a CSV or PDF export
-    // For now, we'll just show an alert
-    alert('Export functionality would be implemented here');
+  const loadStatement = async () => {
+    const response = await fetchAllPages(
+      (page) => walletService.getTransactionHistory(customer.customer_id, filters.currency, page, EXPORT_PAGE_SIZE),
+      {
+        onPage: ({ fetchedCount, totalEntries }) => setExportProgress({ fetched: fetchedCount, total: totalEntries })
+      }
+    );
+
+    if (!response.success) {
+      setError(createErrorDisplay(response));
+      return null;
+    }
+
+    const entries = response.entries.map(formatTransactionEntry);
+    return buildTransactionStatement(entries, filters);
   };
 
-  return (
-    <StackedLayout
-      navbar={
-        <Navbar>
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Transaction History</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-          <NavbarSpacer />
-          <NavbarSection>
-            <NavbarItem>
-              <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarItem>
-              <NavbarLabel className="text-xs text-gray-500 capitalize">{staffUser?.role || 'Role'}</NavbarLabel>
-            </NavbarItem>
-            <NavbarDivider />
-            <NavbarItem onClick={handleLogout}>
-              <ArrowRightStartOnRectangleIcon />
-              <NavbarLabel>Logout</NavbarLabel>
-            </NavbarItem>
-          </NavbarSection>
-        </Navbar>
-      }
-      sidebar={
-        <Sidebar>
-          <SidebarHeader>
-            <SidebarLabel>Enzi Coffee</SidebarLabel>
-            <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-          </SidebarHeader>
-          <SidebarBody>
-            <SidebarSection>
-              {sidebarItems.map((item) => (
-                <SidebarItem key={item.url} href={item.url} current={item.active}>
-                  <item.icon />
-                  <SidebarLabel>{item.label}</SidebarLabel>
-                </SidebarItem>
-              ))}
-            </SidebarSection>
-          </SidebarBody>
-        </Sidebar>
+  const exportTransactions = async (format) => {
+    if (!customer || exporting) return;
+
+    setExporting(format);
+    setExportProgress({ fetched: 0, total: pagination?.total_entries || 0 });
+    setError(null);
+
+    try {
+      const statement = await loadStatement();
+      if (!statement) return;
+
+      if (format === 'csv') {
+        downloadFile(
+          buildTransactionCsv(statement, ENTRY_TYPE_LABELS),
+          buildExportFilename('wallet-transactions', customer.name, 'csv')
+        );
+      } else {
+        const html = buildTransactionStatementHtml({
+          customer,
+          statement,
+          filters,
+          typeLabels: ENTRY_TYPE_LABELS,
+          generatedBy: staffUser?.name
+        });
+        if (!openPrintableDocument(html)) {
+          setError(createErrorDisplay({ error: { message: 'Allow pop-ups for this site to print the statement' } }));
+        }
       }
-    >
+    } catch (err) {
+      console.error('Export transactions error:', err);
+      setError(createErrorDisplay({ error: { message: 'Failed to export transaction history' } }));
+    } finally {
+      setExporting(null);
+      setExportProgress(null);
+    }
+  };
+
+  return (
+    <>
       <div className="p-6">
         {/* Header */}
         <div className="mb-6">
           <Button 
             outline 
-            onClick={() => window.location.href = '/staff/wallet'}
+            onClick={() => navigate('/staff/wallet')}
             className="mb-4"
           >
             <ArrowLeftIcon />
@@ -367,89 +234,7 @@ export default function TransactionHistory() {
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Customer Search</h3>
           
           {!customer ? (
-            <div className="relative customer-search-container">
-              <div className="flex gap-4 mb-2">
-                <div className="flex-1 relative">
-                  <InputGroup>
-                    <MagnifyingGlassIcon className="text-gray-400" />
-                    <Input
-                      type="text"
-                      placeholder="Search customer by name, phone, or email (min 2 characters)..."
-                      value={customerSearchTerm}
-                      onChange={handleCustomerInputChange}
-                      disabled={customerLoading}
-                      className="pr-10 text-black placeholder-gray-500"
-                      style={{ color: 'black' }}
-                    />
-                    {customerLoading && (
-                      <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                      </div>
-                    )}
-                  </InputGroup>
-                </div>
-              </div>
-              
-              <p className="text-xs text-gray-500 mb-4">
-                Start typing to search for customers automatically
-              </p>
-
-              {/* Customer Search Results Dropdown */}
-              {showCustomerDropdown && customerResults.length > 0 && (
-                <div className="absolute z-10 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto">
-                  <div className="p-2 border-b border-gray-100 bg-gray-50">
-                    <p className="text-sm text-gray-600 font-medium">
-                      Found {customerResults.length} customer{customerResults.length !== 1 ? 's' : ''}
-                    </p>
-                  </div>
-                  {customerResults.map((result, index) => (
-                    <div
-                      key={String(result._id || result.id || result.customer_id || index)}
-                      className="p-3 hover:bg-blue-50 cursor-pointer border-b border-gray-100 last:border-b-0"
-                      onClick={() => selectCustomer(result)}
-                    >
-                      <div className="flex items-start gap-3">
-                        <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center flex-shrink-0">
-                          <UserCircleIcon className="h-6 w-6 text-blue-500" />
-                        </div>
-                        <div className="flex-1 min-w-0">
-                          <h4 className="font-medium text-gray-900 truncate">{result.name}</h4>
-                          <div className="flex flex-col gap-1 mt-1">
-                            {result.phone_number && (
-                              <p className="text-xs text-gray-600 flex items-center">
-                                <PhoneIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                {result.phone_number}
-                              </p>
-                            )}
-                            {result.email && (
-                              <p className="text-xs text-gray-600 flex items-center">
-                                <EnvelopeIcon className="h-3 w-3 mr-1 text-gray-400" />
-                                {result.email}
-                              </p>
-                            )}
-                            {result.total_visits > 0 && (
-                              <p className="text-xs text-gray-500">
-                                {result.total_visits} visits
-                              </p>
-                            )}
-                          </div>
-                        </div>
-                        <div className="text-xs text-blue-600 self-center">
-                          Click to select
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
-
-              {fieldErrors.customer && (
-                <p className="mt-2 text-sm text-red-600 flex items-center">
-                  <XMarkIcon className="h-4 w-4 mr-1" />
-                  {fieldErrors.customer}
-                </p>
-              )}
-            </div>
+            <CustomerPicker />
           ) : (
             /* Selected Customer Display */
             <div className="bg-green-50 border border-green-200 p-4 rounded-lg">
@@ -481,7 +266,7 @@ export default function TransactionHistory() {
                   color="red"
                   outline
                   size="sm"
-                  onClick={clearCustomerSelection}
+                  onClick={clearSelectedCustomer}
                   className="hover:bg-red-50 border-red-300 text-red-700 hover:text-red-800"
                 >
                   <XMarkIcon className="h-4 w-4 mr-1" />
@@ -505,9 +290,20 @@ export default function TransactionHistory() {
                     <p className="text-sm text-gray-600">{customer.phone_number}</p>
                   </div>
                 </div>
-                <div className="flex gap-3">
-                  <Button outline onClick={exportTransactions}>
-                    Export
+                <div className="flex items-center gap-3">
+                  {exportProgress && (
+                    <span className="text-sm text-gray-500">
+                      Fetching {exportProgress.fetched}
+                      {exportProgress.total ? ` of ${exportProgress.total}` : ''} entries...
+                    </span>
+                  )}
+                  <Button outline onClick={() => exportTransactions('csv')} disabled={!!exporting}>
+                    <ArrowDownTrayIcon />
+                    {exporting === 'csv' ? 'Exporting...' : 'Export CSV'}
+                  </Button>
+                  <Button outline onClick={() => exportTransactions('statement')} disabled={!!exporting}>
+                    <PrinterIcon />
+                    {exporting === 'statement' ? 'Preparing...' : 'Print Statement'}
                   </Button>
                 </div>
               </div>
@@ -525,7 +321,25 @@ export default function TransactionHistory() {
                 </Button>
               </div>
               
-              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                {/* Currency */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Currency
+                  </label>
+                  <select
+                    value={filters.currency}
+                    onChange={(e) => handleFilterChange('currency', e.target.value)}
+                    className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm"
+                  >
+                    {SUPPORTED_CURRENCIES.map(code => (
+                      <option key={code} value={code}>
+                        {code} - {CURRENCIES[code].name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 {/* Transaction Type */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -626,6 +440,7 @@ export default function TransactionHistory() {
                     <TransactionItem 
                       key={String(transaction.entry_id)} 
                       transaction={transaction}
+                      currency={filters.currency}
                     />
                   ))}
                 </div>
@@ -687,6 +502,6 @@ export default function TransactionHistory() {
           </div>
         )}
       </div>
-    </StackedLayout>
+    </>
   );
 }
\ No newline at end of file
@@ -1,23 +1,18 @@
 import { useState, useEffect } from 'react';
-import { useStaffUser } from "../../../providers/UserProvider";
-import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../../../components/sidebar';
-import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../../../components/navbar';
-import { StackedLayout } from '../../../components/stacked-layout';
+import { Link, useNavigate } from 'react-router-dom';
+import useCan from '../../../util/useCan';
+import { PERMISSIONS } from '../../../utils/staff-permissions';
 import {
-    ArrowRightStartOnRectangleIcon,
-    BanknotesIcon,
-    ChartBarIcon,
-    ClipboardDocumentListIcon,
-    Cog8ToothIcon,
-    CreditCardIcon,
-    HomeIcon,
-    UserGroupIcon,
-    UsersIcon,
-    WalletIcon,
-    ShieldCheckIcon,
-    DocumentMagnifyingGlassIcon,
-    ArrowPathIcon,
-    PresentationChartLineIcon,
+  BanknotesIcon,
+  ClipboardDocumentListIcon,
+  CreditCardIcon,
+  UsersIcon,
+  WalletIcon,
+  ShieldCheckIcon,
+  DocumentMagnifyingGlassIcon,
+  ArrowPathIcon,
+  ArrowUturnLeftIcon,
+  PresentationChartLineIcon,
 } from '@heroicons/react/16/solid';
 import { Button } from '../../../components/button';
 import WalletStats from './components/wallet-stats';
@@ -29,10 +24,9 @@ import { createErrorDisplay } from '../../../utils/error-handler';
 import ErrorDisplay from './components/error-display';
 
 export default function WalletDashboard() {
-    const staffUser = useStaffUser();
-    
-    // Check if user has audit access
-    const hasAuditAccess = staffUser?.role === 'admin' || staffUser?.role === 'manager';
+    const navigate = useNavigate();
+    const can = useCan();
+    const hasAuditAccess = can(PERMISSIONS.AUDIT_READ);
 
     // Wallet statistics state
     const [walletStats, setWalletStats] = useState({
@@ -86,116 +80,67 @@ export default function WalletDashboard() {
         }
     };
 
-    const handleLogout = () => {
-        localStorage.removeItem('staffToken');
-        localStorage.removeItem('staffRefreshToken');
-        localStorage.removeItem('staffUser');
-        localStorage.removeItem('staffPermissions');
-        window.location.href = '/staff/login';
-    };
-
-    const sidebarItems = [
-        { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-        { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-        { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-        { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-        { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-        { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-        { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-    ];
-
     const walletActions = [
         {
             title: 'Search Customer',
             description: 'Find customer and view wallet balance',
             icon: UsersIcon,
             color: 'blue',
-            href: '/staff/wallet/search'
+            href: '/staff/wallet/search',
+            permission: PERMISSIONS.WALLET_READ
         },
         {
             title: 'Create Credit Slip',
             description: 'Add items taken on credit',
             icon: ClipboardDocumentListIcon,
             color: 'green',
-            href: '/staff/wallet/create-credit'
+            href: '/staff/wallet/create-credit',
+            permission: PERMISSIONS.SLIP_CREATE
         },
         {
             title: 'Process Payment',
             description: 'Record customer payment',
             icon: CreditCardIcon,
             color: 'purple',
-            href: '/staff/wallet/process-payment'
+            href: '/staff/wallet/process-payment',
+            permission: PERMISSIONS.PAYMENT_CREATE
         },
         {
             title: 'Store Change',
             description: 'Add change to wallet balance',
             icon: BanknotesIcon,
             color: 'orange',
-            href: '/staff/wallet/store-change'
+            href: '/staff/wallet/store-change',
+            permission: PERMISSIONS.CHANGE_CREATE
+        },
+        {
+            title: 'Refund / Cash Out',
+            description: 'Pay wallet balance back to a customer',
+            icon: ArrowUturnLeftIcon,
+            color: 'red',
+            href: '/staff/wallet/refund',
+            permission: PERMISSIONS.REFUND_CREATE
         },
         {
             title: 'Transaction History',
             description: 'View transaction history for customers',
             icon: DocumentMagnifyingGlassIcon,
             color: 'emerald',
-            href: '/staff/wallet/history'
-        }
-    ];
-
-    if (hasAuditAccess) {
-        walletActions.push({
+            href: '/staff/wallet/history',
+            permission: PERMISSIONS.HISTORY_READ
+        },
+        {
             title: 'Audit Trail',
             description: 'View detailed audit records',
             icon: ShieldCheckIcon,
             color: 'gray',
-            href: '/staff/wallet/audit'
-        });
-    }
+            href: '/staff/wallet/audit',
+            permission: PERMISSIONS.AUDIT_READ
+        }
+    ].filter(action => can(action.permission));
 
     return (
-        <StackedLayout
-            navbar={
-                <Navbar>
-                    <NavbarSection>
-                        <NavbarItem>
-                            <NavbarLabel>Wallet Management Dashboard</NavbarLabel>
-                        </NavbarItem>
-                    </NavbarSection>
-                    <NavbarSpacer />
-                    <NavbarSection>
-                        <NavbarItem>
-                            <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
-                        </NavbarItem>
-                        <NavbarItem>
-                            <NavbarLabel className="text-xs text-gray-500 capitalize">{staffUser?.role || 'Role'}</NavbarLabel>
-                        </NavbarItem>
-                        <NavbarDivider />
-                        <NavbarItem onClick={handleLogout}>
-                            <ArrowRightStartOnRectangleIcon />
-                            <NavbarLabel>Logout</NavbarLabel>
-                        </NavbarItem>
-                    </NavbarSection>
-                </Navbar>
-            }
-            sidebar={
-                <Sidebar>
-                    <SidebarHeader>
-                        <SidebarLabel>Enzi Coffee</SidebarLabel>
-                        <SidebarLabel className="text-xs text-gray-500">Staff Portal</SidebarLabel>
-                    </SidebarHeader>
-                    <SidebarBody>
-                        <SidebarSection>
-                            {sidebarItems.map((item) => (
-                                <SidebarItem key={item.url} href={item.url} current={item.active}>
-                                    <item.icon />
-                                    <SidebarLabel>{item.label}</SidebarLabel>
-                                </SidebarItem>
-                            ))}
-                        </SidebarSection>
-                    </SidebarBody>
-                </Sidebar>
-            }
-        >
+        <>
             <div className="p-6 space-y-6">
                 {/* Page Header */}
                 <div className="flex justify-between items-center">
@@ -316,9 +261,9 @@ export default function WalletDashboard() {
                     <h2 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h2>
                     <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-6 gap-4">
                         {walletActions.map((action) => (
-                            <a 
+                            <Link
                                 key={action.title}
-                                href={action.href}
+                                to={action.href}
                                 className="flex flex-col items-center p-5 rounded-lg border border-gray-200 hover:border-blue-300 hover:bg-blue-50 shadow-sm hover:shadow transition-all duration-200"
                             >
                                 <div className="mb-3 p-3 bg-blue-100 rounded-full">
@@ -326,7 +271,7 @@ export default function WalletDashboard() {
                                 </div>
                                 <h4 className="font-medium text-gray-900 mb-1">{action.title}</h4>
                                 <p className="text-xs text-gray-600 text-center">{action.description}</p>
-                            </a>
+                            </Link>
                         ))}
                     </div>
                 </div>
@@ -353,14 +298,16 @@ export default function WalletDashboard() {
                     <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
                         <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center justify-between">
                             <span>Recent Transactions</span>
-                            <Button 
-                                href="/staff/wallet/history" 
-                                color="blue" 
-                                size="sm"
-                                outline
-                            >
-                                View All
-                            </Button>
+                            {can(PERMISSIONS.HISTORY_READ) && (
+                                <Button 
+                                    href="/staff/wallet/history" 
+                                    color="blue" 
+                                    size="sm"
+                                    outline
+                                >
+                                    View All
+                                </Button>
+                            )}
                         </h2>
                         <RecentTransactions limit={5} />
                     </div>
@@ -377,7 +324,7 @@ export default function WalletDashboard() {
                             <div className="flex gap-3">
                                 <Button 
                                     outline 
-                                    onClick={() => window.location.href = '/staff/wallet/audit'}
+                                    onClick={() => navigate('/staff/wallet/audit')}
                                 >
                                     <ShieldCheckIcon className="h-4 w-4 mr-1" />
                                     Audit Trail
@@ -387,6 +334,6 @@ export default function WalletDashboard() {
                     </div>
                 )}
             </div>
-        </StackedLayout>
+        </>
     );
 }
\ No newline at end of file
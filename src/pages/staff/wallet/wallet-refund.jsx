@@ -0,0 +1,459 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Button } from '../../../components/button';
+import { Input, InputGroup } from '../../../components/input';
+import { Textarea } from '../../../components/textarea';
+import {
+  ArrowLeftIcon,
+  ArrowUturnLeftIcon,
+  BanknotesIcon,
+  BuildingLibraryIcon,
+  CheckCircleIcon,
+  DevicePhoneMobileIcon,
+  WalletIcon,
+  XMarkIcon,
+} from '@heroicons/react/16/solid';
+
+import walletService from '../../../api/wallet-service';
+import useIdempotencyKey from '../../../util/useIdempotencyKey';
+import { useSelectedCustomer } from '../../../providers/SelectedCustomerProvider';
+import { createErrorDisplay, createSuccessDisplay } from '../../../utils/error-handler';
+import {
+  formatMoney,
+  formatTZSForInput,
+  normalizeCurrencyBalances,
+  subtractAmounts,
+  validateMoneyInput,
+  getCurrency,
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES
+} from '../../../utils/currency';
+import { REFUND_METHODS, REFUND_REASONS, validateRefund, buildRefundRequest } from '../../../utils/wallet-refunds';
+import { RefundConfirmationDialog } from './components/confirmation-dialog';
+import ErrorDisplay, { SuccessDisplay } from './components/error-display';
+import CurrencySelect from './components/currency-select';
+import CustomerPicker from './components/customer-picker';
+
+const METHOD_ICONS = {
+  CASH: BanknotesIcon,
+  MOBILE: DevicePhoneMobileIcon,
+  BANK_TRANSFER: BuildingLibraryIcon,
+};
+
+// Amounts arrive in minor units from links such as the payment page's "refund overpayment"
+const toAmountInput = (cents, currency) => {
+  const { minor_units: minorUnits } = getCurrency(currency);
+  return currency === 'TZS' ? formatTZSForInput(cents) : String(cents / 10 ** minorUnits);
+};
+
+export default function WalletRefund() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { getKey: getIdempotencyKey, resetKey: resetIdempotencyKey } = useIdempotencyKey();
+  const { selectedCustomer, clearSelectedCustomer } = useSelectedCustomer();
+
+  const initialCurrency = SUPPORTED_CURRENCIES.includes(searchParams.get('currency')) ? searchParams.get('currency') : DEFAULT_CURRENCY;
+  const paymentId = searchParams.get('payment_id');
+
+  const [customer, setCustomer] = useState(null);
+  const [currency, setCurrency] = useState(initialCurrency);
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [balanceLoading, setBalanceLoading] = useState(false);
+  const [reason, setReason] = useState(searchParams.get('reason') === 'OVERPAYMENT' ? 'OVERPAYMENT' : 'CASH_OUT');
+  const [method, setMethod] = useState('CASH');
+  const [reference, setReference] = useState('');
+  const [note, setNote] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundAmountCents, setRefundAmountCents] = useState(0);
+  const [pendingRefund, setPendingRefund] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const selectedMethod = REFUND_METHODS.find(option => option.value === method);
+  const selectedReason = REFUND_REASONS.find(option => option.value === reason);
+  const availableCents = walletBalance?.wallet_cents || 0;
+
+  const loadWalletBalance = useCallback(async (customerId, balanceCurrency) => {
+    setBalanceLoading(true);
+    const response = await walletService.getCustomerBalance(customerId, balanceCurrency);
+    const balance = response.success
+      ? normalizeCurrencyBalances(response.balance).find(entry => entry.currency === balanceCurrency)
+      : null;
+    setWalletBalance(balance || { currency: balanceCurrency, wallet_cents: 0 });
+    setBalanceLoading(false);
+    return response.success ? balance || { currency: balanceCurrency, wallet_cents: 0 } : null;
+  }, []);
+
+  // Links from a customer's page or the payment page name the amount
+  useEffect(() => {
+    const amountCents = Number(searchParams.get('amount'));
+    if (amountCents > 0) {
+      handleAmountChange(toAmountInput(amountCents, initialCurrency), initialCurrency);
+    }
+  }, []);
+
+  // Use the customer picked here or on another wallet page
+  useEffect(() => {
+    setCustomer(selectedCustomer);
+    setWalletBalance(null);
+    setFieldErrors(prev => ({ ...prev, customer: null }));
+  }, [selectedCustomer]);
+
+  useEffect(() => {
+    if (customer) {
+      loadWalletBalance(customer.customer_id, currency);
+    }
+  }, [customer, currency, loadWalletBalance]);
+
+  const handleAmountChange = (value, amountCurrency = currency) => {
+    setRefundAmount(value);
+
+    if (value === '') {
+      setRefundAmountCents(0);
+      setFieldErrors(prev => ({ ...prev, amount: null }));
+      return;
+    }
+
+    const validation = validateMoneyInput(value, amountCurrency);
+    if (validation.isValid) {
+      setRefundAmountCents(validation.amount);
+      setFieldErrors(prev => ({ ...prev, amount: null }));
+    } else {
+      setRefundAmountCents(0);
+      setFieldErrors(prev => ({ ...prev, amount: validation.error }));
+    }
+  };
+
+  const handleCurrencyChange = (code) => {
+    setCurrency(code);
+    // Re-check the amount, as currencies allow different decimals
+    handleAmountChange(refundAmount, code);
+  };
+
+  const handleReview = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!customer) {
+      setFieldErrors({ customer: 'Please select a customer' });
+      return;
+    }
+
+    const refund = { amountCents: refundAmountCents, method, reason, reference, currency };
+    const errors = validateRefund({ ...refund, availableCents });
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    // Check against the latest balance, as it may have been spent since the page loaded
+    const latestBalance = await loadWalletBalance(customer.customer_id, currency);
+    if (!latestBalance) {
+      setError(createErrorDisplay({ error: { message: 'Could not check the wallet balance. Please try again' } }));
+      return;
+    }
+    const latestErrors = validateRefund({ ...refund, availableCents: latestBalance.wallet_cents });
+    if (Object.keys(latestErrors).length > 0) {
+      setFieldErrors(latestErrors);
+      return;
+    }
+
+    setPendingRefund(buildRefundRequest({
+      customer,
+      currency,
+      amountCents: refundAmountCents,
+      method,
+      reason,
+      reference,
+      paymentId,
+      note
+    }));
+  };
+
+  const submitRefund = async () => {
+    setLoading(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = await walletService.refundWallet(pendingRefund, {
+        idempotencyKey: getIdempotencyKey(pendingRefund)
+      });
+
+      if (response.success) {
+        resetIdempotencyKey();
+        setSuccess(createSuccessDisplay(
+          `Paid ${formatMoney(pendingRefund.amount_cents, currency)} back to ${customer.name} by ${selectedMethod.label.toLowerCase()}`,
+          response.replayed ? 'Already processed — showing the original result' : null
+        ));
+
+        setRefundAmount('');
+        setRefundAmountCents(0);
+        setReference('');
+        setNote('');
+        setFieldErrors({});
+        loadWalletBalance(customer.customer_id, currency);
+
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      } else {
+        setError(createErrorDisplay(response));
+      }
+    } catch (err) {
+      console.error('Wallet refund error:', err);
+      setError(createErrorDisplay({ error: { message: 'Failed to process refund' } }));
+    } finally {
+      setLoading(false);
+      setPendingRefund(null);
+    }
+  };
+
+  return (
+    <>
+      <div className="p-6">
+        {/* Header */}
+        <div className="mb-6">
+          <Button
+            outline
+            onClick={() => navigate('/staff/wallet')}
+            className="mb-4"
+          >
+            <ArrowLeftIcon />
+            Back to Wallet
+          </Button>
+          <h1 className="text-2xl font-semibold text-gray-900">Refund / Cash Out</h1>
+          <p className="text-gray-600">Pay wallet balance back to a customer in cash or mobile money</p>
+        </div>
+
+        {/* Success Message */}
+        {success && (
+          <SuccessDisplay message={success.message} details={success.details} className="mb-6" />
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <ErrorDisplay
+            error={error}
+            onRetry={() => setError(null)}
+            className="mb-6"
+          />
+        )}
+
+        <div className="space-y-6">
+          {/* Customer Selection */}
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Customer Information</h3>
+
+            {!customer ? (
+              <CustomerPicker disabled={loading} error={fieldErrors.customer} />
+            ) : (
+              <div className="bg-green-50 border border-green-200 p-4 rounded-lg flex items-center justify-between">
+                <div className="flex items-center">
+                  <CheckCircleIcon className="h-6 w-6 text-green-600 mr-3" />
+                  <div>
+                    <p className="font-medium text-green-800">{customer.name}</p>
+                    {customer.phone_number && (
+                      <p className="text-sm text-green-600">{customer.phone_number}</p>
+                    )}
+                  </div>
+                </div>
+                <Button type="button" color="red" outline size="sm" onClick={clearSelectedCustomer}>
+                  <XMarkIcon className="h-4 w-4 mr-1" />
+                  Change Customer
+                </Button>
+              </div>
+            )}
+          </div>
+
+          {/* Refund Details */}
+          <form onSubmit={handleReview} className="bg-white p-6 rounded-lg shadow space-y-6">
+            <h3 className="text-lg font-semibold text-gray-900">Refund Details</h3>
+
+            {/* Reason */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reason *
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {REFUND_REASONS.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setReason(option.value)}
+                    className={`p-3 rounded-lg border text-left transition-colors ${reason === option.value
+                        ? 'bg-blue-50 border-blue-200'
+                        : 'bg-white border-gray-200 hover:bg-gray-50'
+                      }`}
+                  >
+                    <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+                    <span className="block text-xs text-gray-600">{option.description}</span>
+                  </button>
+                ))}
+              </div>
+              {reason === 'OVERPAYMENT' && paymentId && (
+                <p className="mt-1 text-xs text-gray-500">Refunding payment {paymentId}</p>
+              )}
+              {fieldErrors.reason && (
+                <p className="mt-1 text-sm text-red-600">{fieldErrors.reason}</p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="space-y-4">
+                <CurrencySelect
+                  value={currency}
+                  onChange={handleCurrencyChange}
+                  disabled={loading}
+                />
+
+                {/* Amount */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Amount *
+                  </label>
+                  <InputGroup>
+                    <BanknotesIcon />
+                    <Input
+                      type="text"
+                      placeholder="Enter amount to pay back..."
+                      value={refundAmount}
+                      onChange={(e) => handleAmountChange(e.target.value)}
+                    />
+                  </InputGroup>
+                  {fieldErrors.amount && (
+                    <p className="mt-1 text-sm text-red-600">{fieldErrors.amount}</p>
+                  )}
+                  {customer && availableCents > 0 && (
+                    <button
+                      type="button"
+                      className="mt-1 text-sm text-blue-600 hover:underline"
+                      onClick={() => handleAmountChange(toAmountInput(availableCents, currency))}
+                    >
+                      Pay back the full balance ({formatMoney(availableCents, currency)})
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Method */}
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Refund Method *
+                  </label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {REFUND_METHODS.map((option) => {
+                      const Icon = METHOD_ICONS[option.value];
+                      return (
+                        <button
+                          key={option.value}
+                          type="button"
+                          onClick={() => setMethod(option.value)}
+                          className={`flex items-center justify-center gap-2 p-3 rounded-lg border text-sm font-medium transition-colors ${method === option.value
+                              ? 'bg-blue-50 border-blue-200 text-blue-700'
+                              : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+                            }`}
+                        >
+                          <Icon className="h-4 w-4" />
+                          {option.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  {fieldErrors.method && (
+                    <p className="mt-1 text-sm text-red-600">{fieldErrors.method}</p>
+                  )}
+                </div>
+
+                {selectedMethod?.requiresReference && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {selectedMethod.referenceLabel} *
+                    </label>
+                    <Input
+                      type="text"
+                      value={reference}
+                      onChange={(e) => setReference(e.target.value)}
+                    />
+                    {fieldErrors.reference && (
+                      <p className="mt-1 text-sm text-red-600">{fieldErrors.reference}</p>
+                    )}
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Note
+                  </label>
+                  <Textarea
+                    rows={2}
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Optional note for the audit trail"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Balance Preview */}
+            {customer && walletBalance && (
+              <div className="bg-blue-50 border border-blue-200 p-4 rounded-lg">
+                <h4 className="font-medium text-blue-900 mb-3 flex items-center">
+                  <WalletIcon className="h-5 w-5 mr-2" />
+                  Balance Preview
+                  {balanceLoading && <span className="ml-2 text-xs font-normal text-blue-600">Checking...</span>}
+                </h4>
+                <div className="space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-blue-700">Available Wallet Balance:</span>
+                    <span className="font-medium text-blue-900">{formatMoney(availableCents, currency)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-blue-700">To Pay Back:</span>
+                    <span className="font-medium text-blue-900">{formatMoney(refundAmountCents, currency)}</span>
+                  </div>
+                  <hr className="border-blue-300" />
+                  <div className="flex justify-between">
+                    <span className="text-blue-700 font-medium">Balance After:</span>
+                    <span className={`font-bold text-lg ${refundAmountCents > availableCents ? 'text-red-600' : 'text-blue-900'}`}>
+                      {formatMoney(subtractAmounts(availableCents, refundAmountCents), currency)}
+                    </span>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end gap-4">
+              <Button
+                type="button"
+                outline
+                onClick={() => navigate('/staff/wallet')}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={loading || balanceLoading || !customer || refundAmountCents <= 0}
+                color="red"
+              >
+                <ArrowUturnLeftIcon className="h-4 w-4" />
+                {loading ? 'Processing...' : 'Review Refund'}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <RefundConfirmationDialog
+        isOpen={Boolean(pendingRefund)}
+        onClose={() => setPendingRefund(null)}
+        onConfirm={submitRefund}
+        customer={customer}
+        amount={formatMoney(refundAmountCents, currency)}
+        method={reference.trim() ? `${selectedMethod?.label} (${reference.trim()})` : selectedMethod?.label}
+        reason={selectedReason?.label}
+        balanceAfter={formatMoney(subtractAmounts(availableCents, refundAmountCents), currency)}
+        loading={loading}
+      />
+    </>
+  );
+}
@@ -1,5 +1,6 @@
 
 import React, {useContext, createContext, useState} from 'react';
+import { getCartItemKey, isBillItem } from '../utils/checkout';
 
 const CurrentPageContext = createContext();
 const UpdateCurrentPageContext = createContext();
@@ -59,14 +60,24 @@ export function AppProvider({children}) {
   }
 
   function updateCustomerOrder(order){
-    setOrder(prevOrder => [...prevOrder, order]);
+    setOrder(prevOrder => prevOrder.some(item => getCartItemKey(item) === getCartItemKey(order))
+      ? prevOrder
+      : [...prevOrder, order]);
     setProductToBuy(false);
   }
 
   function removeCustomerOrder(orderId){
-    const itemToRemove = customerOrder.find(item => item.slip_id === orderId);
-    setRemovedItems(prevRemoved => [...prevRemoved, itemToRemove]);
-    setOrder(prevOrder => prevOrder.filter(item => item.slip_id !== orderId));
+    const itemToRemove = customerOrder.find(item => getCartItemKey(item) === orderId);
+    // Only bills go back to the pending bills list
+    if (isBillItem(itemToRemove)) {
+      setRemovedItems(prevRemoved => [...prevRemoved, itemToRemove]);
+    }
+    setOrder(prevOrder => prevOrder.filter(item => getCartItemKey(item) !== orderId));
+  }
+
+  // Paid items leave the cart for good; unlike removeCustomerOrder, bills do not go back to the pending list
+  function removePaidItems(keys){
+    setOrder(prevOrder => prevOrder.filter(item => !keys.includes(getCartItemKey(item))));
   }
 
   function clearRemovedItems() {
@@ -86,7 +97,7 @@ export function AppProvider({children}) {
     <CurrentPageContext.Provider value={currentPage}>
       <UpdateCurrentPageContext.Provider value={updateCurrentPage}>
         <CustomerOrder.Provider value={customerOrder}>
-          <UpdateOrder.Provider value={{updateCustomerOrder, removeCustomerOrder}}>
+          <UpdateOrder.Provider value={{updateCustomerOrder, removeCustomerOrder, removePaidItems}}>
             <BuyNow.Provider value={productToBuy}>
               <UpdateBuyNow.Provider value={updateProductToBuy}>
                 <RemovedItems.Provider value={removedItems}>
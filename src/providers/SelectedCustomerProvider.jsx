@@ -0,0 +1,128 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
+import walletService from '../api/wallet-service';
+import { formatCustomerData } from '../utils/api-response';
+import { CUSTOMER_PICKER_PATHS, SELECTED_CUSTOMER_PARAM, getSelectedCustomerId } from '../util/paths';
+
+const SelectedCustomerContext = createContext();
+
+/**
+ * The customer staff are serving, shared by the wallet pages.
+ * @returns {{
+ *   selectedCustomer: object|null,
+ *   loading: boolean,
+ *   error: string|null,
+ *   selectCustomer: Function,
+ *   selectCustomerById: Function,
+ *   clearSelectedCustomer: Function
+ * }} The selected customer and the functions that change it.
+ */
+export function useSelectedCustomer() {
+  return useContext(SelectedCustomerContext);
+}
+
+/**
+ * Keeps the selected customer while staff move between wallet pages. The customer is
+ * mirrored in the `?customer=` query parameter, so a page opened from a link or a
+ * bookmark starts with that customer, and a customer picked on one page is still
+ * selected on the next.
+ */
+export function SelectedCustomerProvider({ children }) {
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const lookupRef = useRef(null);
+
+  const usesSelectedCustomer = CUSTOMER_PICKER_PATHS.includes(location.pathname);
+  const urlCustomerId = usesSelectedCustomer ? getSelectedCustomerId(searchParams) : null;
+
+  const setCustomerParam = useCallback((customerId) => {
+    setSearchParams((params) => {
+      params.delete('customer_id');
+      if (customerId) {
+        params.set(SELECTED_CUSTOMER_PARAM, customerId);
+      } else {
+        params.delete(SELECTED_CUSTOMER_PARAM);
+      }
+      return params;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const selectCustomer = useCallback((customerData) => {
+    const customer = formatCustomerData(customerData);
+    lookupRef.current?.abort();
+    setSelectedCustomer(customer);
+    setLoading(false);
+    setError(null);
+
+    if (usesSelectedCustomer) {
+      setCustomerParam(customer.customer_id);
+    }
+  }, [usesSelectedCustomer, setCustomerParam]);
+
+  const selectCustomerById = useCallback(async (customerId) => {
+    lookupRef.current?.abort();
+    const controller = new AbortController();
+    lookupRef.current = controller;
+
+    setLoading(true);
+    setError(null);
+
+    const response = await walletService.getCustomerById(customerId, { signal: controller.signal });
+    if (controller.signal.aborted) return;
+
+    setLoading(false);
+    if (response.success && response.customers?.length > 0) {
+      setSelectedCustomer(formatCustomerData(response.customers[0]));
+    } else {
+      setSelectedCustomer(null);
+      setError(response.error?.code === 'CUSTOMER_NOT_FOUND'
+        ? 'Customer not found'
+        : response.error?.message || 'Failed to load customer');
+    }
+  }, []);
+
+  const clearSelectedCustomer = useCallback(() => {
+    lookupRef.current?.abort();
+    setSelectedCustomer(null);
+    setLoading(false);
+    setError(null);
+
+    if (usesSelectedCustomer) {
+      setCustomerParam(null);
+    }
+  }, [usesSelectedCustomer, setCustomerParam]);
+
+  // A customer in the URL (from a link or a bookmark) becomes the selected customer
+  useEffect(() => {
+    if (urlCustomerId && urlCustomerId !== selectedCustomer?.customer_id) {
+      selectCustomerById(urlCustomerId);
+    }
+  }, [urlCustomerId]);
+
+  // Pages opened without a customer in the URL carry on with the selected one
+  useEffect(() => {
+    if (usesSelectedCustomer && !urlCustomerId && selectedCustomer) {
+      setCustomerParam(selectedCustomer.customer_id);
+    }
+  }, [location.pathname, usesSelectedCustomer, urlCustomerId, selectedCustomer]);
+
+  useEffect(() => () => lookupRef.current?.abort(), []);
+
+  return (
+    <SelectedCustomerContext.Provider
+      value={{
+        selectedCustomer,
+        loading,
+        error,
+        selectCustomer,
+        selectCustomerById,
+        clearSelectedCustomer
+      }}
+    >
+      {children}
+    </SelectedCustomerContext.Provider>
+  );
+}
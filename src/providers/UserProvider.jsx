@@ -1,4 +1,10 @@
 import React, { useState, createContext, useContext, useEffect } from 'react';
+import apiCache from '../utils/api-cache';
+import promotionalMessagesCache from '../utils/promotional-messages-cache';
+import customerWalletService from '../api/customer-wallet-service';
+import customerAuthService from '../api/customer-auth-service';
+import { clearCustomerSession, loadCustomerSession } from '../utils/customer-session';
+import useCustomerSession from '../util/useCustomerSession';
 
 const UserContext = createContext();
 const UserUpdateContext = createContext();
@@ -12,6 +18,12 @@ const CustomerReceiptsUpdateContext = createContext();
 const NewUserNumberContext = createContext();
 const UpdateNewUserNumberContext = createContext();
 
+// Customer Authentication Contexts
+const CustomerTokenContext = createContext();
+const CustomerTokenUpdateContext = createContext();
+const CustomerLogoutContext = createContext();
+const CustomerProfileUpdateContext = createContext();
+
 // Staff Authentication Contexts
 const StaffUserContext = createContext();
 const StaffUserUpdateContext = createContext();
@@ -58,6 +70,23 @@ export function useUpdateNewUserNumber() {
     return React.useContext(UpdateNewUserNumberContext);
 }
 
+// Customer Authentication Hooks
+export function useCustomerToken() {
+    return React.useContext(CustomerTokenContext);
+}
+
+export function useUpdateCustomerToken() {
+    return React.useContext(CustomerTokenUpdateContext);
+}
+
+export function useLogoutCustomer() {
+    return React.useContext(CustomerLogoutContext);
+}
+
+export function useUpdateCustomerProfile() {
+    return React.useContext(CustomerProfileUpdateContext);
+}
+
 // Staff Authentication Hooks
 export function useStaffUser() {
     return React.useContext(StaffUserContext);
@@ -101,10 +130,13 @@ export function useUpdateStaffPermissions() {
 
 export function UserProvider({ children }){
 
+    // A session saved on this device signs the customer straight back in
+    const [savedSession] = useState(() => loadCustomerSession());
+
     //Customer Receipts List
-    let receipts = [];
+    let receipts = savedSession?.receipts || [];
 
-    const [user, setUser] = useState({});
+    const [user, setUser] = useState(savedSession?.user || {});
 
     const [registrationStatus, setRegistrationStatus] = useState(true);
 
@@ -112,6 +144,11 @@ export function UserProvider({ children }){
 
     const [customerReceipts, setCustomerReceipts] = useState(receipts);
 
+    // Customer Authentication State
+    const [customerToken, setCustomerToken] = useState(() => {
+        return savedSession?.token || null;
+    });
+
     // Staff Authentication State
     const [staffUser, setStaffUser] = useState(() => {
         const savedUser = localStorage.getItem('staffUser');
@@ -151,6 +188,56 @@ export function UserProvider({ children }){
         setNewUserNumber(newUserNumber);
     }
 
+    // Customer Authentication Functions
+    function updateCustomerToken(token) {
+        setCustomerToken(token);
+        if (token) {
+            localStorage.setItem('customerToken', token);
+        } else {
+            localStorage.removeItem('customerToken');
+        }
+    }
+
+    function logoutCustomer() {
+        clearCustomerSession();
+        updateCustomerToken(null);
+        setUser({});
+        setCustomerReceipts([]);
+        setNewUserNumber("");
+        setRegistrationStatus(true);
+        customerWalletService.setUser(null);
+        // Cached responses belong to the customer who just left
+        apiCache.clear();
+        promotionalMessagesCache.clear();
+    }
+
+    // Shows the changes straight away and puts the old values back if the save fails
+    async function updateCustomerProfile(changes, options) {
+        const previous = {};
+        Object.keys(changes).forEach((field) => {
+            previous[field] = user[field];
+        });
+
+        setUser(current => ({ ...current, ...changes }));
+        const response = await customerAuthService.updateProfile(user._id, changes, options);
+
+        if (response.success) {
+            setUser(current => ({ ...current, ...response.customer }));
+        } else {
+            setUser(current => ({ ...current, ...previous }));
+        }
+        return response;
+    }
+
+    useCustomerSession({
+        customerToken,
+        user,
+        customerReceipts,
+        setUser,
+        setCustomerReceipts,
+        logout: logoutCustomer
+    });
+
     // Staff Authentication Functions
     function updateStaffUser(staffUser) {
         setStaffUser(staffUser);
@@ -211,27 +298,35 @@ export function UserProvider({ children }){
                         <CustomerReceiptsUpdateContext.Provider value={updateCustomerReceipts}>
                             <NewUserNumberContext.Provider value={newUserNumber}>
                                 <UpdateNewUserNumberContext.Provider value={updateNewUserNumber}>
-                                    <StaffUserContext.Provider value={staffUser}>
-                                        <StaffUserUpdateContext.Provider value={updateStaffUser}>
-                                            <StaffTokenContext.Provider value={staffToken}>
-                                                <StaffTokenUpdateContext.Provider value={updateStaffToken}>
-                                                    <StaffRefreshTokenContext.Provider value={staffRefreshToken}>
-                                                        <StaffRefreshTokenUpdateContext.Provider value={updateStaffRefreshToken}>
-                                                            <StaffPermissionsContext.Provider value={staffPermissions}>
-                                                                <StaffPermissionsUpdateContext.Provider value={updateStaffPermissions}>
-                                                                    <StaffAuthStatusContext.Provider value={staffAuthStatus}>
-                                                                        <StaffAuthStatusUpdateContext.Provider value={updateStaffAuthStatus}>
-                                                                            {children}
-                                                                        </StaffAuthStatusUpdateContext.Provider>
-                                                                    </StaffAuthStatusContext.Provider>
-                                                                </StaffPermissionsUpdateContext.Provider>
-                                                            </StaffPermissionsContext.Provider>
-                                                        </StaffRefreshTokenUpdateContext.Provider>
-                                                    </StaffRefreshTokenContext.Provider>
-                                                </StaffTokenUpdateContext.Provider>
-                                            </StaffTokenContext.Provider>
-                                        </StaffUserUpdateContext.Provider>
-                                    </StaffUserContext.Provider>
+                                    <CustomerTokenContext.Provider value={customerToken}>
+                                        <CustomerTokenUpdateContext.Provider value={updateCustomerToken}>
+                                            <CustomerLogoutContext.Provider value={logoutCustomer}>
+                                                <CustomerProfileUpdateContext.Provider value={updateCustomerProfile}>
+                                                    <StaffUserContext.Provider value={staffUser}>
+                                                        <StaffUserUpdateContext.Provider value={updateStaffUser}>
+                                                            <StaffTokenContext.Provider value={staffToken}>
+                                                                <StaffTokenUpdateContext.Provider value={updateStaffToken}>
+                                                                    <StaffRefreshTokenContext.Provider value={staffRefreshToken}>
+                                                                        <StaffRefreshTokenUpdateContext.Provider value={updateStaffRefreshToken}>
+                                                                            <StaffPermissionsContext.Provider value={staffPermissions}>
+                                                                                <StaffPermissionsUpdateContext.Provider value={updateStaffPermissions}>
+                                                                                    <StaffAuthStatusContext.Provider value={staffAuthStatus}>
+                                                                                        <StaffAuthStatusUpdateContext.Provider value={updateStaffAuthStatus}>
+                                                                                            {children}
+                                                                                        </StaffAuthStatusUpdateContext.Provider>
+                                                                                    </StaffAuthStatusContext.Provider>
+                                                                                </StaffPermissionsUpdateContext.Provider>
+                                                                            </StaffPermissionsContext.Provider>
+                                                                        </StaffRefreshTokenUpdateContext.Provider>
+                                                                    </StaffRefreshTokenContext.Provider>
+                                                                </StaffTokenUpdateContext.Provider>
+                                                            </StaffTokenContext.Provider>
+                                                        </StaffUserUpdateContext.Provider>
+                                                    </StaffUserContext.Provider>
+                                                </CustomerProfileUpdateContext.Provider>
+                                            </CustomerLogoutContext.Provider>
+                                        </CustomerTokenUpdateContext.Provider>
+                                    </CustomerTokenContext.Provider>
                                 </UpdateNewUserNumberContext.Provider>
                             </NewUserNumberContext.Provider>
                         </CustomerReceiptsUpdateContext.Provider>
@@ -1,34 +1,46 @@
 import React from 'react';
+import { useRoutes } from 'react-router-dom';
 import { useUser } from '../providers/UserProvider';
-import { useStaffAuthStatus } from '../providers/UserProvider';
-import Login from '../pages/login';
 import Home from '../Home';
 import Register from '../pages/register';
-import StaffLogin from '../pages/staff/staff-login';
-import StaffRouter from './staff-router';
-import StaffProtectedRoute from '../components/StaffProtectedRoute';
-
-
-export default function HomeRouter() {
+import CustomerHome from '../elements/customer-home';
+import CustomerProfile from '../elements/customer-profile';
+import Shop from '../pages/shop';
+import ProductDetails from '../pages/product_details';
+import CustomerWalletPage from '../pages/customer-wallet-page';
+import PointsLedgerPage from '../pages/points-ledger';
+import NotFound from '../pages/not-found';
+import { staffRoutes } from './staff-router';
+import { CUSTOMER_PATHS } from './paths';
 
+/**
+ * Shows the customer pages once the customer has registered.
+ */
+function CustomerRoot() {
     const user = useUser();
-    const isStaffAuthenticated = useStaffAuthStatus();
-
-    // Check if current path is a staff route
-    const currentPath = window.location.pathname;
+    return user.loyverse_id ? <Home /> : <Register />;
+}
 
-    if (currentPath.startsWith('/staff')) {
-        if (currentPath === '/staff/login') {
-            return <StaffLogin />;
-        } else {
-            return (
-                <StaffProtectedRoute>
-                    <StaffRouter />
-                </StaffProtectedRoute>
-            );
-        }
-    }
+/**
+ * The app's route table. Customer pages are rendered inside Home, staff pages inside StaffLayout.
+ */
+export const routes = [
+    {
+        path: CUSTOMER_PATHS.Home,
+        element: <CustomerRoot />,
+        children: [
+            { index: true, element: <CustomerHome /> },
+            { path: CUSTOMER_PATHS.Profile, element: <CustomerProfile /> },
+            { path: CUSTOMER_PATHS.Shop, element: <Shop /> },
+            { path: CUSTOMER_PATHS.Product, element: <ProductDetails /> },
+            { path: CUSTOMER_PATHS.Wallet, element: <CustomerWalletPage /> },
+            { path: CUSTOMER_PATHS.Points, element: <PointsLedgerPage /> },
+        ],
+    },
+    ...staffRoutes,
+    { path: '*', element: <NotFound /> },
+];
 
-    // Regular customer flow
-    return user.loyverse_id ? <Home /> : <Register />;
-}
\ No newline at end of file
+export default function HomeRouter() {
+    return useRoutes(routes);
+}
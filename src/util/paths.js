@@ -0,0 +1,91 @@
+import { generatePath, matchPath } from 'react-router-dom';
+
+/**
+ * The customer pages' URL patterns, keyed by the page names AppProvider keeps as `currentPage`.
+ */
+export const CUSTOMER_PATHS = {
+  Home: '/',
+  Profile: '/profile',
+  Shop: '/shop',
+  Product: '/shop/:productId',
+  Wallet: '/wallet',
+  Points: '/points'
+};
+
+/**
+ * Works out which customer page a URL shows.
+ * @param {string} pathname - The URL path.
+ * @returns {string|null} The page name, or null if the path is not a customer page.
+ */
+export function getCustomerPage(pathname) {
+  const page = Object.keys(CUSTOMER_PATHS).find(name => matchPath(CUSTOMER_PATHS[name], pathname));
+  return page || null;
+}
+
+/**
+ * Builds the URL of a points-shop product.
+ * @param {string|number} productId - The product ID.
+ * @returns {string} The product page path.
+ */
+export function getProductPath(productId) {
+  return generatePath(CUSTOMER_PATHS.Product, { productId: String(productId) });
+}
+
+/**
+ * Builds the URL of a customer's wallet on the staff side.
+ * @param {string} customerId - The customer ID.
+ * @returns {string} The staff customer wallet path.
+ */
+export function getStaffCustomerPath(customerId) {
+  return generatePath('/staff/wallet/customers/:customerId', { customerId: String(customerId) });
+}
+
+/**
+ * Builds the URL of a credit slip's detail page on the staff side.
+ * @param {string} slipId - The credit slip ID.
+ * @returns {string} The staff credit slip path.
+ */
+export function getCreditSlipPath(slipId) {
+  return generatePath('/staff/wallet/slips/:slipId', { slipId: String(slipId) });
+}
+
+/**
+ * The query parameter that carries the selected customer between staff wallet pages.
+ */
+export const SELECTED_CUSTOMER_PARAM = 'customer';
+
+/**
+ * The staff wallet pages that work on the selected customer, and so keep it in their URL.
+ */
+export const CUSTOMER_PICKER_PATHS = [
+  '/staff/wallet/search',
+  '/staff/wallet/create-credit',
+  '/staff/wallet/process-payment',
+  '/staff/wallet/store-change',
+  '/staff/wallet/history',
+  '/staff/wallet/refund'
+];
+
+/**
+ * Reads the selected customer from a query string. Older links pass it as `customer_id`.
+ * @param {URLSearchParams|string} search - The query string.
+ * @returns {string|null} The customer ID, or null if there is none.
+ */
+export function getSelectedCustomerId(search) {
+  const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+  return params.get(SELECTED_CUSTOMER_PARAM) || params.get('customer_id') || null;
+}
+
+/**
+ * Adds the selected customer to a staff wallet URL.
+ * @param {string} path - The page path, optionally with a query string.
+ * @param {string} customerId - The customer ID.
+ * @returns {string} The path with `?customer=`.
+ */
+export function withSelectedCustomer(path, customerId) {
+  const [pathname, query = ''] = path.split('?');
+  const params = new URLSearchParams(query);
+  params.delete('customer_id');
+  params.set(SELECTED_CUSTOMER_PARAM, String(customerId));
+  return `${pathname}?${params}`;
+}
@@ -1,3 +1,4 @@
+import { Outlet, matchRoutes, useLocation } from 'react-router-dom';
 import WalletDashboard from '../pages/staff/wallet/wallet-dashboard';
 import CustomerSearch from '../pages/staff/wallet/customer-search';
 import CreateCreditSlip from '../pages/staff/wallet/create-credit-slip';
@@ -6,8 +7,21 @@ import StoreChange from '../pages/staff/wallet/store-change';
 import ApplyWallet from '../pages/staff/wallet/apply-wallet';
 import TransactionHistory from '../pages/staff/wallet/transaction-history';
 import AuditTrail from '../pages/staff/wallet/audit-trail';
+import CreditSlipDetail from '../pages/staff/wallet/credit-slip-detail';
+import WalletRefund from '../pages/staff/wallet/wallet-refund';
+import WalletSyncStatus from '../pages/staff/wallet/components/wallet-sync-status';
 import WalletPlaceholder from '../pages/staff/wallet/components/wallet-placeholder';
+import CustomerDirectory from '../pages/staff/customers/customer-directory';
+import CustomerDetail from '../pages/staff/customers/customer-detail';
+import StaffLogin from '../pages/staff/staff-login';
+import NotFound from '../pages/not-found';
+import StaffProtectedRoute from '../components/StaffProtectedRoute';
+import RequirePermission from '../components/RequirePermission';
+import useCan from './useCan';
+import { PERMISSIONS } from '../utils/staff-permissions';
+import { clearRecentCustomers } from '../utils/customer-picker';
 import { useStaffUser } from '../providers/UserProvider';
+import { SelectedCustomerProvider } from '../providers/SelectedCustomerProvider';
 import { Sidebar, SidebarBody, SidebarHeader, SidebarItem, SidebarLabel, SidebarSection } from '../components/sidebar';
 import { Navbar, NavbarDivider, NavbarItem, NavbarLabel, NavbarSection, NavbarSpacer } from '../components/navbar';
 import { StackedLayout } from '../components/stacked-layout';
@@ -22,26 +36,112 @@ import {
   WalletIcon,
 } from '@heroicons/react/16/solid';
 
-function WalletLayout({ children, title }) {
+const sidebarItems = [
+  { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon, permission: PERMISSIONS.WALLET_READ },
+  { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon, permission: PERMISSIONS.ORDERS_READ },
+  { label: 'Customers', url: '/staff/customers', icon: UsersIcon, permission: PERMISSIONS.CUSTOMERS_READ },
+  { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, permission: PERMISSIONS.WALLET_READ },
+  { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon, permission: PERMISSIONS.ANALYTICS_READ },
+  { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon, permission: PERMISSIONS.STAFF_MANAGE },
+  { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon, permission: PERMISSIONS.SETTINGS_MANAGE },
+];
+
+const dashboardHandle = { title: 'Wallet Management Dashboard', NavbarActions: WalletSyncStatus };
+
+// Renders the page only for staff holding the permission, and the access denied page otherwise
+const guard = (permission, element) => (
+  <RequirePermission permission={permission}>{element}</RequirePermission>
+);
+
+// Sections linked from the sidebar that are not built yet
+const placeholderRoutes = [
+  { path: 'orders', title: 'Orders', description: 'Track and manage customer orders', permission: PERMISSIONS.ORDERS_READ },
+  { path: 'analytics', title: 'Analytics', description: 'Sales and loyalty reports', permission: PERMISSIONS.ANALYTICS_READ },
+  { path: 'management', title: 'Staff Management', description: 'Manage staff accounts and roles', permission: PERMISSIONS.STAFF_MANAGE },
+  { path: 'settings', title: 'Settings', description: 'Store and portal settings', permission: PERMISSIONS.SETTINGS_MANAGE },
+].map(({ path, title, description, permission }) => ({
+  path,
+  element: guard(permission, <WalletPlaceholder title={title} description={description} />),
+  handle: { title },
+}));
+
+/**
+ * The staff portal routes. Every page except the login page is rendered inside
+ * StaffLayout, which takes its navbar title (and any extra navbar content) from the
+ * matched route's `handle`. Pages are guarded by the permission they need.
+ */
+export const staffRoutes = [
+  { path: '/staff/login', element: <StaffLogin /> },
+  {
+    path: '/staff',
+    element: (
+      <StaffProtectedRoute>
+        <SelectedCustomerProvider>
+          <StaffLayout />
+        </SelectedCustomerProvider>
+      </StaffProtectedRoute>
+    ),
+    children: [
+      { index: true, element: guard(PERMISSIONS.WALLET_READ, <WalletDashboard />), handle: dashboardHandle },
+      { path: 'dashboard', element: guard(PERMISSIONS.WALLET_READ, <WalletDashboard />), handle: dashboardHandle },
+      {
+        path: 'wallet',
+        children: [
+          { index: true, element: guard(PERMISSIONS.WALLET_READ, <WalletDashboard />), handle: dashboardHandle },
+          { path: 'search', element: guard(PERMISSIONS.WALLET_READ, <CustomerSearch />), handle: { title: 'Customer Search' } },
+          { path: 'customers/:customerId', element: guard(PERMISSIONS.WALLET_READ, <CustomerSearch />), handle: { title: 'Customer Search' } },
+          { path: 'create-credit', element: guard(PERMISSIONS.SLIP_CREATE, <CreateCreditSlip />), handle: { title: 'Create Credit Slip' } },
+          { path: 'process-payment', element: guard(PERMISSIONS.PAYMENT_CREATE, <ProcessPayment />), handle: { title: 'Process Payment' } },
+          { path: 'store-change', element: guard(PERMISSIONS.CHANGE_CREATE, <StoreChange />), handle: { title: 'Store Change' } },
+          { path: 'apply-wallet', element: guard(PERMISSIONS.WALLET_APPLY, <ApplyWallet />), handle: { title: 'Apply Wallet Balance' } },
+          { path: 'refund', element: guard(PERMISSIONS.REFUND_CREATE, <WalletRefund />), handle: { title: 'Refund / Cash Out' } },
+          { path: 'history', element: guard(PERMISSIONS.HISTORY_READ, <TransactionHistory />), handle: { title: 'Transaction History' } },
+          { path: 'slips/:slipId', element: guard(PERMISSIONS.WALLET_READ, <CreditSlipDetail />), handle: { title: 'Credit Slip' } },
+          { path: 'audit', element: guard(PERMISSIONS.AUDIT_READ, <AuditTrail />), handle: { title: 'Audit Trail' } },
+        ],
+      },
+      {
+        path: 'customers',
+        children: [
+          { index: true, element: guard(PERMISSIONS.CUSTOMERS_READ, <CustomerDirectory />), handle: { title: 'Customers' } },
+          { path: ':customerId', element: guard(PERMISSIONS.CUSTOMERS_READ, <CustomerDetail />), handle: { title: 'Customer Profile' } },
+        ],
+      },
+      ...placeholderRoutes,
+      {
+        path: '*',
+        element: <NotFound homePath="/staff/wallet" homeLabel="Back to Wallet" />,
+        handle: { title: 'Page Not Found' },
+      },
+    ],
+  },
+];
+
+/**
+ * The staff portal shell: navbar, sidebar and the matched page.
+ */
+export function StaffLayout() {
   const staffUser = useStaffUser();
+  const location = useLocation();
+  const can = useCan();
+
+  // The deepest match with a handle describes the page being shown
+  const handle = (matchRoutes(staffRoutes, location) || [])
+    .map(match => match.route.handle)
+    .filter(Boolean)
+    .at(-1) || {};
+  const NavbarActions = handle.NavbarActions;
 
   const handleLogout = () => {
     localStorage.removeItem('staffToken');
     localStorage.removeItem('staffRefreshToken');
     localStorage.removeItem('staffUser');
     localStorage.removeItem('staffPermissions');
+    clearRecentCustomers();
     window.location.href = '/staff/login';
   };
 
-  const sidebarItems = [
-    { label: 'Dashboard', url: '/staff/dashboard', icon: HomeIcon },
-    { label: 'Orders', url: '/staff/orders', icon: ClipboardDocumentListIcon },
-    { label: 'Customers', url: '/staff/customers', icon: UsersIcon },
-    { label: 'Wallet', url: '/staff/wallet', icon: WalletIcon, active: true },
-    { label: 'Analytics', url: '/staff/analytics', icon: ChartBarIcon },
-    { label: 'Staff Management', url: '/staff/management', icon: UserGroupIcon },
-    { label: 'Settings', url: '/staff/settings', icon: Cog8ToothIcon },
-  ];
+  const isCurrent = (url) => location.pathname === url || location.pathname.startsWith(`${url}/`);
 
   return (
     <StackedLayout
@@ -49,11 +149,19 @@ function WalletLayout({ children, title }) {
         <Navbar>
           <NavbarSection>
             <NavbarItem>
-              <NavbarLabel>{title || 'Wallet Management'}</NavbarLabel>
+              <NavbarLabel>{handle.title || 'Wallet Management'}</NavbarLabel>
             </NavbarItem>
           </NavbarSection>
           <NavbarSpacer />
           <NavbarSection>
+            {NavbarActions && (
+              <>
+                <NavbarItem>
+                  <NavbarActions />
+                </NavbarItem>
+                <NavbarDivider />
+              </>
+            )}
             <NavbarItem>
               <NavbarLabel>Welcome, {staffUser?.name || 'Staff'}</NavbarLabel>
             </NavbarItem>
@@ -76,8 +184,8 @@ function WalletLayout({ children, title }) {
           </SidebarHeader>
           <SidebarBody>
             <SidebarSection>
-              {sidebarItems.map((item) => (
-                <SidebarItem key={item.url} href={item.url} current={item.active}>
+              {sidebarItems.filter((item) => can(item.permission)).map((item) => (
+                <SidebarItem key={item.url} href={item.url} current={isCurrent(item.url)}>
                   <item.icon />
                   <SidebarLabel>{item.label}</SidebarLabel>
                 </SidebarItem>
@@ -87,35 +195,7 @@ function WalletLayout({ children, title }) {
         </Sidebar>
       }
     >
-      {children}
+      <Outlet />
     </StackedLayout>
   );
 }
-
-export default function StaffRouter() {
-  const currentPath = window.location.pathname;
-
-  // Simple routing based on pathname
-  if (currentPath === '/staff/dashboard' || currentPath === '/staff') {
-    return <WalletDashboard />;
-  } else if (currentPath === '/staff/wallet') {
-    return <WalletDashboard />;
-  } else if (currentPath === '/staff/wallet/search') {
-    return <CustomerSearch />;
-  } else if (currentPath === '/staff/wallet/create-credit') {
-    return <CreateCreditSlip />;
-  } else if (currentPath === '/staff/wallet/process-payment') {
-    return <ProcessPayment />;
-  } else if (currentPath === '/staff/wallet/store-change') {
-    return <StoreChange />;
-  } else if (currentPath === '/staff/wallet/apply-wallet') {
-    return <ApplyWallet />;
-  } else if (currentPath === '/staff/wallet/history') {
-    return <TransactionHistory />;
-  } else if (currentPath === '/staff/wallet/audit') {
-    return <AuditTrail />;
-  } else {
-    // Default to wallet dashboard for any other staff routes
-    return <WalletDashboard />;
-  }
-}
\ No newline at end of file
@@ -0,0 +1,19 @@
+import { useCallback, useMemo } from 'react';
+import { useStaffPermissions, useStaffUser } from '../providers/UserProvider';
+import { hasPermission, resolvePermissions } from '../utils/staff-permissions';
+
+/**
+ * Returns a `can(permission)` check for the signed-in staff member, e.g.
+ * `can(PERMISSIONS.AUDIT_READ)`. See utils/staff-permissions for the model.
+ */
+export default function useCan() {
+  const staffUser = useStaffUser();
+  const staffPermissions = useStaffPermissions();
+
+  const granted = useMemo(
+    () => resolvePermissions(staffUser?.role, staffPermissions),
+    [staffUser?.role, staffPermissions]
+  );
+
+  return useCallback((permission) => hasPermission(granted, permission), [granted]);
+}
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import rewardsService from '../api/rewards-service';
+import customerWalletService from '../api/customer-wallet-service';
+import { useCustomerReceipts, useUpdateUser, useUser } from '../providers/UserProvider';
+import { evaluateMilestones, getPointsAfterClaim } from '../utils/reward-rules';
+
+/**
+ * The signed-in customer's milestones (see utils/reward-rules). Receipts come from
+ * UserProvider; wallet top-ups are loaded once per customer. `claimMilestone` collects
+ * a milestone's bonus and records it on the customer so it shows as claimed.
+ */
+export default function useCustomerMilestones() {
+  const user = useUser();
+  const updateUser = useUpdateUser();
+  const receipts = useCustomerReceipts();
+  const [walletEntries, setWalletEntries] = useState([]);
+  const [claimingKey, setClaimingKey] = useState(null);
+  // Profile edits replace the user object; top-ups only need reloading for a different customer
+  const userRef = useRef(user);
+  userRef.current = user;
+  const userId = user?._id;
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+
+    customerWalletService.setUser(userRef.current);
+    customerWalletService.getMyTransactionHistory('TZS', 1, 50).then((response) => {
+      if (!cancelled && response.success) {
+        setWalletEntries(response.entries);
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const milestones = useMemo(
+    () => evaluateMilestones({ user, receipts, walletEntries }),
+    [user, receipts, walletEntries]
+  );
+
+  const claimMilestone = useCallback(async (milestone) => {
+    setClaimingKey(milestone.key);
+    const response = await rewardsService.claimMilestone({
+      customer_id: user._id,
+      milestone_id: milestone.id,
+      milestone_key: milestone.key
+    });
+    setClaimingKey(null);
+
+    if (response.success || response.error?.code === 'MILESTONE_ALREADY_CLAIMED') {
+      updateUser({
+        ...user,
+        total_points: response.success ? getPointsAfterClaim(user.total_points, response) : user.total_points,
+        claimed_milestones: [...(user.claimed_milestones || []), milestone.key]
+      });
+    }
+    return response;
+  }, [user, updateUser]);
+
+  return { milestones, claimMilestone, claimingKey };
+}
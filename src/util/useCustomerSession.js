@@ -0,0 +1,92 @@
+import { useEffect, useRef } from 'react';
+import customerAuthService from '../api/customer-auth-service';
+import {
+  CUSTOMER_ACTIVITY_THROTTLE_MS,
+  CUSTOMER_PROFILE_REFRESH_MS,
+  loadCustomerSession,
+  saveCustomerSession,
+  touchCustomerSession
+} from '../utils/customer-session';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+const SESSION_ENDING_ERRORS = ['SESSION_EXPIRED', 'CUSTOMER_NOT_FOUND'];
+
+/**
+ * Keeps the signed-in customer's session on the device: saves the customer and their
+ * receipts as they change, refreshes them in the background, extends the session only
+ * on the customer's own input and signs them out once it has expired.
+ * @param {object} session - The customer state held by UserProvider.
+ * @param {string|null} session.customerToken - The customer session token.
+ * @param {object} session.user - The signed-in customer.
+ * @param {Array<object>} session.customerReceipts - The customer's receipts.
+ * @param {Function} session.setUser - Replaces the customer.
+ * @param {Function} session.setCustomerReceipts - Replaces the receipts.
+ * @param {Function} session.logout - Signs the customer out.
+ */
+export default function useCustomerSession({ customerToken, user, customerReceipts, setUser, setCustomerReceipts, logout }) {
+  const userRef = useRef(user);
+  const logoutRef = useRef(logout);
+  userRef.current = user;
+  logoutRef.current = logout;
+
+  const isSignedIn = Boolean(customerToken && user?._id);
+
+  // Save the customer as they change, so a refresh or a return visit restores them
+  useEffect(() => {
+    if (isSignedIn) {
+      saveCustomerSession({ user, receipts: customerReceipts });
+    }
+  }, [isSignedIn, user, customerReceipts]);
+
+  useEffect(() => {
+    if (!isSignedIn) return undefined;
+
+    let active = true;
+    let lastActivity = 0;
+
+    const refresh = async () => {
+      // Stop if the session ran out while the app sat unused; a refresh is not activity
+      if (!loadCustomerSession()) {
+        logoutRef.current();
+        return;
+      }
+
+      const response = await customerAuthService.refreshSession(userRef.current);
+      if (!active) return;
+
+      if (response.success) {
+        setUser(current => ({ ...current, ...response.customer }));
+        setCustomerReceipts(response.receipts);
+      } else if (SESSION_ENDING_ERRORS.includes(response.error?.code)) {
+        logoutRef.current();
+      }
+    };
+
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastActivity < CUSTOMER_ACTIVITY_THROTTLE_MS) return;
+      lastActivity = now;
+      if (!touchCustomerSession(undefined, now)) {
+        logoutRef.current();
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+
+    refresh();
+    const timer = setInterval(() => {
+      if (document.visibilityState !== 'hidden') refresh();
+    }, CUSTOMER_PROFILE_REFRESH_MS);
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      active = false;
+      clearInterval(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isSignedIn, setUser, setCustomerReceipts]);
+}
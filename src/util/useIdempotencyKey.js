@@ -0,0 +1,25 @@
+import { useCallback, useRef } from 'react';
+import { createIdempotencyKey, fingerprintSubmission } from '../utils/idempotency';
+
+/**
+ * Keeps one idempotency key per form submission. Submitting the same values again
+ * (a double tap, or trying again after a timeout) reuses the key; changed values or
+ * a reset after success get a new one.
+ */
+export default function useIdempotencyKey() {
+  const current = useRef(null);
+
+  const getKey = useCallback((values) => {
+    const fingerprint = fingerprintSubmission(values);
+    if (!current.current || current.current.fingerprint !== fingerprint) {
+      current.current = { fingerprint, key: createIdempotencyKey() };
+    }
+    return current.current.key;
+  }, []);
+
+  const resetKey = useCallback(() => {
+    current.current = null;
+  }, []);
+
+  return { getKey, resetKey };
+}
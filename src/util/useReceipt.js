@@ -0,0 +1,33 @@
+import { useCallback, useState } from 'react';
+import walletService from '../api/wallet-service';
+import { useStaffUser } from '../providers/UserProvider';
+import { normalizeCurrencyBalances } from '../utils/currency';
+import { buildReceipt } from '../utils/wallet-receipts';
+
+/**
+ * Holds the receipt for the last completed wallet operation. `issueReceipt` takes the
+ * `buildReceipt` parameters, adds the signed-in staff member and looks up the
+ * customer's new wallet balance unless it is passed in.
+ */
+export default function useReceipt() {
+  const staffUser = useStaffUser();
+  const [receipt, setReceipt] = useState(null);
+
+  const issueReceipt = useCallback(async (details) => {
+    let walletBalanceCents = details.walletBalanceCents ?? null;
+
+    if (walletBalanceCents === null && details.customer?.customer_id) {
+      const response = await walletService.getCustomerBalance(details.customer.customer_id, details.currency);
+      const balance = response.success
+        ? normalizeCurrencyBalances(response.balance).find(entry => entry.currency === details.currency)
+        : null;
+      walletBalanceCents = balance ? balance.wallet_cents : null;
+    }
+
+    setReceipt(buildReceipt({ ...details, staffName: staffUser?.name, walletBalanceCents }));
+  }, [staffUser?.name]);
+
+  const clearReceipt = useCallback(() => setReceipt(null), []);
+
+  return { receipt, issueReceipt, clearReceipt };
+}
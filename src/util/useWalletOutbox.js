@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from 'react';
+import walletService from '../api/wallet-service';
+
+/**
+ * Tracks the staff wallet outbox and the browser's connection state, and starts
+ * replaying queued operations when the connection comes back.
+ */
+export default function useWalletOutbox() {
+  const { outbox } = walletService;
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [lastSync, setLastSync] = useState(outbox.lastSyncAt);
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribe = outbox.subscribe((current) => {
+      if (!active) return;
+      setEntries(current);
+      setLastSync(outbox.lastSyncAt);
+    });
+    outbox.list().then((current) => {
+      if (active) setEntries(current);
+    });
+    outbox.start();
+
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      active = false;
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [outbox]);
+
+  const flush = useCallback(() => outbox.flush({ includeFailed: true }), [outbox]);
+  const discard = useCallback((id) => outbox.discard(id), [outbox]);
+
+  return { entries, isOnline, lastSync, flush, discard };
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PAYMENT_METHODS,
+  getCartItemKey,
+  getBillAmountCents,
+  getBillPointsRate,
+  summarizeCart,
+  validateCheckout
+} from '../checkout.js'
+
+const bill = { slip_id: 'slip-1', slip_number: 'CS-001', grand_total: 'TZS 9,000' }
+const product = { id: 'prod-1', name: 'Aeropress', points_price: 3000, price: 3000 }
+
+describe('Checkout Utilities', () => {
+  describe('cart items', () => {
+    it('should key bills by slip and products by ID', () => {
+      expect(getCartItemKey(bill)).toBe('slip-1')
+      expect(getCartItemKey(product)).toBe('prod-1')
+    })
+
+    it('should read bill amounts from the formatted total', () => {
+      expect(getBillAmountCents(bill)).toBe(900000)
+      expect(getBillAmountCents({ ...bill, grand_total_cents: 100 })).toBe(100)
+    })
+  })
+
+  describe('summarizeCart', () => {
+    it('should split products and bills and total them', () => {
+      const summary = summarizeCart(
+        [bill, product, { ...bill, slip_id: 'slip-2', grand_total: 'TZS 1,000' }],
+        { pointsPerTzs: 1 }
+      )
+
+      expect(summary.products).toHaveLength(1)
+      expect(summary.bills).toHaveLength(2)
+      expect(summary.products_points).toBe(3000)
+      expect(summary.bills_cents).toBe(1000000)
+      expect(summary.bills_points).toBe(10000)
+    })
+
+    it('should leave bills without a points price when no rate is configured', () => {
+      expect(summarizeCart([bill], { pointsPerTzs: null }).bills_points).toBeNull()
+    })
+  })
+
+  describe('getBillPointsRate', () => {
+    it('should read the rate from the environment', () => {
+      expect(getBillPointsRate({ VITE_BILL_POINTS_PER_TZS: '0.5' })).toBe(0.5)
+    })
+
+    it('should return null when the rate is missing or invalid', () => {
+      expect(getBillPointsRate({})).toBeNull()
+      expect(getBillPointsRate({ VITE_BILL_POINTS_PER_TZS: '0' })).toBeNull()
+      expect(getBillPointsRate({ VITE_BILL_POINTS_PER_TZS: 'abc' })).toBeNull()
+    })
+  })
+
+  describe('validateCheckout', () => {
+    const summary = summarizeCart([bill, product], { pointsPerTzs: 1 })
+
+    it('should require points for products and bills when paying with points', () => {
+      const result = validateCheckout(summary, { method: PAYMENT_METHODS.POINTS, points: 10000 })
+
+      expect(result.valid).toBe(false)
+      expect(result.points_required).toBe(12000)
+      expect(result.reason).toBe('You need 2,000 more points')
+    })
+
+    it('should charge bills to the wallet when paying from the wallet', () => {
+      const result = validateCheckout(summary, { method: PAYMENT_METHODS.WALLET, points: 5000, walletCents: 900000 })
+
+      expect(result.valid).toBe(true)
+      expect(result.points_required).toBe(3000)
+      expect(result.points_after).toBe(2000)
+      expect(result.wallet_required_cents).toBe(900000)
+    })
+
+    it('should reject a wallet that does not cover the bills', () => {
+      expect(validateCheckout(summary, { method: PAYMENT_METHODS.WALLET, points: 5000, walletCents: 100 }).valid).toBe(false)
+      expect(validateCheckout(summary, { method: PAYMENT_METHODS.WALLET, points: 5000 }).valid).toBe(false)
+    })
+
+    it('should not let bills be paid with points without a rate', () => {
+      const result = validateCheckout(summarizeCart([bill], { pointsPerTzs: null }), { method: PAYMENT_METHODS.POINTS, points: 100000 })
+
+      expect(result.valid).toBe(false)
+      expect(result.reason).toBe('Bills cannot be paid with points yet')
+    })
+
+    it('should reject an empty cart', () => {
+      expect(validateCheckout(summarizeCart([]), { method: PAYMENT_METHODS.POINTS, points: 100 }).reason).toBe('Your cart is empty')
+    })
+  })
+})
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getSlipReasons,
+  canVoidSlip,
+  calculateAdjustedTotals,
+  getLineChanges,
+  validateSlipChange,
+  buildSlipApproval,
+  buildSlipChangeRequest
+} from '../credit-slip-adjustments.js'
+
+const slip = {
+  _id: 'SLIP001',
+  customer_id: 'CUST001',
+  slip_number: 'CS-20240115103000-A1B2C3D4',
+  status: 'OPEN',
+  lines: [
+    { item_id: 'ITEM001', description: 'Cappuccino', quantity: 2, unit_price_cents: 450000, line_total_cents: 900000 },
+    { item_id: 'ITEM002', description: 'Croissant', quantity: 1, unit_price_cents: 300000, line_total_cents: 300000 }
+  ],
+  totals: { subtotal_cents: 1200000, tax_cents: 0, discount_cents: 100000, grand_total_cents: 1100000, paid_cents: 0, remaining_cents: 1100000 }
+}
+
+const unchangedLines = () => slip.lines.map(line => ({ quantity: line.quantity, unit_price_cents: line.unit_price_cents, comped: false }))
+
+describe('Credit Slip Adjustments', () => {
+  describe('getSlipReasons', () => {
+    it('should offer different reasons for voids and adjustments', () => {
+      expect(getSlipReasons('void').map(r => r.value)).toContain('ENTERED_IN_ERROR')
+      expect(getSlipReasons('adjust').map(r => r.value)).not.toContain('ENTERED_IN_ERROR')
+      expect(getSlipReasons('adjust').map(r => r.value)).toContain('ITEM_COMPED')
+    })
+  })
+
+  describe('canVoidSlip', () => {
+    it('should allow voiding an unpaid open slip', () => {
+      expect(canVoidSlip(slip)).toEqual({ allowed: true, reason: null })
+    })
+
+    it('should not void slips with payments or that are closed', () => {
+      expect(canVoidSlip({ ...slip, status: 'PARTIALLY_PAID', totals: { ...slip.totals, paid_cents: 1000 } }).allowed).toBe(false)
+      expect(canVoidSlip({ ...slip, status: 'VOID' }).allowed).toBe(false)
+    })
+  })
+
+  describe('calculateAdjustedTotals and getLineChanges', () => {
+    it('should work out new totals for a lower quantity and a comped item', () => {
+      const lines = unchangedLines()
+      lines[0].quantity = 1
+      lines[1].comped = true
+
+      expect(calculateAdjustedTotals(slip, lines)).toEqual({
+        subtotal_cents: 450000,
+        grand_total_cents: 350000,
+        remaining_cents: 350000,
+        adjustment_cents: -750000
+      })
+      expect(getLineChanges(slip, lines)).toEqual([
+        expect.objectContaining({ line_index: 0, quantity_before: 2, quantity_after: 1, comped: false }),
+        expect.objectContaining({ line_index: 1, unit_price_cents_after: 0, comped: true })
+      ])
+    })
+
+    it('should report no changes for untouched lines', () => {
+      expect(getLineChanges(slip, unchangedLines())).toEqual([])
+    })
+  })
+
+  describe('validateSlipChange', () => {
+    it('should require a reason, and a note for other reasons', () => {
+      expect(validateSlipChange({ action: 'void', slip, reasonCode: '' })).toEqual({ reason: 'Please choose a reason' })
+      expect(validateSlipChange({ action: 'void', slip, reasonCode: 'OTHER', note: ' ' })).toEqual({ note: 'Please explain the reason' })
+      expect(validateSlipChange({ action: 'void', slip, reasonCode: 'ENTERED_IN_ERROR' })).toEqual({})
+    })
+
+    it('should require at least one changed line for an adjustment', () => {
+      expect(validateSlipChange({ action: 'adjust', slip, reasonCode: 'WRONG_QUANTITY', lines: unchangedLines() }).lines)
+        .toBe('Change at least one line')
+    })
+
+    it('should not let an adjustment go below what has been paid', () => {
+      const paidSlip = { ...slip, status: 'PARTIALLY_PAID', totals: { ...slip.totals, paid_cents: 800000 } }
+      const lines = unchangedLines()
+      lines[0].quantity = 1
+
+      expect(validateSlipChange({ action: 'adjust', slip: paidSlip, reasonCode: 'WRONG_QUANTITY', lines }).lines)
+        .toBe('The new total cannot be less than what has already been paid')
+    })
+
+    it('should reject quantities that are not whole numbers', () => {
+      const lines = unchangedLines()
+      lines[0].quantity = 1.5
+
+      expect(validateSlipChange({ action: 'adjust', slip, reasonCode: 'WRONG_QUANTITY', lines }).lines)
+        .toBe('Quantities must be whole numbers of zero or more')
+    })
+  })
+
+  describe('buildSlipApproval', () => {
+    it('should let managers approve in their own name', () => {
+      expect(buildSlipApproval({ staffUser: { id: 'staff_amina' }, canApprove: true })).toEqual({
+        approval: { approved_by: 'staff_amina', self_approved: true },
+        errors: {}
+      })
+    })
+
+    it('should ask other staff for a manager login', () => {
+      expect(buildSlipApproval({ staffUser: { id: 'staff_jane' }, canApprove: false }).errors).toEqual({
+        managerIdentifier: "Enter the approving manager's login",
+        managerPassword: "Enter the approving manager's password"
+      })
+      expect(buildSlipApproval({
+        staffUser: { id: 'staff_jane' },
+        canApprove: false,
+        managerIdentifier: ' amina ',
+        managerPassword: 'secret'
+      }).approval).toEqual({ manager_identifier: 'amina', manager_password: 'secret' })
+    })
+  })
+
+  describe('buildSlipChangeRequest', () => {
+    it('should include line changes and totals for an adjustment', () => {
+      const lines = unchangedLines()
+      lines[1].comped = true
+
+      const request = buildSlipChangeRequest({
+        action: 'adjust',
+        slip,
+        reasonCode: 'ITEM_COMPED',
+        note: ' Burnt ',
+        lines,
+        approval: { approved_by: 'staff_amina', self_approved: true }
+      })
+
+      expect(request).toMatchObject({
+        customer_id: 'CUST001',
+        reason_code: 'ITEM_COMPED',
+        note: 'Burnt',
+        grand_total_cents_before: 1100000,
+        grand_total_cents_after: 800000
+      })
+      expect(request.line_changes).toHaveLength(1)
+    })
+
+    it('should send only the reason and approval for a void', () => {
+      expect(buildSlipChangeRequest({ action: 'void', slip, reasonCode: 'DUPLICATE_SLIP', approval: {} }))
+        .toEqual({ customer_id: 'CUST001', reason_code: 'DUPLICATE_SLIP', note: '', approval: {} })
+    })
+  })
+})
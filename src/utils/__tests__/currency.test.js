@@ -9,7 +9,12 @@ import {
   calculatePercentage,
   addAmounts,
   subtractAmounts,
-  formatTransactionAmount
+  formatTransactionAmount,
+  getCurrency,
+  formatMoney,
+  parseMoneyToCents,
+  validateMoneyInput,
+  normalizeCurrencyBalances
 } from '../currency.js'
 
 describe('Currency Utilities', () => {
@@ -267,4 +272,65 @@ describe('Currency Utilities', () => {
       expect(result.displayAmount).toBe('-TZS 123.45')
     })
   })
-})
\ No newline at end of file
+
+  describe('formatMoney', () => {
+    it('should format TZS exactly like formatTZS', () => {
+      expect(formatMoney(1234567)).toBe(formatTZS(1234567))
+      expect(formatMoney(1234567, 'TZS', { compact: true })).toBe(formatTZS(1234567, true, { compact: true }))
+    })
+
+    it('should format other currencies with their symbol and decimals', () => {
+      expect(formatMoney(1250, 'USD')).toBe('$12.50')
+      expect(formatMoney(123456, 'EUR')).toBe('€1,234.56')
+      expect(formatMoney(-500, 'usd')).toBe('-$5.00')
+      expect(formatMoney(1250, 'USD', { showCurrency: false })).toBe('12.50')
+      expect(formatMoney(null, 'USD')).toBe('$0.00')
+    })
+
+    it('should fall back to the code for unknown currencies', () => {
+      expect(getCurrency('KES')).toMatchObject({ code: 'KES', minor_units: 2 })
+      expect(formatMoney(1000, 'KES')).toBe('KES 10.00')
+    })
+  })
+
+  describe('parseMoneyToCents and validateMoneyInput', () => {
+    it('should parse amounts with symbols or codes', () => {
+      expect(parseMoneyToCents('$12.50', 'USD')).toBe(1250)
+      expect(parseMoneyToCents('USD 1,000', 'USD')).toBe(100000)
+      expect(parseMoneyToCents('€3', 'EUR')).toBe(300)
+    })
+
+    it('should validate amounts using the currency decimals', () => {
+      expect(validateMoneyInput('$10.25', 'USD')).toEqual({ isValid: true, amount: 1025 })
+      expect(validateMoneyInput('10.255', 'USD').isValid).toBe(false)
+      expect(validateMoneyInput('', 'USD').error).toBe('Amount is required')
+    })
+  })
+
+  describe('normalizeCurrencyBalances', () => {
+    it('should turn a multi-currency balance into one entry per currency, TZS first', () => {
+      const balances = normalizeCurrencyBalances({
+        customer_id: 'CUST001',
+        currencies: [
+          { currency: 'USD', balance_cents: 750, wallet_cents: 750, outstanding_cents: 0, open_slips_count: 0, account_status: 'ACTIVE' },
+          { currency: 'TZS', balance_cents: -50000, wallet_cents: 0, outstanding_cents: 50000, open_slips_count: 1, account_status: 'ACTIVE' }
+        ]
+      })
+
+      expect(balances.map(balance => balance.currency)).toEqual(['TZS', 'USD'])
+      expect(balances[0]).toMatchObject({ outstanding_cents: 50000, open_slips_count: 1 })
+    })
+
+    it('should wrap a single-currency balance', () => {
+      expect(normalizeCurrencyBalances({ currency: 'USD', wallet_cents: 750, outstanding_cents: 250 })).toEqual([{
+        currency: 'USD',
+        balance_cents: 500,
+        wallet_cents: 750,
+        outstanding_cents: 250,
+        open_slips_count: 0,
+        account_status: 'ACTIVE'
+      }])
+      expect(normalizeCurrencyBalances(null)).toEqual([])
+    })
+  })
+})
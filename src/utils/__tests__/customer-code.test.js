@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeScannedCode, parseCustomerCode, isCustomerCode } from '../customer-code.js'
+
+describe('Customer Code Utilities', () => {
+  describe('normalizeScannedCode', () => {
+    it('should strip the scanner suffix and whitespace', () => {
+      expect(normalizeScannedCode('  ENZI:C1:cust-1:abc123\r\n')).toBe('ENZI:C1:cust-1:abc123')
+      expect(normalizeScannedCode('ENZI:C1:cust-1:abc123\t')).toBe('ENZI:C1:cust-1:abc123')
+      expect(normalizeScannedCode(null)).toBe('')
+    })
+  })
+
+  describe('parseCustomerCode', () => {
+    it('should read the customer ID and signature', () => {
+      expect(parseCustomerCode('ENZI:C1:cust-1:abc123\n')).toEqual({ customerId: 'cust-1', signature: 'abc123' })
+    })
+
+    it('should reject text that is not a customer code', () => {
+      expect(parseCustomerCode('cust-1')).toBeNull()
+      expect(parseCustomerCode('enzi:c1:cust-1:abc123')).toBeNull()
+      expect(parseCustomerCode('ENZI:C1:cust-1')).toBeNull()
+      expect(parseCustomerCode('ENZI:C1:cust-1:abc123:extra')).toBeNull()
+      expect(parseCustomerCode('https://example.com')).toBeNull()
+    })
+  })
+
+  describe('isCustomerCode', () => {
+    it('should match parseCustomerCode', () => {
+      expect(isCustomerCode('ENZI:C1:cust-1:abc123')).toBe(true)
+      expect(isCustomerCode('ENZI:C1::abc123')).toBe(false)
+    })
+  })
+})
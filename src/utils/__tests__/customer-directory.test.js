@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import { getDirectoryPagination, summarizeReceipts } from '../customer-directory.js'
+
+describe('Customer Directory Utilities', () => {
+  describe('getDirectoryPagination', () => {
+    it('should use the pagination the server sends', () => {
+      const pagination = getDirectoryPagination({
+        customers: [],
+        pagination: { current_page: 2, per_page: 20, total_entries: 45, total_pages: 3, has_next: true, has_prev: true }
+      }, 2)
+
+      expect(pagination).toMatchObject({ current_page: 2, total_pages: 3, has_next: true, has_prev: true })
+    })
+
+    it('should work out pages from a total count', () => {
+      const pagination = getDirectoryPagination({ customers: new Array(20).fill({}), total: 45 }, 3, 20)
+
+      expect(pagination).toMatchObject({ current_page: 3, total_entries: 45, total_pages: 3, has_next: false, has_prev: true })
+    })
+
+    it('should assume another page after a full page without a total', () => {
+      expect(getDirectoryPagination({ customers: new Array(20).fill({}) }, 1, 20)).toMatchObject({
+        has_next: true,
+        total_pages: 2
+      })
+      expect(getDirectoryPagination({ customers: new Array(5).fill({}) }, 2, 20)).toMatchObject({
+        has_next: false,
+        total_entries: 25,
+        total_pages: 2
+      })
+    })
+  })
+
+  describe('summarizeReceipts', () => {
+    const receipts = [
+      { receipt_number: '1-1001', receipt_type: 'SALE', receipt_date: '2024-01-05T09:00:00Z', total_money: 12000, points_earned: 12 },
+      { receipt_number: '1-1003', receipt_type: 'REFUND', receipt_date: '2024-01-20T09:00:00Z', total_money: 3000, points_earned: 0 },
+      { receipt_number: '1-1002', receipt_type: 'SALE', receipt_date: '2024-01-10T09:00:00Z', total_money: 8000, points_earned: 8 }
+    ]
+
+    it('should sort receipts newest first', () => {
+      expect(summarizeReceipts(receipts).receipts.map(r => r.receipt_number)).toEqual(['1-1003', '1-1002', '1-1001'])
+    })
+
+    it('should subtract refunds and not count them as visits', () => {
+      expect(summarizeReceipts(receipts)).toMatchObject({
+        visits: 2,
+        total_spent: 17000,
+        points_earned: 20,
+        last_visit: '2024-01-10T09:00:00Z'
+      })
+    })
+
+    it('should handle customers without receipts', () => {
+      expect(summarizeReceipts(undefined)).toEqual({
+        receipts: [],
+        visits: 0,
+        total_spent: 0,
+        points_earned: 0,
+        last_visit: null
+      })
+    })
+  })
+})
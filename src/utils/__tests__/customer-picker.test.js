@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  getCustomerQueryType,
+  getRecentCustomers,
+  addRecentCustomer,
+  clearRecentCustomers,
+  moveHighlight,
+  findTextMatch,
+  mergeCustomerResults,
+  MAX_RECENT_CUSTOMERS
+} from '../customer-picker.js'
+
+const createStorage = () => {
+  const items = new Map()
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  }
+}
+
+describe('Customer Picker Utilities', () => {
+  describe('getCustomerQueryType', () => {
+    it('should recognise customer IDs', () => {
+      expect(getCustomerQueryType('3f2b8c1e-9a4d-4e2f-8b6a-1c2d3e4f5a6b')).toBe('id')
+    })
+
+    it('should recognise phone numbers', () => {
+      expect(getCustomerQueryType('0712 345 678')).toBe('phone')
+      expect(getCustomerQueryType('+255712345678')).toBe('phone')
+    })
+
+    it('should treat other text as a name', () => {
+      expect(getCustomerQueryType('Amina')).toBe('name')
+      expect(getCustomerQueryType('Room 12')).toBe('name')
+    })
+
+    it('should ignore searches too short to send', () => {
+      expect(getCustomerQueryType('A')).toBeNull()
+      expect(getCustomerQueryType('0712')).toBeNull()
+      expect(getCustomerQueryType('   ')).toBeNull()
+    })
+  })
+
+  describe('recent customers', () => {
+    let storage
+
+    beforeEach(() => {
+      storage = createStorage()
+    })
+
+    it('should keep the latest pick first without duplicates', () => {
+      addRecentCustomer({ customer_id: 'cust-1', name: 'Amina' }, storage)
+      addRecentCustomer({ customer_id: 'cust-2', name: 'Baraka' }, storage)
+      addRecentCustomer({ customer_id: 'cust-1', name: 'Amina', total_spent: 5000 }, storage)
+
+      expect(getRecentCustomers(storage)).toEqual([
+        { customer_id: 'cust-1', name: 'Amina', phone_number: null, email: null },
+        { customer_id: 'cust-2', name: 'Baraka', phone_number: null, email: null }
+      ])
+    })
+
+    it('should remember a limited number of customers', () => {
+      for (let i = 0; i < MAX_RECENT_CUSTOMERS + 2; i++) {
+        addRecentCustomer({ customer_id: `cust-${i}`, name: `Customer ${i}` }, storage)
+      }
+
+      const recent = getRecentCustomers(storage)
+      expect(recent).toHaveLength(MAX_RECENT_CUSTOMERS)
+      expect(recent[0].customer_id).toBe(`cust-${MAX_RECENT_CUSTOMERS + 1}`)
+    })
+
+    it('should recover from unreadable data and clear the list', () => {
+      storage.setItem('staffRecentCustomers', 'not json')
+      expect(getRecentCustomers(storage)).toEqual([])
+
+      addRecentCustomer({ customer_id: 'cust-1', name: 'Amina' }, storage)
+      clearRecentCustomers(storage)
+      expect(getRecentCustomers(storage)).toEqual([])
+    })
+  })
+
+  describe('moveHighlight', () => {
+    it('should wrap around the list', () => {
+      expect(moveHighlight(-1, 3, 1)).toBe(0)
+      expect(moveHighlight(-1, 3, -1)).toBe(2)
+      expect(moveHighlight(2, 3, 1)).toBe(0)
+      expect(moveHighlight(0, 3, -1)).toBe(2)
+      expect(moveHighlight(0, 0, 1)).toBe(-1)
+    })
+  })
+  describe('findTextMatch', () => {
+    it('should find the search in a name regardless of case', () => {
+      expect(findTextMatch('Amina Juma', 'jum')).toEqual({ start: 6, end: 9 })
+      expect(findTextMatch('Amina Juma', 'Baraka')).toBeNull()
+    })
+  })
+
+  describe('mergeCustomerResults', () => {
+    it('should list each customer once, keeping earlier results first', () => {
+      const merged = mergeCustomerResults(
+        [{ customer_id: 'CUST002', name: 'Baraka' }],
+        [{ _id: 'CUST001', name: 'Amina' }, { customer_id: 'CUST002', name: 'Baraka M' }]
+      )
+
+      expect(merged).toEqual([
+        { customer_id: 'CUST002', name: 'Baraka' },
+        { _id: 'CUST001', name: 'Amina' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  CUSTOMER_SESSION_IDLE_TIMEOUT_MS,
+  CUSTOMER_SESSION_KEY,
+  CUSTOMER_TOKEN_KEY,
+  loadCustomerSession,
+  saveCustomerSession,
+  touchCustomerSession,
+  clearCustomerSession,
+  isCustomerSessionExpired
+} from '../customer-session.js'
+
+const createStorage = () => {
+  const items = new Map()
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  }
+}
+
+const user = { _id: 'CUST001', name: 'Amina', phone_number: '+255712345678' }
+const receipts = [{ receipt_number: 'R-1', total_money: 12000 }]
+
+describe('Customer Session Utilities', () => {
+  let storage
+
+  beforeEach(() => {
+    storage = createStorage()
+    storage.setItem(CUSTOMER_TOKEN_KEY, 'token-1')
+  })
+
+  it('should restore a saved session with its token', () => {
+    saveCustomerSession({ user, receipts }, storage, 1000)
+
+    expect(loadCustomerSession(storage, 2000)).toEqual({
+      token: 'token-1',
+      user,
+      receipts,
+      lastActiveAt: 1000
+    })
+  })
+
+  it('should expire a session after a period of inactivity', () => {
+    saveCustomerSession({ user, receipts }, storage, 0)
+
+    expect(loadCustomerSession(storage, CUSTOMER_SESSION_IDLE_TIMEOUT_MS)).toBeNull()
+    expect(storage.getItem(CUSTOMER_SESSION_KEY)).toBeNull()
+    expect(storage.getItem(CUSTOMER_TOKEN_KEY)).toBeNull()
+  })
+
+  it('should extend the session while the customer is active', () => {
+    saveCustomerSession({ user, receipts }, storage, 0)
+
+    expect(touchCustomerSession(storage, CUSTOMER_SESSION_IDLE_TIMEOUT_MS - 1)).toBe(true)
+    expect(loadCustomerSession(storage, CUSTOMER_SESSION_IDLE_TIMEOUT_MS + 1000)).not.toBeNull()
+  })
+
+  it('should not count saving the customer as activity', () => {
+    saveCustomerSession({ user, receipts }, storage, 0)
+    saveCustomerSession({ user: { ...user, total_points: 50 }, receipts }, storage, CUSTOMER_SESSION_IDLE_TIMEOUT_MS - 1)
+
+    expect(loadCustomerSession(storage, CUSTOMER_SESSION_IDLE_TIMEOUT_MS)).toBeNull()
+  })
+
+  it('should start a new sign-in from now', () => {
+    saveCustomerSession({ user, receipts }, storage, 0)
+    saveCustomerSession({ user: { ...user, _id: 'CUST002' }, receipts: [] }, storage, 5000)
+
+    expect(loadCustomerSession(storage, 6000).lastActiveAt).toBe(5000)
+  })
+
+  it('should not restore a session without a token', () => {
+    saveCustomerSession({ user, receipts }, storage, 0)
+    storage.removeItem(CUSTOMER_TOKEN_KEY)
+
+    expect(loadCustomerSession(storage, 0)).toBeNull()
+    expect(touchCustomerSession(storage, 0)).toBe(false)
+  })
+
+  it('should ignore unreadable sessions', () => {
+    storage.setItem(CUSTOMER_SESSION_KEY, '{not json')
+
+    expect(loadCustomerSession(storage, 0)).toBeNull()
+    expect(isCustomerSessionExpired(null)).toBe(true)
+  })
+
+  it('should clear the session and its token', () => {
+    saveCustomerSession({ user, receipts }, storage, 0)
+    clearCustomerSession(storage)
+
+    expect(storage.getItem(CUSTOMER_SESSION_KEY)).toBeNull()
+    expect(storage.getItem(CUSTOMER_TOKEN_KEY)).toBeNull()
+  })
+})
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import {
+  IDEMPOTENCY_HEADER,
+  createIdempotencyKey,
+  idempotencyConfig,
+  isReplayedResponse,
+  getReplayedResponseData,
+  fingerprintSubmission
+} from '../idempotency.js'
+
+describe('Idempotency Utilities', () => {
+  it('should create unique keys', () => {
+    const keys = new Set(Array.from({ length: 20 }, () => createIdempotencyKey()))
+    expect(keys.size).toBe(20)
+  })
+
+  it('should put the key in the request headers', () => {
+    expect(idempotencyConfig('key-1')).toEqual({ headers: { [IDEMPOTENCY_HEADER]: 'key-1' } })
+  })
+
+  it('should detect replayed responses', () => {
+    expect(isReplayedResponse({ headers: { 'idempotent-replayed': 'true' }, data: {} })).toBe(true)
+    expect(isReplayedResponse({ headers: {}, data: { idempotent_replay: true } })).toBe(true)
+    expect(isReplayedResponse({ headers: {}, data: {} })).toBe(false)
+  })
+
+  describe('getReplayedResponseData', () => {
+    it('should return the original result of a duplicate key', () => {
+      const original = { payment_id: 'PAY-1', applied_total: 5000 }
+      const error = { response: { status: 409, data: { respCode: 'DUPLICATE_IDEMPOTENCY_KEY', original_response: original } } }
+
+      expect(getReplayedResponseData(error)).toBe(original)
+    })
+
+    it('should ignore other conflicts and errors', () => {
+      expect(getReplayedResponseData({ response: { status: 409, data: { message: 'OUT_OF_STOCK' } } })).toBeNull()
+      expect(getReplayedResponseData({ response: { status: 409, data: { message: 'DUPLICATE_IDEMPOTENCY_KEY' } } })).toBeNull()
+      expect(getReplayedResponseData({ response: { status: 500, data: {} } })).toBeNull()
+      expect(getReplayedResponseData({ request: {} })).toBeNull()
+    })
+  })
+
+  it('should fingerprint submissions regardless of key order', () => {
+    expect(fingerprintSubmission({ a: 1, b: { c: 2, d: 3 } })).toBe(fingerprintSubmission({ b: { d: 3, c: 2 }, a: 1 }))
+    expect(fingerprintSubmission({ amount: 1 })).not.toBe(fingerprintSubmission({ amount: 2 }))
+  })
+})
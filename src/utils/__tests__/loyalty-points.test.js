@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { canRedeemReward, getPointsAfterRedemption } from '../loyalty-points.js'
+
+describe('Loyalty Points Utilities', () => {
+  describe('canRedeemReward', () => {
+    const freeDrink = { id: 'r1', name: 'Free drink', points_cost: 100, available: true }
+
+    it('should allow redemption when points cover the cost', () => {
+      expect(canRedeemReward(100, freeDrink)).toEqual({ allowed: true, shortfall: 0 })
+      expect(canRedeemReward('250', freeDrink).allowed).toBe(true)
+    })
+
+    it('should report the shortfall when points are insufficient', () => {
+      const result = canRedeemReward(60, freeDrink)
+      expect(result.allowed).toBe(false)
+      expect(result.shortfall).toBe(40)
+      expect(result.reason).toBe('Not enough points')
+    })
+
+    it('should reject unavailable or invalid rewards', () => {
+      expect(canRedeemReward(500, { ...freeDrink, available: false }).allowed).toBe(false)
+      expect(canRedeemReward(500, { ...freeDrink, points_cost: 0 }).allowed).toBe(false)
+      expect(canRedeemReward(500, null).allowed).toBe(false)
+    })
+
+    it('should treat missing points as zero', () => {
+      expect(canRedeemReward(undefined, freeDrink).shortfall).toBe(100)
+    })
+  })
+
+  describe('getPointsAfterRedemption', () => {
+    it('should prefer the balance reported by the server', () => {
+      expect(getPointsAfterRedemption(300, { points_balance: 180, points_deducted: 100 })).toBe(180)
+    })
+
+    it('should deduct locally when no balance is reported', () => {
+      expect(getPointsAfterRedemption(300, { points_deducted: 100 })).toBe(200)
+      expect(getPointsAfterRedemption(50, { points_deducted: 100 })).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import {
+  LOYALTY_TIERS,
+  getLoyaltyStatus,
+  getTierForActivity,
+  summarizeTierActivity
+} from '../loyalty-tiers.js'
+
+const now = new Date('2025-06-30T12:00:00.000Z')
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString()
+
+const receipt = (days, total, points = 0, type = 'SALE') => ({
+  receipt_date: daysAgo(days),
+  receipt_type: type,
+  total_money: total,
+  points_earned: points
+})
+
+describe('Loyalty Tiers', () => {
+  describe('summarizeTierActivity', () => {
+    it('should add up spend and points, taking refunds off the spend', () => {
+      expect(summarizeTierActivity([
+        receipt(1, 10000, 200),
+        receipt(2, 6000, 120),
+        receipt(3, 4000, 0, 'REFUND')
+      ])).toEqual({ spend: 12000, points: 320 })
+    })
+  })
+
+  describe('getTierForActivity', () => {
+    it('should pick the highest tier met by spend or points', () => {
+      expect(getTierForActivity({ spend: 0, points: 0 }).id).toBe('bronze')
+      expect(getTierForActivity({ spend: 150000, points: 0 }).id).toBe('silver')
+      expect(getTierForActivity({ spend: 0, points: 8000 }).id).toBe('gold')
+    })
+  })
+
+  describe('getLoyaltyStatus', () => {
+    it('should start new customers at Bronze', () => {
+      const status = getLoyaltyStatus([], { now })
+      expect(status.tier).toBe(LOYALTY_TIERS[0])
+      expect(status.nextTier.id).toBe('silver')
+      expect(status.progress).toBe(0)
+      expect(status.dropWarning).toBeNull()
+    })
+
+    it('should only count the last 90 days', () => {
+      const status = getLoyaltyStatus([receipt(100, 500000), receipt(10, 75000, 1500)], { now })
+      expect(status.tier.id).toBe('bronze')
+      expect(status.activity).toEqual({ spend: 75000, points: 1500 })
+    })
+
+    it('should report progress and what is left for the next tier', () => {
+      const status = getLoyaltyStatus([receipt(10, 100000, 2700)], { now })
+      expect(status.progress).toBe(90)
+      expect(status.remaining).toEqual({ spend: 50000, points: 300 })
+    })
+
+    it('should show full progress at the top tier', () => {
+      const status = getLoyaltyStatus([receipt(5, 400000)], { now })
+      expect(status.tier.id).toBe('gold')
+      expect(status.nextTier).toBeNull()
+      expect(status.progress).toBe(100)
+      expect(status.remaining).toBeNull()
+    })
+
+    it('should warn when old receipts are about to drop the tier', () => {
+      const status = getLoyaltyStatus([receipt(85, 100000), receipt(20, 60000)], { now })
+      expect(status.tier.id).toBe('silver')
+      expect(status.dropWarning.tier.id).toBe('bronze')
+      expect(status.dropWarning.date).toBe(new Date(now.getTime() + 5 * 24 * 60 * 60 * 1000).toISOString())
+      expect(status.dropWarning.spendToKeep).toBe(90000)
+    })
+
+    it('should not warn when the tier holds past the warning period', () => {
+      expect(getLoyaltyStatus([receipt(60, 100000), receipt(20, 60000)], { now }).dropWarning).toBeNull()
+      expect(getLoyaltyStatus([receipt(85, 10000), receipt(20, 150000)], { now }).dropWarning).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,135 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  OTP_LENGTH,
+  OTP_MAX_ATTEMPTS,
+  OTP_PURPOSES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_TTL_SECONDS,
+  sanitizeOtpInput,
+  isCompleteOtp,
+  generateOtpCode,
+  createOtpChallenge,
+  getResendWaitSeconds,
+  getRemainingOtpAttempts,
+  recordFailedOtpAttempt,
+  isOtpExpired
+} from '../otp.js'
+import { createMockSmsProvider, getDefaultSmsProvider } from '../../api/sms-provider.js'
+
+const PHONE = '+255712345678'
+
+describe('OTP Utilities', () => {
+  describe('code format', () => {
+    it('should keep only the digits of a typed or pasted code', () => {
+      expect(sanitizeOtpInput('12 34-56')).toBe('123456')
+      expect(sanitizeOtpInput('123456789')).toBe('123456')
+      expect(sanitizeOtpInput(null)).toBe('')
+    })
+
+    it('should only accept complete codes', () => {
+      expect(isCompleteOtp('123456')).toBe(true)
+      expect(isCompleteOtp('12345')).toBe(false)
+      expect(isCompleteOtp('12345a')).toBe(false)
+    })
+
+    it('should generate codes of the requested length', () => {
+      const code = generateOtpCode(OTP_LENGTH, (array) => array.fill(17))
+      expect(code).toBe('7'.repeat(OTP_LENGTH))
+      expect(isCompleteOtp(generateOtpCode())).toBe(true)
+    })
+  })
+
+  describe('challenges', () => {
+    it('should count down the resend cooldown', () => {
+      const challenge = createOtpChallenge(PHONE, OTP_PURPOSES.LOGIN, 0)
+      expect(getResendWaitSeconds(challenge, 0)).toBe(OTP_RESEND_COOLDOWN_SECONDS)
+      expect(getResendWaitSeconds(challenge, 10500)).toBe(OTP_RESEND_COOLDOWN_SECONDS - 10)
+      expect(getResendWaitSeconds(challenge, OTP_RESEND_COOLDOWN_SECONDS * 1000)).toBe(0)
+      expect(getResendWaitSeconds(null)).toBe(0)
+    })
+
+    it('should run out of attempts after too many wrong codes', () => {
+      let challenge = createOtpChallenge(PHONE, OTP_PURPOSES.LOGIN, 0)
+      for (let i = 0; i < OTP_MAX_ATTEMPTS; i++) {
+        expect(getRemainingOtpAttempts(challenge)).toBe(OTP_MAX_ATTEMPTS - i)
+        challenge = recordFailedOtpAttempt(challenge)
+      }
+      expect(getRemainingOtpAttempts(challenge)).toBe(0)
+    })
+
+    it('should expire codes after their lifetime', () => {
+      const challenge = createOtpChallenge(PHONE, OTP_PURPOSES.LOGIN, 0)
+      expect(isOtpExpired(challenge, OTP_TTL_SECONDS * 1000 - 1)).toBe(false)
+      expect(isOtpExpired(challenge, OTP_TTL_SECONDS * 1000)).toBe(true)
+      expect(isOtpExpired(null)).toBe(true)
+    })
+  })
+
+  describe('mock SMS provider', () => {
+    const customer = { _id: 'CUST001', name: 'Amina', phone_number: PHONE }
+
+    const createProvider = (overrides = {}) => {
+      let time = 0
+      const provider = createMockSmsProvider({
+        log: vi.fn(),
+        now: () => time,
+        lookupCustomer: async (phoneNumber) => (phoneNumber === PHONE ? customer : null),
+        ...overrides
+      })
+      return { provider, advance: (ms) => { time += ms } }
+    }
+
+    it('should sign a customer in with the code it sent', async () => {
+      const log = vi.fn()
+      const { provider } = createProvider({ log })
+
+      await provider.sendCode({ phoneNumber: PHONE, purpose: OTP_PURPOSES.LOGIN })
+      const code = provider.getLastCode(PHONE)
+      expect(log).toHaveBeenCalledWith(expect.stringContaining(code))
+
+      const result = await provider.verifyCode({ phoneNumber: PHONE, code, purpose: OTP_PURPOSES.LOGIN })
+      expect(result.customer).toEqual(customer)
+      expect(result.access_token).toMatch(/^mock-customer-/)
+    })
+
+    it('should refuse to sign in unknown numbers', async () => {
+      const { provider } = createProvider()
+
+      await expect(provider.sendCode({ phoneNumber: '+255700000000', purpose: OTP_PURPOSES.LOGIN }))
+        .rejects.toMatchObject({ response: { status: 404 } })
+    })
+
+    it('should enforce the resend cooldown', async () => {
+      const { provider, advance } = createProvider()
+
+      await provider.sendCode({ phoneNumber: PHONE, purpose: OTP_PURPOSES.LOGIN })
+      await expect(provider.sendCode({ phoneNumber: PHONE, purpose: OTP_PURPOSES.LOGIN }))
+        .rejects.toMatchObject({ response: { status: 429, data: { message: 'OTP_RESEND_TOO_SOON' } } })
+
+      advance(OTP_RESEND_COOLDOWN_SECONDS * 1000)
+      await expect(provider.sendCode({ phoneNumber: PHONE, purpose: OTP_PURPOSES.LOGIN })).resolves.toBeDefined()
+    })
+
+    it('should lock the code after too many wrong attempts', async () => {
+      const { provider } = createProvider()
+
+      await provider.sendCode({ phoneNumber: PHONE, purpose: OTP_PURPOSES.REGISTER })
+      const code = provider.getLastCode(PHONE)
+      const wrongCode = code === '000000' ? '111111' : '000000'
+
+      for (let i = 1; i <= OTP_MAX_ATTEMPTS; i++) {
+        await expect(provider.verifyCode({ phoneNumber: PHONE, code: wrongCode, purpose: OTP_PURPOSES.REGISTER }))
+          .rejects.toMatchObject({ response: { data: { message: 'INVALID_OTP', attempts_remaining: OTP_MAX_ATTEMPTS - i } } })
+      }
+
+      await expect(provider.verifyCode({ phoneNumber: PHONE, code, purpose: OTP_PURPOSES.REGISTER }))
+        .rejects.toMatchObject({ response: { data: { message: 'OTP_ATTEMPTS_EXCEEDED' } } })
+    })
+
+    it('should only be picked in development builds', () => {
+      expect(getDefaultSmsProvider({ DEV: true, VITE_SMS_PROVIDER: 'mock' }).getLastCode).toBeTypeOf('function')
+      expect(getDefaultSmsProvider({ DEV: false, VITE_SMS_PROVIDER: 'mock' }).getLastCode).toBeUndefined()
+      expect(getDefaultSmsProvider({ DEV: true }).getLastCode).toBeUndefined()
+    })
+  })
+})
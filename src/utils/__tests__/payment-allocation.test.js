@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import {
+  allocateOldestFirst,
+  allocateSmallestFirst,
+  allocateProportional,
+  allocateSelectedThenWallet,
+  allocatePayment,
+  previewSlipStatuses
+} from '../payment-allocation.js'
+
+const slips = [
+  { _id: 'b', slip_number: 'CS-2', status: 'OPEN', created_at: '2024-01-02T09:00:00Z', totals: { remaining_cents: 300000 } },
+  { _id: 'a', slip_number: 'CS-1', status: 'PARTIALLY_PAID', created_at: '2024-01-01T09:00:00Z', totals: { remaining_cents: 500000 } },
+  { _id: 'c', slip_number: 'CS-3', status: 'OPEN', created_at: '2024-01-03T09:00:00Z', totals: { remaining_cents: 200000 } }
+]
+
+describe('Payment Allocation Strategies', () => {
+  describe('allocateOldestFirst', () => {
+    it('should pay the oldest slips first', () => {
+      expect(allocateOldestFirst(600000, slips)).toEqual({
+        slipAllocations: { a: 500000, b: 100000 },
+        walletCents: 0
+      })
+    })
+
+    it('should top up the wallet once every slip is paid', () => {
+      expect(allocateOldestFirst(1200000, slips)).toEqual({
+        slipAllocations: { a: 500000, b: 300000, c: 200000 },
+        walletCents: 200000
+      })
+    })
+  })
+
+  describe('allocateSmallestFirst', () => {
+    it('should close out the smallest slips first', () => {
+      expect(allocateSmallestFirst(600000, slips)).toEqual({
+        slipAllocations: { c: 200000, b: 300000, a: 100000 },
+        walletCents: 0
+      })
+    })
+  })
+
+  describe('allocateProportional', () => {
+    it('should split the payment by what each slip owes', () => {
+      expect(allocateProportional(500000, slips)).toEqual({
+        slipAllocations: { a: 250000, b: 150000, c: 100000 },
+        walletCents: 0
+      })
+    })
+
+    it('should hand out rounding cents so the whole payment is used', () => {
+      const { slipAllocations } = allocateProportional(100, slips.map(slip => ({ ...slip, totals: { remaining_cents: 300 } })))
+
+      expect(Object.values(slipAllocations).reduce((sum, amount) => sum + amount, 0)).toBe(100)
+      expect(slipAllocations).toEqual({ a: 34, b: 33, c: 33 })
+    })
+
+    it('should settle every slip and top up the wallet when the payment covers them all', () => {
+      expect(allocateProportional(1100000, slips).walletCents).toBe(100000)
+    })
+  })
+
+  describe('allocateSelectedThenWallet', () => {
+    it('should settle the chosen slips and put the rest in the wallet', () => {
+      expect(allocateSelectedThenWallet(600000, slips, ['c', 'b'])).toEqual({
+        slipAllocations: { b: 300000, c: 200000 },
+        walletCents: 100000
+      })
+    })
+
+    it('should put everything in the wallet when no slips are chosen', () => {
+      expect(allocateSelectedThenWallet(600000, slips, [])).toEqual({ slipAllocations: {}, walletCents: 600000 })
+    })
+  })
+
+  describe('allocatePayment', () => {
+    it('should default to oldest first', () => {
+      expect(allocatePayment(undefined, 600000, slips)).toEqual(allocateOldestFirst(600000, slips))
+      expect(allocatePayment('SELECTED_THEN_WALLET', 100, slips, { selectedSlipIds: ['a'] }).slipAllocations).toEqual({ a: 100 })
+    })
+  })
+
+  describe('previewSlipStatuses', () => {
+    it('should show which slips will be paid off', () => {
+      expect(previewSlipStatuses(slips, { a: 500000, b: 100000 })).toEqual([
+        { slip_id: 'b', applied_cents: 100000, remaining_after_cents: 200000, status_after: 'PARTIALLY_PAID' },
+        { slip_id: 'a', applied_cents: 500000, remaining_after_cents: 0, status_after: 'PAID' },
+        { slip_id: 'c', applied_cents: 0, remaining_after_cents: 200000, status_after: 'OPEN' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizePhoneNumber,
+  getNationalNumber,
+  isSamePhoneNumber,
+  findPhoneMatch
+} from '../phone-number.js'
+
+describe('Phone Number Utilities', () => {
+  describe('normalizePhoneNumber', () => {
+    it('should convert the usual Tanzanian formats to one canonical form', () => {
+      expect(normalizePhoneNumber('0712345678')).toBe('+255712345678')
+      expect(normalizePhoneNumber('+255712345678')).toBe('+255712345678')
+      expect(normalizePhoneNumber('255712345678')).toBe('+255712345678')
+      expect(normalizePhoneNumber('00255712345678')).toBe('+255712345678')
+      expect(normalizePhoneNumber('712345678')).toBe('+255712345678')
+    })
+
+    it('should ignore spaces, dashes and brackets', () => {
+      expect(normalizePhoneNumber('0712 345 678')).toBe('+255712345678')
+      expect(normalizePhoneNumber('+255 (712) 345-678')).toBe('+255712345678')
+    })
+
+    it('should reject incomplete or foreign numbers', () => {
+      expect(normalizePhoneNumber('0712 345')).toBeNull()
+      expect(normalizePhoneNumber('+254712345678')).toBeNull()
+      expect(normalizePhoneNumber('0012345678')).toBeNull()
+      expect(normalizePhoneNumber('')).toBeNull()
+      expect(getNationalNumber(null)).toBeNull()
+    })
+  })
+
+  describe('isSamePhoneNumber', () => {
+    it('should compare numbers written in different formats', () => {
+      expect(isSamePhoneNumber('0712 345 678', '+255712345678')).toBe(true)
+      expect(isSamePhoneNumber('0712345678', '0712345679')).toBe(false)
+      expect(isSamePhoneNumber('0712', '0712')).toBe(false)
+    })
+  })
+
+  describe('findPhoneMatch', () => {
+    it('should find a full number whatever prefix either side uses', () => {
+      expect(findPhoneMatch('+255 712 345 678', '0712345678')).toEqual({ start: 5, end: 16 })
+      expect(findPhoneMatch('0712345678', '+255712345678')).toEqual({ start: 1, end: 10 })
+    })
+
+    it('should find a partly typed number', () => {
+      expect(findPhoneMatch('0712345678', '0712 345')).toEqual({ start: 1, end: 7 })
+      expect(findPhoneMatch('+255712345678', '2557123')).toEqual({ start: 4, end: 8 })
+    })
+
+    it('should return null when the number does not match', () => {
+      expect(findPhoneMatch('0712345678', '0755')).toBeNull()
+      expect(findPhoneMatch('', '0712')).toBeNull()
+      expect(findPhoneMatch('0712345678', 'Amina')).toBeNull()
+    })
+  })
+})
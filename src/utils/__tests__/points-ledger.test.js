@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_POINTS_EXPIRY_POLICY,
+  LEDGER_ENTRY_TYPES,
+  buildPointsLedger,
+  buildPointsLedgerCsv,
+  getPointsExpiryPolicy
+} from '../points-ledger.js'
+
+const receipt = (number, date, earned = 0, deducted = 0, type = 'SALE') => ({
+  receipt_number: number,
+  receipt_date: date,
+  receipt_type: type,
+  points_earned: earned,
+  points_deducted: deducted
+})
+
+describe('Points Ledger', () => {
+  describe('getPointsExpiryPolicy', () => {
+    it('should fall back to the default policy', () => {
+      expect(getPointsExpiryPolicy({})).toEqual(DEFAULT_POINTS_EXPIRY_POLICY)
+    })
+
+    it('should read the policy from the environment', () => {
+      expect(getPointsExpiryPolicy({ VITE_POINTS_EXPIRY_MONTHS: '6', VITE_POINTS_EXPIRY_WARNING_DAYS: '14' }))
+        .toEqual({ expiryMonths: 6, warningDays: 14 })
+      expect(getPointsExpiryPolicy({ VITE_POINTS_EXPIRY_MONTHS: '0' }).expiryMonths).toBe(0)
+    })
+  })
+
+  describe('buildPointsLedger', () => {
+    const now = new Date('2025-06-30T12:00:00.000Z')
+
+    it('should derive a running balance from receipts and redemptions', () => {
+      const ledger = buildPointsLedger({
+        receipts: [
+          receipt('2-2', '2025-03-01T10:00:00.000Z', 50, 30),
+          receipt('2-1', '2025-02-01T10:00:00.000Z', 120)
+        ],
+        redemptions: [{ redemption_code: 'ABC123', reward_name: 'Free drink', points_deducted: 100, created_at: '2025-04-01T10:00:00.000Z' }]
+      }, { now })
+
+      expect(ledger.rows.map(row => [row.type, row.points, row.balance_after])).toEqual([
+        [LEDGER_ENTRY_TYPES.EARNED, 120, 120],
+        [LEDGER_ENTRY_TYPES.EARNED, 50, 170],
+        [LEDGER_ENTRY_TYPES.SPENT, 30, 140],
+        [LEDGER_ENTRY_TYPES.SPENT, 100, 40]
+      ])
+      expect(ledger.rows[3]).toMatchObject({ description: 'Redeemed Free drink', reference: 'ABC123' })
+      expect(ledger.balance).toBe(40)
+      expect(ledger.totals).toEqual({ earned: 170, spent: 130, expired: 0 })
+    })
+
+    it('should expire unspent points after the policy period, spending oldest first', () => {
+      const ledger = buildPointsLedger({
+        receipts: [
+          receipt('2-1', '2024-01-15T10:00:00.000Z', 100),
+          receipt('2-2', '2024-03-15T10:00:00.000Z', 80),
+          receipt('2-3', '2024-04-15T10:00:00.000Z', 0, 60)
+        ]
+      }, { now })
+
+      const expired = ledger.rows.filter(row => row.type === LEDGER_ENTRY_TYPES.EXPIRED)
+      expect(expired.map(row => [row.reference, row.points])).toEqual([['2-1', 40], ['2-2', 80]])
+      expect(ledger.balance).toBe(0)
+      expect(ledger.totals.expired).toBe(120)
+    })
+
+    it('should list points due to expire and those expiring soon', () => {
+      const ledger = buildPointsLedger({
+        receipts: [
+          receipt('2-1', '2024-07-10T10:00:00.000Z', 100),
+          receipt('2-2', '2025-01-10T10:00:00.000Z', 40)
+        ]
+      }, { now })
+
+      expect(ledger.expiring.map(entry => entry.points)).toEqual([100, 40])
+      expect(ledger.expiring[0].date.slice(0, 7)).toBe('2025-07')
+      expect(ledger.expiringSoon).toBe(100)
+    })
+
+    it('should never expire points when the policy turns expiry off', () => {
+      const ledger = buildPointsLedger(
+        { receipts: [receipt('2-1', '2020-01-01T10:00:00.000Z', 100)] },
+        { now, policy: { expiryMonths: 0, warningDays: 30 } }
+      )
+      expect(ledger.balance).toBe(100)
+      expect(ledger.expiring).toEqual([])
+    })
+
+    it('should describe refunds', () => {
+      const ledger = buildPointsLedger({
+        receipts: [
+          receipt('2-1', '2025-05-01T10:00:00.000Z', 120),
+          receipt('2-2', '2025-05-02T10:00:00.000Z', 0, 120, 'REFUND')
+        ]
+      }, { now })
+      expect(ledger.rows[1].description).toBe('Points reversed for a refund')
+      expect(ledger.balance).toBe(0)
+    })
+  })
+
+  describe('buildPointsLedgerCsv', () => {
+    it('should export every row with its balance', () => {
+      const ledger = buildPointsLedger({
+        receipts: [receipt('2-1', '2025-05-01T10:00:00.000Z', 120, 20)]
+      }, { now: new Date('2025-06-01T00:00:00.000Z') })
+
+      expect(buildPointsLedgerCsv(ledger)).toBe(
+        'Date,Type,Description,Reference,Points In,Points Out,Balance\r\n' +
+        '2025-05-01,Earned,Points earned on a purchase,2-1,120,,120\r\n' +
+        '2025-05-01,Spent,Points used at the counter,2-1,,20,100\r\n'
+      )
+    })
+  })
+})
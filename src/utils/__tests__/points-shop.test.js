@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import { filterAndSortCatalog, getStockLabel } from '../points-shop.js'
+
+const items = [
+  { id: '1', name: 'Cold Brew Bottle', description: 'Glass bottle', category_id: 'merch', category: 'Merchandise', redeemable: true, points_price: 200, in_stock: true, stock: 3, sort_order: 2, created_at: '2024-01-01' },
+  { id: '2', name: 'Aeropress', description: 'Coffee press', category_id: 'equipment', category: 'Equipment', redeemable: true, points_price: 3000, in_stock: true, stock: null, sort_order: 1, created_at: '2024-03-01' },
+  { id: '3', name: 'Paper Filters', description: 'Refill pack', category_id: 'equipment', category: 'Equipment', redeemable: false, points_price: null, in_stock: true, stock: null, sort_order: 3, created_at: '2024-02-01' },
+  { id: '4', name: 'Tote Bag', description: 'Canvas bag', category_id: 'merch', category: 'Merchandise', redeemable: true, points_price: 500, in_stock: false, stock: 0, sort_order: 0, created_at: '2023-12-01' }
+]
+
+describe('Points Shop Utilities', () => {
+  describe('filterAndSortCatalog', () => {
+    it('should put in-stock items first in featured order', () => {
+      expect(filterAndSortCatalog(items).map(i => i.id)).toEqual(['2', '1', '3', '4'])
+    })
+
+    it('should search name, description and category', () => {
+      expect(filterAndSortCatalog(items, { search: 'press' }).map(i => i.id)).toEqual(['2'])
+      expect(filterAndSortCatalog(items, { search: ' MERCH ' }).map(i => i.id)).toEqual(['1', '4'])
+    })
+
+    it('should filter by category and redeemable items', () => {
+      expect(filterAndSortCatalog(items, { category: 'equipment' }).map(i => i.id)).toEqual(['2', '3'])
+      expect(filterAndSortCatalog(items, { category: 'equipment', redeemableOnly: true }).map(i => i.id)).toEqual(['2'])
+    })
+
+    it('should sort by points with unpriced items last', () => {
+      expect(filterAndSortCatalog(items, { sort: 'points-asc' }).map(i => i.id)).toEqual(['1', '4', '2', '3'])
+      expect(filterAndSortCatalog(items, { sort: 'points-desc' }).map(i => i.id)).toEqual(['2', '4', '1', '3'])
+    })
+
+    it('should sort by name and newest', () => {
+      expect(filterAndSortCatalog(items, { sort: 'name' }).map(i => i.id)).toEqual(['2', '1', '3', '4'])
+      expect(filterAndSortCatalog(items, { sort: 'newest' }).map(i => i.id)).toEqual(['2', '3', '1', '4'])
+    })
+
+    it('should not mutate the input', () => {
+      const copy = [...items]
+      filterAndSortCatalog(items, { sort: 'name' })
+      expect(items).toEqual(copy)
+    })
+  })
+
+  describe('getStockLabel', () => {
+    it('should label out of stock and low stock items', () => {
+      expect(getStockLabel(items[3])).toBe('Out of stock')
+      expect(getStockLabel(items[0])).toBe('Only 3 left')
+      expect(getStockLabel(items[1])).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_REWARD_RULES,
+  MILESTONES,
+  evaluateMilestones,
+  getBirthdayWeek,
+  getMilestonesByReceipt,
+  getPointsAfterClaim,
+  getVisits
+} from '../reward-rules.js'
+
+const receipt = (number, date, type = 'SALE') => ({
+  receipt_number: number,
+  receipt_date: date,
+  receipt_type: type,
+  points_earned: 10
+})
+
+const tenVisits = Array.from({ length: 10 }, (_, i) =>
+  receipt(`2-10${i}`, `2025-03-${String(i + 1).padStart(2, '0')}T10:00:00.000Z`)
+)
+
+const customer = { _id: 'c1', date_of_birth: '1990-06-15', claimed_milestones: [] }
+const now = new Date(2025, 0, 10)
+
+describe('Reward Rules', () => {
+  describe('getVisits', () => {
+    it('should sort sales oldest first and leave out refunds', () => {
+      const visits = getVisits([
+        receipt('2-2', '2025-02-01T10:00:00.000Z'),
+        receipt('2-3', '2025-02-02T10:00:00.000Z', 'REFUND'),
+        receipt('2-1', '2025-01-01T10:00:00.000Z'),
+        receipt('2-4', 'not a date')
+      ])
+      expect(visits.map(visit => visit.receipt_number)).toEqual(['2-1', '2-2'])
+    })
+  })
+
+  describe('getBirthdayWeek', () => {
+    it('should find the window around this year\'s birthday', () => {
+      const week = getBirthdayWeek('1990-06-15', new Date(2025, 5, 13))
+      expect(week.birthday).toEqual(new Date(2025, 5, 15))
+      expect(week.start).toEqual(new Date(2025, 5, 12))
+      expect(week.end).toEqual(new Date(2025, 5, 19))
+    })
+
+    it('should return null outside the window', () => {
+      expect(getBirthdayWeek('1990-06-15', new Date(2025, 5, 11))).toBeNull()
+      expect(getBirthdayWeek('1990-06-15', new Date(2025, 5, 19))).toBeNull()
+      expect(getBirthdayWeek(null, new Date(2025, 5, 15))).toBeNull()
+    })
+
+    it('should reach across New Year', () => {
+      expect(getBirthdayWeek('1990-12-30', new Date(2025, 0, 1)).birthday).toEqual(new Date(2024, 11, 30))
+      expect(getBirthdayWeek('1990-01-01', new Date(2024, 11, 30)).birthday).toEqual(new Date(2025, 0, 1))
+    })
+
+    it('should move 29 February birthdays to 28 February', () => {
+      expect(getBirthdayWeek('2000-02-29', new Date(2025, 1, 28)).birthday).toEqual(new Date(2025, 1, 28))
+    })
+  })
+
+  describe('evaluateMilestones', () => {
+    it('should earn the visit milestone on the tenth visit', () => {
+      const milestones = evaluateMilestones({ user: customer, receipts: tenVisits }, { now })
+      expect(milestones).toHaveLength(1)
+      expect(milestones[0]).toMatchObject({
+        id: MILESTONES.TENTH_VISIT,
+        key: MILESTONES.TENTH_VISIT,
+        points: DEFAULT_REWARD_RULES.bonusPoints[MILESTONES.TENTH_VISIT],
+        receiptNumbers: ['2-109'],
+        status: 'claimable'
+      })
+    })
+
+    it('should not count refunds as visits', () => {
+      const receipts = [...tenVisits.slice(0, 9), receipt('2-999', '2025-04-01T10:00:00.000Z', 'REFUND')]
+      expect(evaluateMilestones({ user: customer, receipts }, { now })).toEqual([])
+    })
+
+    it('should accept tuned rules', () => {
+      const rules = { ...DEFAULT_REWARD_RULES, visitMilestone: 3 }
+      const [milestone] = evaluateMilestones({ user: customer, receipts: tenVisits }, { now, rules })
+      expect(milestone.receiptNumbers).toEqual(['2-102'])
+      expect(milestone.title).toBe('Visit number 3')
+    })
+
+    it('should earn birthday week once a year and badge the visits during it', () => {
+      const receipts = [receipt('2-500', '2025-06-14T09:00:00.000Z')]
+      const [milestone] = evaluateMilestones({ user: customer, receipts }, { now: new Date(2025, 5, 16) })
+      expect(milestone.id).toBe(MILESTONES.BIRTHDAY_WEEK)
+      expect(milestone.key).toBe('birthday_week:2025')
+      expect(milestone.receiptNumbers).toEqual(['2-500'])
+    })
+
+    it('should earn the first top-up from the oldest wallet credit', () => {
+      const walletEntries = [
+        { direction: 'DEBIT', created_at: '2025-01-01T10:00:00.000Z' },
+        { direction: 'CREDIT', created_at: '2025-01-05T10:00:00.000Z', receipt_number: 'W-2' },
+        { direction: 'CREDIT', created_at: '2025-01-03T10:00:00.000Z', receipt_number: 'W-1' }
+      ]
+      const [milestone] = evaluateMilestones({ user: customer, walletEntries }, { now })
+      expect(milestone.id).toBe(MILESTONES.FIRST_TOP_UP)
+      expect(milestone.earnedAt).toBe('2025-01-03T10:00:00.000Z')
+      expect(milestone.receiptNumbers).toEqual(['W-1'])
+    })
+
+    it('should mark claimed milestones and list claimable ones first', () => {
+      const user = { ...customer, claimed_milestones: [MILESTONES.TENTH_VISIT] }
+      const walletEntries = [{ direction: 'credit', created_at: '2025-01-03T10:00:00.000Z' }]
+      const milestones = evaluateMilestones({ user, receipts: tenVisits, walletEntries }, { now })
+      expect(milestones.map(milestone => [milestone.id, milestone.status])).toEqual([
+        [MILESTONES.FIRST_TOP_UP, 'claimable'],
+        [MILESTONES.TENTH_VISIT, 'claimed']
+      ])
+    })
+
+    it('should return nothing without a customer', () => {
+      expect(evaluateMilestones({ user: null, receipts: tenVisits })).toEqual([])
+    })
+  })
+
+  describe('getMilestonesByReceipt', () => {
+    it('should group milestones by receipt number', () => {
+      const visit = { key: 'tenth_visit', receiptNumbers: ['2-1'] }
+      const birthday = { key: 'birthday_week:2025', receiptNumbers: ['2-1', '2-2'] }
+      const topUp = { key: 'first_top_up', receiptNumbers: [] }
+      expect(getMilestonesByReceipt([visit, birthday, topUp])).toEqual({
+        '2-1': [visit, birthday],
+        '2-2': [birthday]
+      })
+    })
+  })
+
+  describe('getPointsAfterClaim', () => {
+    it('should prefer the balance reported by the server', () => {
+      expect(getPointsAfterClaim(100, { points_balance: 175, points_awarded: 50 })).toBe(175)
+    })
+
+    it('should add the awarded points otherwise', () => {
+      expect(getPointsAfterClaim(100, { points_awarded: 50 })).toBe(150)
+      expect(getPointsAfterClaim(undefined, { points_awarded: 25 })).toBe(25)
+    })
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createTenderLine,
+  sumTenders,
+  validateTenders,
+  buildTenderBreakdown,
+  getPaymentMethod
+} from '../split-tender.js'
+
+const tender = (method, amountCents, reference = '') => ({ ...createTenderLine(method), amount_cents: amountCents, reference })
+
+describe('Split Tender Utilities', () => {
+  describe('createTenderLine', () => {
+    it('should give each line its own id', () => {
+      const first = createTenderLine()
+      const second = createTenderLine('MOBILE')
+
+      expect(first.id).not.toBe(second.id)
+      expect(second).toMatchObject({ method: 'MOBILE', amount: '', amount_cents: 0, reference: '' })
+    })
+  })
+
+  describe('validateTenders', () => {
+    const payment = { totalCents: 1000000, slipsCents: 1000000, walletAvailableCents: 300000, currency: 'TZS' }
+
+    it('should accept tenders that add up to the payment', () => {
+      const tenders = [tender('CASH', 600000), tender('MOBILE', 400000, 'QK12AB34')]
+
+      expect(sumTenders(tenders)).toBe(1000000)
+      expect(validateTenders(tenders, payment)).toEqual({ lines: [{}, {}], total: null, isValid: true })
+    })
+
+    it('should reject tenders that do not add up to the payment', () => {
+      const result = validateTenders([tender('CASH', 600000), tender('CARD', 300000)], payment)
+
+      expect(result.isValid).toBe(false)
+      expect(result.total).toBe('Tenders add up to TZS 9,000 but the payment is TZS 10,000')
+    })
+
+    it('should require a transaction ID for mobile money', () => {
+      const result = validateTenders([tender('CASH', 600000), tender('MOBILE', 400000, ' ')], payment)
+
+      expect(result.lines[1].reference).toBe('Please enter the transaction id')
+      expect(result.isValid).toBe(false)
+    })
+
+    it('should require an amount on every line', () => {
+      expect(validateTenders([tender('CASH', 1000000), tender('CARD', 0)], payment).lines[1].amount).toBeDefined()
+    })
+
+    it('should not draw more than the wallet balance', () => {
+      const result = validateTenders([tender('CASH', 600000), tender('WALLET', 400000)], payment)
+
+      expect(result.total).toBe('Wallet balance of TZS 3,000 is not enough')
+    })
+
+    it('should only use wallet balance to pay down slips', () => {
+      const result = validateTenders(
+        [tender('CASH', 800000), tender('WALLET', 200000)],
+        { ...payment, slipsCents: 100000 }
+      )
+
+      expect(result.total).toBe('Wallet balance can only be used to pay down credit slips')
+    })
+  })
+
+  describe('buildTenderBreakdown', () => {
+    it('should send each tender with its reference', () => {
+      expect(buildTenderBreakdown([tender('CASH', 600000), tender('MOBILE', 400000, ' QK12AB34 ')])).toEqual([
+        { method: 'CASH', amount_cents: 600000 },
+        { method: 'MOBILE', amount_cents: 400000, reference: 'QK12AB34' }
+      ])
+    })
+  })
+
+  describe('getPaymentMethod', () => {
+    it('should report SPLIT only when methods differ', () => {
+      expect(getPaymentMethod([tender('CASH', 1)])).toBe('CASH')
+      expect(getPaymentMethod([tender('CASH', 1), tender('CASH', 2)])).toBe('CASH')
+      expect(getPaymentMethod([tender('CASH', 1), tender('WALLET', 2)])).toBe('SPLIT')
+    })
+  })
+})
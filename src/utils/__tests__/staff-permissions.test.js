@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { PERMISSIONS, ROLE_PERMISSIONS, hasPermission, resolvePermissions } from '../staff-permissions.js'
+
+describe('Staff Permissions', () => {
+  describe('resolvePermissions', () => {
+    it('should use the permissions from the login response', () => {
+      expect(resolvePermissions('manager', ['wallet.payment.create'])).toEqual(['wallet.payment.create'])
+    })
+
+    it('should fall back to role defaults when only legacy names are sent', () => {
+      expect(resolvePermissions('manager', ['wallet_access', 'customer_search'])).toEqual(ROLE_PERMISSIONS.manager)
+      expect(resolvePermissions('Admin', undefined)).toEqual(['*'])
+    })
+
+    it('should give unknown roles the basic staff permissions', () => {
+      expect(resolvePermissions('trainee', [])).toEqual(ROLE_PERMISSIONS.staff)
+      expect(resolvePermissions(undefined, null)).toEqual(ROLE_PERMISSIONS.staff)
+    })
+  })
+
+  describe('hasPermission', () => {
+    it('should match exact permissions', () => {
+      expect(hasPermission(['wallet.audit.read'], PERMISSIONS.AUDIT_READ)).toBe(true)
+      expect(hasPermission(['wallet.audit.read'], PERMISSIONS.SLIP_VOID)).toBe(false)
+    })
+
+    it('should match wildcard grants', () => {
+      expect(hasPermission(['*'], PERMISSIONS.STAFF_MANAGE)).toBe(true)
+      expect(hasPermission(['wallet.*'], PERMISSIONS.SLIP_VOID)).toBe(true)
+      expect(hasPermission(['wallet.slip.*'], PERMISSIONS.PAYMENT_CREATE)).toBe(false)
+      expect(hasPermission(['wallet.*'], 'walletx.read')).toBe(false)
+    })
+
+    it('should allow anything that needs no permission', () => {
+      expect(hasPermission([], undefined)).toBe(true)
+    })
+
+    it('should keep the audit trail from baristas and cashiers', () => {
+      expect(hasPermission(resolvePermissions('barista', []), PERMISSIONS.AUDIT_READ)).toBe(false)
+      expect(hasPermission(resolvePermissions('cashier', []), PERMISSIONS.PAYMENT_CREATE)).toBe(true)
+      expect(hasPermission(resolvePermissions('manager', []), PERMISSIONS.AUDIT_READ)).toBe(true)
+    })
+
+    it('should only let managers make refunds', () => {
+      expect(hasPermission(resolvePermissions('cashier', []), PERMISSIONS.REFUND_CREATE)).toBe(false)
+      expect(hasPermission(resolvePermissions('barista', []), PERMISSIONS.REFUND_CREATE)).toBe(false)
+      expect(hasPermission(resolvePermissions('manager', []), PERMISSIONS.REFUND_CREATE)).toBe(true)
+    })
+  })
+})
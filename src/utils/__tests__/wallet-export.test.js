@@ -0,0 +1,240 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  fetchAllPages,
+  escapeCsvValue,
+  buildCsv,
+  buildTransactionStatement,
+  buildTransactionCsv,
+  buildTransactionStatementHtml,
+  isWithinDateRange,
+  buildAuditCsvHeader,
+  buildAuditCsvLines,
+  buildAuditJsonLines
+} from '../wallet-export.js'
+
+const entries = [
+  { entry_id: 'e1', entry_type: 'SALE_ON_CREDIT', direction: 'DEBIT', amount_cents: 500000, occurred_at: '2024-01-05T10:00:00', description: 'Slip 1', source: { slip_number: 'CS-1' } },
+  { entry_id: 'e2', entry_type: 'PAYMENT', direction: 'CREDIT', amount_cents: 300000, occurred_at: '2024-01-20T10:00:00', description: 'Payment', source: { payment_id: 'PAY-1' } },
+  { entry_id: 'e3', entry_type: 'CHANGE_TO_BALANCE', direction: 'CREDIT', amount_cents: 50000, occurred_at: '2024-02-02T10:00:00', description: 'Change, "rounded"' },
+  { entry_id: 'e4', entry_type: 'SALE_ON_CREDIT', direction: 'DEBIT', amount_cents: 100000, occurred_at: '2024-02-15T10:00:00', description: 'Slip 2' }
+]
+
+describe('Wallet Export Utilities', () => {
+  describe('fetchAllPages', () => {
+    it('should walk every page and report progress', async () => {
+      const fetchPage = vi.fn(async (page) => ({
+        success: true,
+        entries: [{ id: page }],
+        pagination: { current_page: page, total_pages: 3, total_entries: 3, has_next: page < 3 }
+      }))
+      const onPage = vi.fn()
+
+      const result = await fetchAllPages(fetchPage, { onPage })
+
+      expect(result.success).toBe(true)
+      expect(result.entries.map(e => e.id)).toEqual([1, 2, 3])
+      expect(fetchPage).toHaveBeenCalledTimes(3)
+      expect(onPage).toHaveBeenLastCalledWith(expect.objectContaining({ page: 3, fetchedCount: 3, totalEntries: 3 }))
+    })
+
+    it('should return the failed response', async () => {
+      const failure = { success: false, error: { message: 'Server error' } }
+      const fetchPage = vi.fn()
+        .mockResolvedValueOnce({ success: true, entries: [{ id: 1 }], pagination: { has_next: true, total_pages: 2 } })
+        .mockResolvedValueOnce(failure)
+
+      expect(await fetchAllPages(fetchPage)).toBe(failure)
+    })
+
+    it('should stop when the signal is aborted', async () => {
+      const controller = new AbortController()
+      const fetchPage = vi.fn(async () => {
+        controller.abort()
+        return { success: true, entries: [{ id: 1 }], pagination: { has_next: true, total_pages: 5 } }
+      })
+
+      const result = await fetchAllPages(fetchPage, { signal: controller.signal })
+
+      expect(result.success).toBe(false)
+      expect(result.cancelled).toBe(true)
+      expect(result.error.code).toBe('EXPORT_CANCELLED')
+      expect(fetchPage).toHaveBeenCalledTimes(1)
+    })
+
+    it('should only count entries when not collecting', async () => {
+      const fetchPage = vi.fn(async (page) => ({
+        success: true,
+        entries: [{ id: page }, { id: page + 10 }],
+        pagination: { has_next: page < 2, total_pages: 2 }
+      }))
+
+      const result = await fetchAllPages(fetchPage, { collect: false })
+
+      expect(result.entries).toEqual([])
+      expect(result.fetchedCount).toBe(4)
+    })
+  })
+
+  describe('CSV helpers', () => {
+    it('should escape commas, quotes and newlines', () => {
+      expect(escapeCsvValue('plain')).toBe('plain')
+      expect(escapeCsvValue('a,b')).toBe('"a,b"')
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""')
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"')
+      expect(escapeCsvValue(null)).toBe('')
+    })
+
+    it('should neutralise cells a spreadsheet would run as formulas', () => {
+      expect(escapeCsvValue('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"')
+      expect(escapeCsvValue('+255 712')).toBe("'+255 712")
+      expect(escapeCsvValue('-2+3')).toBe("'-2+3")
+      expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)")
+      expect(escapeCsvValue('\tcmd')).toBe("'\tcmd")
+      expect(escapeCsvValue('\rcmd')).toBe('"\'\rcmd"')
+    })
+
+    it('should leave plain numbers alone', () => {
+      expect(escapeCsvValue('-5000.00')).toBe('-5000.00')
+      expect(escapeCsvValue(-20)).toBe('-20')
+    })
+
+    it('should build a CSV document from columns', () => {
+      const csv = buildCsv(
+        [{ header: 'Name', value: row => row.name }, { header: 'Count', value: row => row.count }],
+        [{ name: 'Latte', count: 2 }]
+      )
+      expect(csv).toBe('Name,Count\r\nLatte,2\r\n')
+    })
+  })
+
+  describe('isWithinDateRange', () => {
+    it('should treat the range as inclusive days', () => {
+      expect(isWithinDateRange('2024-01-31T23:00:00', '2024-01-01', '2024-01-31')).toBe(true)
+      expect(isWithinDateRange('2024-02-01T00:00:00', '2024-01-01', '2024-01-31')).toBe(false)
+      expect(isWithinDateRange('invalid', '2024-01-01')).toBe(false)
+      expect(isWithinDateRange('invalid')).toBe(true)
+    })
+  })
+
+  describe('buildTransactionStatement', () => {
+    it('should compute running, opening and closing balances', () => {
+      const statement = buildTransactionStatement(entries)
+
+      expect(statement.rows).toHaveLength(4)
+      expect(statement.opening_balance_cents).toBe(0)
+      expect(statement.closing_balance_cents).toBe(-250000)
+      expect(statement.rows.map(r => r.balance_after_cents)).toEqual([-500000, -200000, -150000, -250000])
+    })
+
+    it('should carry earlier entries into the opening balance', () => {
+      const statement = buildTransactionStatement(entries, { startDate: '2024-02-01', endDate: '2024-02-10' })
+
+      expect(statement.opening_balance_cents).toBe(-200000)
+      expect(statement.closing_balance_cents).toBe(-150000)
+      expect(statement.rows.map(r => r.entry_id)).toEqual(['e3'])
+      expect(statement.total_credits_cents).toBe(50000)
+    })
+
+    it('should list only the filtered entry type without changing balances', () => {
+      const statement = buildTransactionStatement(entries, { entryType: 'SALE_ON_CREDIT' })
+
+      expect(statement.rows.map(r => r.entry_id)).toEqual(['e1', 'e4'])
+      expect(statement.total_debits_cents).toBe(600000)
+      expect(statement.closing_balance_cents).toBe(-250000)
+    })
+  })
+
+  describe('buildTransactionCsv', () => {
+    it('should export one row per statement entry', () => {
+      const csv = buildTransactionCsv(buildTransactionStatement(entries), { PAYMENT: 'Payments' })
+      const lines = csv.trim().split('\r\n')
+
+      expect(lines).toHaveLength(5)
+      expect(lines[0]).toContain('Debit (TZS)')
+      expect(lines[2]).toContain('Payments')
+      expect(lines[2]).toContain('PAY-1')
+      expect(lines[2]).toContain(',3000,-2000,')
+      expect(lines[3]).toContain('"Change, ""rounded"""')
+    })
+
+    it('should label and format amounts in the statement currency', () => {
+      const csv = buildTransactionCsv(buildTransactionStatement(entries, { currency: 'USD' }))
+      const lines = csv.trim().split('\r\n')
+
+      expect(lines[0]).toContain('Debit (USD)')
+      expect(lines[2]).toContain(',3000.00,-2000.00,')
+    })
+  })
+
+  describe('buildTransactionStatementHtml', () => {
+    it('should include the customer header and escaped content', () => {
+      const html = buildTransactionStatementHtml({
+        customer: { customer_id: 'CUST001', name: 'Jane <Doe>', phone_number: '0712345678' },
+        statement: buildTransactionStatement(entries),
+        generatedBy: 'Staff Member'
+      })
+
+      expect(html).toContain('Jane &lt;Doe&gt;')
+      expect(html).toContain('Opening balance')
+      expect(html).toContain('TZS -2,500')
+      expect(html).toContain('by Staff Member')
+    })
+
+    it('should show amounts in the statement currency', () => {
+      const html = buildTransactionStatementHtml({
+        customer: { customer_id: 'CUST001', name: 'Jane Doe' },
+        statement: buildTransactionStatement(entries, { currency: 'USD' })
+      })
+
+      expect(html).toContain('-$2,500.00')
+      expect(html).not.toContain('TZS')
+    })
+  })
+
+  describe('audit trail export', () => {
+    const auditEntry = {
+      audit_id: 'AUD001',
+      timestamp: '2024-01-15T10:00:00Z',
+      operation_type: 'PAYMENT_PROCESSED',
+      customer_id: 'CUST001',
+      amount_cents: 1500000,
+      currency: 'TZS',
+      user_id: 'staff_jane',
+      user_role: 'cashier',
+      operation_data: { balance_before_cents: -1000000, balance_after_cents: 500000 },
+      request_info: { endpoint: 'wallet.process_payment', remote_addr: '192.168.1.100' }
+    }
+
+    it('should include the staff actor, operation and before/after amounts in CSV', () => {
+      const header = buildAuditCsvHeader()
+      const line = buildAuditCsvLines([auditEntry], { PAYMENT_PROCESSED: 'Payment Processed' })
+
+      expect(header).toContain('Balance Before,Balance After,Staff ID,Staff Role')
+      expect(line).toBe('AUD001,2024-01-15T10:00:00Z,PAYMENT_PROCESSED,Payment Processed,CUST001,TZS,15000,-10000,5000,staff_jane,cashier,,,,wallet.process_payment,192.168.1.100\r\n')
+    })
+
+    it('should include the reason, note and approver of voids, adjustments and refunds', () => {
+      const header = buildAuditCsvHeader()
+      const line = buildAuditCsvLines([{
+        ...auditEntry,
+        operation_type: 'SLIP_VOIDED',
+        operation_data: { reason_code: 'ENTERED_IN_ERROR', note: 'Rang up twice', approved_by: 'manager_sam' }
+      }])
+
+      expect(header).toContain('Staff Role,Reason,Note,Approved By,Endpoint')
+      expect(line).toContain('cashier,Entered in error,Rang up twice,manager_sam,')
+    })
+
+    it('should write one JSON document per line', () => {
+      const lines = buildAuditJsonLines([auditEntry, { ...auditEntry, audit_id: 'AUD002' }]).trim().split('\n')
+
+      expect(lines).toHaveLength(2)
+      expect(JSON.parse(lines[1])).toMatchObject({
+        audit_id: 'AUD002',
+        operation_label: 'PAYMENT_PROCESSED',
+        balance_before_cents: -1000000,
+        balance_after_cents: 500000
+      })
+    })
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  WalletOutbox,
+  OUTBOX_STATUS,
+  createMemoryStore,
+  getOperationAmountCents,
+  isOfflineFailure
+} from '../wallet-outbox.js'
+
+const offline = { success: false, error: { code: 'NETWORK_ERROR', message: 'Network error. Please check your connection' } }
+
+describe('Wallet Outbox', () => {
+  it('should work out the amount for each operation', () => {
+    expect(getOperationAmountCents('PAYMENT', { amount_cents: 5000 })).toBe(5000)
+    expect(getOperationAmountCents('STORE_CHANGE', { change_cents: 200 })).toBe(200)
+    expect(getOperationAmountCents('CREDIT_SLIP', {
+      lines: [{ quantity: 2, unit_price_cents: 1000 }],
+      tax_cents: 100,
+      discount_cents: 50
+    })).toBe(2050)
+    expect(getOperationAmountCents('APPLY_WALLET', { slip_id: 'S1' })).toBeNull()
+  })
+
+  it('should only treat unreachable server errors as offline', () => {
+    expect(isOfflineFailure(offline)).toBe(true)
+    expect(isOfflineFailure({ success: false, error: { code: 'TIMEOUT_ERROR' } })).toBe(true)
+    expect(isOfflineFailure({ success: false, error: { code: 'VALIDATION_ERROR' } })).toBe(false)
+  })
+
+  it('should persist queued operations with their idempotency key', async () => {
+    const outbox = new WalletOutbox({ store: createMemoryStore(), send: vi.fn().mockResolvedValue(offline) })
+    const listener = vi.fn()
+    outbox.subscribe(listener)
+
+    await outbox.enqueue('PAYMENT', { amount_cents: 5000 }, { idempotencyKey: 'key-1', customerName: 'Jane' })
+    await outbox.flushing
+
+    const [entry] = await outbox.list()
+    expect(entry).toMatchObject({
+      id: 'key-1',
+      idempotency_key: 'key-1',
+      operation: 'PAYMENT',
+      customer_name: 'Jane',
+      amount_cents: 5000,
+      status: OUTBOX_STATUS.PENDING
+    })
+    expect(listener).toHaveBeenCalledWith([expect.objectContaining({ id: 'key-1' })])
+    outbox.stop()
+  })
+
+  it('should reject unknown operations', async () => {
+    const outbox = new WalletOutbox({ store: createMemoryStore(), send: vi.fn() })
+    await expect(outbox.enqueue('REFUND', {}, { idempotencyKey: 'k' })).rejects.toThrow('Unknown wallet operation')
+  })
+
+  it('should replay entries in order and remove the ones that sync', async () => {
+    const store = createMemoryStore()
+    await store.put({ id: 'b', operation: 'PAYMENT', payload: {}, idempotency_key: 'b', status: 'pending', attempts: 0, queued_at: '2024-01-01T10:01:00Z' })
+    await store.put({ id: 'a', operation: 'STORE_CHANGE', payload: {}, idempotency_key: 'a', status: 'pending', attempts: 0, queued_at: '2024-01-01T10:00:00Z' })
+    const send = vi.fn().mockResolvedValue({ success: true })
+    const outbox = new WalletOutbox({ store, send })
+
+    const result = await outbox.flush()
+
+    expect(send.mock.calls.map(([entry]) => entry.idempotency_key)).toEqual(['a', 'b'])
+    expect(result).toEqual({ sent: 2, remaining: 0 })
+    expect(outbox.lastSyncAt).not.toBeNull()
+  })
+
+  it('should stop at the first offline failure and keep the rest pending', async () => {
+    const store = createMemoryStore()
+    await store.put({ id: 'a', operation: 'PAYMENT', payload: {}, idempotency_key: 'a', status: 'pending', attempts: 0, queued_at: '2024-01-01T10:00:00Z' })
+    await store.put({ id: 'b', operation: 'PAYMENT', payload: {}, idempotency_key: 'b', status: 'pending', attempts: 0, queued_at: '2024-01-01T10:01:00Z' })
+    const send = vi.fn().mockResolvedValue(offline)
+    const outbox = new WalletOutbox({ store, send })
+
+    const result = await outbox.flush()
+    const entries = await outbox.list()
+
+    expect(send).toHaveBeenCalledTimes(1)
+    expect(result.remaining).toBe(2)
+    expect(entries[0]).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 1 })
+  })
+
+  it('should keep rejected entries as failed and skip them until retried', async () => {
+    const store = createMemoryStore()
+    await store.put({ id: 'a', operation: 'PAYMENT', payload: {}, idempotency_key: 'a', status: 'pending', attempts: 0, queued_at: '2024-01-01T10:00:00Z' })
+    const send = vi.fn().mockResolvedValueOnce({ success: false, error: { code: 'VALIDATION_ERROR', message: 'Please check your input and try again' } })
+    const outbox = new WalletOutbox({ store, send })
+
+    await outbox.flush()
+    expect((await outbox.list())[0]).toMatchObject({ status: OUTBOX_STATUS.FAILED, last_error: 'Please check your input and try again' })
+
+    await outbox.flush()
+    expect(send).toHaveBeenCalledTimes(1)
+
+    send.mockResolvedValueOnce({ success: true })
+    await outbox.flush({ includeFailed: true })
+    expect(await outbox.list()).toEqual([])
+  })
+})
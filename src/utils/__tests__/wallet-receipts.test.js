@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import { buildReceipt, buildReceiptText, buildReceiptHtml, buildSmsLink } from '../wallet-receipts.js'
+
+const customer = { customer_id: 'cust-1', name: 'Amina Juma', phone_number: '+255 712 345 678' }
+
+const slipReceipt = buildReceipt({
+  type: 'CREDIT_SLIP',
+  reference: 'CS-1001',
+  customer,
+  currency: 'TZS',
+  amountCents: 1150000,
+  staffName: 'Neema',
+  items: [
+    { description: 'Cappuccino', quantity: 2, unit_price_cents: 500000 },
+    { description: 'Croissant', quantity: 1, unit_price_cents: 200000 }
+  ],
+  taxCents: 0,
+  discountCents: 50000,
+  walletBalanceCents: 300000,
+  occurredAt: '2024-03-01T09:30:00Z'
+})
+
+describe('Wallet Receipt Utilities', () => {
+  describe('buildReceipt', () => {
+    it('should total the slip lines', () => {
+      expect(slipReceipt.title).toBe('Credit Slip')
+      expect(slipReceipt.items).toEqual([
+        { description: 'Cappuccino', quantity: 2, total_cents: 1000000 },
+        { description: 'Croissant', quantity: 1, total_cents: 200000 }
+      ])
+      expect(slipReceipt.totals).toEqual([
+        { label: 'Subtotal', amount_cents: 1200000 },
+        { label: 'Discount', amount_cents: -50000 },
+        { label: 'Total', amount_cents: 1150000 }
+      ])
+    })
+
+    it('should label tenders and drop empty allocations', () => {
+      const receipt = buildReceipt({
+        type: 'PAYMENT',
+        customer,
+        currency: 'TZS',
+        amountCents: 500000,
+        tenders: [{ method: 'MOBILE', amount_cents: 500000, reference: 'QK12AB34' }],
+        allocations: [
+          { label: 'Credit slip CS-1001', amount_cents: 500000 },
+          { label: 'Wallet top-up', amount_cents: 0 }
+        ]
+      })
+
+      expect(receipt.tenders).toEqual([{ label: 'Mobile Money', amount_cents: 500000, reference: 'QK12AB34' }])
+      expect(receipt.allocations).toHaveLength(1)
+      expect(receipt.wallet_balance_cents).toBeNull()
+    })
+  })
+
+  describe('buildReceiptText', () => {
+    it('should fit every line to the paper width', () => {
+      const text = buildReceiptText(slipReceipt, { columns: 32 })
+
+      expect(text.split('\n').every(line => line.length <= 32)).toBe(true)
+      expect(text).toContain('CS-1001')
+      expect(text).toContain('Served by')
+      expect(text).toMatch(/Wallet balance\s+TZS 3,000/)
+    })
+  })
+
+  describe('buildReceiptHtml', () => {
+    it('should size thermal receipts to the roll', () => {
+      const html = buildReceiptHtml(slipReceipt, '58mm')
+
+      expect(html).toContain('@page { size: 58mm auto; margin: 0; }')
+      expect(html).toContain('<pre>')
+    })
+
+    it('should escape customer details on A4', () => {
+      const receipt = buildReceipt({ type: 'STORE_CHANGE', customer: { name: '<b>Amina</b>' }, currency: 'TZS', amountCents: 100000 })
+      const html = buildReceiptHtml(receipt, 'A4')
+
+      expect(html).toContain('&lt;b&gt;Amina&lt;/b&gt;')
+      expect(html).toContain('Change Stored')
+    })
+  })
+
+  describe('buildSmsLink', () => {
+    it('should put the receipt in the message body', () => {
+      expect(buildSmsLink('+255 712 345 678', 'Paid TZS 5,000')).toBe('sms:+255712345678?body=Paid%20TZS%205%2C000')
+    })
+  })
+})
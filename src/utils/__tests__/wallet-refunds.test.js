@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { validateRefund, buildRefundRequest } from '../wallet-refunds.js'
+
+describe('Wallet Refund Utilities', () => {
+  describe('validateRefund', () => {
+    const refund = {
+      amountCents: 500000,
+      availableCents: 1000000,
+      method: 'CASH',
+      reason: 'CASH_OUT',
+      currency: 'TZS'
+    }
+
+    it('should accept a cash refund within the wallet balance', () => {
+      expect(validateRefund(refund)).toEqual({})
+      expect(validateRefund({ ...refund, amountCents: 1000000 })).toEqual({})
+    })
+
+    it('should not refund more than the wallet balance', () => {
+      expect(validateRefund({ ...refund, amountCents: 1000001 }).amount).toBe(
+        'Refund cannot be more than the wallet balance of TZS 10,000'
+      )
+      expect(validateRefund({ ...refund, availableCents: 0 }).amount).toMatch(/more than the wallet balance/)
+    })
+
+    it('should require a positive amount', () => {
+      expect(validateRefund({ ...refund, amountCents: 0 }).amount).toBe('Refund amount must be greater than zero')
+    })
+
+    it('should require a reference for mobile money and bank transfers', () => {
+      expect(validateRefund({ ...refund, method: 'MOBILE' }).reference).toBe('Please enter the mobile money number')
+      expect(validateRefund({ ...refund, method: 'BANK_TRANSFER', reference: '  ' }).reference).toBeDefined()
+      expect(validateRefund({ ...refund, method: 'MOBILE', reference: '0712345678' })).toEqual({})
+    })
+
+    it('should reject unknown methods and reasons', () => {
+      const errors = validateRefund({ ...refund, method: 'CARD', reason: 'GIFT' })
+
+      expect(errors.method).toBeDefined()
+      expect(errors.reason).toBeDefined()
+    })
+  })
+
+  describe('buildRefundRequest', () => {
+    const customer = { customer_id: 'cust-1', name: 'Amina' }
+
+    it('should build a cash-out request without optional fields', () => {
+      expect(buildRefundRequest({
+        customer,
+        currency: 'TZS',
+        amountCents: 250000,
+        method: 'CASH',
+        reason: 'CASH_OUT',
+        paymentId: 'pay-1'
+      })).toEqual({
+        customer_id: 'cust-1',
+        store_id: 'default-store',
+        currency: 'TZS',
+        amount_cents: 250000,
+        method: 'CASH',
+        reason: 'CASH_OUT'
+      })
+    })
+
+    it('should link an overpayment refund to its payment', () => {
+      expect(buildRefundRequest({
+        customer,
+        currency: 'USD',
+        amountCents: 1500,
+        method: 'MOBILE',
+        reason: 'OVERPAYMENT',
+        reference: ' 0712345678 ',
+        paymentId: 'pay-1',
+        note: 'Paid twice'
+      })).toMatchObject({
+        currency: 'USD',
+        reference: '0712345678',
+        payment_id: 'pay-1',
+        note: 'Paid twice'
+      })
+    })
+  })
+})
@@ -112,6 +112,29 @@ export function formatTransactionEntry(entryData) {
   };
 }
 
+/**
+ * Extracts the amount and the wallet balance before and after an audited operation.
+ * @param {object} auditEntry - The audit trail entry from the API.
+ * @returns {object} An object with `amount_cents`, `balance_before_cents` and `balance_after_cents` (null when not recorded).
+ */
+export function formatAuditAmounts(auditEntry) {
+  if (!auditEntry) {
+    return { amount_cents: null, balance_before_cents: null, balance_after_cents: null };
+  }
+
+  const operationData = auditEntry.operation_data || {};
+  const pick = (...values) => {
+    const value = values.find(v => v !== undefined && v !== null);
+    return value === undefined ? null : value;
+  };
+
+  return {
+    amount_cents: pick(auditEntry.amount_cents),
+    balance_before_cents: pick(auditEntry.balance_before_cents, operationData.balance_before_cents),
+    balance_after_cents: pick(auditEntry.balance_after_cents, operationData.balance_after_cents)
+  };
+}
+
 /**
  * Formats customer data from the API for display.
  * @param {object} customerData - The customer data from the API.
@@ -0,0 +1,156 @@
+/**
+ * @module checkout
+ * @description Utilities for summarizing and validating the customer cart at checkout.
+ * The cart holds two kinds of items: pending bills (credit slips, which have a `slip_id`)
+ * and points-shop products (which have a `points_price`).
+ */
+
+import { parseTZSToCents } from './currency.js';
+
+/**
+ * Reads how many L¥ points one TZS of a pending bill costs when paid with points, from
+ * `VITE_BILL_POINTS_PER_TZS`. Until a rate is configured, bills can only be paid from
+ * the wallet.
+ * @param {object} [env=import.meta.env] - The environment variables.
+ * @returns {number|null} The rate, or null if none is configured.
+ */
+export function getBillPointsRate(env = import.meta.env || {}) {
+  const rate = Number.parseFloat(env.VITE_BILL_POINTS_PER_TZS);
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+/**
+ * The ways a customer can pay for pending bills at checkout.
+ * Points-shop products are always paid with points.
+ */
+export const PAYMENT_METHODS = {
+  WALLET: 'wallet',
+  POINTS: 'points'
+};
+
+/**
+ * Checks whether a cart item is a pending bill.
+ * @param {object} item - The cart item.
+ * @returns {boolean} True if the item is a pending bill.
+ */
+export function isBillItem(item) {
+  return Boolean(item && item.slip_id);
+}
+
+/**
+ * Gets a stable key for a cart item, used for React keys and removal.
+ * @param {object} item - The cart item.
+ * @returns {string} The slip ID for bills, or the product ID for products.
+ */
+export function getCartItemKey(item) {
+  if (!item) return '';
+  return String(isBillItem(item) ? item.slip_id : item.id);
+}
+
+/**
+ * Gets the amount of a pending bill in cents.
+ * Bills in the cart carry a formatted `grand_total` (e.g. "TZS 9,000").
+ * @param {object} bill - The pending bill.
+ * @returns {number} The bill amount in cents.
+ */
+export function getBillAmountCents(bill) {
+  if (!bill) return 0;
+  if (Number.isFinite(bill.grand_total_cents)) return bill.grand_total_cents;
+  return parseTZSToCents(bill.grand_total);
+}
+
+/**
+ * Converts a bill amount to the L¥ points needed to pay it.
+ * @param {number} cents - The amount in cents.
+ * @param {number|null} [pointsPerTzs=getBillPointsRate()] - The points one TZS costs.
+ * @returns {number|null} The points needed, rounded up, or null if there is no rate.
+ */
+export function centsToPoints(cents, pointsPerTzs = getBillPointsRate()) {
+  if (!pointsPerTzs) return null;
+  return Math.ceil(((Number(cents) || 0) / 100) * pointsPerTzs);
+}
+
+/**
+ * Summarizes the cart into products and bills with their totals.
+ * @param {Array<object>} cart - The cart items.
+ * @param {object} [options={}] - Summary options.
+ * @param {number|null} [options.pointsPerTzs=getBillPointsRate()] - The points one TZS of a bill costs.
+ * @returns {object} The cart summary.
+ * @property {Array<object>} products - The points-shop products.
+ * @property {Array<object>} bills - The pending bills.
+ * @property {number} products_points - The points needed for the products.
+ * @property {number} bills_cents - The total of the pending bills in cents.
+ * @property {number|null} bills_points - The points needed to pay the bills with points,
+ * or null if bills cannot be paid with points.
+ */
+export function summarizeCart(cart, options = {}) {
+  const { pointsPerTzs = getBillPointsRate() } = options;
+  const items = (cart || []).filter(Boolean);
+  const bills = items.filter(isBillItem);
+  const products = items.filter(item => !isBillItem(item));
+  const bills_cents = bills.reduce((total, bill) => total + getBillAmountCents(bill), 0);
+
+  return {
+    products,
+    bills,
+    products_points: products.reduce((total, product) => total + (Number(product.points_price ?? product.price) || 0), 0),
+    bills_cents,
+    bills_points: centsToPoints(bills_cents, pointsPerTzs)
+  };
+}
+
+/**
+ * Validates that the customer can pay for the cart with the chosen method.
+ * @param {object} summary - The cart summary from summarizeCart.
+ * @param {object} options - The payment options.
+ * @param {string} options.method - One of PAYMENT_METHODS.
+ * @param {number} options.points - The customer's L¥ points.
+ * @param {number|null} [options.walletCents=null] - The customer's wallet balance in cents, if known.
+ * @returns {object} The validation result.
+ * @property {boolean} valid - Whether checkout can proceed.
+ * @property {string} [reason] - Why checkout cannot proceed.
+ * @property {number} points_required - The points the checkout will spend.
+ * @property {number} points_after - The points left after checkout.
+ * @property {number} wallet_required_cents - The wallet balance the checkout will spend.
+ */
+export function validateCheckout(summary, options) {
+  const { method, points, walletCents = null } = options;
+  const balance = Number(points) || 0;
+  const payBillsWithPoints = method === PAYMENT_METHODS.POINTS;
+
+  const points_required = summary.products_points + (payBillsWithPoints ? summary.bills_points || 0 : 0);
+  const wallet_required_cents = payBillsWithPoints ? 0 : summary.bills_cents;
+  const result = {
+    valid: true,
+    points_required,
+    points_after: balance - points_required,
+    wallet_required_cents
+  };
+
+  if (summary.products.length === 0 && summary.bills.length === 0) {
+    return { ...result, valid: false, reason: 'Your cart is empty' };
+  }
+
+  if (!Object.values(PAYMENT_METHODS).includes(method)) {
+    return { ...result, valid: false, reason: 'Choose how to pay' };
+  }
+
+  if (payBillsWithPoints && summary.bills.length > 0 && summary.bills_points === null) {
+    return { ...result, valid: false, reason: 'Bills cannot be paid with points yet' };
+  }
+
+  if (points_required > balance) {
+    return { ...result, valid: false, reason: `You need ${(points_required - balance).toLocaleString()} more points` };
+  }
+
+  if (wallet_required_cents > 0) {
+    if (walletCents === null) {
+      return { ...result, valid: false, reason: 'Checking your wallet balance' };
+    }
+    if (wallet_required_cents > walletCents) {
+      return { ...result, valid: false, reason: 'Your wallet balance does not cover these bills' };
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,214 @@
+/**
+ * @module credit-slip-adjustments
+ * @description Utilities for voiding credit slips and adjusting their lines.
+ */
+
+/**
+ * The reasons staff can give for voiding or adjusting a credit slip. Reasons with
+ * `requiresNote` need a written explanation as well.
+ * @type {Array<object>}
+ */
+export const SLIP_ADJUSTMENT_REASONS = [
+  { value: 'ENTERED_IN_ERROR', label: 'Entered in error', appliesTo: ['void'] },
+  { value: 'DUPLICATE_SLIP', label: 'Duplicate slip', appliesTo: ['void'] },
+  { value: 'WRONG_QUANTITY', label: 'Wrong quantity', appliesTo: ['adjust'] },
+  { value: 'ITEM_COMPED', label: 'Item comped', appliesTo: ['adjust'] },
+  { value: 'CUSTOMER_DISPUTE', label: 'Customer dispute', appliesTo: ['void', 'adjust'] },
+  { value: 'OTHER', label: 'Other', appliesTo: ['void', 'adjust'], requiresNote: true }
+];
+
+/**
+ * Slip statuses that can still be voided or adjusted.
+ * @type {Array<string>}
+ */
+export const ADJUSTABLE_SLIP_STATUSES = ['OPEN', 'PARTIALLY_PAID'];
+
+/**
+ * Gets the reasons offered for an action.
+ * @param {string} action - Either 'void' or 'adjust'.
+ * @returns {Array<object>} The reasons.
+ */
+export function getSlipReasons(action) {
+  return SLIP_ADJUSTMENT_REASONS.filter(reason => reason.appliesTo.includes(action));
+}
+
+/**
+ * Checks whether a slip can be voided. Slips that have been paid against cannot be
+ * voided, because the payments would have to be returned first.
+ * @param {object} slip - The credit slip.
+ * @returns {{allowed: boolean, reason: string|null}} Whether voiding is allowed, and why not.
+ */
+export function canVoidSlip(slip) {
+  if (!slip || !ADJUSTABLE_SLIP_STATUSES.includes(slip.status)) {
+    return { allowed: false, reason: 'Only open credit slips can be voided' };
+  }
+  if ((slip.totals?.paid_cents || 0) > 0) {
+    return { allowed: false, reason: 'Payments have been applied to this slip; adjust its lines instead' };
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Works out the totals of a slip with edited lines. Tax and discount are kept as they
+ * were on the slip.
+ * @param {object} slip - The credit slip.
+ * @param {Array<object>} lines - The edited lines, in slip order.
+ * @returns {object} The new totals.
+ * @property {number} subtotal_cents - The new subtotal.
+ * @property {number} grand_total_cents - The new grand total.
+ * @property {number} remaining_cents - What is still owed after payments so far.
+ * @property {number} adjustment_cents - The change to the grand total (negative when it goes down).
+ */
+export function calculateAdjustedTotals(slip, lines) {
+  const totals = slip?.totals || {};
+  const subtotal = lines.reduce((sum, line) => sum + lineTotal(line), 0);
+  const grandTotal = Math.max(0, subtotal + (totals.tax_cents || 0) - (totals.discount_cents || 0));
+  const previousGrandTotal = totals.grand_total_cents || 0;
+
+  return {
+    subtotal_cents: subtotal,
+    grand_total_cents: grandTotal,
+    remaining_cents: grandTotal - (totals.paid_cents || 0),
+    adjustment_cents: grandTotal - previousGrandTotal
+  };
+}
+
+/**
+ * Lists the lines that changed between a slip and its edited lines.
+ * @param {object} slip - The credit slip.
+ * @param {Array<object>} lines - The edited lines, in slip order.
+ * @returns {Array<object>} One change per edited line, with the values before and after.
+ */
+export function getLineChanges(slip, lines) {
+  const original = slip?.lines || [];
+
+  return lines.reduce((changes, line, index) => {
+    const before = original[index] || {};
+    const comped = Boolean(line.comped);
+    if (
+      line.quantity === before.quantity &&
+      line.unit_price_cents === before.unit_price_cents &&
+      !comped
+    ) {
+      return changes;
+    }
+
+    changes.push({
+      line_index: index,
+      item_id: before.item_id,
+      description: before.description,
+      quantity_before: before.quantity,
+      quantity_after: line.quantity,
+      unit_price_cents_before: before.unit_price_cents,
+      unit_price_cents_after: comped ? 0 : line.unit_price_cents,
+      comped
+    });
+    return changes;
+  }, []);
+}
+
+/**
+ * Validates a void or adjustment before it is sent.
+ * @param {object} params - The request.
+ * @param {string} params.action - Either 'void' or 'adjust'.
+ * @param {object} params.slip - The credit slip.
+ * @param {string} params.reasonCode - The chosen reason.
+ * @param {string} [params.note=''] - The written explanation.
+ * @param {Array<object>} [params.lines=[]] - The edited lines, for an adjustment.
+ * @returns {object} Field errors keyed by field name; empty when valid.
+ */
+export function validateSlipChange({ action, slip, reasonCode, note = '', lines = [] }) {
+  const errors = {};
+  const reason = getSlipReasons(action).find(option => option.value === reasonCode);
+
+  if (!reason) {
+    errors.reason = 'Please choose a reason';
+  } else if (reason.requiresNote && !note.trim()) {
+    errors.note = 'Please explain the reason';
+  }
+
+  if (action === 'void') {
+    const { allowed, reason: blocked } = canVoidSlip(slip);
+    if (!allowed) errors.slip = blocked;
+    return errors;
+  }
+
+  if (!ADJUSTABLE_SLIP_STATUSES.includes(slip?.status)) {
+    errors.slip = 'Only open credit slips can be adjusted';
+  }
+  if (lines.some(line => !Number.isInteger(line.quantity) || line.quantity < 0)) {
+    errors.lines = 'Quantities must be whole numbers of zero or more';
+  } else if (getLineChanges(slip, lines).length === 0) {
+    errors.lines = 'Change at least one line';
+  } else if (calculateAdjustedTotals(slip, lines).remaining_cents < 0) {
+    errors.lines = 'The new total cannot be less than what has already been paid';
+  }
+
+  return errors;
+}
+
+/**
+ * Builds the request body for a void or adjustment.
+ * @param {object} params - The request.
+ * @param {string} params.action - Either 'void' or 'adjust'.
+ * @param {object} params.slip - The credit slip.
+ * @param {string} params.reasonCode - The chosen reason.
+ * @param {string} [params.note=''] - The written explanation.
+ * @param {Array<object>} [params.lines=[]] - The edited lines, for an adjustment.
+ * @param {object} params.approval - The manager approval (see the slip detail page).
+ * @returns {object} The request body.
+ */
+export function buildSlipChangeRequest({ action, slip, reasonCode, note = '', lines = [], approval }) {
+  const request = {
+    customer_id: slip.customer_id,
+    reason_code: reasonCode,
+    note: note.trim(),
+    approval
+  };
+
+  if (action === 'adjust') {
+    const totals = calculateAdjustedTotals(slip, lines);
+    request.line_changes = getLineChanges(slip, lines);
+    request.grand_total_cents_before = slip.totals?.grand_total_cents || 0;
+    request.grand_total_cents_after = totals.grand_total_cents;
+  }
+
+  return request;
+}
+
+/**
+ * Builds the manager approval for a void or adjustment. Staff who may approve slip
+ * changes themselves approve in their own name; anyone else needs a manager to sign
+ * in on the spot. Their login is exchanged for an approval token before the change is
+ * sent (see walletService.requestSlipApproval).
+ * @param {object} params - The approval.
+ * @param {object} params.staffUser - The signed-in staff member.
+ * @param {boolean} params.canApprove - Whether the signed-in staff member may approve slip changes.
+ * @param {string} [params.managerIdentifier=''] - The approving manager's login.
+ * @param {string} [params.managerPassword=''] - The approving manager's password.
+ * @returns {{approval: object|null, errors: object}} The approval, or field errors when it is incomplete.
+ */
+export function buildSlipApproval({ staffUser, canApprove, managerIdentifier = '', managerPassword = '' }) {
+  if (canApprove) {
+    return {
+      approval: { approved_by: staffUser?.id || staffUser?.name, self_approved: true },
+      errors: {}
+    };
+  }
+
+  const errors = {};
+  if (!managerIdentifier.trim()) errors.managerIdentifier = 'Enter the approving manager\'s login';
+  if (!managerPassword) errors.managerPassword = 'Enter the approving manager\'s password';
+  if (Object.keys(errors).length > 0) {
+    return { approval: null, errors };
+  }
+
+  return {
+    approval: { manager_identifier: managerIdentifier.trim(), manager_password: managerPassword },
+    errors
+  };
+}
+
+function lineTotal(line) {
+  return line.comped ? 0 : (line.quantity || 0) * (line.unit_price_cents || 0);
+}
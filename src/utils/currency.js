@@ -1,8 +1,173 @@
 /**
  * @module currency
- * @description Currency formatting and calculation utilities for TZS (Tanzanian Shilling).
+ * @description Currency formatting and calculation utilities. TZS (Tanzanian Shilling) is the
+ * default currency; other currencies the wallet accepts are listed in `CURRENCIES`.
+ * All amounts are integers in the currency's minor units ("cents").
  */
 
+/**
+ * The currency used when none is given.
+ */
+export const DEFAULT_CURRENCY = 'TZS';
+
+/**
+ * The currencies the wallet accepts, keyed by ISO 4217 code.
+ * `minor_units` is the number of minor units digits (cents = 2); `min_fraction_digits`
+ * is how many decimals are always shown.
+ * @type {Object<string, {code: string, name: string, symbol: string, minor_units: number, min_fraction_digits: number, locale: string}>}
+ */
+export const CURRENCIES = {
+  TZS: { code: 'TZS', name: 'Tanzanian Shilling', symbol: 'TZS', minor_units: 2, min_fraction_digits: 0, locale: 'en-US' },
+  USD: { code: 'USD', name: 'US Dollar', symbol: '$', minor_units: 2, min_fraction_digits: 2, locale: 'en-US' },
+  EUR: { code: 'EUR', name: 'Euro', symbol: '€', minor_units: 2, min_fraction_digits: 2, locale: 'en-IE' }
+};
+
+/**
+ * The codes of the currencies the wallet accepts, default currency first.
+ */
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+/**
+ * Looks up a currency in the registry.
+ * @param {string} [code=DEFAULT_CURRENCY] - The currency code (case-insensitive).
+ * @returns {object} The currency, or a generic 2-decimal entry for unknown codes.
+ */
+export function getCurrency(code = DEFAULT_CURRENCY) {
+  const upper = (code || DEFAULT_CURRENCY).toString().toUpperCase();
+  return CURRENCIES[upper] || {
+    code: upper,
+    name: upper,
+    symbol: upper,
+    minor_units: 2,
+    min_fraction_digits: 2,
+    locale: 'en-US'
+  };
+}
+
+/**
+ * Formats an amount in minor units in the given currency.
+ * TZS amounts are formatted exactly like `formatTZS`.
+ * @param {number} cents - The amount in minor units.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The currency code.
+ * @param {object} [options={}] - Formatting options.
+ * @param {boolean} [options.showCurrency=true] - Whether to include the currency symbol.
+ * @param {boolean} [options.compact=false] - Whether to use compact notation (K/M).
+ * @returns {string} The formatted amount, e.g. "TZS 12,000" or "$12.50".
+ */
+export function formatMoney(cents, currency = DEFAULT_CURRENCY, options = {}) {
+  const { showCurrency = true, ...formatOptions } = options;
+  const info = getCurrency(currency);
+
+  if (info.code === 'TZS') {
+    return formatTZS(cents, showCurrency, formatOptions);
+  }
+
+  const value = cents === null || cents === undefined || isNaN(cents) ? 0 : cents;
+  const amount = Math.abs(value) / 10 ** info.minor_units;
+  const { compact = false } = formatOptions;
+
+  let formatted;
+  if (compact && amount >= 1000) {
+    const [divisor, suffix] = amount >= 1000000 ? [1000000, 'M'] : [1000, 'K'];
+    formatted = `${(amount / divisor).toLocaleString(info.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}${suffix}`;
+  } else {
+    formatted = amount.toLocaleString(info.locale, {
+      minimumFractionDigits: formatOptions.minimumFractionDigits ?? info.min_fraction_digits,
+      maximumFractionDigits: formatOptions.maximumFractionDigits ?? info.minor_units,
+      useGrouping: formatOptions.useGrouping ?? true
+    });
+  }
+
+  const sign = value < 0 ? '-' : '';
+  if (!showCurrency) {
+    return `${sign}${formatted}`;
+  }
+  // Letter symbols read better with a space ("KES 10"), sign symbols without ("$10")
+  const symbol = /^[A-Z]+$/.test(info.symbol) ? `${info.symbol} ` : info.symbol;
+  return `${sign}${symbol}${formatted}`;
+}
+
+/**
+ * Parses an amount string or number in the given currency into minor units.
+ * @param {string|number} input - The amount, optionally with the currency code or symbol.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The currency code.
+ * @returns {number} The amount in minor units.
+ */
+export function parseMoneyToCents(input, currency = DEFAULT_CURRENCY) {
+  if (!input) return 0;
+  const info = getCurrency(currency);
+  const amount = parseFloat(stripCurrency(input, info));
+  return isNaN(amount) ? 0 : Math.round(amount * 10 ** info.minor_units);
+}
+
+/**
+ * Validates an amount input string in the given currency.
+ * @param {string} input - The input value to validate.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The currency code.
+ * @returns {object} An object containing the validation result.
+ * @property {boolean} isValid - Whether the input is valid.
+ * @property {string} [error] - The error message if the input is invalid.
+ * @property {number} [amount] - The parsed amount in minor units if the input is valid.
+ */
+export function validateMoneyInput(input, currency = DEFAULT_CURRENCY) {
+  if (!input || input.toString().trim() === '') {
+    return { isValid: false, error: 'Amount is required' };
+  }
+
+  const info = getCurrency(currency);
+  const cleanInput = stripCurrency(input, info);
+  const amount = parseFloat(cleanInput);
+
+  if (isNaN(amount)) {
+    return { isValid: false, error: 'Please enter a valid amount' };
+  }
+
+  if (amount < 0) {
+    return { isValid: false, error: 'Amount cannot be negative' };
+  }
+
+  if (amount > 999999999) {
+    return { isValid: false, error: 'Amount is too large' };
+  }
+
+  const decimalPart = cleanInput.split('.')[1];
+  if (decimalPart && decimalPart.length > info.minor_units) {
+    return { isValid: false, error: `Maximum ${info.minor_units} decimal places allowed` };
+  }
+
+  return { isValid: true, amount: Math.round(amount * 10 ** info.minor_units) };
+}
+
+/**
+ * Normalizes a wallet balance response into one entry per currency. The balance
+ * endpoint returns `{ currencies: [...] }` when no currency is requested, and a
+ * single flat balance otherwise.
+ * @param {object} balance - The `balance` object from `GET /api/wallet/balance/:id`.
+ * @returns {Array<object>} Per-currency balances (`currency`, `balance_cents`, `wallet_cents`,
+ * `outstanding_cents`, `open_slips_count`, `account_status`), default currency first.
+ */
+export function normalizeCurrencyBalances(balance) {
+  if (!balance) return [];
+
+  const entries = Array.isArray(balance.currencies) ? balance.currencies : [balance];
+  return entries
+    .map(entry => ({
+      currency: (entry.currency || DEFAULT_CURRENCY).toUpperCase(),
+      balance_cents: entry.balance_cents ?? (entry.wallet_cents || 0) - (entry.outstanding_cents || 0),
+      wallet_cents: entry.wallet_cents || 0,
+      outstanding_cents: entry.outstanding_cents || 0,
+      open_slips_count: entry.open_slips_count || 0,
+      account_status: entry.account_status || 'ACTIVE'
+    }))
+    .sort((a, b) => {
+      const rank = code => {
+        const index = SUPPORTED_CURRENCIES.indexOf(code);
+        return index === -1 ? SUPPORTED_CURRENCIES.length : index;
+      };
+      return rank(a.currency) - rank(b.currency) || a.currency.localeCompare(b.currency);
+    });
+}
+
 /**
  * Formats a number in cents to a TZS currency string.
  * @param {number} cents - The amount in cents.
@@ -175,11 +340,12 @@ export function validateTZSInput(input) {
 /**
  * Formats a balance display with appropriate styling classes.
  * @param {number} cents - The amount in cents.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The currency code.
  * @returns {object} An object containing the formatted balance and styling information.
  */
-export function formatBalanceDisplay(cents) {
+export function formatBalanceDisplay(cents, currency = DEFAULT_CURRENCY) {
   const isPositive = cents >= 0;
-  const formatted = formatTZS(Math.abs(cents));
+  const formatted = formatMoney(Math.abs(cents), currency);
   
   return {
     amount: formatted,
@@ -223,10 +389,11 @@ export function subtractAmounts(amount1, amount2) {
  * Formats a transaction amount with a direction indicator (+/-).
  * @param {number} cents - The amount in cents.
  * @param {string} direction - The transaction direction ('CREDIT' or 'DEBIT').
+ * @param {string} [currency=DEFAULT_CURRENCY] - The currency code.
  * @returns {object} An object containing the formatted transaction and styling information.
  */
-export function formatTransactionAmount(cents, direction) {
-  const formatted = formatTZS(cents);
+export function formatTransactionAmount(cents, direction, currency = DEFAULT_CURRENCY) {
+  const formatted = formatMoney(cents, currency);
   const isCredit = direction === 'CREDIT';
   
   return {
@@ -237,4 +404,17 @@ export function formatTransactionAmount(cents, direction) {
     prefix: isCredit ? '+' : '-',
     displayAmount: `${isCredit ? '+' : '-'}${formatted}`
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Removes the currency code or symbol, grouping commas and whitespace from an amount input.
+ * @param {string|number} input - The amount input, e.g. "$1,250.50" or "TZS 12 000".
+ * @param {object} info - The currency from `getCurrency`.
+ * @returns {string} The bare number, e.g. "1250.50".
+ */
+function stripCurrency(input, info) {
+  const symbol = info.symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return input.toString()
+    .replace(new RegExp(`${info.code}|${symbol}`, 'gi'), '')
+    .replace(/,|\s/g, '');
+}
@@ -0,0 +1,47 @@
+/**
+ * @module customer-code
+ * @description The code on a customer's wallet QR code. The server signs it as
+ * `ENZI:C1:<customer id>:<signature>` and checks the signature when staff scan it,
+ * so a code cannot be made up from a customer ID alone.
+ */
+
+/**
+ * The prefix of every customer code.
+ * @type {string}
+ */
+export const CUSTOMER_CODE_PREFIX = 'ENZI:C1:';
+
+/**
+ * Cleans up scanner input. Keyboard-wedge scanners end with Enter or Tab, and some
+ * add spaces or control characters around the code.
+ * @param {string} value - The scanned text.
+ * @returns {string} The code.
+ */
+export function normalizeScannedCode(value) {
+  return String(value || '').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+}
+
+/**
+ * Reads a customer code.
+ * @param {string} value - The scanned text.
+ * @returns {{customerId: string, signature: string}|null} The parts of the code, or null
+ * if the text is not a customer code.
+ */
+export function parseCustomerCode(value) {
+  const code = normalizeScannedCode(value);
+  if (!code.startsWith(CUSTOMER_CODE_PREFIX)) return null;
+
+  const [customerId, signature, ...rest] = code.slice(CUSTOMER_CODE_PREFIX.length).split(':');
+  if (!customerId || !signature || rest.length > 0) return null;
+
+  return { customerId, signature };
+}
+
+/**
+ * Checks whether scanned text is a customer code.
+ * @param {string} value - The scanned text.
+ * @returns {boolean} True if it is a customer code.
+ */
+export function isCustomerCode(value) {
+  return parseCustomerCode(value) !== null;
+}
@@ -0,0 +1,68 @@
+/**
+ * @module customer-directory
+ * @description Utilities for the staff customer directory and the customer detail page.
+ */
+
+import { formatPaginationData } from './api-response.js';
+
+/**
+ * The number of customers shown per directory page.
+ * @type {number}
+ */
+export const DIRECTORY_PAGE_SIZE = 20;
+
+/**
+ * Works out the pagination for a page of customers. The server's pagination is used
+ * when it sends one; otherwise a full page is taken to mean there may be another page.
+ * @param {object} data - The `/api/customers/search` response body.
+ * @param {number} [page=1] - The page that was requested.
+ * @param {number} [perPage=DIRECTORY_PAGE_SIZE] - The page size that was requested.
+ * @returns {object} The pagination, in the shape of formatPaginationData.
+ */
+export function getDirectoryPagination(data = {}, page = 1, perPage = DIRECTORY_PAGE_SIZE) {
+  if (data.pagination) {
+    return formatPaginationData(data.pagination);
+  }
+
+  const count = (data.customers || []).length;
+  const total = Number.isFinite(data.total) ? data.total : null;
+  const hasNext = total !== null ? page * perPage < total : count >= perPage;
+
+  return {
+    current_page: page,
+    per_page: perPage,
+    total_entries: total !== null ? total : (page - 1) * perPage + count,
+    total_pages: total !== null ? Math.max(1, Math.ceil(total / perPage)) : (hasNext ? page + 1 : page),
+    has_next: hasNext,
+    has_prev: page > 1
+  };
+}
+
+/**
+ * Summarizes a customer's receipts. Refund receipts reduce the amount spent and are
+ * not counted as visits.
+ * @param {Array<object>} receipts - The receipts from `/api/receipts/search`.
+ * @returns {object} The summary.
+ * @property {Array<object>} receipts - The receipts, newest first.
+ * @property {number} visits - The number of sale receipts.
+ * @property {number} total_spent - The amount spent, in TZS.
+ * @property {number} points_earned - The loyalty points earned.
+ * @property {string|null} last_visit - The date of the latest sale, or null.
+ */
+export function summarizeReceipts(receipts = []) {
+  const sorted = [...(receipts || [])].sort((a, b) => new Date(b.receipt_date) - new Date(a.receipt_date));
+  const sales = sorted.filter(receipt => receipt.receipt_type !== 'REFUND');
+
+  const totalSpent = sorted.reduce((total, receipt) => {
+    const amount = Number(receipt.total_money) || 0;
+    return receipt.receipt_type === 'REFUND' ? total - Math.abs(amount) : total + amount;
+  }, 0);
+
+  return {
+    receipts: sorted,
+    visits: sales.length,
+    total_spent: totalSpent,
+    points_earned: sales.reduce((total, receipt) => total + (Number(receipt.points_earned) || 0), 0),
+    last_visit: sales[0]?.receipt_date || null
+  };
+}
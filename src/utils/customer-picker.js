@@ -0,0 +1,150 @@
+/**
+ * @module customer-picker
+ * @description Utilities for the staff customer picker: working out what kind of
+ * search was typed, combining and highlighting results, and remembering the customers
+ * picked recently on this device.
+ */
+
+/**
+ * The localStorage key for the recently picked customers.
+ * @type {string}
+ */
+export const RECENT_CUSTOMERS_KEY = 'staffRecentCustomers';
+
+/**
+ * How many recently picked customers are remembered.
+ * @type {number}
+ */
+export const MAX_RECENT_CUSTOMERS = 5;
+
+/**
+ * The shortest name search that is sent to the server.
+ * @type {number}
+ */
+export const MIN_NAME_QUERY_LENGTH = 2;
+
+const CUSTOMER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Works out whether a search is a customer ID, a phone number or a name.
+ * @param {string} query - The search text.
+ * @returns {'id'|'phone'|'name'|null} The kind of search, or null if there is nothing
+ * worth searching for yet.
+ */
+export function getCustomerQueryType(query) {
+  const term = String(query || '').trim();
+
+  if (CUSTOMER_ID_PATTERN.test(term)) return 'id';
+  if (PHONE_PATTERN.test(term) && term.replace(/\D/g, '').length >= MIN_PHONE_DIGITS) return 'phone';
+  if (term.length >= MIN_NAME_QUERY_LENGTH && !PHONE_PATTERN.test(term)) return 'name';
+  return null;
+}
+
+/**
+ * Keeps the customer fields the picker shows, so stored entries stay small.
+ * @param {object} customer - The customer.
+ * @returns {object} The customer summary.
+ */
+function toRecentCustomer(customer) {
+  return {
+    customer_id: customer.customer_id,
+    name: customer.name || '',
+    phone_number: customer.phone_number || null,
+    email: customer.email || null
+  };
+}
+
+/**
+ * Reads the recently picked customers, most recent first.
+ * @param {Storage} [storage=localStorage] - Where the list is kept.
+ * @returns {Array<object>} The recent customers.
+ */
+export function getRecentCustomers(storage = globalThis.localStorage) {
+  try {
+    const stored = JSON.parse(storage?.getItem(RECENT_CUSTOMERS_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(customer => customer && customer.customer_id) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Puts a customer at the top of the recently picked list.
+ * @param {object} customer - The customer that was picked.
+ * @param {Storage} [storage=localStorage] - Where the list is kept.
+ * @returns {Array<object>} The updated list.
+ */
+export function addRecentCustomer(customer, storage = globalThis.localStorage) {
+  if (!customer?.customer_id) return getRecentCustomers(storage);
+
+  const recent = [
+    toRecentCustomer(customer),
+    ...getRecentCustomers(storage).filter(entry => entry.customer_id !== customer.customer_id)
+  ].slice(0, MAX_RECENT_CUSTOMERS);
+
+  try {
+    storage?.setItem(RECENT_CUSTOMERS_KEY, JSON.stringify(recent));
+  } catch (error) {
+    console.warn('Failed to save recent customers:', error);
+  }
+  return recent;
+}
+
+/**
+ * Forgets the recently picked customers, e.g. when staff sign out of a shared device.
+ * @param {Storage} [storage=localStorage] - Where the list is kept.
+ */
+export function clearRecentCustomers(storage = globalThis.localStorage) {
+  storage?.removeItem(RECENT_CUSTOMERS_KEY);
+}
+
+/**
+ * Moves the highlighted option up or down a list, wrapping at either end.
+ * @param {number} current - The highlighted index, or -1 if nothing is highlighted.
+ * @param {number} count - The number of options.
+ * @param {number} step - 1 to move down, -1 to move up.
+ * @returns {number} The new highlighted index, or -1 if the list is empty.
+ */
+export function moveHighlight(current, count, step) {
+  if (count <= 0) return -1;
+  if (current < 0) return step > 0 ? 0 : count - 1;
+  return (current + step + count) % count;
+}
+
+/**
+ * Finds a search term in a piece of text, ignoring case.
+ * @param {string} text - The text shown to staff, e.g. the customer's name.
+ * @param {string} query - The search text.
+ * @returns {{start: number, end: number}|null} The character range to highlight, or
+ * null if the search does not appear in the text.
+ */
+export function findTextMatch(text, query) {
+  const term = String(query || '').trim().toLowerCase();
+  if (!term || !text) return null;
+
+  const start = String(text).toLowerCase().indexOf(term);
+  return start === -1 ? null : { start, end: start + term.length };
+}
+
+/**
+ * Combines several lists of search results, keeping the first copy of each customer.
+ * Earlier lists win, so pass the strongest matches first.
+ * @param {...Array<object>} lists - The search results.
+ * @returns {Array<object>} The customers, each once.
+ */
+export function mergeCustomerResults(...lists) {
+  const seen = new Set();
+  const merged = [];
+
+  lists.flat().forEach((customer) => {
+    if (!customer) return;
+    const key = customer.customer_id || customer._id || customer.id;
+    if (key && seen.has(key)) return;
+    if (key) seen.add(key);
+    merged.push(customer);
+  });
+
+  return merged;
+}
@@ -0,0 +1,135 @@
+/**
+ * @module customer-session
+ * @description Keeps a signed-in customer's session on the device, so a page refresh
+ * or a return visit does not ask for the phone number again. The session token itself
+ * is stored under `customerToken`, where the axios instance reads it; this module keeps
+ * the customer, their receipts and when they were last active.
+ */
+
+/**
+ * The localStorage key for the customer session.
+ * @type {string}
+ */
+export const CUSTOMER_SESSION_KEY = 'customerSession';
+
+/**
+ * The localStorage key for the customer session token.
+ * @type {string}
+ */
+export const CUSTOMER_TOKEN_KEY = 'customerToken';
+
+/**
+ * How long a session survives without any activity: 14 days.
+ * @type {number}
+ */
+export const CUSTOMER_SESSION_IDLE_TIMEOUT_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * How often the customer's profile and receipts are refreshed in the background.
+ * @type {number}
+ */
+export const CUSTOMER_PROFILE_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * The least time between two recordings of customer activity.
+ * @type {number}
+ */
+export const CUSTOMER_ACTIVITY_THROTTLE_MS = 60 * 1000;
+
+/**
+ * Checks whether a session has gone unused for too long.
+ * @param {object|null} session - The stored session.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {boolean} True if the session can no longer be used.
+ */
+export function isCustomerSessionExpired(session, now = Date.now()) {
+  if (!session || typeof session.lastActiveAt !== 'number') return true;
+  return now - session.lastActiveAt >= CUSTOMER_SESSION_IDLE_TIMEOUT_MS;
+}
+
+/**
+ * Parses the stored session, or returns null if there is none or it is unreadable.
+ * @param {Storage} storage - Where the session is kept.
+ * @returns {object|null} The stored session.
+ */
+function readStoredSession(storage) {
+  try {
+    return JSON.parse(storage?.getItem(CUSTOMER_SESSION_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads the stored session, discarding it if it has expired, is unreadable or has no
+ * token to go with it.
+ * @param {Storage} [storage=localStorage] - Where the session is kept.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {{token: string, user: object, receipts: Array<object>, lastActiveAt: number}|null}
+ * The session, or null if there is no usable session.
+ */
+export function loadCustomerSession(storage = globalThis.localStorage, now = Date.now()) {
+  const session = readStoredSession(storage);
+
+  const token = storage?.getItem(CUSTOMER_TOKEN_KEY);
+  if (!token || !session?.user || isCustomerSessionExpired(session, now)) {
+    if (session || token) clearCustomerSession(storage);
+    return null;
+  }
+
+  return {
+    token,
+    user: session.user,
+    receipts: Array.isArray(session.receipts) ? session.receipts : [],
+    lastActiveAt: session.lastActiveAt
+  };
+}
+
+/**
+ * Stores the signed-in customer and their receipts. Saving is not activity: for the
+ * customer already stored, the time they were last active is kept, and only a new
+ * sign-in starts it from now.
+ * @param {object} session - The session.
+ * @param {object} session.user - The customer.
+ * @param {Array<object>} [session.receipts=[]] - The customer's receipts.
+ * @param {number} [session.lastActiveAt] - When the customer was last active; set by
+ * touchCustomerSession.
+ * @param {Storage} [storage=localStorage] - Where the session is kept.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ */
+export function saveCustomerSession({ user, receipts = [], lastActiveAt }, storage = globalThis.localStorage, now = Date.now()) {
+  try {
+    const stored = readStoredSession(storage);
+    const isSameSession = stored?.user?._id === user?._id && !isCustomerSessionExpired(stored, now);
+    storage?.setItem(CUSTOMER_SESSION_KEY, JSON.stringify({
+      user,
+      receipts,
+      lastActiveAt: lastActiveAt ?? (isSameSession ? stored.lastActiveAt : now)
+    }));
+  } catch (error) {
+    console.warn('Failed to save customer session:', error);
+  }
+}
+
+/**
+ * Records that the customer is still using the app, pushing back the expiry.
+ * @param {Storage} [storage=localStorage] - Where the session is kept.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {boolean} False if there is no usable session to extend.
+ */
+export function touchCustomerSession(storage = globalThis.localStorage, now = Date.now()) {
+  const session = loadCustomerSession(storage, now);
+  if (!session) return false;
+
+  saveCustomerSession({ ...session, lastActiveAt: now }, storage, now);
+  return true;
+}
+
+/**
+ * Removes the session and its token from the device.
+ * @param {Storage} [storage=localStorage] - Where the session is kept.
+ */
+export function clearCustomerSession(storage = globalThis.localStorage) {
+  storage?.removeItem(CUSTOMER_SESSION_KEY);
+  storage?.removeItem(CUSTOMER_TOKEN_KEY);
+}
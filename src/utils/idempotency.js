@@ -0,0 +1,88 @@
+/**
+ * @module idempotency
+ * @description Utilities for sending money-moving requests with an idempotency key, so that
+ * retries and double submissions are processed by the server only once.
+ */
+
+/**
+ * The request header carrying the idempotency key.
+ * @type {string}
+ */
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * The response header the server sets when it returns a stored result for a repeated key.
+ * @type {string}
+ */
+export const IDEMPOTENT_REPLAYED_HEADER = 'idempotent-replayed';
+
+/**
+ * Creates a new idempotency key.
+ * @returns {string} A random, unique key.
+ */
+export function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Builds the axios request config carrying an idempotency key.
+ * @param {string} idempotencyKey - The idempotency key.
+ * @returns {object} The request config.
+ */
+export function idempotencyConfig(idempotencyKey) {
+  return { headers: { [IDEMPOTENCY_HEADER]: idempotencyKey } };
+}
+
+/**
+ * Checks whether a successful response is a replay of an earlier request with the same key.
+ * @param {object} response - The axios response.
+ * @returns {boolean} True if the server returned the stored result.
+ */
+export function isReplayedResponse(response) {
+  if (!response) return false;
+  const header = response.headers?.[IDEMPOTENT_REPLAYED_HEADER];
+  return header === true || header === 'true' || response.data?.idempotent_replay === true;
+}
+
+/**
+ * Gets the original result from an "already processed" error.
+ * The server answers a repeated key with 409 `DUPLICATE_IDEMPOTENCY_KEY`, and includes
+ * the stored response when it has one.
+ * @param {object} error - The axios error.
+ * @returns {object|null} The original response data, or null if the error is not a replay.
+ */
+export function getReplayedResponseData(error) {
+  const response = error?.response;
+  if (!response || response.status !== 409) return null;
+
+  const data = response.data || {};
+  const isDuplicateKey = data.respCode === 'DUPLICATE_IDEMPOTENCY_KEY'
+    || data.code === 'DUPLICATE_IDEMPOTENCY_KEY'
+    || (typeof data.message === 'string' && data.message.includes('DUPLICATE_IDEMPOTENCY_KEY'));
+  if (!isDuplicateKey) return null;
+
+  return data.original_response || data.original_result || null;
+}
+
+/**
+ * Builds a stable fingerprint for submitted form values, so the same submission reuses
+ * its key and a changed submission gets a new one.
+ * @param {object} values - The submitted values.
+ * @returns {string} The fingerprint.
+ */
+export function fingerprintSubmission(values) {
+  const normalize = (value) => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((result, key) => {
+        result[key] = normalize(value[key]);
+        return result;
+      }, {});
+    }
+    return value;
+  };
+  return JSON.stringify(normalize(values ?? null));
+}
@@ -0,0 +1,51 @@
+/**
+ * @module loyalty-points
+ * @description Utilities for working with customer loyalty points (L¥).
+ */
+
+/**
+ * Checks whether a customer can redeem a reward with their points.
+ * @param {number} points - The customer's current points.
+ * @param {object} reward - The reward to redeem.
+ * @param {number} reward.points_cost - The points the reward costs.
+ * @param {boolean} [reward.available=true] - Whether the reward is currently available.
+ * @returns {object} An object containing the result of the check.
+ * @property {boolean} allowed - Whether the reward can be redeemed.
+ * @property {number} shortfall - How many more points are needed (0 if allowed).
+ * @property {string} [reason] - Why the reward cannot be redeemed.
+ */
+export function canRedeemReward(points, reward) {
+  const balance = Number(points) || 0;
+
+  if (!reward || reward.available === false) {
+    return { allowed: false, shortfall: 0, reason: 'This reward is not available' };
+  }
+
+  const cost = Number(reward.points_cost) || 0;
+  if (cost <= 0) {
+    return { allowed: false, shortfall: 0, reason: 'This reward has no valid points cost' };
+  }
+
+  if (balance < cost) {
+    return { allowed: false, shortfall: cost - balance, reason: 'Not enough points' };
+  }
+
+  return { allowed: true, shortfall: 0 };
+}
+
+/**
+ * Calculates a customer's points after a redemption.
+ * Prefers the balance reported by the server and falls back to a local deduction.
+ * @param {number} points - The customer's points before redeeming.
+ * @param {object} redemption - The redemption response.
+ * @param {number} [redemption.points_balance] - The balance reported by the server.
+ * @param {number} [redemption.points_deducted] - The points deducted.
+ * @returns {number} The customer's remaining points.
+ */
+export function getPointsAfterRedemption(points, redemption) {
+  if (redemption && Number.isFinite(redemption.points_balance)) {
+    return redemption.points_balance;
+  }
+  const deducted = Number(redemption?.points_deducted) || 0;
+  return Math.max(0, (Number(points) || 0) - deducted);
+}
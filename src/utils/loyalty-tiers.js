@@ -0,0 +1,175 @@
+/**
+ * @module loyalty-tiers
+ * @description Bronze, Silver and Gold loyalty tiers. A customer's tier comes from what
+ * they spent, or the L¥ points they earned, over the last 90 days of receipts; meeting
+ * either threshold is enough.
+ */
+
+/**
+ * How many days of receipts count towards a tier.
+ * @type {number}
+ */
+export const TIER_WINDOW_DAYS = 90;
+
+/**
+ * How many days ahead customers are warned about dropping a tier.
+ * @type {number}
+ */
+export const TIER_WARNING_DAYS = 14;
+
+/**
+ * @typedef {object} LoyaltyTier
+ * @property {string} id - The tier, e.g. "silver".
+ * @property {string} name - The tier name shown to customers and staff.
+ * @property {number} minSpend - The 90-day spend in TZS that earns the tier.
+ * @property {number} minPoints - The 90-day L¥ points that earn the tier.
+ * @property {string} color - The badge color (see components/badge).
+ * @property {Array<string>} perks - What the tier gives the customer.
+ */
+
+/**
+ * The tiers, lowest first.
+ * @type {Array<LoyaltyTier>}
+ */
+export const LOYALTY_TIERS = [
+  {
+    id: 'bronze',
+    name: 'Bronze',
+    minSpend: 0,
+    minPoints: 0,
+    color: 'orange',
+    perks: ['Earn L¥ on every purchase', 'Birthday treat']
+  },
+  {
+    id: 'silver',
+    name: 'Silver',
+    minSpend: 150000,
+    minPoints: 3000,
+    color: 'zinc',
+    perks: ['Everything in Bronze', 'Free size upgrade once a week', 'Early access to new drinks']
+  },
+  {
+    id: 'gold',
+    name: 'Gold',
+    minSpend: 400000,
+    minPoints: 8000,
+    color: 'amber',
+    perks: ['Everything in Silver', 'One free drink a month', 'Priority pickup for orders']
+  }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTime(value) {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Lists the receipts inside the tier window, oldest first.
+ * @param {Array<object>} receipts - The customer's receipts.
+ * @param {Date} now - The end of the window.
+ * @param {number} windowDays - The length of the window in days.
+ * @returns {Array<object>} The receipts in the window.
+ */
+function getReceiptsInWindow(receipts, now, windowDays) {
+  const end = now.getTime();
+  const start = end - windowDays * DAY_MS;
+  return (receipts || [])
+    .filter((receipt) => {
+      const time = receipt ? toTime(receipt.receipt_date) : null;
+      return time !== null && time > start && time <= end;
+    })
+    .sort((a, b) => toTime(a.receipt_date) - toTime(b.receipt_date));
+}
+
+/**
+ * Adds up the spend and points of some receipts. Refunds take their amount off the spend.
+ * @param {Array<object>} receipts - The receipts.
+ * @returns {{spend: number, points: number}} The totals.
+ */
+export function summarizeTierActivity(receipts = []) {
+  return receipts.reduce((totals, receipt) => {
+    const amount = Number(receipt.total_money) || 0;
+    if (receipt.receipt_type === 'REFUND') {
+      return { ...totals, spend: Math.max(0, totals.spend - Math.abs(amount)) };
+    }
+    return {
+      spend: totals.spend + amount,
+      points: totals.points + (Number(receipt.points_earned) || 0)
+    };
+  }, { spend: 0, points: 0 });
+}
+
+/**
+ * Finds the highest tier some activity qualifies for.
+ * @param {{spend: number, points: number}} activity - The spend and points.
+ * @param {Array<LoyaltyTier>} [tiers=LOYALTY_TIERS] - The tiers, lowest first.
+ * @returns {LoyaltyTier} The tier.
+ */
+export function getTierForActivity(activity, tiers = LOYALTY_TIERS) {
+  return [...tiers].reverse().find(tier =>
+    activity.spend >= tier.minSpend || activity.points >= tier.minPoints
+  ) || tiers[0];
+}
+
+/**
+ * Works out a customer's tier, their progress to the next one and whether they are
+ * about to drop a tier as old receipts leave the window.
+ * @param {Array<object>} receipts - The customer's receipts.
+ * @param {object} [options={}] - Options.
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @param {Array<LoyaltyTier>} [options.tiers=LOYALTY_TIERS] - The tiers, lowest first.
+ * @returns {object} The loyalty status.
+ * @property {LoyaltyTier} tier - The current tier.
+ * @property {LoyaltyTier|null} nextTier - The next tier up, or null at the top.
+ * @property {{spend: number, points: number}} activity - The 90-day spend and points.
+ * @property {number} progress - Percent of the way to the next tier (100 at the top).
+ * @property {{spend: number, points: number}|null} remaining - The spend or the points
+ * still needed for the next tier.
+ * @property {object|null} dropWarning - Set when the customer will drop a tier within
+ * TIER_WARNING_DAYS: `{tier, date, spendToKeep}` with the lower tier, the day it happens
+ * and the spend that would keep the current tier.
+ */
+export function getLoyaltyStatus(receipts = [], options = {}) {
+  const { now = new Date(), tiers = LOYALTY_TIERS } = options;
+  const inWindow = getReceiptsInWindow(receipts, now, TIER_WINDOW_DAYS);
+  const activity = summarizeTierActivity(inWindow);
+  const tier = getTierForActivity(activity, tiers);
+  const nextTier = tiers[tiers.indexOf(tier) + 1] || null;
+
+  let progress = 100;
+  let remaining = null;
+  if (nextTier) {
+    const ratio = Math.max(
+      nextTier.minSpend > 0 ? activity.spend / nextTier.minSpend : 0,
+      nextTier.minPoints > 0 ? activity.points / nextTier.minPoints : 0
+    );
+    progress = Math.min(100, Math.floor(ratio * 100));
+    remaining = {
+      spend: Math.max(0, nextTier.minSpend - activity.spend),
+      points: Math.max(0, nextTier.minPoints - activity.points)
+    };
+  }
+
+  // Receipts leave the window one by one; find the first one whose departure lowers the tier
+  let dropWarning = null;
+  const warningEnd = now.getTime() + TIER_WARNING_DAYS * DAY_MS;
+  for (let i = 0; i < inWindow.length; i++) {
+    const leavesAt = toTime(inWindow[i].receipt_date) + TIER_WINDOW_DAYS * DAY_MS;
+    if (leavesAt > warningEnd) break;
+
+    const remainingActivity = summarizeTierActivity(inWindow.slice(i + 1));
+    const lowerTier = getTierForActivity(remainingActivity, tiers);
+    if (tiers.indexOf(lowerTier) < tiers.indexOf(tier)) {
+      dropWarning = {
+        tier: lowerTier,
+        date: new Date(leavesAt).toISOString(),
+        spendToKeep: Math.max(0, tier.minSpend - remainingActivity.spend)
+      };
+      break;
+    }
+  }
+
+  return { tier, nextTier, activity, progress, remaining, dropWarning };
+}
@@ -0,0 +1,126 @@
+/**
+ * @module otp
+ * @description One-time codes for customer sign-in, registration and phone number
+ * changes: the code format, the resend cooldown and the number of wrong codes allowed
+ * per code sent.
+ */
+
+/**
+ * The number of digits in a one-time code.
+ * @type {number}
+ */
+export const OTP_LENGTH = 6;
+
+/**
+ * How long a customer waits before asking for another code, in seconds.
+ * @type {number}
+ */
+export const OTP_RESEND_COOLDOWN_SECONDS = 30;
+
+/**
+ * How many wrong codes are accepted before a new code must be requested.
+ * @type {number}
+ */
+export const OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * How long a code stays valid, in seconds.
+ * @type {number}
+ */
+export const OTP_TTL_SECONDS = 5 * 60;
+
+/**
+ * What a code is being requested for.
+ * @enum {string}
+ */
+export const OTP_PURPOSES = {
+  LOGIN: 'login',
+  REGISTER: 'register',
+  CHANGE_PHONE: 'change_phone'
+};
+
+/**
+ * Keeps the digits of a typed or pasted code, up to the code length.
+ * @param {string} value - The text entered.
+ * @returns {string} The code digits.
+ */
+export function sanitizeOtpInput(value) {
+  return String(value || '').replace(/\D/g, '').slice(0, OTP_LENGTH);
+}
+
+/**
+ * Checks whether a code has the right number of digits.
+ * @param {string} code - The code entered.
+ * @returns {boolean} True if the code is complete.
+ */
+export function isCompleteOtp(code) {
+  return new RegExp(`^\\d{${OTP_LENGTH}}$`).test(String(code || ''));
+}
+
+/**
+ * Generates a random code of the given length.
+ * @param {number} [length=OTP_LENGTH] - The number of digits.
+ * @param {Function} [getRandomValues] - Fills a typed array with random values; defaults
+ * to `crypto.getRandomValues`.
+ * @returns {string} The code.
+ */
+export function generateOtpCode(
+  length = OTP_LENGTH,
+  getRandomValues = (array) => globalThis.crypto.getRandomValues(array)
+) {
+  const values = getRandomValues(new Uint32Array(length));
+  return Array.from(values, value => String(value % 10)).join('');
+}
+
+/**
+ * Starts tracking a code that has just been sent.
+ * @param {string} phoneNumber - The number the code was sent to.
+ * @param {string} purpose - What the code is for (see OTP_PURPOSES).
+ * @param {number} [now=Date.now()] - The time the code was sent, in milliseconds.
+ * @returns {{phoneNumber: string, purpose: string, sentAt: number, failedAttempts: number}}
+ * The challenge.
+ */
+export function createOtpChallenge(phoneNumber, purpose, now = Date.now()) {
+  return { phoneNumber, purpose, sentAt: now, failedAttempts: 0 };
+}
+
+/**
+ * Works out how long until another code may be requested.
+ * @param {object|null} challenge - The code last sent, if any.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {number} The whole seconds left to wait, or 0 if a code may be sent now.
+ */
+export function getResendWaitSeconds(challenge, now = Date.now()) {
+  if (!challenge) return 0;
+  const elapsed = (now - challenge.sentAt) / 1000;
+  return Math.max(0, Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed));
+}
+
+/**
+ * Counts the wrong codes still allowed for a challenge.
+ * @param {object|null} challenge - The code last sent, if any.
+ * @returns {number} The attempts left.
+ */
+export function getRemainingOtpAttempts(challenge) {
+  if (!challenge) return 0;
+  return Math.max(0, OTP_MAX_ATTEMPTS - challenge.failedAttempts);
+}
+
+/**
+ * Records a wrong code against a challenge.
+ * @param {object} challenge - The code last sent.
+ * @returns {object} The updated challenge.
+ */
+export function recordFailedOtpAttempt(challenge) {
+  return { ...challenge, failedAttempts: challenge.failedAttempts + 1 };
+}
+
+/**
+ * Checks whether a challenge's code has expired.
+ * @param {object|null} challenge - The code last sent, if any.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {boolean} True if there is no usable code.
+ */
+export function isOtpExpired(challenge, now = Date.now()) {
+  return !challenge || now - challenge.sentAt >= OTP_TTL_SECONDS * 1000;
+}
@@ -0,0 +1,166 @@
+/**
+ * @module payment-allocation
+ * @description Strategies for splitting a payment across a customer's open credit
+ * slips. Each strategy is a pure function of the payment amount and the slips, and
+ * whatever the slips cannot take is topped up to the wallet.
+ */
+
+import { addAmounts, subtractAmounts } from './currency.js';
+
+/**
+ * The allocation strategies offered at the counter.
+ * @type {Array<object>}
+ */
+export const ALLOCATION_STRATEGIES = [
+  { value: 'OLDEST_FIRST', label: 'Oldest first', description: 'Pay off the oldest slips first' },
+  { value: 'SMALLEST_FIRST', label: 'Smallest first', description: 'Close out as many slips as possible' },
+  { value: 'PROPORTIONAL', label: 'Proportional', description: 'Spread the payment by what each slip owes' },
+  { value: 'SELECTED_THEN_WALLET', label: 'Settle selected', description: 'Pay off the chosen slips, then top up the wallet' }
+];
+
+const remainingOf = (slip) => Math.max(0, slip.totals?.remaining_cents || 0);
+
+const byOldest = (a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0);
+
+const bySmallest = (a, b) => remainingOf(a) - remainingOf(b) || byOldest(a, b);
+
+/**
+ * Fills slips in the given order until the payment runs out.
+ * @param {number} paymentCents - The payment amount.
+ * @param {Array<object>} slips - The slips, in the order to pay them.
+ * @returns {{slipAllocations: Object<string, number>, walletCents: number}} The allocation.
+ */
+function fillInOrder(paymentCents, slips) {
+  const slipAllocations = {};
+  let left = Math.max(0, paymentCents || 0);
+
+  slips.forEach((slip) => {
+    const applied = Math.min(left, remainingOf(slip));
+    if (applied > 0) {
+      slipAllocations[slip._id] = applied;
+      left = subtractAmounts(left, applied);
+    }
+  });
+
+  return { slipAllocations, walletCents: left };
+}
+
+/**
+ * Pays the oldest slips first.
+ * @param {number} paymentCents - The payment amount.
+ * @param {Array<object>} slips - The open slips.
+ * @returns {{slipAllocations: Object<string, number>, walletCents: number}} The allocation.
+ */
+export function allocateOldestFirst(paymentCents, slips = []) {
+  return fillInOrder(paymentCents, [...slips].sort(byOldest));
+}
+
+/**
+ * Pays the smallest slips first, so the payment closes out as many slips as it can.
+ * @param {number} paymentCents - The payment amount.
+ * @param {Array<object>} slips - The open slips.
+ * @returns {{slipAllocations: Object<string, number>, walletCents: number}} The allocation.
+ */
+export function allocateSmallestFirst(paymentCents, slips = []) {
+  return fillInOrder(paymentCents, [...slips].sort(bySmallest));
+}
+
+/**
+ * Spreads the payment across slips in proportion to what each still owes. Cents lost
+ * to rounding go to the slips with the largest remainders, oldest first.
+ * @param {number} paymentCents - The payment amount.
+ * @param {Array<object>} slips - The open slips.
+ * @returns {{slipAllocations: Object<string, number>, walletCents: number}} The allocation.
+ */
+export function allocateProportional(paymentCents, slips = []) {
+  const owing = [...slips].sort(byOldest).filter(slip => remainingOf(slip) > 0);
+  const totalDebt = owing.reduce((sum, slip) => addAmounts(sum, remainingOf(slip)), 0);
+  const payment = Math.max(0, paymentCents || 0);
+
+  // A payment that covers every slip simply settles them all
+  if (payment >= totalDebt) {
+    return fillInOrder(payment, owing);
+  }
+
+  const shares = owing.map((slip) => {
+    const exact = (payment * remainingOf(slip)) / totalDebt;
+    return { slip, applied: Math.floor(exact), fraction: exact - Math.floor(exact) };
+  });
+
+  let leftover = subtractAmounts(payment, shares.reduce((sum, share) => addAmounts(sum, share.applied), 0));
+  [...shares]
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach((share) => {
+      if (leftover > 0 && share.applied < remainingOf(share.slip)) {
+        share.applied = addAmounts(share.applied, 1);
+        leftover = subtractAmounts(leftover, 1);
+      }
+    });
+
+  const slipAllocations = {};
+  shares.forEach(({ slip, applied }) => {
+    if (applied > 0) slipAllocations[slip._id] = applied;
+  });
+
+  return { slipAllocations, walletCents: 0 };
+}
+
+/**
+ * Settles the chosen slips, oldest first, and tops up the wallet with the rest.
+ * @param {number} paymentCents - The payment amount.
+ * @param {Array<object>} slips - The open slips.
+ * @param {Array<string>} [selectedSlipIds=[]] - The ids of the slips to settle.
+ * @returns {{slipAllocations: Object<string, number>, walletCents: number}} The allocation.
+ */
+export function allocateSelectedThenWallet(paymentCents, slips = [], selectedSlipIds = []) {
+  const selected = slips.filter(slip => selectedSlipIds.includes(slip._id));
+  return fillInOrder(paymentCents, selected.sort(byOldest));
+}
+
+/**
+ * Allocates a payment with one of the ALLOCATION_STRATEGIES.
+ * @param {string} strategy - The strategy value.
+ * @param {number} paymentCents - The payment amount.
+ * @param {Array<object>} slips - The open slips.
+ * @param {object} [options={}] - Strategy options.
+ * @param {Array<string>} [options.selectedSlipIds] - The slips to settle, for SELECTED_THEN_WALLET.
+ * @returns {{slipAllocations: Object<string, number>, walletCents: number}} The allocation.
+ */
+export function allocatePayment(strategy, paymentCents, slips = [], options = {}) {
+  switch (strategy) {
+    case 'SMALLEST_FIRST':
+      return allocateSmallestFirst(paymentCents, slips);
+    case 'PROPORTIONAL':
+      return allocateProportional(paymentCents, slips);
+    case 'SELECTED_THEN_WALLET':
+      return allocateSelectedThenWallet(paymentCents, slips, options.selectedSlipIds);
+    case 'OLDEST_FIRST':
+    default:
+      return allocateOldestFirst(paymentCents, slips);
+  }
+}
+
+/**
+ * Previews what each slip will owe, and its status, once an allocation is applied.
+ * @param {Array<object>} slips - The open slips.
+ * @param {Object<string, number>} slipAllocations - The amount applied to each slip, by slip id.
+ * @returns {Array<object>} One entry per slip with `slip_id`, `applied_cents`,
+ * `remaining_after_cents` and `status_after`.
+ */
+export function previewSlipStatuses(slips = [], slipAllocations = {}) {
+  return slips.map((slip) => {
+    const applied = slipAllocations[slip._id] || 0;
+    const remainingAfter = subtractAmounts(remainingOf(slip), applied);
+    let statusAfter = slip.status;
+    if (applied > 0) {
+      statusAfter = remainingAfter <= 0 ? 'PAID' : 'PARTIALLY_PAID';
+    }
+
+    return {
+      slip_id: slip._id,
+      applied_cents: applied,
+      remaining_after_cents: Math.max(0, remainingAfter),
+      status_after: statusAfter
+    };
+  });
+}
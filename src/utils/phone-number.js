@@ -0,0 +1,115 @@
+/**
+ * @module phone-number
+ * @description Tanzanian phone number handling. Customers give their number as
+ * `0712 345 678`, `+255 712 345 678` or `255712345678`; all of them are stored and
+ * searched as `+255712345678`.
+ */
+
+/**
+ * The Tanzanian country calling code.
+ * @type {string}
+ */
+export const TANZANIA_COUNTRY_CODE = '255';
+
+// The national number is nine digits and never starts with 0
+const NATIONAL_NUMBER_PATTERN = /^[1-9]\d{8}$/;
+
+/**
+ * Strips the spaces, dashes, dots and brackets people type in phone numbers.
+ * @param {string} value - The phone number as typed.
+ * @returns {string} The digits, with a leading `+` if there was one.
+ */
+function compactPhoneNumber(value) {
+  const trimmed = String(value || '').trim();
+  const digits = trimmed.replace(/\D/g, '');
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Drops the `+255`, `00255`, `255` or `0` prefix from the start of a partly typed
+ * number, leaving the start of the national number.
+ * @param {string} compact - The number without formatting.
+ * @returns {string} The digits after the prefix.
+ */
+function stripPhonePrefix(compact) {
+  if (compact.startsWith(`+${TANZANIA_COUNTRY_CODE}`)) return compact.slice(TANZANIA_COUNTRY_CODE.length + 1);
+  if (compact.startsWith('+')) return compact.slice(1);
+  if (compact.startsWith(`00${TANZANIA_COUNTRY_CODE}`)) return compact.slice(TANZANIA_COUNTRY_CODE.length + 2);
+  // A bare 255 is only a country code when a mobile prefix follows it
+  if (/^255[67]/.test(compact)) return compact.slice(TANZANIA_COUNTRY_CODE.length);
+  if (compact.startsWith('0')) return compact.slice(1);
+  return compact;
+}
+
+/**
+ * Reads the nine-digit national number from a Tanzanian phone number.
+ * @param {string} value - The phone number in any of the usual formats.
+ * @returns {string|null} The national number, or null if the value is not a
+ * complete Tanzanian number.
+ */
+export function getNationalNumber(value) {
+  const compact = compactPhoneNumber(value);
+  let national = null;
+
+  if (compact.startsWith(`+${TANZANIA_COUNTRY_CODE}`)) {
+    national = compact.slice(TANZANIA_COUNTRY_CODE.length + 1);
+  } else if (compact.startsWith(`00${TANZANIA_COUNTRY_CODE}`)) {
+    national = compact.slice(TANZANIA_COUNTRY_CODE.length + 2);
+  } else if (compact.startsWith(TANZANIA_COUNTRY_CODE) && compact.length === TANZANIA_COUNTRY_CODE.length + 9) {
+    national = compact.slice(TANZANIA_COUNTRY_CODE.length);
+  } else if (compact.startsWith('0') && compact.length === 10) {
+    national = compact.slice(1);
+  } else if (compact.length === 9) {
+    national = compact;
+  }
+
+  return national && NATIONAL_NUMBER_PATTERN.test(national) ? national : null;
+}
+
+/**
+ * Converts a Tanzanian phone number to its canonical form, `+255XXXXXXXXX`.
+ * @param {string} value - The phone number in any of the usual formats.
+ * @returns {string|null} The canonical number, or null if the value is not a complete
+ * Tanzanian number.
+ */
+export function normalizePhoneNumber(value) {
+  const national = getNationalNumber(value);
+  return national ? `+${TANZANIA_COUNTRY_CODE}${national}` : null;
+}
+
+/**
+ * Checks whether two phone numbers are the same Tanzanian number.
+ * @param {string} a - A phone number.
+ * @param {string} b - Another phone number.
+ * @returns {boolean} True if both are complete numbers and they match.
+ */
+export function isSamePhoneNumber(a, b) {
+  const first = normalizePhoneNumber(a);
+  return first !== null && first === normalizePhoneNumber(b);
+}
+
+/**
+ * Finds where the digits of a (possibly partial) phone number search appear in a
+ * phone number as it is displayed, ignoring formatting and the `0`/`+255` prefix.
+ * @param {string} phoneNumber - The phone number as displayed.
+ * @param {string} query - The search text.
+ * @returns {{start: number, end: number}|null} The character range to highlight in
+ * `phoneNumber`, or null if the search does not appear in it.
+ */
+export function findPhoneMatch(phoneNumber, query) {
+  const text = String(phoneNumber || '');
+  const queryDigits = getNationalNumber(query) || stripPhonePrefix(compactPhoneNumber(query));
+  if (!queryDigits) return null;
+
+  // Character positions of each digit, so a digit match maps back onto the text
+  const positions = [];
+  for (let i = 0; i < text.length; i++) {
+    if (/\d/.test(text[i])) positions.push(i);
+  }
+  const digits = positions.map(position => text[position]).join('');
+
+  const index = digits.indexOf(queryDigits);
+  if (index === -1) return null;
+
+  return { start: positions[index], end: positions[index + queryDigits.length - 1] + 1 };
+}
@@ -0,0 +1,245 @@
+/**
+ * @module points-ledger
+ * @description Rebuilds a customer's L¥ points history from their receipts and reward
+ * redemptions: every earned, spent and expired row with the running balance after it,
+ * plus the points due to expire under the expiry policy.
+ */
+
+import { buildCsv } from './wallet-export.js';
+
+/**
+ * The kinds of ledger rows.
+ * @enum {string}
+ */
+export const LEDGER_ENTRY_TYPES = {
+  EARNED: 'earned',
+  SPENT: 'spent',
+  EXPIRED: 'expired'
+};
+
+/**
+ * The default expiry policy: points expire 12 months after they are earned, and
+ * customers are warned 30 days ahead. Points are spent oldest first.
+ * @type {object}
+ * @property {number|null} expiryMonths - Months until earned points expire; null or 0
+ * means they never do.
+ * @property {number} warningDays - How many days ahead expiring points are highlighted.
+ */
+export const DEFAULT_POINTS_EXPIRY_POLICY = {
+  expiryMonths: 12,
+  warningDays: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the expiry policy from the build environment, e.g. `VITE_POINTS_EXPIRY_MONTHS=6`.
+ * `VITE_POINTS_EXPIRY_MONTHS=0` turns expiry off.
+ * @param {object} [env=import.meta.env] - The environment variables.
+ * @returns {object} The policy (see DEFAULT_POINTS_EXPIRY_POLICY).
+ */
+export function getPointsExpiryPolicy(env = import.meta.env || {}) {
+  const months = Number.parseInt(env.VITE_POINTS_EXPIRY_MONTHS, 10);
+  const warningDays = Number.parseInt(env.VITE_POINTS_EXPIRY_WARNING_DAYS, 10);
+  return {
+    expiryMonths: Number.isNaN(months) ? DEFAULT_POINTS_EXPIRY_POLICY.expiryMonths : months,
+    warningDays: Number.isNaN(warningDays) ? DEFAULT_POINTS_EXPIRY_POLICY.warningDays : warningDays
+  };
+}
+
+function toTime(value) {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+// Adds whole months, keeping to the last day of shorter months (31 Jan + 1 month = 28/29 Feb)
+function addMonths(time, months) {
+  const date = new Date(time);
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return date.getTime();
+}
+
+/**
+ * Turns receipts and redemptions into earned and spent events, oldest first.
+ * @param {Array<object>} receipts - The customer's receipts.
+ * @param {Array<object>} redemptions - The customer's reward redemptions.
+ * @returns {Array<object>} The events.
+ */
+function collectEvents(receipts, redemptions) {
+  const events = [];
+
+  (receipts || []).forEach((receipt) => {
+    const time = receipt ? toTime(receipt.receipt_date) : null;
+    if (time === null) return;
+    const isRefund = receipt.receipt_type === 'REFUND';
+    const earned = Number(receipt.points_earned) || 0;
+    const deducted = Number(receipt.points_deducted) || 0;
+
+    if (earned > 0) {
+      events.push({
+        type: LEDGER_ENTRY_TYPES.EARNED,
+        time,
+        points: earned,
+        description: isRefund ? 'Points returned with a refund' : 'Points earned on a purchase',
+        reference: receipt.receipt_number
+      });
+    }
+    if (deducted > 0) {
+      events.push({
+        type: LEDGER_ENTRY_TYPES.SPENT,
+        time,
+        points: deducted,
+        description: isRefund ? 'Points reversed for a refund' : 'Points used at the counter',
+        reference: receipt.receipt_number
+      });
+    }
+  });
+
+  (redemptions || []).forEach((redemption) => {
+    const time = redemption ? toTime(redemption.created_at) : null;
+    const points = Number(redemption?.points_deducted) || 0;
+    if (time === null || points <= 0) return;
+    events.push({
+      type: LEDGER_ENTRY_TYPES.SPENT,
+      time,
+      points,
+      description: redemption.reward_name ? `Redeemed ${redemption.reward_name}` : 'Redeemed a reward',
+      reference: redemption.redemption_code || redemption.redemption_id
+    });
+  });
+
+  // Earned before spent at the same moment, so a purchase can pay with the points it earns
+  return events.sort((a, b) => a.time - b.time || (a.type === LEDGER_ENTRY_TYPES.EARNED ? -1 : 1));
+}
+
+/**
+ * Builds a customer's points ledger.
+ * @param {object} sources - Where the points came from and went.
+ * @param {Array<object>} [sources.receipts=[]] - The customer's receipts (`points_earned`,
+ * `points_deducted`).
+ * @param {Array<object>} [sources.redemptions=[]] - The customer's reward redemptions
+ * (`points_deducted`, `created_at`).
+ * @param {object} [options={}] - Options.
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @param {object} [options.policy=DEFAULT_POINTS_EXPIRY_POLICY] - The expiry policy.
+ * @returns {object} The ledger.
+ * @property {Array<object>} rows - The rows, oldest first: `{id, type, date, points,
+ * description, reference, balance_after}`.
+ * @property {number} balance - The balance after the last row.
+ * @property {{earned: number, spent: number, expired: number}} totals - The points in each
+ * kind of row.
+ * @property {Array<{date: string, points: number}>} expiring - Points due to expire, soonest
+ * first.
+ * @property {number} expiringSoon - Points expiring within the policy's warning days.
+ */
+export function buildPointsLedger({ receipts = [], redemptions = [] } = {}, options = {}) {
+  const { now = new Date(), policy = DEFAULT_POINTS_EXPIRY_POLICY } = options;
+  const nowTime = now.getTime();
+  const expires = policy.expiryMonths > 0;
+
+  const rows = [];
+  const totals = { earned: 0, spent: 0, expired: 0 };
+  // Earned points not yet spent or expired, oldest first
+  const lots = [];
+  let balance = 0;
+
+  const addRow = (type, time, points, description, reference) => {
+    balance += type === LEDGER_ENTRY_TYPES.EARNED ? points : -points;
+    totals[type] += points;
+    rows.push({
+      id: `${type}-${rows.length + 1}`,
+      type,
+      date: new Date(time).toISOString(),
+      points,
+      description,
+      reference: reference || '',
+      balance_after: balance
+    });
+  };
+
+  const expireLotsUntil = (time) => {
+    lots
+      .filter(lot => lot.remaining > 0 && lot.expiresAt !== null && lot.expiresAt <= time)
+      .forEach((lot) => {
+        addRow(LEDGER_ENTRY_TYPES.EXPIRED, lot.expiresAt, lot.remaining, 'Points expired', lot.reference);
+        lot.remaining = 0;
+      });
+  };
+
+  collectEvents(receipts, redemptions).forEach((event) => {
+    if (event.time > nowTime) return;
+    expireLotsUntil(event.time);
+
+    if (event.type === LEDGER_ENTRY_TYPES.EARNED) {
+      lots.push({
+        remaining: event.points,
+        expiresAt: expires ? addMonths(event.time, policy.expiryMonths) : null,
+        reference: event.reference
+      });
+    } else {
+      let toSpend = event.points;
+      lots.forEach((lot) => {
+        const used = Math.min(lot.remaining, toSpend);
+        lot.remaining -= used;
+        toSpend -= used;
+      });
+    }
+    addRow(event.type, event.time, event.points, event.description, event.reference);
+  });
+  expireLotsUntil(nowTime);
+
+  const expiringByDate = lots
+    .filter(lot => lot.remaining > 0 && lot.expiresAt !== null)
+    .reduce((byDate, lot) => {
+      const date = new Date(lot.expiresAt).toISOString();
+      byDate[date] = (byDate[date] || 0) + lot.remaining;
+      return byDate;
+    }, {});
+  const expiring = Object.keys(expiringByDate)
+    .sort()
+    .map(date => ({ date, points: expiringByDate[date] }));
+  const warningEnd = nowTime + policy.warningDays * DAY_MS;
+
+  return {
+    rows,
+    balance,
+    totals,
+    expiring,
+    expiringSoon: expiring
+      .filter(entry => toTime(entry.date) <= warningEnd)
+      .reduce((total, entry) => total + entry.points, 0)
+  };
+}
+
+/**
+ * Labels for ledger rows.
+ * @type {Object<string, string>}
+ */
+export const LEDGER_ENTRY_LABELS = {
+  [LEDGER_ENTRY_TYPES.EARNED]: 'Earned',
+  [LEDGER_ENTRY_TYPES.SPENT]: 'Spent',
+  [LEDGER_ENTRY_TYPES.EXPIRED]: 'Expired'
+};
+
+/**
+ * Builds the CSV export of a points ledger.
+ * @param {object} ledger - The ledger from `buildPointsLedger`.
+ * @returns {string} The CSV document.
+ */
+export function buildPointsLedgerCsv(ledger) {
+  const columns = [
+    { header: 'Date', value: row => row.date.slice(0, 10) },
+    { header: 'Type', value: row => LEDGER_ENTRY_LABELS[row.type] },
+    { header: 'Description', value: row => row.description },
+    { header: 'Reference', value: row => row.reference },
+    { header: 'Points In', value: row => row.type === LEDGER_ENTRY_TYPES.EARNED ? row.points : '' },
+    { header: 'Points Out', value: row => row.type === LEDGER_ENTRY_TYPES.EARNED ? '' : row.points },
+    { header: 'Balance', value: row => row.balance_after }
+  ];
+
+  return buildCsv(columns, ledger.rows);
+}
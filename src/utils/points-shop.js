@@ -0,0 +1,91 @@
+/**
+ * @module points-shop
+ * @description Utilities for searching, filtering and sorting the customer points-shop catalog.
+ */
+
+/**
+ * The sort options offered on the Shop page.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const CATALOG_SORT_OPTIONS = [
+  { value: 'featured', label: 'Featured' },
+  { value: 'points-asc', label: 'Points: Low to High' },
+  { value: 'points-desc', label: 'Points: High to Low' },
+  { value: 'name', label: 'Name' },
+  { value: 'newest', label: 'Newest' }
+];
+
+/**
+ * Compares two items by points price, placing items without a points price last.
+ * @param {object} a - The first catalog item.
+ * @param {object} b - The second catalog item.
+ * @param {number} direction - 1 for ascending, -1 for descending.
+ * @returns {number} The comparison result.
+ */
+function comparePoints(a, b, direction) {
+  if (a.points_price === null && b.points_price === null) return 0;
+  if (a.points_price === null) return 1;
+  if (b.points_price === null) return -1;
+  return (a.points_price - b.points_price) * direction;
+}
+
+/**
+ * Compares two items by merchandising order: in-stock first, then sort order, then name.
+ * @param {object} a - The first catalog item.
+ * @param {object} b - The second catalog item.
+ * @returns {number} The comparison result.
+ */
+function compareFeatured(a, b) {
+  if (a.in_stock !== b.in_stock) return a.in_stock ? -1 : 1;
+  if (a.sort_order !== b.sort_order) return a.sort_order - b.sort_order;
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * Filters and sorts catalog items for display.
+ * @param {Array<object>} items - The catalog items from the points-shop service.
+ * @param {object} [options={}] - The filter and sort options.
+ * @param {string} [options.search=''] - Text to match against the name, description and category.
+ * @param {string} [options.category='all'] - The category ID to show, or 'all'.
+ * @param {boolean} [options.redeemableOnly=false] - Whether to hide items that cannot be bought with points.
+ * @param {string} [options.sort='featured'] - One of the values in CATALOG_SORT_OPTIONS.
+ * @returns {Array<object>} A new array with the matching items in display order.
+ */
+export function filterAndSortCatalog(items, options = {}) {
+  const { search = '', category = 'all', redeemableOnly = false, sort = 'featured' } = options;
+  const query = search.trim().toLowerCase();
+
+  const filtered = (items || []).filter(item => {
+    if (category !== 'all' && item.category_id !== category) return false;
+    if (redeemableOnly && !item.redeemable) return false;
+    if (!query) return true;
+    return [item.name, item.description, item.category]
+      .some(value => value && value.toLowerCase().includes(query));
+  });
+
+  switch (sort) {
+    case 'points-asc':
+      return filtered.sort((a, b) => comparePoints(a, b, 1) || a.name.localeCompare(b.name));
+    case 'points-desc':
+      return filtered.sort((a, b) => comparePoints(a, b, -1) || a.name.localeCompare(b.name));
+    case 'name':
+      return filtered.sort((a, b) => a.name.localeCompare(b.name));
+    case 'newest':
+      return filtered.sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+    default:
+      return filtered.sort(compareFeatured);
+  }
+}
+
+/**
+ * Gets the stock label shown on a catalog item.
+ * @param {object} item - The catalog item.
+ * @param {number} [lowStockThreshold=5] - The stock level at or below which "Only N left" is shown.
+ * @returns {string|null} The label, or null when no label is needed.
+ */
+export function getStockLabel(item, lowStockThreshold = 5) {
+  if (!item) return null;
+  if (!item.in_stock) return 'Out of stock';
+  if (item.stock !== null && item.stock <= lowStockThreshold) return `Only ${item.stock} left`;
+  return null;
+}
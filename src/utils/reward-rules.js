@@ -0,0 +1,200 @@
+/**
+ * @module reward-rules
+ * @description The bonus rules behind customer milestones: the 10th visit, birthday
+ * week and the first wallet top-up. The rules only read customer data,
+ * so they can be tested and tuned here without touching the pages that show them.
+ */
+
+/**
+ * The milestones customers can earn.
+ * @enum {string}
+ */
+export const MILESTONES = {
+  TENTH_VISIT: 'tenth_visit',
+  BIRTHDAY_WEEK: 'birthday_week',
+  FIRST_TOP_UP: 'first_top_up'
+};
+
+/**
+ * The default rule settings.
+ * @type {object}
+ * @property {number} visitMilestone - The visit that earns the visit bonus.
+ * @property {number} birthdayWindowDays - Days either side of the birthday that count as
+ * birthday week.
+ * @property {object} bonusPoints - The L¥ points each milestone is worth.
+ */
+export const DEFAULT_REWARD_RULES = {
+  visitMilestone: 10,
+  birthdayWindowDays: 3,
+  bonusPoints: {
+    [MILESTONES.TENTH_VISIT]: 50,
+    [MILESTONES.BIRTHDAY_WEEK]: 100,
+    [MILESTONES.FIRST_TOP_UP]: 25
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} Milestone
+ * @property {string} id - The milestone (see MILESTONES).
+ * @property {string} key - Identifies this award; birthday week is earned once a year,
+ * so its key includes the year.
+ * @property {string} title - The card title.
+ * @property {string} description - Why the customer earned it.
+ * @property {number} points - The bonus points.
+ * @property {string|null} earnedAt - When it was earned (ISO 8601), if known.
+ * @property {Array<string>} receiptNumbers - The receipts that earned it.
+ * @property {'claimable'|'claimed'} status - Whether the bonus has been collected.
+ */
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Lists the sales that count as visits, oldest first. Refunds do not count.
+ * @param {Array<object>} receipts - The customer's receipts.
+ * @returns {Array<object>} The visits.
+ */
+export function getVisits(receipts = []) {
+  return receipts
+    .filter(receipt => receipt && receipt.receipt_type !== 'REFUND' && toDate(receipt.receipt_date))
+    .sort((a, b) => toDate(a.receipt_date) - toDate(b.receipt_date));
+}
+
+/**
+ * Finds the customer's birthday in the year around a date. Birthdays on 29 February
+ * fall on 28 February in other years.
+ * @param {string} dateOfBirth - The customer's date of birth.
+ * @param {Date} now - The date to look around.
+ * @param {number} windowDays - Days either side of the birthday that count.
+ * @returns {{start: Date, end: Date, birthday: Date}|null} The birthday week containing
+ * `now`, or null if `now` is not in one.
+ */
+export function getBirthdayWeek(dateOfBirth, now, windowDays = DEFAULT_REWARD_RULES.birthdayWindowDays) {
+  const birth = toDate(dateOfBirth);
+  if (!birth) return null;
+
+  const today = startOfDay(now);
+  // The birthday could fall in last year's or next year's window around New Year
+  for (const year of [today.getFullYear() - 1, today.getFullYear(), today.getFullYear() + 1]) {
+    const lastDay = new Date(year, birth.getUTCMonth() + 1, 0).getDate();
+    const birthday = new Date(year, birth.getUTCMonth(), Math.min(birth.getUTCDate(), lastDay));
+    const start = new Date(birthday.getTime() - windowDays * DAY_MS);
+    const end = new Date(birthday.getTime() + (windowDays + 1) * DAY_MS);
+    if (today >= start && today < end) {
+      return { start, end, birthday };
+    }
+  }
+  return null;
+}
+
+/**
+ * Works out which milestones a customer has earned.
+ * @param {object} customer - The customer data.
+ * @param {object} customer.user - The customer (date_of_birth, claimed_milestones).
+ * @param {Array<object>} [customer.receipts=[]] - The customer's receipts.
+ * @param {Array<object>} [customer.walletEntries=[]] - The customer's wallet transactions.
+ * @param {object} [options={}] - Evaluation options.
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @param {object} [options.rules=DEFAULT_REWARD_RULES] - The rule settings.
+ * @returns {Array<Milestone>} The earned milestones, claimable ones first.
+ */
+export function evaluateMilestones({ user, receipts = [], walletEntries = [] }, options = {}) {
+  const { now = new Date(), rules = DEFAULT_REWARD_RULES } = options;
+  if (!user) return [];
+
+  const claimed = new Set(user.claimed_milestones || []);
+  const milestones = [];
+
+  const add = (id, key, details) => {
+    milestones.push({
+      id,
+      key,
+      points: rules.bonusPoints[id] || 0,
+      earnedAt: null,
+      receiptNumbers: [],
+      ...details,
+      status: claimed.has(key) ? 'claimed' : 'claimable'
+    });
+  };
+
+  const visits = getVisits(receipts);
+
+  const milestoneVisit = visits[rules.visitMilestone - 1];
+  if (milestoneVisit) {
+    add(MILESTONES.TENTH_VISIT, MILESTONES.TENTH_VISIT, {
+      title: `Visit number ${rules.visitMilestone}`,
+      description: `You have visited us ${rules.visitMilestone} times`,
+      earnedAt: toDate(milestoneVisit.receipt_date).toISOString(),
+      receiptNumbers: [milestoneVisit.receipt_number]
+    });
+  }
+
+  const birthdayWeek = getBirthdayWeek(user.date_of_birth, now, rules.birthdayWindowDays);
+  if (birthdayWeek) {
+    const year = birthdayWeek.birthday.getFullYear();
+    add(MILESTONES.BIRTHDAY_WEEK, `${MILESTONES.BIRTHDAY_WEEK}:${year}`, {
+      title: 'Happy birthday!',
+      description: 'A birthday treat from all of us at Enzi',
+      earnedAt: birthdayWeek.start.toISOString(),
+      receiptNumbers: visits
+        .filter(visit => {
+          const date = toDate(visit.receipt_date);
+          return date >= birthdayWeek.start && date < birthdayWeek.end;
+        })
+        .map(visit => visit.receipt_number)
+    });
+  }
+
+  const topUp = walletEntries
+    .filter(entry => entry?.direction?.toLowerCase() === 'credit' && toDate(entry.created_at))
+    .sort((a, b) => toDate(a.created_at) - toDate(b.created_at))[0];
+  if (topUp) {
+    add(MILESTONES.FIRST_TOP_UP, MILESTONES.FIRST_TOP_UP, {
+      title: 'First wallet top-up',
+      description: 'You added money to your Enzi wallet',
+      earnedAt: toDate(topUp.created_at).toISOString(),
+      receiptNumbers: topUp.receipt_number ? [topUp.receipt_number] : []
+    });
+  }
+
+  return milestones.sort((a, b) => (a.status === b.status ? 0 : a.status === 'claimable' ? -1 : 1));
+}
+
+/**
+ * Groups milestones by the receipt that earned them, for badges on the receipt list.
+ * @param {Array<Milestone>} milestones - The earned milestones.
+ * @returns {Object<string, Array<Milestone>>} The milestones for each receipt number.
+ */
+export function getMilestonesByReceipt(milestones = []) {
+  return milestones.reduce((byReceipt, milestone) => {
+    milestone.receiptNumbers.forEach((receiptNumber) => {
+      if (!receiptNumber) return;
+      byReceipt[receiptNumber] = [...(byReceipt[receiptNumber] || []), milestone];
+    });
+    return byReceipt;
+  }, {});
+}
+
+/**
+ * Works out a customer's points after claiming a milestone.
+ * @param {number} points - The points before the claim.
+ * @param {object} claim - The claim response.
+ * @param {number} [claim.points_balance] - The balance reported by the server.
+ * @param {number} [claim.points_awarded] - The bonus points added.
+ * @returns {number} The customer's new points.
+ */
+export function getPointsAfterClaim(points, claim) {
+  if (claim && Number.isFinite(claim.points_balance)) {
+    return claim.points_balance;
+  }
+  return (Number(points) || 0) + (Number(claim?.points_awarded) || 0);
+}
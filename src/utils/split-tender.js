@@ -0,0 +1,114 @@
+/**
+ * @module split-tender
+ * @description Utilities for payments settled with more than one tender, such as
+ * part cash and part mobile money, or cash plus the customer's wallet balance.
+ */
+
+import { addAmounts, formatMoney } from './currency.js';
+
+/**
+ * The tenders a payment can be made with. `WALLET` draws on the customer's existing
+ * wallet balance rather than bringing new money in.
+ * @type {Array<object>}
+ */
+export const TENDER_METHODS = [
+  { value: 'CASH', label: 'Cash' },
+  { value: 'CARD', label: 'Card', referenceLabel: 'Card approval code' },
+  { value: 'MOBILE', label: 'Mobile Money', referenceLabel: 'Transaction ID', requiresReference: true },
+  { value: 'BANK_TRANSFER', label: 'Bank Transfer', referenceLabel: 'Transfer reference', requiresReference: true },
+  { value: 'WALLET', label: 'Wallet Balance' }
+];
+
+let nextTenderId = 1;
+
+/**
+ * Creates an empty tender line.
+ * @param {string} [method='CASH'] - The tender method.
+ * @returns {object} The tender line (`id`, `method`, `amount`, `amount_cents`, `reference`).
+ */
+export function createTenderLine(method = 'CASH') {
+  return { id: nextTenderId++, method, amount: '', amount_cents: 0, reference: '' };
+}
+
+/**
+ * Adds up the tender lines.
+ * @param {Array<object>} tenders - The tender lines.
+ * @returns {number} The total in cents.
+ */
+export function sumTenders(tenders = []) {
+  return tenders.reduce((sum, tender) => addAmounts(sum, tender.amount_cents), 0);
+}
+
+/**
+ * Validates tender lines against the payment they settle.
+ * @param {Array<object>} tenders - The tender lines.
+ * @param {object} payment - The payment.
+ * @param {number} payment.totalCents - The allocated total the tenders must add up to.
+ * @param {number} [payment.slipsCents=0] - How much of the payment goes to credit slips.
+ * @param {number} [payment.walletAvailableCents=0] - The customer's wallet balance.
+ * @param {string} payment.currency - The currency code.
+ * @returns {{lines: Array<object>, total: string|null, isValid: boolean}} Errors per line
+ * (keyed by field), an error for the tenders as a whole, and whether they are valid.
+ */
+export function validateTenders(tenders = [], { totalCents, slipsCents = 0, walletAvailableCents = 0, currency }) {
+  const lines = tenders.map((tender) => {
+    const errors = {};
+    const method = TENDER_METHODS.find(option => option.value === tender.method);
+
+    if (!method) {
+      errors.method = 'Please select a payment method';
+    } else if (method.requiresReference && !tender.reference?.trim()) {
+      errors.reference = `Please enter the ${method.referenceLabel.toLowerCase()}`;
+    }
+    if (!tender.amount_cents || tender.amount_cents <= 0) {
+      errors.amount = 'Amount must be greater than zero';
+    }
+
+    return errors;
+  });
+
+  let total = null;
+  const tenderedCents = sumTenders(tenders);
+  const walletCents = sumTenders(tenders.filter(tender => tender.method === 'WALLET'));
+
+  if (tenders.length === 0) {
+    total = 'Add at least one payment method';
+  } else if (tenderedCents !== totalCents) {
+    total = `Tenders add up to ${formatMoney(tenderedCents, currency)} but the payment is ${formatMoney(totalCents, currency)}`;
+  } else if (walletCents > walletAvailableCents) {
+    total = `Wallet balance of ${formatMoney(walletAvailableCents, currency)} is not enough`;
+  } else if (walletCents > slipsCents) {
+    // Wallet money can settle slips but cannot be paid back into the wallet
+    total = 'Wallet balance can only be used to pay down credit slips';
+  }
+
+  return {
+    lines,
+    total,
+    isValid: !total && lines.every(errors => Object.keys(errors).length === 0)
+  };
+}
+
+/**
+ * Builds the tender breakdown sent with a payment.
+ * @param {Array<object>} tenders - The tender lines.
+ * @returns {Array<object>} One entry per tender with `method`, `amount_cents` and an optional `reference`.
+ */
+export function buildTenderBreakdown(tenders = []) {
+  return tenders.map(tender => ({
+    method: tender.method,
+    amount_cents: tender.amount_cents,
+    ...(tender.reference?.trim() && { reference: tender.reference.trim() })
+  }));
+}
+
+/**
+ * Works out the overall method of a payment: the tender method when every tender
+ * uses the same one, otherwise `SPLIT`.
+ * @param {Array<object>} tenders - The tender lines.
+ * @returns {string} The payment method.
+ */
+export function getPaymentMethod(tenders = []) {
+  const methods = [...new Set(tenders.map(tender => tender.method))];
+  return methods.length === 1 ? methods[0] : 'SPLIT';
+}
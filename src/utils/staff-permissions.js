@@ -0,0 +1,91 @@
+/**
+ * @module staff-permissions
+ * @description The staff permission model. Permissions are dotted names such as
+ * `wallet.payment.create`; a grant may end in `*` to cover a whole area
+ * (`wallet.*`), and `*` on its own covers everything.
+ */
+
+/**
+ * The permissions the staff portal checks.
+ * @type {object}
+ */
+export const PERMISSIONS = {
+  WALLET_READ: 'wallet.balance.read',
+  WALLET_APPLY: 'wallet.balance.apply',
+  SLIP_CREATE: 'wallet.slip.create',
+  SLIP_VOID: 'wallet.slip.void',
+  PAYMENT_CREATE: 'wallet.payment.create',
+  CHANGE_CREATE: 'wallet.change.create',
+  REFUND_CREATE: 'wallet.refund.create',
+  HISTORY_READ: 'wallet.history.read',
+  AUDIT_READ: 'wallet.audit.read',
+  CUSTOMERS_READ: 'customers.read',
+  ORDERS_READ: 'orders.read',
+  ANALYTICS_READ: 'analytics.read',
+  STAFF_MANAGE: 'staff.manage',
+  SETTINGS_MANAGE: 'settings.manage'
+};
+
+const COUNTER_PERMISSIONS = [
+  PERMISSIONS.WALLET_READ,
+  PERMISSIONS.WALLET_APPLY,
+  PERMISSIONS.SLIP_CREATE,
+  PERMISSIONS.PAYMENT_CREATE,
+  PERMISSIONS.CHANGE_CREATE,
+  PERMISSIONS.HISTORY_READ,
+  PERMISSIONS.CUSTOMERS_READ,
+  PERMISSIONS.ORDERS_READ
+];
+
+/**
+ * The permissions each staff role has when the login response does not list any.
+ * Refunds pay money out of the till, so only managers can make them.
+ * @type {object}
+ */
+export const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: [
+    ...COUNTER_PERMISSIONS,
+    PERMISSIONS.REFUND_CREATE,
+    PERMISSIONS.SLIP_VOID,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.ANALYTICS_READ
+  ],
+  cashier: COUNTER_PERMISSIONS,
+  barista: COUNTER_PERMISSIONS,
+  staff: COUNTER_PERMISSIONS
+};
+
+const isPermissionName = (permission) => typeof permission === 'string' && (permission === '*' || permission.includes('.'));
+
+/**
+ * Works out the permissions a staff member holds. Permissions listed in the login
+ * response win; older logins that only send legacy names (such as `wallet_access`)
+ * fall back to the defaults for the staff member's role.
+ * @param {string} role - The staff member's role.
+ * @param {Array<string>} [permissions=[]] - The permissions from the login response.
+ * @returns {Array<string>} The granted permissions.
+ */
+export function resolvePermissions(role, permissions = []) {
+  const granted = (Array.isArray(permissions) ? permissions : []).filter(isPermissionName);
+  if (granted.length > 0) {
+    return granted;
+  }
+
+  return ROLE_PERMISSIONS[String(role || '').toLowerCase()] || ROLE_PERMISSIONS.staff;
+}
+
+/**
+ * Checks whether a set of granted permissions covers a permission.
+ * @param {Array<string>} granted - The granted permissions (see resolvePermissions).
+ * @param {string} permission - The permission to check.
+ * @returns {boolean} True if the permission is granted.
+ */
+export function hasPermission(granted, permission) {
+  if (!permission) return true;
+
+  return (granted || []).some((grant) => {
+    if (grant === '*' || grant === permission) return true;
+    return grant.endsWith('.*') && permission.startsWith(grant.slice(0, -1));
+  });
+}
@@ -0,0 +1,510 @@
+/**
+ * @module wallet-export
+ * @description Utilities for exporting wallet data as CSV, JSON Lines and printable statements.
+ */
+
+import { DEFAULT_CURRENCY, formatMoney } from './currency.js';
+import { formatAuditAmounts } from './api-response.js';
+import { SLIP_ADJUSTMENT_REASONS } from './credit-slip-adjustments.js';
+import { REFUND_REASONS } from './wallet-refunds.js';
+import { formatTransactionDate, formatTransactionTime, formatDateTime, isValidDate } from './date-formatter.js';
+
+/**
+ * The page size used when walking paginated endpoints for an export (the API maximum).
+ * @type {number}
+ */
+export const EXPORT_PAGE_SIZE = 100;
+
+/**
+ * Fetches every page of a paginated wallet endpoint.
+ * @param {Function} fetchPage - Called with a page number, resolves with a service response containing `entries` and `pagination`.
+ * @param {object} [options={}] - Fetch options.
+ * @param {Function} [options.onPage] - Called after each page with `{ page, totalPages, totalEntries, entries, fetchedCount }`.
+ * @param {AbortSignal} [options.signal] - Stops fetching further pages when aborted.
+ * @param {boolean} [options.collect=true] - Whether to keep the entries; pass false when streaming them through `onPage`.
+ * @returns {Promise<object>} A promise that resolves with `{ success: true, entries, fetchedCount }`, or the first failed service response.
+ */
+export async function fetchAllPages(fetchPage, options = {}) {
+  const { onPage, signal, collect = true } = options;
+  const entries = [];
+  let fetchedCount = 0;
+  let page = 1;
+  let hasNext = true;
+
+  while (hasNext) {
+    if (signal?.aborted) {
+      return createCancelledResponse();
+    }
+
+    const response = await fetchPage(page);
+    if (signal?.aborted) {
+      return createCancelledResponse();
+    }
+    if (!response || !response.success) {
+      return response;
+    }
+
+    const pageEntries = response.entries || [];
+    fetchedCount += pageEntries.length;
+    if (collect) {
+      entries.push(...pageEntries);
+    }
+
+    const pagination = response.pagination || {};
+    const totalPages = pagination.total_pages || page;
+    hasNext = pageEntries.length > 0 && (pagination.has_next ?? page < totalPages);
+
+    if (onPage) {
+      onPage({
+        page,
+        totalPages,
+        totalEntries: pagination.total_entries ?? fetchedCount,
+        entries: pageEntries,
+        fetchedCount
+      });
+    }
+
+    page += 1;
+  }
+
+  return { success: true, entries, fetchedCount };
+}
+
+/**
+ * Creates the response returned when an export is cancelled by the user.
+ * @returns {object} A standardized cancellation response.
+ */
+function createCancelledResponse() {
+  return {
+    success: false,
+    cancelled: true,
+    error: {
+      message: 'Export cancelled',
+      code: 'EXPORT_CANCELLED',
+      severity: 'info'
+    }
+  };
+}
+
+/**
+ * Escapes a single value for inclusion in a CSV file. Text that a spreadsheet would
+ * read as a formula (starting with `=`, `+`, `-`, `@`, a tab or a carriage return) is
+ * prefixed with `'`; plain numbers such as negative amounts are left alone.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped CSV cell.
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Formats a list of values as one CSV line (without the trailing newline).
+ * @param {Array<*>} values - The cell values.
+ * @returns {string} The CSV line.
+ */
+export function formatCsvRow(values) {
+  return values.map(escapeCsvValue).join(',');
+}
+
+/**
+ * Builds a CSV document from column definitions and rows.
+ * @param {Array<object>} columns - The column definitions.
+ * @param {string} columns[].header - The column header.
+ * @param {Function} columns[].value - Returns the cell value for a row.
+ * @param {Array<object>} rows - The rows to export.
+ * @returns {string} The CSV document.
+ */
+export function buildCsv(columns, rows) {
+  const lines = [formatCsvRow(columns.map(column => column.header))];
+  rows.forEach(row => {
+    lines.push(formatCsvRow(columns.map(column => column.value(row))));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Formats an amount in cents for a CSV cell so spreadsheets read it as a number.
+ * @param {number} cents - The amount in cents.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The currency code.
+ * @returns {string} The formatted amount without currency or grouping.
+ */
+export function formatCsvAmount(cents, currency = DEFAULT_CURRENCY) {
+  return formatMoney(cents, currency, { showCurrency: false, useGrouping: false });
+}
+
+/**
+ * Triggers a browser download for generated content.
+ * @param {string|Array<string|Blob>} content - The file content, or a list of chunks.
+ * @param {string} filename - The name of the downloaded file.
+ * @param {string} [mimeType='text/csv;charset=utf-8'] - The MIME type of the file.
+ */
+export function downloadFile(content, filename, mimeType = 'text/csv;charset=utf-8') {
+  const blob = new Blob(Array.isArray(content) ? content : [content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Opens an HTML document in a new window and shows the browser print dialog,
+ * from which staff can print or save it as a PDF.
+ * @param {string} html - The complete HTML document.
+ * @returns {boolean} True if the window could be opened, false if it was blocked.
+ */
+export function openPrintableDocument(html) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+}
+
+/**
+ * Builds a file name for an export, e.g. `wallet-statement-john-doe-2024-01-31.csv`.
+ * @param {string} prefix - The file name prefix.
+ * @param {string} [label=''] - A label such as the customer name.
+ * @param {string} extension - The file extension without the dot.
+ * @returns {string} The file name.
+ */
+export function buildExportFilename(prefix, label, extension) {
+  const slug = (label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  const date = new Date().toISOString().slice(0, 10);
+  return [prefix, slug, date].filter(Boolean).join('-') + `.${extension}`;
+}
+
+/**
+ * Escapes text for safe insertion into generated HTML.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Checks whether a date falls within an inclusive `YYYY-MM-DD` date range.
+ * @param {*} dateValue - The date to check.
+ * @param {string} [startDate] - The first day of the range.
+ * @param {string} [endDate] - The last day of the range.
+ * @returns {boolean} True if the date is within the range.
+ */
+export function isWithinDateRange(dateValue, startDate, endDate) {
+  if (!startDate && !endDate) return true;
+  if (!isValidDate(dateValue)) return false;
+
+  const time = new Date(dateValue).getTime();
+  if (startDate && time < new Date(`${startDate}T00:00:00`).getTime()) return false;
+  if (endDate && time > new Date(`${endDate}T23:59:59.999`).getTime()) return false;
+  return true;
+}
+
+/**
+ * Returns the signed effect of a ledger entry on the customer's net balance.
+ * @param {object} entry - The transaction entry.
+ * @returns {number} The amount in cents, positive for credits and negative for debits.
+ */
+function getSignedAmount(entry) {
+  const amount = entry.amount_cents || 0;
+  return entry.direction === 'CREDIT' ? amount : -amount;
+}
+
+/**
+ * Builds a statement from a customer's full transaction ledger.
+ * Balances are derived from every entry so that the entry type filter only
+ * narrows the listed rows, never the opening or closing balance.
+ * @param {Array<object>} entries - All transaction entries for the customer.
+ * @param {object} [filters={}] - The active filters.
+ * @param {string} [filters.entryType] - Only list entries of this type.
+ * @param {string} [filters.startDate] - The first day of the statement period.
+ * @param {string} [filters.endDate] - The last day of the statement period.
+ * @param {string} [filters.currency=DEFAULT_CURRENCY] - The currency the entries are in.
+ * @returns {object} The statement with `currency`, `rows`, `opening_balance_cents`, `closing_balance_cents`, `total_credits_cents` and `total_debits_cents`.
+ */
+export function buildTransactionStatement(entries, filters = {}) {
+  const { entryType, startDate, endDate, currency = DEFAULT_CURRENCY } = filters;
+  const periodStart = startDate ? new Date(`${startDate}T00:00:00`).getTime() : null;
+
+  const sorted = entries
+    .filter(entry => isValidDate(entry.occurred_at))
+    .sort((a, b) => new Date(a.occurred_at).getTime() - new Date(b.occurred_at).getTime());
+
+  let runningBalance = 0;
+  let openingBalance = 0;
+  let totalCredits = 0;
+  let totalDebits = 0;
+  const rows = [];
+
+  sorted.forEach(entry => {
+    const time = new Date(entry.occurred_at).getTime();
+    if (periodStart !== null && time < periodStart) {
+      runningBalance += getSignedAmount(entry);
+      openingBalance = runningBalance;
+      return;
+    }
+    if (!isWithinDateRange(entry.occurred_at, startDate, endDate)) {
+      return;
+    }
+
+    runningBalance += getSignedAmount(entry);
+    if (entryType && entry.entry_type !== entryType) {
+      return;
+    }
+
+    if (entry.direction === 'CREDIT') {
+      totalCredits += entry.amount_cents || 0;
+    } else {
+      totalDebits += entry.amount_cents || 0;
+    }
+    rows.push({ ...entry, balance_after_cents: runningBalance });
+  });
+
+  return {
+    currency,
+    rows,
+    opening_balance_cents: openingBalance,
+    closing_balance_cents: runningBalance,
+    total_credits_cents: totalCredits,
+    total_debits_cents: totalDebits
+  };
+}
+
+/**
+ * Returns a human readable reference for a transaction entry's source.
+ * @param {object} entry - The transaction entry.
+ * @returns {string} The slip number or payment ID, if any.
+ */
+function getEntryReference(entry) {
+  const source = entry.source || {};
+  return String(source.slip_number || source.payment_id || source.slip_id || '');
+}
+
+/**
+ * Builds the CSV export of a transaction statement.
+ * @param {object} statement - The statement from `buildTransactionStatement`.
+ * @param {object} [typeLabels={}] - Display labels keyed by entry type.
+ * @returns {string} The CSV document.
+ */
+export function buildTransactionCsv(statement, typeLabels = {}) {
+  const currency = statement.currency || DEFAULT_CURRENCY;
+  const columns = [
+    { header: 'Date', value: entry => formatTransactionDate(entry.occurred_at) },
+    { header: 'Time', value: entry => formatTransactionTime(entry.occurred_at) },
+    { header: 'Type', value: entry => typeLabels[entry.entry_type] || entry.entry_type },
+    { header: 'Description', value: entry => entry.description },
+    { header: 'Reference', value: getEntryReference },
+    { header: 'Direction', value: entry => entry.direction },
+    { header: `Debit (${currency})`, value: entry => entry.direction === 'DEBIT' ? formatCsvAmount(entry.amount_cents, currency) : '' },
+    { header: `Credit (${currency})`, value: entry => entry.direction === 'CREDIT' ? formatCsvAmount(entry.amount_cents, currency) : '' },
+    { header: `Balance (${currency})`, value: entry => formatCsvAmount(entry.balance_after_cents, currency) },
+    { header: 'Entry ID', value: entry => entry.entry_id }
+  ];
+
+  return buildCsv(columns, statement.rows);
+}
+
+/**
+ * Builds a printable HTML statement for a customer's wallet.
+ * @param {object} params - The statement parameters.
+ * @param {object} params.customer - The customer the statement is for.
+ * @param {object} params.statement - The statement from `buildTransactionStatement`.
+ * @param {object} [params.filters={}] - The active filters.
+ * @param {object} [params.typeLabels={}] - Display labels keyed by entry type.
+ * @param {string} [params.generatedBy] - The name of the staff member generating the statement.
+ * @returns {string} The complete HTML document.
+ */
+export function buildTransactionStatementHtml({ customer, statement, filters = {}, typeLabels = {}, generatedBy }) {
+  const period = filters.startDate || filters.endDate
+    ? `${filters.startDate ? formatTransactionDate(`${filters.startDate}T00:00:00`) : 'Beginning'} – ${filters.endDate ? formatTransactionDate(`${filters.endDate}T00:00:00`) : 'Today'}`
+    : 'All transactions';
+  const formatAmount = (cents) => escapeHtml(formatMoney(cents, statement.currency || DEFAULT_CURRENCY));
+
+  const rows = statement.rows.map(entry => `
+        <tr>
+          <td>${escapeHtml(formatTransactionDate(entry.occurred_at))}<br><span class="muted">${escapeHtml(formatTransactionTime(entry.occurred_at))}</span></td>
+          <td>${escapeHtml(typeLabels[entry.entry_type] || entry.entry_type)}</td>
+          <td>${escapeHtml(entry.description)}<br><span class="muted">${escapeHtml(getEntryReference(entry))}</span></td>
+          <td class="amount">${entry.direction === 'DEBIT' ? formatAmount(entry.amount_cents) : ''}</td>
+          <td class="amount">${entry.direction === 'CREDIT' ? formatAmount(entry.amount_cents) : ''}</td>
+          <td class="amount">${formatAmount(entry.balance_after_cents)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Wallet Statement - ${escapeHtml(customer.name)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #111827; margin: 32px; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .muted { color: #6b7280; font-size: 11px; }
+    .header { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    .summary { display: flex; gap: 24px; margin-bottom: 24px; }
+    .summary div { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 12px; }
+    .summary strong { display: block; font-size: 14px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    th { background: #f9fafb; font-size: 11px; text-transform: uppercase; }
+    .amount { text-align: right; white-space: nowrap; }
+    .footer { margin-top: 24px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>Enzi Coffee</h1>
+      <div class="muted">Customer Wallet Statement</div>
+    </div>
+    <div>
+      <strong>${escapeHtml(customer.name)}</strong><br>
+      ${customer.phone_number ? `${escapeHtml(customer.phone_number)}<br>` : ''}
+      ${customer.email ? `${escapeHtml(customer.email)}<br>` : ''}
+      <span class="muted">Customer ID: ${escapeHtml(customer.customer_id)}</span>
+    </div>
+  </div>
+  <p><strong>Period:</strong> ${escapeHtml(period)}${filters.entryType ? ` &middot; <strong>Type:</strong> ${escapeHtml(typeLabels[filters.entryType] || filters.entryType)}` : ''}</p>
+  <div class="summary">
+    <div><span class="muted">Opening balance</span><strong>${formatAmount(statement.opening_balance_cents)}</strong></div>
+    <div><span class="muted">Total debits</span><strong>${formatAmount(statement.total_debits_cents)}</strong></div>
+    <div><span class="muted">Total credits</span><strong>${formatAmount(statement.total_credits_cents)}</strong></div>
+    <div><span class="muted">Closing balance</span><strong>${formatAmount(statement.closing_balance_cents)}</strong></div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Date</th>
+        <th>Type</th>
+        <th>Description</th>
+        <th class="amount">Debit</th>
+        <th class="amount">Credit</th>
+        <th class="amount">Balance</th>
+      </tr>
+    </thead>
+    <tbody>${rows || '<tr><td colspan="6" class="muted">No transactions in this period.</td></tr>'}
+    </tbody>
+  </table>
+  <div class="footer muted">
+    Generated ${escapeHtml(formatDateTime(new Date().toISOString()))}${generatedBy ? ` by ${escapeHtml(generatedBy)}` : ''}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Labels for the reasons recorded on slip voids, slip adjustments and refunds, keyed by reason code.
+ * @type {Object<string, string>}
+ */
+export const AUDIT_REASON_LABELS = [...SLIP_ADJUSTMENT_REASONS, ...REFUND_REASONS].reduce((labels, reason) => {
+  labels[reason.value] = reason.label;
+  return labels;
+}, {});
+
+/**
+ * Column definitions for audit trail exports.
+ * @type {Array<object>}
+ */
+const AUDIT_EXPORT_COLUMNS = [
+  { header: 'Audit ID', value: entry => entry.audit_id },
+  { header: 'Timestamp', value: entry => entry.timestamp },
+  { header: 'Operation Type', value: entry => entry.operation_type },
+  { header: 'Operation', value: entry => entry.operation_label },
+  { header: 'Customer ID', value: entry => entry.customer_id },
+  { header: 'Currency', value: entry => entry.currency },
+  { header: 'Amount', value: entry => entry.amount_cents != null ? formatCsvAmount(entry.amount_cents, entry.currency) : '' },
+  { header: 'Balance Before', value: entry => entry.balance_before_cents != null ? formatCsvAmount(entry.balance_before_cents, entry.currency) : '' },
+  { header: 'Balance After', value: entry => entry.balance_after_cents != null ? formatCsvAmount(entry.balance_after_cents, entry.currency) : '' },
+  { header: 'Staff ID', value: entry => entry.user_id },
+  { header: 'Staff Role', value: entry => entry.user_role },
+  { header: 'Reason', value: entry => entry.reason_label },
+  { header: 'Note', value: entry => entry.note },
+  { header: 'Approved By', value: entry => entry.approved_by },
+  { header: 'Endpoint', value: entry => entry.request_info?.endpoint },
+  { header: 'IP Address', value: entry => entry.request_info?.remote_addr }
+];
+
+/**
+ * Adds the display fields shown by `AuditEntry` to a raw audit entry.
+ * @param {object} entry - The audit trail entry from the API.
+ * @param {object} [operationLabels={}] - Display labels keyed by operation type.
+ * @returns {object} The entry with `operation_label`, `balance_before_cents`, `balance_after_cents`,
+ * `reason_code`, `reason_label`, `note` and `approved_by`.
+ */
+export function prepareAuditExportEntry(entry, operationLabels = {}) {
+  const amounts = formatAuditAmounts(entry);
+  const operationData = entry.operation_data || {};
+  const reasonCode = operationData.reason_code || operationData.reason || '';
+  return {
+    ...entry,
+    operation_label: operationLabels[entry.operation_type] || entry.operation_type,
+    reason_code: reasonCode,
+    reason_label: AUDIT_REASON_LABELS[reasonCode] || reasonCode,
+    note: operationData.note || '',
+    approved_by: operationData.approved_by || '',
+    amount_cents: amounts.amount_cents,
+    balance_before_cents: amounts.balance_before_cents,
+    balance_after_cents: amounts.balance_after_cents
+  };
+}
+
+/**
+ * Returns the header line of the audit trail CSV export.
+ * @returns {string} The CSV header line, including the newline.
+ */
+export function buildAuditCsvHeader() {
+  return formatCsvRow(AUDIT_EXPORT_COLUMNS.map(column => column.header)) + '\r\n';
+}
+
+/**
+ * Formats a page of audit entries as CSV lines, for appending to a streamed export.
+ * @param {Array<object>} entries - The audit entries.
+ * @param {object} [operationLabels={}] - Display labels keyed by operation type.
+ * @returns {string} The CSV lines, each ending with a newline.
+ */
+export function buildAuditCsvLines(entries, operationLabels = {}) {
+  return entries
+    .map(entry => {
+      const prepared = prepareAuditExportEntry(entry, operationLabels);
+      return formatCsvRow(AUDIT_EXPORT_COLUMNS.map(column => column.value(prepared))) + '\r\n';
+    })
+    .join('');
+}
+
+/**
+ * Formats a page of audit entries as JSON Lines, for appending to a streamed export.
+ * @param {Array<object>} entries - The audit entries.
+ * @param {object} [operationLabels={}] - Display labels keyed by operation type.
+ * @returns {string} One JSON document per line, each ending with a newline.
+ */
+export function buildAuditJsonLines(entries, operationLabels = {}) {
+  return entries
+    .map(entry => JSON.stringify(prepareAuditExportEntry(entry, operationLabels)) + '\n')
+    .join('');
+}
@@ -0,0 +1,307 @@
+/**
+ * @module wallet-outbox
+ * @description An offline outbox for staff wallet mutations. When a money-moving request
+ * cannot reach the server, it is saved locally (IndexedDB) together with its idempotency
+ * key and replayed once the connection is back. Because the key is kept, a request that
+ * did reach the server before the connection dropped is not processed twice.
+ */
+
+/**
+ * The wallet operations that can be queued, keyed by operation name.
+ * `method` is the WalletService method that replays the operation.
+ * @type {Object<string, {method: string, entry_type: string, direction: string, label: string}>}
+ */
+export const OUTBOX_OPERATIONS = {
+  CREDIT_SLIP: { method: 'createCreditSlip', entry_type: 'SALE_ON_CREDIT', direction: 'DEBIT', label: 'Credit slip created' },
+  PAYMENT: { method: 'processPayment', entry_type: 'PAYMENT', direction: 'CREDIT', label: 'Payment received' },
+  STORE_CHANGE: { method: 'storeChange', entry_type: 'CHANGE_TO_BALANCE', direction: 'CREDIT', label: 'Change stored' },
+  APPLY_WALLET: { method: 'applyWalletToSlip', entry_type: 'BALANCE_CONSUMPTION', direction: 'DEBIT', label: 'Wallet applied to credit slip' }
+};
+
+/**
+ * Outbox entry statuses.
+ */
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  FAILED: 'failed'
+};
+
+const OFFLINE_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT_ERROR'];
+
+// The browser can report being online while the server is still unreachable
+// (e.g. café Wi-Fi without internet), so pending entries are also retried periodically.
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Checks whether a failed response means the server could not be reached.
+ * @param {object} response - A failed service response (`{ success: false, error }`).
+ * @returns {boolean} True if the request should be kept for a later retry.
+ */
+export function isOfflineFailure(response) {
+  return Boolean(response && !response.success && OFFLINE_ERROR_CODES.includes(response.error?.code));
+}
+
+/**
+ * Works out the amount a queued operation moves, for display.
+ * @param {string} operation - The operation name.
+ * @param {object} payload - The request body.
+ * @returns {number|null} The amount in cents, or null if it is decided by the server.
+ */
+export function getOperationAmountCents(operation, payload = {}) {
+  switch (operation) {
+    case 'PAYMENT':
+      return payload.amount_cents || 0;
+    case 'STORE_CHANGE':
+      return payload.change_cents || 0;
+    case 'CREDIT_SLIP': {
+      const lines = (payload.lines || []).reduce((total, line) => total + (line.quantity || 0) * (line.unit_price_cents || 0), 0);
+      return lines + (payload.tax_cents || 0) - (payload.discount_cents || 0);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Creates an in-memory outbox store. Used when IndexedDB is not available.
+ * @returns {object} A store with `getAll`, `put` and `delete`.
+ */
+export function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async getAll() {
+      return [...entries.values()];
+    },
+    async put(entry) {
+      entries.set(entry.id, entry);
+    },
+    async delete(id) {
+      entries.delete(id);
+    }
+  };
+}
+
+/**
+ * Creates an outbox store backed by IndexedDB, falling back to memory when IndexedDB
+ * is not available (e.g. private browsing or tests).
+ * @param {string} [dbName='wallet-outbox'] - The database name.
+ * @param {string} [storeName='operations'] - The object store name.
+ * @returns {object} A store with `getAll`, `put` and `delete`.
+ */
+export function createIndexedDbStore(dbName = 'wallet-outbox', storeName = 'operations') {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryStore();
+  }
+
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, action) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    getAll: () => run('readonly', store => store.getAll()),
+    put: (entry) => run('readwrite', store => store.put(entry)),
+    delete: (id) => run('readwrite', store => store.delete(id))
+  };
+}
+
+/**
+ * @class WalletOutbox
+ * @description Persists wallet mutations that could not be sent and replays them in order.
+ */
+export class WalletOutbox {
+  /**
+   * @param {object} options - The outbox options.
+   * @param {object} options.store - Where entries are kept (see createIndexedDbStore).
+   * @param {Function} options.send - Replays an entry; resolves with a service response.
+   */
+  constructor({ store, send }) {
+    this.store = store;
+    this.send = send;
+    this.listeners = new Set();
+    this.flushing = null;
+    this.started = false;
+    this.retryTimer = null;
+    this.lastSyncAt = null;
+    this.handleOnline = () => { this.flush(); };
+  }
+
+  /**
+   * Starts replaying the outbox whenever the browser comes back online, and
+   * periodically while online. Safe to call more than once.
+   */
+  start() {
+    if (this.started || typeof window === 'undefined') return;
+    this.started = true;
+    window.addEventListener('online', this.handleOnline);
+    this.retryTimer = setInterval(() => {
+      if (typeof navigator === 'undefined' || navigator.onLine) this.flush();
+    }, RETRY_INTERVAL_MS);
+    if (typeof navigator === 'undefined' || navigator.onLine) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Stops replaying the outbox automatically.
+   */
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    window.removeEventListener('online', this.handleOnline);
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Subscribes to outbox changes.
+   * @param {Function} listener - Called with the current entries after every change.
+   * @returns {Function} A function that unsubscribes the listener.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  async notify() {
+    const entries = await this.list();
+    this.listeners.forEach(listener => listener(entries));
+  }
+
+  /**
+   * Lists the queued entries, oldest first.
+   * @returns {Promise<Array<object>>} The entries.
+   */
+  async list() {
+    const entries = await this.store.getAll();
+    return entries.sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+  }
+
+  /**
+   * Queues an operation for replay.
+   * @param {string} operation - One of the OUTBOX_OPERATIONS names.
+   * @param {object} payload - The request body.
+   * @param {object} options - Queue options.
+   * @param {string} options.idempotencyKey - The idempotency key the request was sent with.
+   * @param {string} [options.customerName] - The customer's name, for display.
+   * @returns {Promise<object>} The queued entry.
+   */
+  async enqueue(operation, payload, { idempotencyKey, customerName = null }) {
+    if (!OUTBOX_OPERATIONS[operation]) {
+      throw new Error(`Unknown wallet operation: ${operation}`);
+    }
+
+    const entry = {
+      id: idempotencyKey,
+      operation,
+      payload,
+      idempotency_key: idempotencyKey,
+      customer_name: customerName,
+      amount_cents: getOperationAmountCents(operation, payload),
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      last_error: null,
+      queued_at: new Date().toISOString()
+    };
+
+    await this.store.put(entry);
+    await this.notify();
+    this.start();
+    return entry;
+  }
+
+  /**
+   * Removes an entry without sending it, e.g. a failed entry the staff member dismissed.
+   * @param {string} id - The entry ID.
+   */
+  async discard(id) {
+    await this.store.delete(id);
+    await this.notify();
+  }
+
+  /**
+   * Replays pending entries in the order they were queued. Stops at the first entry that
+   * still cannot reach the server. Entries the server rejects are kept as failed.
+   * @param {object} [options={}] - Flush options.
+   * @param {boolean} [options.includeFailed=false] - Whether to retry failed entries too.
+   * @returns {Promise<object>} The number of entries sent and still pending.
+   */
+  flush(options = {}) {
+    if (!this.flushing) {
+      this.flushing = this.replay(options).finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async replay({ includeFailed = false }) {
+    let sent = 0;
+    const entries = (await this.list()).filter(entry =>
+      entry.status !== OUTBOX_STATUS.FAILED || includeFailed
+    );
+    if (entries.length === 0) {
+      return { sent: 0, remaining: (await this.list()).length };
+    }
+
+    for (const entry of entries) {
+      await this.store.put({ ...entry, status: OUTBOX_STATUS.SYNCING });
+      await this.notify();
+
+      let response;
+      try {
+        response = await this.send(entry);
+      } catch (error) {
+        response = { success: false, error: { message: error.message, code: 'CLIENT_ERROR' } };
+      }
+
+      if (response?.success) {
+        await this.store.delete(entry.id);
+        sent += 1;
+        continue;
+      }
+
+      const offline = isOfflineFailure(response);
+      await this.store.put({
+        ...entry,
+        status: offline ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+        attempts: entry.attempts + 1,
+        last_error: response?.error?.message || 'Failed to sync'
+      });
+      if (offline) break;
+    }
+
+    if (sent > 0) {
+      this.lastSyncAt = new Date().toISOString();
+    }
+    await this.notify();
+
+    const remaining = (await this.list()).length;
+    return { sent, remaining };
+  }
+}
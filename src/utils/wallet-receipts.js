@@ -0,0 +1,268 @@
+/**
+ * @module wallet-receipts
+ * @description Builds receipts for wallet operations, printable on 58mm and 80mm
+ * thermal printers or on A4, and as plain text for sending in a message.
+ */
+
+import { formatMoney } from './currency.js';
+import { formatDateTime } from './date-formatter.js';
+import { escapeHtml } from './wallet-export.js';
+import { TENDER_METHODS } from './split-tender.js';
+
+const STORE_NAME = 'Enzi Coffee';
+
+/**
+ * Receipt titles keyed by operation.
+ * @type {object}
+ */
+export const RECEIPT_TYPES = {
+  CREDIT_SLIP: 'Credit Slip',
+  PAYMENT: 'Payment Receipt',
+  STORE_CHANGE: 'Change Stored',
+  WALLET_APPLIED: 'Wallet Balance Applied'
+};
+
+/**
+ * The paper sizes a receipt can be printed on. Thermal receipts are laid out in
+ * `columns` characters of monospace text.
+ * @type {Array<object>}
+ */
+export const RECEIPT_FORMATS = [
+  { value: '58mm', label: '58mm', columns: 32 },
+  { value: '80mm', label: '80mm', columns: 48 },
+  { value: 'A4', label: 'A4' }
+];
+
+/**
+ * Builds a receipt for a completed wallet operation.
+ * @param {object} params - The operation.
+ * @param {string} params.type - One of the RECEIPT_TYPES keys.
+ * @param {string} [params.reference] - The slip number or payment ID.
+ * @param {object} params.customer - The customer.
+ * @param {string} params.currency - The currency code.
+ * @param {number} params.amountCents - The amount of the operation.
+ * @param {string} [params.staffName] - The staff member who served the customer.
+ * @param {Array<object>} [params.items=[]] - Slip lines (`description`, `quantity`, `unit_price_cents`).
+ * @param {number} [params.taxCents=0] - Tax on the slip.
+ * @param {number} [params.discountCents=0] - Discount on the slip.
+ * @param {Array<object>} [params.allocations=[]] - Where the money went (`label`, `amount_cents`).
+ * @param {Array<object>} [params.tenders=[]] - How the customer paid (`method`, `amount_cents`, `reference`).
+ * @param {number|null} [params.walletBalanceCents=null] - The wallet balance after the operation.
+ * @param {string} [params.occurredAt] - When the operation happened; defaults to now.
+ * @returns {object} The receipt.
+ */
+export function buildReceipt({
+  type,
+  reference,
+  customer,
+  currency,
+  amountCents,
+  staffName,
+  items = [],
+  taxCents = 0,
+  discountCents = 0,
+  allocations = [],
+  tenders = [],
+  walletBalanceCents = null,
+  occurredAt
+}) {
+  const totals = [];
+  if (items.length > 0) {
+    const subtotal = items.reduce((sum, item) => sum + item.quantity * item.unit_price_cents, 0);
+    totals.push({ label: 'Subtotal', amount_cents: subtotal });
+    if (taxCents > 0) totals.push({ label: 'Tax', amount_cents: taxCents });
+    if (discountCents > 0) totals.push({ label: 'Discount', amount_cents: -discountCents });
+  }
+  totals.push({ label: 'Total', amount_cents: amountCents });
+
+  return {
+    type,
+    title: RECEIPT_TYPES[type] || 'Receipt',
+    reference: reference || null,
+    occurred_at: occurredAt || new Date().toISOString(),
+    currency,
+    customer: {
+      name: customer?.name || 'Customer',
+      phone_number: customer?.phone_number || null
+    },
+    staff_name: staffName || null,
+    items: items.map(item => ({
+      description: item.description,
+      quantity: item.quantity,
+      total_cents: item.quantity * item.unit_price_cents
+    })),
+    totals,
+    allocations: allocations.filter(allocation => allocation.amount_cents > 0),
+    tenders: tenders.map(tender => ({
+      label: TENDER_METHODS.find(method => method.value === tender.method)?.label || tender.method,
+      amount_cents: tender.amount_cents,
+      reference: tender.reference || null
+    })),
+    wallet_balance_cents: walletBalanceCents
+  };
+}
+
+/**
+ * Lays out a receipt as plain text, for thermal printers and text messages.
+ * @param {object} receipt - The receipt from `buildReceipt`.
+ * @param {object} [options={}] - Layout options.
+ * @param {number} [options.columns=32] - The line width in characters.
+ * @returns {string} The receipt text.
+ */
+export function buildReceiptText(receipt, { columns = 32 } = {}) {
+  const money = cents => formatMoney(cents, receipt.currency);
+  const rule = '-'.repeat(columns);
+  const lines = [
+    center(STORE_NAME, columns),
+    center(receipt.title, columns),
+    rule
+  ];
+
+  if (receipt.reference) lines.push(row('Ref', receipt.reference, columns));
+  lines.push(row('Date', formatDateTime(receipt.occurred_at), columns));
+  lines.push(row('Customer', receipt.customer.name, columns));
+  if (receipt.staff_name) lines.push(row('Served by', receipt.staff_name, columns));
+  lines.push(rule);
+
+  if (receipt.items.length > 0) {
+    receipt.items.forEach((item) => {
+      lines.push(row(`${item.quantity} x ${item.description}`, money(item.total_cents), columns));
+    });
+    lines.push(rule);
+  }
+
+  receipt.totals.forEach(total => lines.push(row(total.label, money(total.amount_cents), columns)));
+
+  if (receipt.tenders.length > 0) {
+    lines.push(rule, 'Paid with');
+    receipt.tenders.forEach((tender) => {
+      lines.push(row(`  ${tender.label}`, money(tender.amount_cents), columns));
+      if (tender.reference) lines.push(`    ${tender.reference}`);
+    });
+  }
+
+  if (receipt.allocations.length > 0) {
+    lines.push(rule, 'Applied to');
+    receipt.allocations.forEach(allocation => lines.push(row(`  ${allocation.label}`, money(allocation.amount_cents), columns)));
+  }
+
+  if (receipt.wallet_balance_cents !== null) {
+    lines.push(rule, row('Wallet balance', money(receipt.wallet_balance_cents), columns));
+  }
+
+  lines.push(rule, center('Thank you!', columns));
+  return lines.join('\n');
+}
+
+/**
+ * Builds a printable HTML receipt.
+ * @param {object} receipt - The receipt from `buildReceipt`.
+ * @param {string} [format='80mm'] - One of the RECEIPT_FORMATS values.
+ * @returns {string} The complete HTML document.
+ */
+export function buildReceiptHtml(receipt, format = '80mm') {
+  const paper = RECEIPT_FORMATS.find(option => option.value === format) || RECEIPT_FORMATS[1];
+  const title = `${receipt.title}${receipt.reference ? ` ${receipt.reference}` : ''}`;
+
+  if (paper.columns) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: ${paper.value} auto; margin: 0; }
+    body { margin: 0; padding: 2mm; width: ${paper.value}; box-sizing: border-box; }
+    pre { font-family: 'Courier New', Courier, monospace; font-size: ${paper.value === '58mm' ? '9px' : '11px'}; margin: 0; white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <pre>${escapeHtml(buildReceiptText(receipt, { columns: paper.columns }))}</pre>
+</body>
+</html>`;
+  }
+
+  const money = cents => escapeHtml(formatMoney(cents, receipt.currency));
+  const amountRows = (rows, labelKey = 'label') => rows.map(entry => `
+        <tr>
+          <td>${escapeHtml(entry[labelKey])}${entry.reference ? `<br><span class="muted">${escapeHtml(entry.reference)}</span>` : ''}</td>
+          <td class="amount">${money(entry.amount_cents)}</td>
+        </tr>`).join('');
+  const section = (heading, rows) => rows ? `
+  <h2>${heading}</h2>
+  <table><tbody>${rows}
+  </tbody></table>` : '';
+
+  const itemRows = receipt.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="amount">${escapeHtml(item.quantity)}</td>
+          <td class="amount">${money(item.total_cents)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #111827; margin: 32px; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 13px; margin: 20px 0 6px; }
+    .muted { color: #6b7280; font-size: 11px; }
+    .header { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    th { background: #f9fafb; font-size: 11px; text-transform: uppercase; }
+    .amount { text-align: right; white-space: nowrap; }
+    .balance { margin-top: 24px; font-size: 14px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>${STORE_NAME}</h1>
+      <div class="muted">${escapeHtml(receipt.title)}${receipt.reference ? ` &middot; ${escapeHtml(receipt.reference)}` : ''}</div>
+    </div>
+    <div>
+      <strong>${escapeHtml(receipt.customer.name)}</strong><br>
+      ${receipt.customer.phone_number ? `${escapeHtml(receipt.customer.phone_number)}<br>` : ''}
+      <span class="muted">${escapeHtml(formatDateTime(receipt.occurred_at))}</span>
+    </div>
+  </div>${itemRows ? `
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="amount">Qty</th><th class="amount">Amount</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>` : ''}${section('Totals', amountRows(receipt.totals))}${section('Paid with', amountRows(receipt.tenders))}${section('Applied to', amountRows(receipt.allocations))}
+  ${receipt.wallet_balance_cents !== null ? `<p class="balance"><strong>Wallet balance:</strong> ${money(receipt.wallet_balance_cents)}</p>` : ''}
+  <p class="muted">${receipt.staff_name ? `Served by ${escapeHtml(receipt.staff_name)}` : ''}</p>
+</body>
+</html>`;
+}
+
+/**
+ * Builds an `sms:` link that opens the messaging app with the receipt as the body.
+ * @param {string} [phoneNumber] - The customer's phone number; leave empty to pick a recipient.
+ * @param {string} text - The message body.
+ * @returns {string} The link.
+ */
+export function buildSmsLink(phoneNumber, text) {
+  const recipient = (phoneNumber || '').replace(/[^\d+]/g, '');
+  return `sms:${recipient}?body=${encodeURIComponent(text)}`;
+}
+
+function row(label, value, columns) {
+  const right = String(value ?? '');
+  const room = Math.max(1, columns - right.length - 1);
+  const left = String(label ?? '');
+  return `${left.length > room ? `${left.slice(0, room - 1)}…` : left.padEnd(room)} ${right}`;
+}
+
+function center(text, columns) {
+  const padding = Math.max(0, Math.floor((columns - text.length) / 2));
+  return `${' '.repeat(padding)}${text}`;
+}
@@ -0,0 +1,87 @@
+/**
+ * @module wallet-refunds
+ * @description Utilities for paying wallet balance back to a customer, either as a
+ * cash-out of stored change or as a refund of an overpayment.
+ */
+
+import { formatMoney } from './currency.js';
+
+/**
+ * Why money is leaving the wallet.
+ * @type {Array<object>}
+ */
+export const REFUND_REASONS = [
+  { value: 'CASH_OUT', label: 'Cash out stored change', description: 'The customer wants their stored change back' },
+  { value: 'OVERPAYMENT', label: 'Refund an overpayment', description: 'A payment put more into the wallet than intended' }
+];
+
+/**
+ * How the money is paid back. Card refunds go through the card terminal, not the wallet.
+ * @type {Array<object>}
+ */
+export const REFUND_METHODS = [
+  { value: 'CASH', label: 'Cash' },
+  { value: 'MOBILE', label: 'Mobile Money', referenceLabel: 'Mobile money number', requiresReference: true },
+  { value: 'BANK_TRANSFER', label: 'Bank Transfer', referenceLabel: 'Account or transfer reference', requiresReference: true }
+];
+
+/**
+ * Validates a refund against the customer's wallet balance.
+ * @param {object} refund - The refund.
+ * @param {number} refund.amountCents - The amount to pay back.
+ * @param {number} refund.availableCents - The wallet balance in the refund currency.
+ * @param {string} refund.method - The refund method (see REFUND_METHODS).
+ * @param {string} refund.reason - The refund reason (see REFUND_REASONS).
+ * @param {string} [refund.reference=''] - The mobile money number or transfer reference.
+ * @param {string} refund.currency - The currency code.
+ * @returns {object} Field errors keyed by field name; empty when valid.
+ */
+export function validateRefund({ amountCents, availableCents, method, reason, reference = '', currency }) {
+  const errors = {};
+  const refundMethod = REFUND_METHODS.find(option => option.value === method);
+
+  if (!REFUND_REASONS.some(option => option.value === reason)) {
+    errors.reason = 'Please choose why the money is being paid back';
+  }
+
+  if (!refundMethod) {
+    errors.method = 'Please select a refund method';
+  } else if (refundMethod.requiresReference && !reference.trim()) {
+    errors.reference = `Please enter the ${refundMethod.referenceLabel.toLowerCase()}`;
+  }
+
+  if (!amountCents || amountCents <= 0) {
+    errors.amount = 'Refund amount must be greater than zero';
+  } else if (amountCents > (availableCents || 0)) {
+    errors.amount = `Refund cannot be more than the wallet balance of ${formatMoney(availableCents || 0, currency)}`;
+  }
+
+  return errors;
+}
+
+/**
+ * Builds the request body for a refund.
+ * @param {object} refund - The refund.
+ * @param {object} refund.customer - The customer.
+ * @param {string} refund.currency - The currency code.
+ * @param {number} refund.amountCents - The amount to pay back.
+ * @param {string} refund.method - The refund method.
+ * @param {string} refund.reason - The refund reason.
+ * @param {string} [refund.reference=''] - The mobile money number or transfer reference.
+ * @param {string} [refund.paymentId] - The payment being refunded, for an overpayment.
+ * @param {string} [refund.note=''] - A note for the audit trail.
+ * @returns {object} The request body.
+ */
+export function buildRefundRequest({ customer, currency, amountCents, method, reason, reference = '', paymentId, note = '' }) {
+  return {
+    customer_id: customer.customer_id,
+    store_id: 'default-store',
+    currency,
+    amount_cents: amountCents,
+    method,
+    reason,
+    ...(reference.trim() && { reference: reference.trim() }),
+    ...(reason === 'OVERPAYMENT' && paymentId && { payment_id: paymentId }),
+    ...(note.trim() && { note: note.trim() })
+  };
+}